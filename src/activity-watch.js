@@ -23,6 +23,8 @@ import {
   buildTelegramTradeKeyboardMarkup,
   buildTradeLinks,
 } from "./notify.js";
+import { enqueueDiscordChannelMessage } from "./outbound-dispatcher.js";
+import { activityWebhookData, sendWebhookEvent, webhookDestinationFrom } from "./generic-webhook.js";
 
 /** @param {import("./tenant-store.js").ActivityWatchEntry} entry */
 export function summarizeActivityWatchThresholds(entry) {
@@ -190,9 +192,10 @@ export async function runActivityWatchPoll(client) {
   for (const guildId of guildIds) {
     const tenant = await getTenant(guildId);
     const channelId = resolveActivityWatchChannelId(tenant);
-    if (!channelId) continue;
-    const channel = await client.channels.fetch(channelId).catch(() => null);
-    if (!channel || !channel.isTextBased()) continue;
+    const webhook = webhookDestinationFrom(tenant);
+    const fetched = channelId ? await client.channels.fetch(channelId).catch(() => null) : null;
+    const channel = fetched?.isTextBased() ? fetched : null;
+    if (!channel && !webhook) continue;
 
     const entries = await getActivityWatchList(guildId);
     const opts = {
@@ -231,7 +234,11 @@ export async function runActivityWatchPoll(client) {
         .setURL(`https://bankr.bot/launches/${entry.tokenAddress}`)
         .setFooter({ text: `id: ${entry.id} · /activity-watch remove` });
 
-      await channel.send({ embeds: [embed] }).catch(() => {});
+      if (channel) void enqueueDiscordChannelMessage(channel.id, { embeds: [embed] }, { label: "activity-watch" });
+      if (webhook) {
+        const plainReasons = reasons.map((r) => r.replace(/\*\*/g, ""));
+        void sendWebhookEvent(webhook, "activity", activityWebhookData(entry, m, plainReasons));
+      }
       await touchActivityWatchAlert(guildId, entry.id, now);
     }
   }
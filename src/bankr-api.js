@@ -0,0 +1,216 @@
+/**
+ * Shared client for the Bankr token-launches API (list, single launch, search, deploy).
+ * - Concurrent identical GETs share one request (in-flight map).
+ * - Successful GETs are kept in an LRU cache with a TTL per endpoint.
+ * - 429 / 5xx / network errors are retried with exponential backoff, honouring Retry-After.
+ * - On 429 the next attempt uses defaultBankrApiKey(), which hands out a pool key while the first one is rate limited
+ *   (bankr-key-usage.js); every attempt is recorded there per key.
+ * Deploys are never cached, de-duplicated or retried (simulations may be retried on the same key).
+ *
+ * Env:
+ *   BANKR_API_CACHE_MAX - Cached responses kept (default 500, 0 = no cache).
+ *   BANKR_API_CACHE_TTL_LAUNCHES_MS - Launch list pages (default 10000).
+ *   BANKR_API_CACHE_TTL_LAUNCH_MS - Single launch by token address (default 60000).
+ *   BANKR_API_CACHE_TTL_SEARCH_MS - Search pages (default 30000).
+ *   BANKR_API_RETRIES - Retries after the first attempt for reads (default 3).
+ *   BANKR_API_BACKOFF_BASE_MS - First backoff delay, doubled per retry with jitter (default 500).
+ *   BANKR_API_MAX_RETRY_AFTER_MS - Longest Retry-After we wait for; longer = give up and return the 429 (default 30000).
+ */
+
+import { defaultBankrApiKey } from "./bankr-env-key.js";
+import { bankrKeyId, recordBankrApiCall } from "./bankr-key-usage.js";
+import { bankrApiUserAgent } from "./brand.js";
+import { recordCacheLookup } from "./metrics.js";
+
+export const BANKR_API_BASE = "https://api.bankr.bot/token-launches";
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name] ?? "", 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+const CACHE_MAX = envInt("BANKR_API_CACHE_MAX", 500);
+const CACHE_TTL_MS = {
+  launches: envInt("BANKR_API_CACHE_TTL_LAUNCHES_MS", 10_000),
+  launch: envInt("BANKR_API_CACHE_TTL_LAUNCH_MS", 60_000),
+  search: envInt("BANKR_API_CACHE_TTL_SEARCH_MS", 30_000),
+  deploy: 0,
+};
+const RETRIES = Math.min(envInt("BANKR_API_RETRIES", 3), 8);
+const BACKOFF_BASE_MS = envInt("BANKR_API_BACKOFF_BASE_MS", 500);
+const MAX_RETRY_AFTER_MS = envInt("BANKR_API_MAX_RETRY_AFTER_MS", 30_000);
+
+/**
+ * @typedef {{ remaining: number|null, limit: number|null, retryAfterSec: number|null }} BankrRateLimit
+ * @typedef {{ ok: boolean, status: number|null, data: any, rateLimit: BankrRateLimit, error?: string }} BankrResponse
+ *   status null = network error (message in `error`).
+ */
+
+/** @type {Map<string, { at: number, ttl: number, response: BankrResponse }>} insertion order = LRU order */
+const cache = new Map();
+/** @type {Map<string, Promise<BankrResponse>>} */
+const inFlight = new Map();
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+/**
+ * Rate limit headers (if Bankr sends them): X-RateLimit-Remaining, X-RateLimit-Limit, Retry-After.
+ * @returns {BankrRateLimit}
+ */
+export function parseBankrRateLimit(res) {
+  const int = (v) => (v != null && v !== "" && Number.isFinite(parseInt(v, 10)) ? parseInt(v, 10) : null);
+  return {
+    remaining: int(res?.headers?.get("X-RateLimit-Remaining")),
+    limit: int(res?.headers?.get("X-RateLimit-Limit")),
+    retryAfterSec: int(res?.headers?.get("Retry-After")),
+  };
+}
+
+function cacheGet(key) {
+  const hit = cache.get(key);
+  if (!hit) return null;
+  if (Date.now() - hit.at > hit.ttl) {
+    cache.delete(key);
+    return null;
+  }
+  cache.delete(key);
+  cache.set(key, hit);
+  return hit.response;
+}
+
+function cacheSet(key, ttl, response) {
+  if (CACHE_MAX === 0 || !(ttl > 0)) return;
+  cache.delete(key);
+  cache.set(key, { at: Date.now(), ttl, response });
+  while (cache.size > CACHE_MAX) cache.delete(cache.keys().next().value);
+}
+
+/** Delay before retry `attempt` (0-based): Retry-After when sent, else base · 2^attempt plus jitter. */
+export function bankrBackoffMs(attempt, retryAfterSec, baseMs = BACKOFF_BASE_MS) {
+  if (retryAfterSec != null && retryAfterSec >= 0) return retryAfterSec * 1000;
+  return baseMs * 2 ** attempt + Math.floor(Math.random() * baseMs * 0.25);
+}
+
+function isRetryable(response) {
+  return response.status == null || response.status === 429 || response.status >= 500;
+}
+
+async function send(url, { method, apiKey, body, userAgent }) {
+  const headers = { Accept: "application/json", "User-Agent": bankrApiUserAgent(userAgent) };
+  if (apiKey) headers["X-API-Key"] = apiKey;
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+  try {
+    const res = await fetch(url, { method, headers, ...(body !== undefined && { body: JSON.stringify(body) }) });
+    const data = await res.json().catch(() => null);
+    return { ok: res.ok, status: res.status, data, rateLimit: parseBankrRateLimit(res) };
+  } catch (e) {
+    return { ok: false, status: null, data: null, rateLimit: { remaining: null, limit: null, retryAfterSec: null }, error: e.message };
+  }
+}
+
+/**
+ * One Bankr API call with retries and key rotation (no cache / de-duplication; see bankrGet).
+ * @param {'launches'|'launch'|'search'|'deploy'} endpoint - For usage accounting and cache TTLs
+ * @param {string} url
+ * @param {{ method?: string, apiKey?: string|null, body?: object, retries?: number, rotateKeys?: boolean, userAgent?: string }} [opts]
+ *   apiKey null = anonymous request. rotateKeys: false to keep the same key on 429.
+ * @returns {Promise<BankrResponse & { apiKey: string|null }>}
+ */
+export async function bankrRequest(endpoint, url, opts = {}) {
+  const { method = "GET", body, retries = RETRIES, rotateKeys = true, userAgent = "bankr-api" } = opts;
+  let apiKey = opts.apiKey ?? null;
+  let response;
+  for (let attempt = 0; ; attempt++) {
+    response = await send(url, { method, apiKey, body, userAgent });
+    recordBankrApiCall(apiKey, endpoint, {
+      status: response.status,
+      error: response.error ?? (response.ok ? null : response.data?.message || response.data?.error || null),
+      retryAfterSec: response.rateLimit.retryAfterSec,
+    });
+    if (!isRetryable(response) || attempt >= retries) break;
+    const waitMs = bankrBackoffMs(attempt, response.rateLimit.retryAfterSec);
+    if (waitMs > MAX_RETRY_AFTER_MS) break;
+    if (response.status === 429 && rotateKeys && apiKey) apiKey = defaultBankrApiKey(apiKey);
+    await sleep(waitMs);
+  }
+  return { ...response, apiKey };
+}
+
+/**
+ * Cached, de-duplicated GET. Identical concurrent calls (same URL + key) share one request.
+ * @param {'launches'|'launch'|'search'} endpoint
+ * @param {string} url
+ * @param {{ apiKey?: string|null, retries?: number, rotateKeys?: boolean, userAgent?: string, bypassCache?: boolean }} [opts]
+ * @returns {Promise<BankrResponse>}
+ */
+export async function bankrGet(endpoint, url, opts = {}) {
+  const key = `${bankrKeyId(opts.apiKey) ?? "anon"} ${url}`;
+  if (!opts.bypassCache) {
+    const hit = cacheGet(key);
+    recordCacheLookup(`bankr_api_${endpoint}`, !!hit);
+    if (hit) return hit;
+  }
+  const pending = inFlight.get(key);
+  if (pending) return pending;
+  const p = bankrRequest(endpoint, url, opts)
+    .then(({ apiKey: _usedKey, ...response }) => {
+      if (response.ok) cacheSet(key, CACHE_TTL_MS[endpoint], response);
+      return response;
+    })
+    .finally(() => inFlight.delete(key));
+  inFlight.set(key, p);
+  return p;
+}
+
+/**
+ * GET /token-launches (newest first unless order is "asc").
+ * @param {{ limit?: number, offset?: number, order?: 'asc'|'desc', apiKey?: string|null, userAgent?: string }} [opts]
+ * @returns {Promise<BankrResponse & { launches: object[] }>} launches = raw rows (all statuses)
+ */
+export async function listBankrLaunches({ limit = 50, offset = 0, order, ...opts } = {}) {
+  const url = `${BANKR_API_BASE}?limit=${limit}&offset=${offset}${order ? `&order=${order}` : ""}`;
+  const r = await bankrGet("launches", url, opts);
+  return { ...r, launches: r.ok && Array.isArray(r.data?.launches) ? r.data.launches : [] };
+}
+
+/**
+ * GET /token-launches/:address.
+ * @param {string} tokenAddress
+ * @param {{ apiKey?: string|null, userAgent?: string }} [opts]
+ * @returns {Promise<BankrResponse & { launch: object|null }>}
+ */
+export async function getBankrLaunch(tokenAddress, opts = {}) {
+  const r = await bankrGet("launch", `${BANKR_API_BASE}/${encodeURIComponent(tokenAddress)}`, opts);
+  return { ...r, launch: r.ok ? (r.data?.launch ?? r.data ?? null) : null };
+}
+
+/**
+ * GET /token-launches/search (same as bankr.bot/launches/search). data = raw JSON (exactMatch, groups, …).
+ * @param {string} query
+ * @param {{ limit?: number, offset?: number, apiKey?: string|null, userAgent?: string }} [opts]
+ * @returns {Promise<BankrResponse>}
+ */
+export async function searchBankrLaunches(query, { limit = 25, offset = 0, ...opts } = {}) {
+  const url = `${BANKR_API_BASE}/search?q=${encodeURIComponent(String(query).trim())}&limit=${limit}&offset=${offset}`;
+  return bankrGet("search", url, opts);
+}
+
+/**
+ * POST /token-launches/deploy. Always on the given key; simulations (body.simulateOnly) are retried, real deploys never.
+ * @param {object} body - From buildDeployBody()
+ * @param {{ apiKey: string, userAgent?: string }} opts
+ * @returns {Promise<BankrResponse>}
+ */
+export async function postBankrDeploy(body, { apiKey, userAgent = "deploy" }) {
+  const { apiKey: _usedKey, ...response } = await bankrRequest("deploy", `${BANKR_API_BASE}/deploy`, {
+    method: "POST",
+    apiKey,
+    body,
+    retries: body?.simulateOnly ? RETRIES : 0,
+    rotateKeys: false,
+    userAgent,
+  });
+  return response;
+}
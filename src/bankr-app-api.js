@@ -6,11 +6,15 @@
  * the config account key.
  */
 
+import { timingSafeEqual } from "crypto";
 import { createServer } from "http";
-import { createTelegramConnectCode, getBankrAppUser, setBankrAppUserConfig } from "./bankr-app-store.js";
+import { createTelegramConnectCode, getBankrAppUser, normalizeDiscordWebhookUrl, setBankrAppUserConfig } from "./bankr-app-store.js";
 import { sendBankrAppTestDiscordWebhook } from "./bankr-app-notify.js";
+import { sendWebhookTestEvent, webhookDestinationFrom } from "./generic-webhook.js";
 import { fetchSearch, resolveHandleToWallet } from "./lookup-deployer.js";
 import { defaultBankrApiKey } from "./bankr-env-key.js";
+import { METRICS_CONTENT_TYPE, metricsEnabled, renderMetrics } from "./metrics.js";
+import { handlePublicApiRequest } from "./public-api.js";
 
 let serverStarted = false;
 
@@ -28,7 +32,7 @@ function json(res, statusCode, body) {
   res.writeHead(statusCode, {
     "Content-Type": "application/json",
     "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Headers": "content-type, authorization, x-bankr-app-token",
+    "Access-Control-Allow-Headers": "content-type, authorization, x-bankr-app-token, x-api-token",
     "Access-Control-Allow-Methods": "GET,POST,OPTIONS",
   });
   res.end(JSON.stringify(body));
@@ -42,6 +46,13 @@ function parseAuthToken(req) {
   return "";
 }
 
+/** Constant-time token comparison (lengths are compared first; timingSafeEqual needs equal-length buffers). */
+function tokenEquals(got, expected) {
+  const a = Buffer.from(String(got ?? ""));
+  const b = Buffer.from(String(expected ?? ""));
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
 function requireAuth(req, res) {
   const expected = String(process.env.BANKR_APP_API_TOKEN || "").trim();
   if (!expected) {
@@ -59,6 +70,25 @@ function requireAuth(req, res) {
   return true;
 }
 
+/**
+ * Prometheus scrape. Needs METRICS_TOKEN (separate from BANKR_APP_API_TOKEN so scrapers get read-only access);
+ * unset = 503, since labels include Discord guild IDs.
+ */
+async function handleMetrics(req, res) {
+  const expected = String(process.env.METRICS_TOKEN || "").trim();
+  if (!expected) {
+    json(res, 503, { ok: false, error: "Metrics are disabled until METRICS_TOKEN is set" });
+    return;
+  }
+  if (!tokenEquals(parseAuthToken(req), expected)) {
+    json(res, 401, { ok: false, error: "Unauthorized" });
+    return;
+  }
+  const body = await renderMetrics();
+  res.writeHead(200, { "Content-Type": METRICS_CONTENT_TYPE });
+  res.end(body);
+}
+
 function walletFromUrlOrBody(url, body) {
   return (
     body?.walletAddress ||
@@ -135,11 +165,31 @@ async function handleTestDestination(req, res, url) {
     return;
   }
   const existing = await getBankrAppUser(walletAddress);
+  if (body?.destination === "webhook") {
+    // Generic webhook test uses the saved URL + secret (save config first so the receiver can verify the signature).
+    const dest = webhookDestinationFrom(existing?.destinations);
+    if (!dest) {
+      json(res, 400, { ok: false, error: "Save destinations.webhookUrl first" });
+      return;
+    }
+    try {
+      await sendWebhookTestEvent(dest, { walletAddress: existing.walletAddress });
+    } catch (e) {
+      json(res, 502, { ok: false, error: e.message });
+      return;
+    }
+    json(res, 200, { ok: true });
+    return;
+  }
   const webhookUrl = body?.destinations?.discordWebhookUrl || body?.discordWebhookUrl || existing?.destinations?.discordWebhookUrl;
   if (!webhookUrl) {
     json(res, 400, { ok: false, error: "discordWebhookUrl is required" });
     return;
   }
+  if (!normalizeDiscordWebhookUrl(webhookUrl)) {
+    json(res, 400, { ok: false, error: "discordWebhookUrl must be a https://discord.com/api/webhooks/… URL" });
+    return;
+  }
   await sendBankrAppTestDiscordWebhook(webhookUrl, walletAddress);
   json(res, 200, { ok: true });
 }
@@ -224,7 +274,7 @@ function routeNotFound(res) {
   json(res, 404, {
     ok: false,
     error: "Not found",
-    routes: ["/health", "/api/app/config", "/api/app/test-destination", "/api/app/wallet-lookup", "/api/app/telegram/connect-code"],
+    routes: ["/health", "/metrics", "/api/v1/*", "/api/app/config", "/api/app/test-destination", "/api/app/wallet-lookup", "/api/app/telegram/connect-code"],
   });
 }
 
@@ -244,6 +294,14 @@ export function startBankrAppApiServer() {
         json(res, 200, { ok: true, service: "bankr-monitor", appApi: true });
         return;
       }
+      if (req.method === "GET" && path === "/metrics" && metricsEnabled()) {
+        await handleMetrics(req, res);
+        return;
+      }
+      if (path === "/api/v1" || path.startsWith("/api/v1/")) {
+        await handlePublicApiRequest(req, res, url, path);
+        return;
+      }
       if (req.method === "GET" && path === "/api/app/config") {
         await handleConfigGet(req, res, url);
         return;
@@ -1,9 +1,12 @@
 /**
  * Alert fanout for users configured through the Bankr Apps control panel.
+ * Sends go through outbound-dispatcher.js (queue, retries, per-destination rate limits).
  */
 
 import { buildLaunchEmbed, sendTelegram, sendTelegramHotPing } from "./notify.js";
 import { isWatchMatchForTenant, getWatchMatchReasons } from "./watch-match.js";
+import { enqueueDiscordWebhook } from "./outbound-dispatcher.js";
+import { claimWebhookData, hotWebhookData, launchWebhookData, sendWebhookEvent, webhookDestinationFrom } from "./generic-webhook.js";
 import {
   bankrAppAlertsEnabled,
   bankrAppWalletLabelMap,
@@ -11,23 +14,11 @@ import {
   listActiveBankrAppUsers,
 } from "./bankr-app-store.js";
 
-const STAGGER_MS = 75;
-
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
-async function postDiscordWebhook(webhookUrl, payload) {
+/** Waits for delivery; throws with the last error when the webhook rejects it or retries run out. */
+async function postDiscordWebhook(webhookUrl, payload, opts = {}) {
   if (!webhookUrl) return false;
-  const res = await fetch(webhookUrl, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(payload),
-  });
-  if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    throw new Error(`Discord webhook ${res.status}: ${text.slice(0, 160)}`);
-  }
+  const outcome = await enqueueDiscordWebhook(webhookUrl, payload, opts);
+  if (!outcome.ok) throw new Error(outcome.error);
   return true;
 }
 
@@ -65,11 +56,15 @@ function appendAppWalletLabels(launch, reasons, user) {
 }
 
 export async function sendBankrAppTestDiscordWebhook(webhookUrl, walletAddress) {
-  return postDiscordWebhook(webhookUrl, {
-    content:
-      `BankrMonitor test ping for \`${String(walletAddress || "Bankr App user").slice(0, 64)}\`.\n` +
-      "If you see this, the webhook destination is connected.",
-  });
+  return postDiscordWebhook(
+    webhookUrl,
+    {
+      content:
+        `BankrMonitor test ping for \`${String(walletAddress || "Bankr App user").slice(0, 64)}\`.\n` +
+        "If you see this, the webhook destination is connected.",
+    },
+    { label: "bankr-app test", maxAttempts: 2 }
+  );
 }
 
 async function getActiveUsersSafe() {
@@ -91,7 +86,6 @@ export function scheduleBankrAppLaunchWebhooks(launch) {
 
 async function fanOutBankrAppLaunchWebhooks(launch) {
   const users = await getActiveUsersSafe();
-  let i = 0;
   for (const user of users) {
     if (user.settings?.launchAlerts === false) continue;
     const webhookUrl = user.destinations?.discordWebhookUrl;
@@ -104,25 +98,27 @@ async function fanOutBankrAppLaunchWebhooks(launch) {
     });
     embed.title = `Watch match: ${launch.name} ($${launch.symbol})`;
     const telegramChatId = user.settings?.telegramDms !== false ? user.destinations?.telegramChatId : null;
-    if (!webhookUrl && !telegramChatId) continue;
-    const idx = i++;
-    setTimeout(() => {
-      if (webhookUrl) {
-        void postDiscordWebhook(webhookUrl, {
-          content: "**BankrMonitor watchlist match**",
-          embeds: [embed],
-        }).catch((e) => console.error("[bankr-app] watch webhook failed:", e?.message ?? e));
-      }
-      if (telegramChatId) {
-        const bullets = reasons.length > 0 ? reasons.map((r) => `• ${escapeTgMarkdown(r)}`).join("\n") : "";
-        const prependMarkdown = bullets ? `🔔 *BankrMonitor watchlist match*\n${bullets}` : "🔔 *BankrMonitor watchlist match*";
-        void sendTelegram(launch, {
-          chatId: telegramChatId,
-          skipAllowedCheck: true,
-          prependMarkdown,
-        }).catch((e) => console.error("[bankr-app] watch Telegram failed:", e?.message ?? e));
-      }
-    }, idx * STAGGER_MS);
+    const genericWebhook = webhookDestinationFrom(user.destinations);
+    if (!webhookUrl && !telegramChatId && !genericWebhook) continue;
+    if (webhookUrl) {
+      void enqueueDiscordWebhook(
+        webhookUrl,
+        { content: "**BankrMonitor watchlist match**", embeds: [embed] },
+        { label: "bankr-app watch" }
+      );
+    }
+    if (genericWebhook) {
+      void sendWebhookEvent(genericWebhook, "launch", launchWebhookData(launch, { isWatchMatch: true, watchMatchReasons: reasons }));
+    }
+    if (telegramChatId) {
+      const bullets = reasons.length > 0 ? reasons.map((r) => `• ${escapeTgMarkdown(r)}`).join("\n") : "";
+      const prependMarkdown = bullets ? `🔔 *BankrMonitor watchlist match*\n${bullets}` : "🔔 *BankrMonitor watchlist match*";
+      await sendTelegram(launch, {
+        chatId: telegramChatId,
+        skipAllowedCheck: true,
+        prependMarkdown,
+      }).catch((e) => console.error("[bankr-app] watch Telegram failed:", e?.message ?? e));
+    }
   }
 }
 
@@ -138,11 +134,11 @@ export function scheduleBankrAppHotTrendingWebhooks(launchForEmbed, hotStats, {
 
 async function fanOutBankrAppHotTrendingWebhooks(launchForEmbed, hotStats, { isHot, isTrending }) {
   const users = await getActiveUsersSafe();
-  let i = 0;
   for (const user of users) {
     const webhookUrl = user.destinations?.discordWebhookUrl;
     const telegramChatId = user.settings?.telegramDms !== false ? user.destinations?.telegramChatId : null;
-    if (!webhookUrl && !telegramChatId) continue;
+    const genericWebhook = webhookDestinationFrom(user.destinations);
+    if (!webhookUrl && !telegramChatId && !genericWebhook) continue;
     const wantsHot = isHot && user.settings?.hot === true;
     const wantsTrending = isTrending && user.settings?.trending !== false;
     if (!wantsHot && !wantsTrending) continue;
@@ -155,34 +151,53 @@ async function fanOutBankrAppHotTrendingWebhooks(launchForEmbed, hotStats, { isH
       embed.title = `Trending: ${launchForEmbed.name} ($${launchForEmbed.symbol})`;
     }
     const content = wantsHot && wantsTrending ? "**BankrMonitor hot/trending token**" : wantsHot ? "**BankrMonitor hot token**" : "**BankrMonitor trending token**";
-    const idx = i++;
-    setTimeout(() => {
-      if (webhookUrl) {
-        void postDiscordWebhook(webhookUrl, { content, embeds: [embed] }).catch((e) =>
-          console.error("[bankr-app] hot/trending webhook failed:", e?.message ?? e)
-        );
+    if (webhookUrl) {
+      void enqueueDiscordWebhook(webhookUrl, { content, embeds: [embed] }, { label: "bankr-app hot/trending" });
+    }
+    if (genericWebhook) {
+      const data = hotWebhookData(launchForEmbed, hotStats);
+      if (wantsHot) void sendWebhookEvent(genericWebhook, "hot", data);
+      if (wantsTrending) void sendWebhookEvent(genericWebhook, "trending", data);
+    }
+    if (telegramChatId) {
+      if (wantsHot) {
+        await sendTelegramHotPing(launchForEmbed, hotStats, {
+          chatId: telegramChatId,
+          skipAllowedCheck: true,
+          skipPin: true,
+          prependMarkdown: "🔥 *BankrMonitor hot token*",
+        }).catch((e) => console.error("[bankr-app] hot Telegram failed:", e?.message ?? e));
       }
-      if (telegramChatId) {
-        if (wantsHot) {
-          void sendTelegramHotPing(launchForEmbed, hotStats, {
-            chatId: telegramChatId,
-            skipAllowedCheck: true,
-            skipPin: true,
-            prependMarkdown: "🔥 *BankrMonitor hot token*",
-          }).catch((e) => console.error("[bankr-app] hot Telegram failed:", e?.message ?? e));
-        }
-        if (wantsTrending) {
-          void sendTelegramHotPing(launchForEmbed, hotStats, {
-            chatId: telegramChatId,
-            skipAllowedCheck: true,
-            skipPin: true,
-            trending: true,
-            prependMarkdown: "📈 *BankrMonitor trending token*",
-          }).catch((e) => console.error("[bankr-app] trending Telegram failed:", e?.message ?? e));
-        }
+      if (wantsTrending) {
+        await sendTelegramHotPing(launchForEmbed, hotStats, {
+          chatId: telegramChatId,
+          skipAllowedCheck: true,
+          skipPin: true,
+          trending: true,
+          prependMarkdown: "📈 *BankrMonitor trending token*",
+        }).catch((e) => console.error("[bankr-app] trending Telegram failed:", e?.message ?? e));
       }
-    }, idx * STAGGER_MS);
+    }
   }
-  if (i > 0) await sleep(0);
 }
 
+/** Fee claims → generic webhook for users with claimAlerts on whose watchlist has the token or the fee recipient wallet. */
+export function scheduleBankrAppClaimWebhooks(claim) {
+  if (!bankrAppAlertsEnabled()) return;
+  void fanOutBankrAppClaimWebhooks(claim);
+}
+
+async function fanOutBankrAppClaimWebhooks(claim) {
+  const users = await getActiveUsersSafe();
+  const token = normAddr(claim?.poolToken);
+  const beneficiary = normAddr(claim?.beneficiary);
+  for (const user of users) {
+    if (user.settings?.claimAlerts !== true) continue;
+    const genericWebhook = webhookDestinationFrom(user.destinations);
+    if (!genericWebhook) continue;
+    const tokens = user.watchlist?.tokenAddresses || [];
+    const wallets = (user.watchlist?.wallet || []).map((w) => w.value);
+    if (!(token && tokens.includes(token)) && !(beneficiary && wallets.includes(beneficiary))) continue;
+    void sendWebhookEvent(genericWebhook, "claim", claimWebhookData(claim));
+  }
+}
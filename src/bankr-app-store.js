@@ -3,14 +3,20 @@
  *
  * The Bankr App uses ctx.caller.walletAddress as the account key and talks to
  * the Railway bot through the secured config API. Alerts still run in the bot.
+ * Discord webhook URLs and webhook signing secrets are encrypted at rest (secret-box.js); exported readers return
+ * them decrypted.
  */
 
-import { readFile, writeFile, mkdir } from "fs/promises";
 import { dirname, join } from "path";
 import { randomBytes } from "crypto";
+import { defineStateDocument } from "./state-storage.js";
+import { generateWebhookSecret, normalizeWebhookUrl, parseWebhookEvents } from "./generic-webhook.js";
+import { isEncryptedSecret, openSecret, resealSecret, sealSecret } from "./secret-box.js";
 
 const FILE = process.env.BANKR_APP_USERS_FILE || join(process.cwd(), ".bankr-app-users.json");
 const CONNECT_CODES_FILE = process.env.BANKR_APP_CONNECT_CODES_FILE || join(dirname(FILE), ".bankr-app-connect-codes.json");
+const usersDoc = defineStateDocument("bankr-app-users", FILE);
+const connectCodesDoc = defineStateDocument("bankr-app-connect-codes", CONNECT_CODES_FILE);
 const TELEGRAM_CONNECT_CODE_TTL_MS = Math.max(
   60_000,
   parseInt(process.env.BANKR_APP_TELEGRAM_CONNECT_CODE_TTL_MS || "900000", 10)
@@ -27,8 +33,14 @@ const DEFAULT_WATCHLIST = {
 const DEFAULT_DESTINATIONS = {
   discordWebhookUrl: null,
   telegramChatId: null,
+  webhookUrl: null,
+  webhookSecret: null,
+  webhookEvents: null,
 };
 
+/** destinations fields stored with sealSecret(). */
+const DESTINATION_SECRET_FIELDS = ["discordWebhookUrl", "webhookSecret"];
+
 const DEFAULT_SETTINGS = {
   launchAlerts: true,
   hot: false,
@@ -95,9 +107,11 @@ function normalizeWatchlist(watchlist) {
   };
 }
 
-function normalizeDiscordWebhookUrl(value) {
+/** Discord webhook URL (discord.com / discordapp.com only) or an already sealed value; null otherwise. */
+export function normalizeDiscordWebhookUrl(value) {
   const s = String(value ?? "").trim();
   if (!s) return null;
+  if (isEncryptedSecret(s)) return s;
   if (!/^https:\/\/(?:discord(?:app)?\.com)\/api\/webhooks\/\d+\/[\w-]+/i.test(s)) return null;
   return s;
 }
@@ -109,6 +123,9 @@ function normalizeDestinations(destinations) {
     telegramChatId: d.telegramChatId != null && String(d.telegramChatId).trim() ? String(d.telegramChatId).trim() : null,
     telegramUsername: d.telegramUsername != null && String(d.telegramUsername).trim() ? String(d.telegramUsername).replace(/^@/, "").trim() : null,
     telegramFirstName: d.telegramFirstName != null && String(d.telegramFirstName).trim() ? String(d.telegramFirstName).trim() : null,
+    webhookUrl: normalizeWebhookUrl(d.webhookUrl),
+    webhookSecret: typeof d.webhookSecret === "string" && d.webhookSecret.trim().length >= 16 ? d.webhookSecret.trim() : null,
+    webhookEvents: d.webhookEvents != null ? parseWebhookEvents(d.webhookEvents) : null,
   };
 }
 
@@ -138,8 +155,7 @@ function sanitizeUser(userId, raw = {}) {
 
 async function loadAll() {
   try {
-    const raw = await readFile(FILE, "utf-8");
-    const j = JSON.parse(raw);
+    const j = await usersDoc.read();
     const users = j?.users;
     if (!users || typeof users !== "object" || Array.isArray(users)) return {};
     const out = {};
@@ -154,15 +170,27 @@ async function loadAll() {
   }
 }
 
+/** Copy of a user with destination secrets encrypted (as written) or decrypted (as returned to callers). */
+function mapDestinationSecrets(user, fn) {
+  if (!user?.destinations) return user;
+  const destinations = { ...user.destinations };
+  for (const field of DESTINATION_SECRET_FIELDS) destinations[field] = fn(destinations[field] ?? null);
+  return { ...user, destinations };
+}
+
+function withOpenSecrets(user) {
+  return mapDestinationSecrets(user, openSecret);
+}
+
 async function saveAll(users) {
-  await mkdir(dirname(FILE), { recursive: true }).catch(() => {});
-  await writeFile(FILE, JSON.stringify({ users }, null, 2), "utf-8");
+  const sealed = {};
+  for (const [id, user] of Object.entries(users)) sealed[id] = mapDestinationSecrets(user, sealSecret);
+  await usersDoc.write({ users: sealed });
 }
 
 async function loadConnectCodes() {
   try {
-    const raw = await readFile(CONNECT_CODES_FILE, "utf-8");
-    const j = JSON.parse(raw);
+    const j = await connectCodesDoc.read();
     return j && typeof j === "object" && typeof j.codes === "object" && j.codes !== null ? j.codes : {};
   } catch {
     return {};
@@ -170,8 +198,7 @@ async function loadConnectCodes() {
 }
 
 async function saveConnectCodes(codes) {
-  await mkdir(dirname(CONNECT_CODES_FILE), { recursive: true }).catch(() => {});
-  await writeFile(CONNECT_CODES_FILE, JSON.stringify({ codes }, null, 2), "utf-8");
+  await connectCodesDoc.write({ codes });
 }
 
 function makeConnectCode() {
@@ -189,9 +216,13 @@ export async function getBankrAppUser(walletAddress) {
   const userId = normalizeUserId(walletAddress);
   if (!userId) return null;
   const users = await loadAll();
-  return users[userId] ?? sanitizeUser(userId, { walletAddress: userId });
+  return withOpenSecrets(users[userId] ?? sanitizeUser(userId, { walletAddress: userId }));
 }
 
+/**
+ * Merge config updates for one user. A generic webhook gets an HMAC secret generated on first save;
+ * pass destinations.rotateWebhookSecret: true for a new one (or destinations.webhookSecret to set your own, ≥16 chars).
+ */
 export async function setBankrAppUserConfig(walletAddress, updates = {}) {
   const userId = normalizeUserId(walletAddress);
   if (!userId) return null;
@@ -215,9 +246,12 @@ export async function setBankrAppUserConfig(walletAddress, updates = {}) {
           : existing.settings,
       updatedAt: new Date().toISOString(),
     });
+    if (next.destinations.webhookUrl && (!next.destinations.webhookSecret || updates.destinations?.rotateWebhookSecret === true)) {
+      next.destinations.webhookSecret = generateWebhookSecret();
+    }
     users[userId] = next;
     await saveAll(users);
-    return next;
+    return withOpenSecrets(next);
   });
 }
 
@@ -281,17 +315,40 @@ export async function consumeTelegramConnectCode(codeRaw, telegramChatId, telegr
     console.log(
       `[bankr-app] Telegram linked wallet=${entry.userId.slice(0, 6)}...${entry.userId.slice(-4)} chat=${chatId} username=${telegramMeta.username ? `@${telegramMeta.username}` : "none"}`
     );
-    return { ok: true, user };
+    return { ok: true, user: withOpenSecrets(user) };
   });
 }
 
 export async function listActiveBankrAppUsers() {
   const users = await loadAll();
-  return Object.values(users).filter((u) => {
-    const hasDestination = !!(u.destinations?.discordWebhookUrl || u.destinations?.telegramChatId);
-    const hasWatch = Object.values(u.watchlist || {}).some((arr) => Array.isArray(arr) && arr.length > 0);
-    const wantsBroadcast = u.settings?.hot === true || u.settings?.trending !== false;
-    return hasDestination && (hasWatch || wantsBroadcast);
+  return Object.values(users)
+    .filter((u) => {
+      const hasDestination = !!(u.destinations?.discordWebhookUrl || u.destinations?.telegramChatId || u.destinations?.webhookUrl);
+      const hasWatch = Object.values(u.watchlist || {}).some((arr) => Array.isArray(arr) && arr.length > 0);
+      const wantsBroadcast = u.settings?.hot === true || u.settings?.trending !== false;
+      return hasDestination && (hasWatch || wantsBroadcast);
+    })
+    .map(withOpenSecrets);
+}
+
+/**
+ * Re-encrypt every user's destination secrets with the current SECRETS_MASTER_KEY (npm run secrets:rotate).
+ * @returns {Promise<number>} secrets rewritten
+ */
+export async function resealBankrAppSecrets() {
+  return queue(async () => {
+    const users = await loadAll();
+    let changed = 0;
+    for (const user of Object.values(users)) {
+      for (const field of DESTINATION_SECRET_FIELDS) {
+        const r = resealSecret(user.destinations?.[field]);
+        if (!r.changed) continue;
+        user.destinations[field] = r.value;
+        changed++;
+      }
+    }
+    if (changed > 0) await saveAll(users);
+    return changed;
   });
 }
 
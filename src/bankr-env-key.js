@@ -1,10 +1,18 @@
 /**
  * Single Bankr API key from env (Discord, notify, CLI, etc.).
  * Telegram uses telegram-bankr-keys.js for optional multi-key pool.
+ * While the chosen key is rate limited (bankr-key-usage.js), a round-robin key from that pool is returned instead.
  */
 
-export function defaultBankrApiKey(override) {
+import { isBankrKeyExhausted, pickFallbackBankrApiKey } from "./bankr-key-usage.js";
+
+/**
+ * @param {string|null} [override] - e.g. the server's /setup key
+ * @param {{ fallback?: boolean }} [opts] - fallback: false to always return this key (deploys spend the key owner's quota and wallet)
+ */
+export function defaultBankrApiKey(override, { fallback = true } = {}) {
   const o = override != null && String(override).trim();
-  if (o) return o;
-  return process.env.BANKR_API_KEY?.trim() || null;
+  const key = o || process.env.BANKR_API_KEY?.trim() || null;
+  if (key && fallback && isBankrKeyExhausted(key)) return pickFallbackBankrApiKey(key) ?? key;
+  return key;
 }
@@ -0,0 +1,120 @@
+/**
+ * Per-key Bankr API accounting: calls per endpoint, 429s and the last error, keyed by a short hash of the key
+ * (keys themselves are never kept here). Shown per server in /setup show; counts reset on restart.
+ * A key that got a 429 is "exhausted" until its Retry-After (or BANKR_KEY_EXHAUSTED_COOLDOWN_MS) passes —
+ * defaultBankrApiKey() then hands out a round-robin key from telegram-bankr-keys.js instead.
+ *
+ * Env:
+ *   BANKR_KEY_EXHAUSTED_COOLDOWN_MS - How long a key is skipped after a 429 without Retry-After (default 60000).
+ *   BANKR_KEY_FALLBACK - false or 0 to keep using an exhausted key (no round-robin fallback).
+ */
+
+import { createHash } from "crypto";
+import { counter } from "./metrics.js";
+import { listTelegramBankrApiKeys, pickTelegramBankrApiKeyRoundRobin } from "./telegram-bankr-keys.js";
+
+const EXHAUSTED_COOLDOWN_MS = Math.max(1000, parseInt(process.env.BANKR_KEY_EXHAUSTED_COOLDOWN_MS || "60000", 10) || 60_000);
+const FALLBACK_ENABLED = process.env.BANKR_KEY_FALLBACK !== "false" && process.env.BANKR_KEY_FALLBACK !== "0";
+
+const bankrCallsTotal = counter("bankr_api_calls_total", "Bankr API requests by endpoint and result (ok, 429, http, error).", [
+  "endpoint",
+  "result",
+]);
+
+/** Endpoints recorded by callers. */
+export const BANKR_ENDPOINTS = ["launches", "launch", "search", "deploy"];
+
+/**
+ * @typedef {{
+ *   since: number,
+ *   calls: Record<string, number>,
+ *   rateLimited: number,
+ *   errors: number,
+ *   lastError: { at: number, endpoint: string, status: number|null, message: string }|null,
+ *   exhaustedUntil: number,
+ * }} BankrKeyUsage
+ */
+
+/** @type {Map<string, BankrKeyUsage>} */
+const usage = new Map();
+
+/** Short, stable id for a key (sha256 prefix). */
+export function bankrKeyId(apiKey) {
+  const k = apiKey && String(apiKey).trim();
+  return k ? createHash("sha256").update(k).digest("hex").slice(0, 12) : null;
+}
+
+function entryFor(id) {
+  let e = usage.get(id);
+  if (!e) {
+    e = { since: Date.now(), calls: {}, rateLimited: 0, errors: 0, lastError: null, exhaustedUntil: 0 };
+    usage.set(id, e);
+  }
+  return e;
+}
+
+/**
+ * Record one Bankr API response (or a network error) for a key.
+ * @param {string|null|undefined} apiKey - Key sent as X-API-Key (no-op when none)
+ * @param {string} endpoint - One of BANKR_ENDPOINTS
+ * @param {{ status?: number|null, error?: string|null, retryAfterSec?: number|null }} result
+ */
+export function recordBankrApiCall(apiKey, endpoint, { status = null, error = null, retryAfterSec = null } = {}) {
+  const ok = status != null && status >= 200 && status < 300;
+  bankrCallsTotal.inc({ endpoint, result: ok ? "ok" : status === 429 ? "429" : status != null ? "http" : "error" });
+  const id = bankrKeyId(apiKey);
+  if (!id) return;
+  const e = entryFor(id);
+  const now = Date.now();
+  e.calls[endpoint] = (e.calls[endpoint] ?? 0) + 1;
+  if (ok) return;
+  if (status === 429) {
+    e.rateLimited++;
+    const waitMs = Number.isFinite(retryAfterSec) && retryAfterSec > 0 ? retryAfterSec * 1000 : EXHAUSTED_COOLDOWN_MS;
+    e.exhaustedUntil = Math.max(e.exhaustedUntil, now + waitMs);
+  } else {
+    e.errors++;
+  }
+  e.lastError = { at: now, endpoint, status, message: String(error ?? (status != null ? `HTTP ${status}` : "request failed")).slice(0, 200) };
+}
+
+/** @returns {BankrKeyUsage|null} copy of the counters for a key, null when it made no calls since start */
+export function getBankrKeyUsage(apiKey) {
+  const e = usage.get(bankrKeyId(apiKey));
+  return e ? { ...e, calls: { ...e.calls }, lastError: e.lastError && { ...e.lastError } } : null;
+}
+
+export function isBankrKeyExhausted(apiKey, now = Date.now()) {
+  const e = usage.get(bankrKeyId(apiKey));
+  return !!e && e.exhaustedUntil > now;
+}
+
+/**
+ * Round-robin key (TELEGRAM_BANKR_API_KEYS + BANKR_API_KEY) that is not exhausted and is not `exclude`, or null.
+ * @param {string} [exclude]
+ */
+export function pickFallbackBankrApiKey(exclude) {
+  if (!FALLBACK_ENABLED) return null;
+  const pool = listTelegramBankrApiKeys();
+  for (let i = 0; i < pool.length; i++) {
+    const k = pickTelegramBankrApiKeyRoundRobin();
+    if (k && k !== exclude && !isBankrKeyExhausted(k)) return k;
+  }
+  return null;
+}
+
+/** One Discord markdown line for /setup show. */
+export function formatBankrKeyUsageLine(u, now = Date.now()) {
+  if (!u) return "no calls since restart";
+  const total = Object.values(u.calls).reduce((a, b) => a + b, 0);
+  const byEndpoint = Object.entries(u.calls)
+    .sort((a, b) => b[1] - a[1])
+    .map(([k, n]) => `${k} ${n}`)
+    .join(" · ");
+  const parts = [`${total} call(s) since <t:${Math.floor(u.since / 1000)}:R>${byEndpoint ? ` (${byEndpoint})` : ""}`, `429s ${u.rateLimited}`];
+  if (u.exhaustedUntil > now) parts.push(`rate limited until <t:${Math.ceil(u.exhaustedUntil / 1000)}:T> — using fallback keys`);
+  if (u.lastError) {
+    parts.push(`last error <t:${Math.floor(u.lastError.at / 1000)}:R> on ${u.lastError.endpoint}: ${u.lastError.message}`);
+  }
+  return parts.join(" · ");
+}
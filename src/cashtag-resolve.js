@@ -8,6 +8,7 @@ import { numFromScaled } from "./token-trend-card.js";
 import { defaultBankrApiKey } from "./bankr-env-key.js";
 import { fetchSearch } from "./lookup-deployer.js";
 import { fetchDexScreenerMetricsForToken } from "./token-stats.js";
+import { recordCacheLookup } from "./metrics.js";
 
 /**
  * @typedef {object} CashtagResolveResult
@@ -257,9 +258,9 @@ export async function resolveCashtagToBankrToken(rawSymbol, options = {}) {
   const cacheKey = `${chainId}:${normalized}`;
   if (!options.bypassCache) {
     const hit = resolveCache.get(cacheKey);
-    if (hit && Date.now() - hit.at < CASHTAG_RESOLVE_TTL_MS) {
-      return hit.value;
-    }
+    const fresh = hit && Date.now() - hit.at < CASHTAG_RESOLVE_TTL_MS;
+    recordCacheLookup("cashtag_resolve", fresh);
+    if (fresh) return hit.value;
   }
 
   const [indexerItems, bankrLaunches] = await Promise.all([
@@ -0,0 +1,149 @@
+/**
+ * Extra context for fee claim alerts (Discord claim embeds, sendTelegramClaim): USD value at claim time, the claimer's
+ * lifetime claimed total (claim-history-store.js), what is still claimable (RehypeDopplerHook), the token's mcap,
+ * the tx sender when it is not the wallet the fees went to, and a flag when that wallet (the transfer recipient) is not
+ * the registered fee recipient of the launch.
+ *
+ * Env:
+ *   CLAIM_ALERT_CONTEXT - false or 0 to post claim alerts with the WETH amount only (no extra lookups).
+ *   CLAIM_ALERT_CONTEXT_TIMEOUT_MS - Longest wait for the lookups before posting without them (default 8000).
+ */
+
+import { listClaimsByClaimer } from "./claim-history-store.js";
+import { formatUsd, getTokenClaimContext } from "./token-stats.js";
+
+const CONTEXT_ENABLED = process.env.CLAIM_ALERT_CONTEXT !== "false" && process.env.CLAIM_ALERT_CONTEXT !== "0";
+const CONTEXT_TIMEOUT_MS = Math.max(500, parseInt(process.env.CLAIM_ALERT_CONTEXT_TIMEOUT_MS || "8000", 10) || 8000);
+/** Token lookups are shared by claims of the same token within this window (one claim tx often pays several wallets). */
+const TOKEN_CONTEXT_TTL_MS = 30_000;
+
+/** @type {Map<string, { promise: Promise<object>, expires: number }>} */
+const tokenContextCache = new Map();
+
+/**
+ * @typedef {{
+ *   usdValue: number|null,
+ *   recipient: string|null,
+ *   claimer: string|null,
+ *   claimerTotalWeth: number|null,
+ *   claimerClaimCount: number,
+ *   claimableWeth: number|null,
+ *   claimableToken: number|null,
+ *   marketCapUsd: number|null,
+ *   feeWallet: string|null,
+ *   notFeeRecipient: boolean,
+ * }} ClaimAlertContext - recipient: wallet the fees were transferred to (claim.beneficiary); claimer: tx / AA sender;
+ *   notFeeRecipient: recipient differs from the launch's registered fee wallet
+ */
+
+const lower = (v) => (typeof v === "string" && /^0x[a-fA-F0-9]{40}$/.test(v) ? v.toLowerCase() : null);
+
+/**
+ * Build the alert context from a claim plus token lookups (pure; see getClaimAlertContext).
+ * @param {import('./watchers/dopplerClaimWatcher.js').FeeClaimPayload} claim
+ * @param {{ feeWallet: string|null, hookFees: object|null, marketCapUsd: number|null, wethUsd: number|null }} token
+ * @param {Array<{ txHash: string, amountWei: string }>} claimerHistory - Recorded claims by this claimer
+ * @returns {ClaimAlertContext}
+ */
+export function buildClaimAlertContext(claim, token, claimerHistory) {
+  const weth = Number(claim.amount ?? 0) / 1e18;
+  const recipient = lower(claim.beneficiary);
+  const claimer = lower(claim.claimer) ?? recipient;
+  // The history listener may not have stored this claim yet.
+  const history = claimerHistory.some((c) => c.txHash === claim.txHash)
+    ? claimerHistory
+    : [...claimerHistory, { txHash: claim.txHash, amountWei: String(claim.amount ?? "0") }];
+  const totalWei = history.reduce((sum, c) => {
+    try {
+      return sum + BigInt(c.amountWei ?? "0");
+    } catch {
+      return sum;
+    }
+  }, 0n);
+  const feeWallet = lower(token.feeWallet);
+  return {
+    usdValue: token.wethUsd != null ? weth * token.wethUsd : null,
+    recipient,
+    claimer,
+    claimerTotalWeth: claimer ? Number(totalWei) / 1e18 : null,
+    claimerClaimCount: claimer ? history.length : 0,
+    claimableWeth: token.hookFees ? Number(token.hookFees.beneficiaryFees0 ?? 0n) / 1e18 : null,
+    claimableToken: token.hookFees ? Number(token.hookFees.beneficiaryFees1 ?? 0n) / 1e18 : null,
+    marketCapUsd: token.marketCapUsd ?? null,
+    feeWallet,
+    notFeeRecipient: !!(feeWallet && recipient && recipient !== feeWallet),
+  };
+}
+
+function cachedTokenClaimContext(tokenAddress, bankrApiKey) {
+  const key = String(tokenAddress).toLowerCase();
+  const now = Date.now();
+  const hit = tokenContextCache.get(key);
+  if (hit && hit.expires > now) return hit.promise;
+  for (const [k, v] of tokenContextCache) if (v.expires <= now) tokenContextCache.delete(k);
+  const promise = getTokenClaimContext(tokenAddress, { bankrApiKey });
+  tokenContextCache.set(key, { promise, expires: now + TOKEN_CONTEXT_TTL_MS });
+  promise.catch(() => {
+    if (tokenContextCache.get(key)?.promise === promise) tokenContextCache.delete(key);
+  });
+  return promise;
+}
+
+/**
+ * Context for one claim alert, or null when disabled, the lookups time out or fail.
+ * Call it only when the alert has a destination; token lookups are cached per token for TOKEN_CONTEXT_TTL_MS.
+ * @param {import('./watchers/dopplerClaimWatcher.js').FeeClaimPayload} claim
+ * @param {{ bankrApiKey?: string }} [options]
+ * @returns {Promise<ClaimAlertContext|null>}
+ */
+export async function getClaimAlertContext(claim, options = {}) {
+  if (!CONTEXT_ENABLED || !claim?.poolToken) return null;
+  const lookups = Promise.all([
+    cachedTokenClaimContext(claim.poolToken, options.bankrApiKey),
+    listClaimsByClaimer(claim.claimer ?? claim.beneficiary),
+  ]).then(([token, history]) => buildClaimAlertContext(claim, token, history));
+  let timer;
+  try {
+    return await Promise.race([
+      lookups,
+      new Promise((resolve) => {
+        timer = setTimeout(() => resolve(null), CONTEXT_TIMEOUT_MS);
+      }),
+    ]);
+  } catch (e) {
+    console.warn("[claim-alert-context] lookup failed:", e?.message ?? e);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+const short = (a) => `${a.slice(0, 6)}…${a.slice(-4)}`;
+
+/**
+ * Alert lines (Discord markdown, or Telegram legacy Markdown with style "telegram"). Empty when ctx is null.
+ * @param {ClaimAlertContext|null} ctx
+ * @param {{ symbol?: string, style?: 'discord'|'telegram' }} [opts]
+ * @returns {string[]}
+ */
+export function formatClaimAlertContextLines(ctx, { symbol = "Token", style = "discord" } = {}) {
+  if (!ctx) return [];
+  const label = (s) => (style === "telegram" ? `${s}:` : `**${s}:**`);
+  const lines = [];
+  if (ctx.usdValue != null) lines.push(`${label("Value")} ${formatUsd(ctx.usdValue)}`);
+  if (ctx.claimerTotalWeth != null) {
+    lines.push(`${label("Claimer lifetime")} ${ctx.claimerTotalWeth.toFixed(4)} WETH over ${ctx.claimerClaimCount} claim(s)`);
+  }
+  if (ctx.claimableWeth != null) {
+    const token = ctx.claimableToken > 0 ? ` · ${ctx.claimableToken.toLocaleString("en-US", { maximumFractionDigits: 2 })} ${symbol}` : "";
+    lines.push(`${label("Still claimable")} ${ctx.claimableWeth.toFixed(4)} WETH${token}`);
+  }
+  if (ctx.marketCapUsd != null) lines.push(`${label("Mcap")} ${formatUsd(ctx.marketCapUsd)}`);
+  if (ctx.claimer && ctx.recipient && ctx.claimer !== ctx.recipient) lines.push(`${label("Sent by")} \`${short(ctx.claimer)}\``);
+  if (ctx.notFeeRecipient) {
+    lines.push(
+      `⚠️ ${label("Not the fee recipient")} paid to \`${short(ctx.recipient)}\`, registered recipient is \`${short(ctx.feeWallet)}\``
+    );
+  }
+  return lines;
+}
@@ -0,0 +1,230 @@
+/**
+ * Persistent fee claim history per Bankr token: every claim from onFeeClaim (token, beneficiary, claimer — the AA
+ * sender when the claim went through handleOps — WETH amount, tx and block time). Shown by /claim-watch history
+ * and the Telegram /claims <token> timeline, and read by the scheduled digest (digest.js) for its claims section.
+ *
+ * Env:
+ *   CLAIM_HISTORY_FILE - History (state-storage.js document). Default .bankr-claim-history.json
+ *   CLAIM_HISTORY_MAX_PER_TOKEN - Claims kept per token, oldest dropped first (default 500).
+ *   CLAIM_HISTORY_MAX_TOTAL - Claims kept across all tokens, oldest dropped first (default 50000).
+ *   CLAIM_HISTORY_MAX_AGE_DAYS - Claims older than this are dropped (default 180, at least 8 for the weekly digest).
+ */
+
+import { join } from "path";
+import { defineStateDocument } from "./state-storage.js";
+import { onFeeClaim } from "./watchers/dopplerClaimWatcher.js";
+import { escapeTelegramHtml } from "./notify.js";
+
+const CLAIM_HISTORY_FILE = process.env.CLAIM_HISTORY_FILE || join(process.cwd(), ".bankr-claim-history.json");
+const CLAIM_HISTORY_MAX_PER_TOKEN = Math.min(
+  10_000,
+  Math.max(10, parseInt(process.env.CLAIM_HISTORY_MAX_PER_TOKEN || "500", 10) || 500)
+);
+const CLAIM_HISTORY_MAX_TOTAL = Math.min(
+  500_000,
+  Math.max(1000, parseInt(process.env.CLAIM_HISTORY_MAX_TOTAL || "50000", 10) || 50_000)
+);
+const CLAIM_HISTORY_MAX_AGE_MS = Math.max(8, parseInt(process.env.CLAIM_HISTORY_MAX_AGE_DAYS || "180", 10) || 180) * 86_400_000;
+
+const historyDoc = defineStateDocument("claim-history", CLAIM_HISTORY_FILE, { indent: 0 });
+
+let _chain = Promise.resolve();
+
+function queue(fn) {
+  _chain = _chain.then(fn, fn);
+  return _chain;
+}
+
+/**
+ * @typedef {{
+ *   at: number,
+ *   blockNumber: number|null,
+ *   tokenAddress: string,
+ *   symbol: string|null,
+ *   beneficiary: string|null,
+ *   claimer: string|null,
+ *   amountWei: string,
+ *   amountWeth: string,
+ *   txHash: string,
+ * }} ClaimHistoryEntry - at = block time (unix ms)
+ */
+
+const addr = (v) => (typeof v === "string" && /^0x[a-fA-F0-9]{40}$/.test(v.trim()) ? v.trim().toLowerCase() : null);
+
+async function loadAll() {
+  try {
+    const raw = await historyDoc.read();
+    return raw?.tokens && typeof raw.tokens === "object" ? raw.tokens : {};
+  } catch {
+    return {};
+  }
+}
+
+/** Drop claims past CLAIM_HISTORY_MAX_AGE_MS, then the oldest beyond CLAIM_HISTORY_MAX_TOTAL (mutates tokens). */
+function pruneHistory(tokens, nowMs) {
+  const cutoff = nowMs - CLAIM_HISTORY_MAX_AGE_MS;
+  let total = 0;
+  for (const [token, list] of Object.entries(tokens)) {
+    const kept = Array.isArray(list) ? list.filter((c) => c?.at >= cutoff) : [];
+    if (kept.length > 0) tokens[token] = kept;
+    else delete tokens[token];
+    total += kept.length;
+  }
+  if (total <= CLAIM_HISTORY_MAX_TOTAL) return;
+  const newest = new Set(
+    Object.values(tokens)
+      .flat()
+      .sort((a, b) => b.at - a.at)
+      .slice(0, CLAIM_HISTORY_MAX_TOTAL)
+  );
+  for (const [token, list] of Object.entries(tokens)) {
+    const kept = list.filter((c) => newest.has(c));
+    if (kept.length > 0) tokens[token] = kept;
+    else delete tokens[token];
+  }
+}
+
+/**
+ * Store one claim (dopplerClaimWatcher payload). Same tx twice is ignored.
+ * @param {import('./watchers/dopplerClaimWatcher.js').FeeClaimPayload} claim
+ * @returns {Promise<ClaimHistoryEntry|null>} stored entry, null when skipped
+ */
+export function recordClaimHistory(claim) {
+  const tokenAddress = addr(claim?.poolToken);
+  if (!tokenAddress || !claim?.txHash) return Promise.resolve(null);
+  return queue(async () => {
+    const tokens = await loadAll();
+    const list = Array.isArray(tokens[tokenAddress]) ? tokens[tokenAddress] : [];
+    if (list.some((c) => c.txHash === claim.txHash)) return null;
+    const row = {
+      at: Number.isFinite(claim.blockTime) ? claim.blockTime : Date.now(),
+      blockNumber: Number.isFinite(claim.blockNumber) ? claim.blockNumber : null,
+      tokenAddress,
+      symbol: claim.poolSymbol ?? null,
+      beneficiary: addr(claim.beneficiary),
+      claimer: addr(claim.claimer),
+      amountWei: String(claim.amount ?? "0"),
+      amountWeth: claim.amountFormatted ?? (Number(claim.amount ?? 0) / 1e18).toFixed(4),
+      txHash: claim.txHash,
+    };
+    list.push(row);
+    list.sort((a, b) => a.at - b.at);
+    tokens[tokenAddress] = list.slice(-CLAIM_HISTORY_MAX_PER_TOKEN);
+    pruneHistory(tokens, Date.now());
+    await historyDoc.write({ tokens });
+    return row;
+  });
+}
+
+/**
+ * @param {string} tokenAddress
+ * @returns {Promise<ClaimHistoryEntry[]>} oldest first
+ */
+export async function listTokenClaimHistory(tokenAddress) {
+  const token = addr(tokenAddress);
+  if (!token) return [];
+  const list = (await loadAll())[token];
+  return Array.isArray(list) ? list.filter((c) => Number.isFinite(c?.at)) : [];
+}
+
+/**
+ * Recorded claims of every token with block time in [sinceMs, untilMs].
+ * @param {{ sinceMs?: number, untilMs?: number }} [range]
+ * @returns {Promise<ClaimHistoryEntry[]>} oldest first
+ */
+export async function listClaimsBetween({ sinceMs = 0, untilMs = Infinity } = {}) {
+  return Object.values(await loadAll())
+    .flatMap((list) => (Array.isArray(list) ? list : []))
+    .filter((c) => Number.isFinite(c?.at) && c.at >= sinceMs && c.at <= untilMs)
+    .sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Every recorded claim triggered by a wallet (claimer = tx sender / AA sender), across all tokens.
+ * @param {string} wallet
+ * @returns {Promise<ClaimHistoryEntry[]>}
+ */
+export async function listClaimsByClaimer(wallet) {
+  const w = addr(wallet);
+  if (!w) return [];
+  return Object.values(await loadAll())
+    .flatMap((list) => (Array.isArray(list) ? list : []))
+    .filter((c) => c?.claimer === w);
+}
+
+/**
+ * Count, total WETH and average time between claims.
+ * @param {ClaimHistoryEntry[]} claims - oldest first
+ * @returns {{ count: number, totalWeth: string, firstAt: number|null, lastAt: number|null, avgIntervalMs: number|null }}
+ */
+export function summarizeClaimHistory(claims) {
+  const totalWei = claims.reduce((sum, c) => {
+    try {
+      return sum + BigInt(c.amountWei ?? "0");
+    } catch {
+      return sum;
+    }
+  }, 0n);
+  const firstAt = claims.length ? claims[0].at : null;
+  const lastAt = claims.length ? claims[claims.length - 1].at : null;
+  return {
+    count: claims.length,
+    totalWeth: (Number(totalWei) / 1e18).toFixed(4),
+    firstAt,
+    lastAt,
+    avgIntervalMs: claims.length >= 2 ? Math.round((lastAt - firstAt) / (claims.length - 1)) : null,
+  };
+}
+
+/** "3d 4h", "5h 12m", "42m" (under a minute: "<1m"). */
+export function formatClaimInterval(ms) {
+  const m = Math.floor(ms / 60_000);
+  if (m < 1) return "<1m";
+  const d = Math.floor(m / 1440);
+  const h = Math.floor((m % 1440) / 60);
+  if (d > 0) return h > 0 ? `${d}d ${h}h` : `${d}d`;
+  return h > 0 ? `${h}h ${m % 60}m` : `${m}m`;
+}
+
+/**
+ * Timeline message: summary line plus the newest `limit` claims (newest first).
+ * @param {string} tokenAddress
+ * @param {ClaimHistoryEntry[]} claims - oldest first
+ * @param {{ limit?: number, style?: 'discord'|'telegram' }} [opts] - telegram = HTML parse mode (UTC dates)
+ */
+export function formatClaimTimeline(tokenAddress, claims, { limit = 10, style = "discord" } = {}) {
+  const tg = style === "telegram";
+  const text = (s) => (tg ? escapeTelegramHtml(s) : s);
+  const bold = (s) => (tg ? `<b>${s}</b>` : `**${s}**`);
+  const code = (s) => (tg ? `<code>${escapeTelegramHtml(s)}</code>` : `\`${s}\``);
+  const link = (label, url) => (tg ? `<a href="${escapeTelegramHtml(url)}">${label}</a>` : `[${label}](${url})`);
+  const when = (ms) =>
+    tg ? `${new Date(ms).toISOString().slice(0, 16).replace("T", " ")} UTC` : `<t:${Math.floor(ms / 1000)}:f>`;
+  const short = (a) => code(`${a.slice(0, 6)}…${a.slice(-4)}`);
+  const s = summarizeClaimHistory(claims);
+  const symbol = claims.find((c) => c.symbol)?.symbol;
+  const title = `${bold(`Claim history${symbol ? ` for $${text(symbol)}` : ""}`)} ${code(tokenAddress)}`;
+  if (s.count === 0) return `${title}\n\nNo claims recorded yet (history starts when the claim watcher first sees one).`;
+  const summary = [
+    `${bold("Claims:")} ${s.count}`,
+    `${bold("Total:")} ${s.totalWeth} WETH`,
+    s.avgIntervalMs != null ? `${bold("Avg interval:")} ${formatClaimInterval(s.avgIntervalMs)}` : null,
+    `${bold("First:")} ${when(s.firstAt)}`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+  const lines = claims
+    .slice(-limit)
+    .reverse()
+    .map((c) => {
+      const who = c.beneficiary ? `→ ${short(c.beneficiary)}` : "";
+      const by = c.claimer && c.claimer !== c.beneficiary ? ` (by ${short(c.claimer)})` : "";
+      return `• ${when(c.at)} · ${text(c.amountWeth)} WETH ${who}${by} · ${link("TX", `https://basescan.org/tx/${c.txHash}`)}`;
+    });
+  const more = s.count > limit ? `\n…and ${s.count - limit} older claim(s).` : "";
+  return `${title}\n${summary}\n\n${lines.join("\n")}${more}`;
+}
+
+onFeeClaim((claim) => {
+  void recordClaimHistory(claim).catch((e) => console.warn("[claim-history] write failed:", e?.message ?? e));
+});
@@ -3,12 +3,13 @@
  * Used to detect when claimable drops = fees were claimed.
  */
 
-import { readFile, writeFile, mkdir } from "fs/promises";
 import { dirname, join } from "path";
 import { fileURLToPath } from "url";
+import { defineStateDocument } from "./state-storage.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const CLAIM_STATE_FILE = process.env.CLAIM_STATE_FILE || join(process.cwd(), ".bankr-claim-state.json");
+const claimStateDoc = defineStateDocument("claim-state", CLAIM_STATE_FILE, { indent: 0 });
 
 function parseTokenAddress(s) {
   if (!s || typeof s !== "string") return null;
@@ -19,8 +20,7 @@ function parseTokenAddress(s) {
 
 async function loadAll() {
   try {
-    const data = await readFile(CLAIM_STATE_FILE, "utf-8");
-    const raw = JSON.parse(data);
+    const raw = await claimStateDoc.read();
     return typeof raw === "object" && raw !== null ? raw : {};
   } catch {
     return {};
@@ -28,8 +28,7 @@ async function loadAll() {
 }
 
 async function saveAll(state) {
-  await mkdir(dirname(CLAIM_STATE_FILE), { recursive: true }).catch(() => {});
-  await writeFile(CLAIM_STATE_FILE, JSON.stringify(state, null, 0));
+  await claimStateDoc.write(state);
 }
 
 /**
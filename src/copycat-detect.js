@@ -0,0 +1,208 @@
+/**
+ * Copycat detection for new launches: same ticker as an established Bankr token (cashtag-resolve.js ranking),
+ * or same name, image or tweet URL as an earlier launch in the archive (launch-archive.js).
+ * Adds `copycat` to the launch; alerts show "possible copycat of $X (0x…)" and tenants can hide copycats from
+ * curated channels (/setup rules hide_copycats, FILTER_HIDE_COPYCATS for env channels).
+ *
+ * Env:
+ *   COPYCAT_DETECT_ENABLED - Set to 0/false to skip detection.
+ *   COPYCAT_MIN_ORIGINAL_MCAP_USD - A ticker match only counts when the existing token's mcap is at least this (default 10000).
+ *   COPYCAT_MAX_RESOLVES - Ticker lookups per notify cycle; the rest use archive matches only (default 10).
+ *   COPYCAT_RESOLVE_TIMEOUT_MS - Per-launch ticker lookup timeout (default 6000).
+ *
+ * Launches are checked COPYCAT_CONCURRENCY at a time. Verdicts are cached by token address for VERDICT_TTL_MS, so
+ * the same launch seen again (another server's cycle, a backfill replay) skips the archive scan and ticker lookup;
+ * a verdict whose archive read or ticker lookup failed (or was skipped) is not cached.
+ */
+
+import { listArchivedLaunches } from "./launch-archive.js";
+import { resolveCashtagToBankrToken } from "./cashtag-resolve.js";
+import { mapLimit } from "./map-limit.js";
+import { counter } from "./metrics.js";
+
+const CHAIN_ID = parseInt(process.env.CHAIN_ID || "8453", 10);
+const COPYCAT_MIN_ORIGINAL_MCAP_USD = Math.max(0, Number(process.env.COPYCAT_MIN_ORIGINAL_MCAP_USD ?? "10000") || 0);
+const COPYCAT_MAX_RESOLVES = Math.max(0, parseInt(process.env.COPYCAT_MAX_RESOLVES ?? "10", 10) || 0);
+const COPYCAT_RESOLVE_TIMEOUT_MS = Math.max(1000, parseInt(process.env.COPYCAT_RESOLVE_TIMEOUT_MS || "6000", 10) || 6000);
+const COPYCAT_CONCURRENCY = 4;
+const VERDICT_TTL_MS = 10 * 60 * 1000;
+const VERDICT_CACHE_MAX = 2000;
+const TIMED_OUT = Symbol("timed out");
+
+/** Order fields are listed in alert text (strongest evidence first). */
+export const COPYCAT_FIELDS = ["tweet", "image", "name", "symbol"];
+
+const copycatsTotal = counter("bankr_copycat_launches_total", "New launches flagged as possible copycats, by matched field.", ["field"]);
+const verdictCache = new Map(); // tokenAddress -> { copycat, expires }
+
+export function copycatDetectEnabled() {
+  return !/^(0|false|no)$/i.test(String(process.env.COPYCAT_DETECT_ENABLED ?? "").trim());
+}
+
+function normAddr(v) {
+  const s = v && String(v).trim().toLowerCase();
+  return s && /^0x[a-f0-9]{40}$/.test(s) ? s : null;
+}
+
+/** ipfs://CID, https://…/ipfs/CID and gateway URLs for the same file compare equal. */
+export function normalizeImageKey(img) {
+  const s = img && String(img).trim().toLowerCase();
+  if (!s) return null;
+  const cid = s.match(/(?:ipfs:\/\/|\/ipfs\/)([a-z0-9]{30,})/);
+  return cid ? `ipfs:${cid[1]}` : s.replace(/^https?:\/\//, "").replace(/[?#].*$/, "");
+}
+
+export function normalizeNameKey(name) {
+  const s = name && String(name).normalize("NFKC").toLowerCase().replace(/\s+/g, " ").trim();
+  return s || null;
+}
+
+/** x.com / twitter.com / mobile links to the same status compare equal (status id); other URLs by host + path. */
+export function normalizeTweetKey(url) {
+  const s = url && String(url).trim().toLowerCase();
+  if (!s) return null;
+  const status = s.match(/\/status(?:es)?\/(\d+)/);
+  return status ? `status:${status[1]}` : s.replace(/^https?:\/\/(www\.|mobile\.)?/, "").replace(/[?#].*$/, "").replace(/\/$/, "");
+}
+
+const FIELD_KEYS = {
+  tweet: (l) => normalizeTweetKey(l?.tweetUrl),
+  image: (l) => normalizeImageKey(l?.image),
+  name: (l) => normalizeNameKey(l?.name),
+};
+
+/** Same launch time the archive keeps: Bankr deploy time, else when the launch was first seen. */
+function archiveTimeMs(entry) {
+  return entry.deployedAtMs ?? entry.firstSeenAtMs ?? 0;
+}
+
+/**
+ * First earlier archived launch (other token address) sharing each of tweet URL, image and name.
+ * The launch's own time is deployedAtMsFromBankr, else firstSeenAtMs, else its archive entry's time (as
+ * launch-archive.js stores it); launches with the same time are ordered by token address, so two launches from one
+ * poll never flag each other.
+ * @param {object} launch - notify launch shape
+ * @param {Array<{ tokenAddress: string, deployedAtMs?: number|null, firstSeenAtMs?: number, launch: object }>} archived
+ * @returns {{ tweet: object|null, image: object|null, name: object|null }} refs are { tokenAddress, name, symbol }
+ */
+export function findArchiveMatches(launch, archived) {
+  const self = normAddr(launch?.tokenAddress);
+  const selfEntry = (archived || []).find((e) => normAddr(e?.tokenAddress) === self);
+  const selfTime =
+    [launch?.deployedAtMsFromBankr, launch?.firstSeenAtMs, selfEntry && archiveTimeMs(selfEntry)].find((t) => Number.isFinite(t)) ?? Infinity;
+  const wanted = Object.fromEntries(Object.entries(FIELD_KEYS).map(([f, key]) => [f, key(launch)]));
+  const found = { tweet: null, image: null, name: null };
+  for (const entry of archived || []) {
+    const other = normAddr(entry?.tokenAddress);
+    if (!other || other === self) continue;
+    const otherTime = archiveTimeMs(entry);
+    if (otherTime > selfTime || (otherTime === selfTime && other > self)) continue;
+    for (const [field, key] of Object.entries(FIELD_KEYS)) {
+      if (!found[field] && wanted[field] && key(entry.launch) === wanted[field]) {
+        found[field] = { tokenAddress: other, name: entry.launch?.name ?? null, symbol: entry.launch?.symbol ?? null };
+      }
+    }
+    if (found.tweet && found.image && found.name) break;
+  }
+  return found;
+}
+
+/**
+ * Combine archive matches and the established token for the same ticker into one verdict.
+ * The original shown is the ticker match when there is one (the token people mean by $X), else the archive token
+ * matching the most fields.
+ * @param {{ tweet?: object|null, image?: object|null, name?: object|null }} archiveMatches
+ * @param {{ tokenAddress: string, name?: string, symbol?: string, mcapUsd?: number } | null} [symbolMatch]
+ * @returns {{ original: object, matchedOn: string[], matches: object } | null}
+ */
+export function buildCopycatVerdict(archiveMatches, symbolMatch = null) {
+  const matches = { ...archiveMatches, symbol: symbolMatch ?? null };
+  const matchedOn = COPYCAT_FIELDS.filter((f) => matches[f]);
+  if (matchedOn.length === 0) return null;
+  let original = symbolMatch;
+  if (!original) {
+    const tally = new Map();
+    for (const f of matchedOn) {
+      const ref = matches[f];
+      const cur = tally.get(ref.tokenAddress) ?? { ref, n: 0 };
+      cur.n++;
+      tally.set(ref.tokenAddress, cur);
+    }
+    original = [...tally.values()].sort((a, b) => b.n - a.n)[0].ref;
+  }
+  return { original, matchedOn, matches };
+}
+
+/** "possible copycat of $X (0x1234…abcd)" */
+export function formatCopycatLabel(copycat) {
+  if (!copycat?.original) return null;
+  const a = copycat.original.tokenAddress;
+  const short = `${a.slice(0, 6)}…${a.slice(-4)}`;
+  return copycat.original.symbol ? `possible copycat of $${copycat.original.symbol} (${short})` : `possible copycat of ${short}`;
+}
+
+/** "same tweet, image" */
+export function formatCopycatFields(copycat) {
+  return copycat?.matchedOn?.length ? `same ${copycat.matchedOn.join(", ")}` : "";
+}
+
+/** Established token for the launch's ticker, null when there is none, or TIMED_OUT when the lookup failed or was slow. */
+async function resolveEstablishedSymbol(launch, options) {
+  if (!launch?.symbol) return null;
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(TIMED_OUT), COPYCAT_RESOLVE_TIMEOUT_MS);
+  });
+  const r = await Promise.race([
+    resolveCashtagToBankrToken(launch.symbol, { bankrApiKey: options.bankrApiKey, dopplerIndexerUrl: options.dopplerIndexerUrl }).catch(
+      () => TIMED_OUT
+    ),
+    timeout,
+  ]).finally(() => clearTimeout(timer));
+  if (r === TIMED_OUT) return TIMED_OUT;
+  if (!r?.address || r.address === normAddr(launch.tokenAddress)) return null;
+  if (!(r.mcapUsd >= COPYCAT_MIN_ORIGINAL_MCAP_USD)) return null;
+  return { tokenAddress: r.address, name: r.name || null, symbol: r.symbol, mcapUsd: r.mcapUsd };
+}
+
+/**
+ * Add `copycat` (null when nothing matched) to each launch. Never throws.
+ * @param {object[]} launches - notify.js launch shape
+ * @param {{ chainId?: number, bankrApiKey?: string, dopplerIndexerUrl?: string }} [options]
+ * @returns {Promise<object[]>}
+ */
+export async function detectCopycats(launches, options = {}) {
+  if (!copycatDetectEnabled() || !launches?.length) return launches;
+  const now = Date.now();
+  const cached = launches.map((l) => {
+    const hit = verdictCache.get(normAddr(l?.tokenAddress));
+    return hit && hit.expires > now ? hit : null;
+  });
+  const pending = launches.filter((_, i) => !cached[i]);
+  let archived = [];
+  let archiveOk = true;
+  if (pending.length > 0) {
+    archived = await listArchivedLaunches({ chainId: options.chainId ?? CHAIN_ID }).catch((e) => {
+      console.warn("[copycat] archive read failed:", e?.message ?? e);
+      archiveOk = false;
+      return [];
+    });
+  }
+  const fresh = await mapLimit(pending, COPYCAT_CONCURRENCY, async (launch, i) => {
+    const resolved = i < COPYCAT_MAX_RESOLVES ? await resolveEstablishedSymbol(launch, options) : TIMED_OUT;
+    const copycat = buildCopycatVerdict(findArchiveMatches(launch, archived), resolved === TIMED_OUT ? null : resolved);
+    for (const f of copycat?.matchedOn ?? []) copycatsTotal.inc({ field: f });
+    const addr = normAddr(launch?.tokenAddress);
+    if (addr && archiveOk && resolved !== TIMED_OUT) cacheVerdict(addr, copycat, now);
+    return copycat;
+  });
+  let next = 0;
+  return launches.map((launch, i) => ({ ...launch, copycat: cached[i] ? cached[i].copycat : fresh[next++] }));
+}
+
+function cacheVerdict(addr, copycat, now) {
+  verdictCache.delete(addr);
+  verdictCache.set(addr, { copycat, expires: now + VERDICT_TTL_MS });
+  if (verdictCache.size > VERDICT_CACHE_MAX) verdictCache.delete(verdictCache.keys().next().value);
+}
+
@@ -0,0 +1,102 @@
+/**
+ * Per-server audit log of Discord /deploy: who deployed (or tried to deploy) which token, with the Bankr deploy-API
+ * rate limit reported on that call. Shown by /setup deploy_log.
+ *
+ * Env:
+ *   DEPLOY_AUDIT_FILE - Log (state-storage.js document). Default .bankr-deploy-audit.json
+ *   DEPLOY_AUDIT_MAX - Entries kept per server, newest first (default 200).
+ */
+
+import { join } from "path";
+import { defineStateDocument } from "./state-storage.js";
+
+const DEPLOY_AUDIT_FILE = process.env.DEPLOY_AUDIT_FILE || join(process.cwd(), ".bankr-deploy-audit.json");
+const DEPLOY_AUDIT_MAX = Math.min(5000, Math.max(10, parseInt(process.env.DEPLOY_AUDIT_MAX || "200", 10) || 200));
+
+const auditDoc = defineStateDocument("deploy-audit", DEPLOY_AUDIT_FILE, { indent: 0 });
+
+let _chain = Promise.resolve();
+
+function queue(fn) {
+  _chain = _chain.then(fn, fn);
+  return _chain;
+}
+
+/**
+ * @typedef {{
+ *   at: number,
+ *   userId: string,
+ *   userTag: string|null,
+ *   status: 'deployed'|'failed',
+ *   tokenName: string,
+ *   tokenSymbol: string|null,
+ *   tokenAddress: string|null,
+ *   txHash: string|null,
+ *   feeRecipient: { type: string, value: string }|null,
+ *   error: string|null,
+ *   rateLimit: { remaining: number|null, limit: number|null, retryAfterSec: number|null }|null,
+ * }} DeployAuditEntry
+ */
+
+async function loadAll() {
+  try {
+    const raw = await auditDoc.read();
+    return raw?.guilds && typeof raw.guilds === "object" ? raw.guilds : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Append an entry for a guild (newest first, capped at DEPLOY_AUDIT_MAX).
+ * @param {string} guildId
+ * @param {Omit<DeployAuditEntry, 'at'> & { at?: number }} entry
+ * @returns {Promise<DeployAuditEntry|null>}
+ */
+export function recordDeployAudit(guildId, entry) {
+  if (!guildId || typeof guildId !== "string") return Promise.resolve(null);
+  return queue(async () => {
+    const guilds = await loadAll();
+    const row = {
+      at: entry.at ?? Date.now(),
+      userId: String(entry.userId ?? ""),
+      userTag: entry.userTag ?? null,
+      status: entry.status === "deployed" ? "deployed" : "failed",
+      tokenName: String(entry.tokenName ?? ""),
+      tokenSymbol: entry.tokenSymbol ?? null,
+      tokenAddress: entry.tokenAddress ?? null,
+      txHash: entry.txHash ?? null,
+      feeRecipient: entry.feeRecipient ?? null,
+      error: entry.error ? String(entry.error).slice(0, 300) : null,
+      rateLimit: entry.rateLimit ?? null,
+    };
+    guilds[guildId] = [row, ...(Array.isArray(guilds[guildId]) ? guilds[guildId] : [])].slice(0, DEPLOY_AUDIT_MAX);
+    await auditDoc.write({ guilds });
+    return row;
+  });
+}
+
+/**
+ * @param {string} guildId
+ * @param {{ limit?: number }} [opts]
+ * @returns {Promise<DeployAuditEntry[]>} newest first
+ */
+export async function listDeployAudit(guildId, { limit = DEPLOY_AUDIT_MAX } = {}) {
+  const guilds = await loadAll();
+  const list = Array.isArray(guilds[guildId]) ? guilds[guildId] : [];
+  return list.slice(0, Math.max(0, limit));
+}
+
+/** One Discord markdown line: time, user, token, result and remaining deploy quota. */
+export function formatDeployAuditLine(entry) {
+  const token = `${entry.tokenName}${entry.tokenSymbol ? ` ($${entry.tokenSymbol})` : ""}`;
+  const result =
+    entry.status === "deployed"
+      ? entry.tokenAddress
+        ? `[\`${entry.tokenAddress.slice(0, 6)}…${entry.tokenAddress.slice(-4)}\`](https://bankr.bot/launches/${entry.tokenAddress})`
+        : "deployed"
+      : `failed: ${entry.error ?? "unknown error"}`;
+  const rl = entry.rateLimit;
+  const quota = rl?.remaining != null ? ` · ${rl.remaining}${rl.limit != null ? `/${rl.limit}` : ""} left` : "";
+  return `<t:${Math.floor(entry.at / 1000)}:g> <@${entry.userId}> **${token}** → ${result}${quota}`;
+}
@@ -0,0 +1,58 @@
+/**
+ * Logo re-hosting for Discord /deploy. Attachment URLs on Discord's CDN are signed and expire, so an uploaded logo is
+ * copied to IPFS (Pinata pinFileToIPFS) before it goes into the Bankr deploy body. Without PINATA_JWT, /deploy only
+ * takes an image_url link.
+ *
+ * Env:
+ *   PINATA_JWT - Pinata API JWT with pinFileToIPFS access. Unset = uploaded /deploy logos are refused.
+ *   DEPLOY_IMAGE_GATEWAY - Gateway prefix for pinned logos (default https://gateway.pinata.cloud/ipfs/).
+ */
+
+export const DEPLOY_IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+const PIN_URL = "https://api.pinata.cloud/pinning/pinFileToIPFS";
+const FETCH_TIMEOUT_MS = 15_000;
+
+export function deployImageUploadEnabled() {
+  return !!String(process.env.PINATA_JWT ?? "").trim();
+}
+
+/** True for Discord CDN links (attachments), which stop working once their signature expires. */
+export function isExpiringDiscordCdnUrl(url) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    return false;
+  }
+  return /(^|\.)(discordapp\.(com|net)|discord\.com)$/i.test(u.hostname) && u.pathname.includes("/attachments/");
+}
+
+/**
+ * Download an uploaded logo and pin it to IPFS.
+ * @param {string} url - Discord attachment URL (still valid)
+ * @param {{ name?: string, contentType?: string, fetchImpl?: typeof fetch }} [opts]
+ * @returns {Promise<string>} gateway URL of the pinned file
+ */
+export async function rehostDeployImage(url, { name = "logo", contentType, fetchImpl = fetch } = {}) {
+  const jwt = String(process.env.PINATA_JWT ?? "").trim();
+  if (!jwt) throw new Error("Uploaded logos need PINATA_JWT on this bot; pass image_url instead.");
+  const res = await fetchImpl(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!res.ok) throw new Error(`Could not download the logo (HTTP ${res.status}).`);
+  const type = String(contentType || res.headers.get("content-type") || "");
+  if (!type.startsWith("image/")) throw new Error("The logo must be a PNG, JPEG, GIF or WebP file.");
+  const bytes = await res.arrayBuffer();
+  if (bytes.byteLength > DEPLOY_IMAGE_MAX_BYTES) throw new Error("The logo is larger than 5 MB.");
+
+  const form = new FormData();
+  form.append("file", new Blob([bytes], { type }), String(name).slice(0, 100) || "logo");
+  const pin = await fetchImpl(PIN_URL, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${jwt}` },
+    body: form,
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+  });
+  const data = await pin.json().catch(() => null);
+  if (!pin.ok || !data?.IpfsHash) throw new Error(`Could not copy the logo to IPFS (HTTP ${pin.status}).`);
+  const gateway = String(process.env.DEPLOY_IMAGE_GATEWAY || "https://gateway.pinata.cloud/ipfs/").replace(/\/?$/, "/");
+  return `${gateway}${data.IpfsHash}`;
+}
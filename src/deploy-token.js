@@ -9,8 +9,7 @@
 
 import "dotenv/config";
 import { defaultBankrApiKey } from "./bankr-env-key.js";
-
-const DEPLOY_API = "https://api.bankr.bot/token-launches/deploy";
+import { postBankrDeploy } from "./bankr-api.js";
 
 const FEE_RECIPIENT_TYPES = ["wallet", "x", "farcaster", "ens"];
 
@@ -57,55 +56,41 @@ export function buildDeployBody(opts) {
   return body;
 }
 
-/**
- * Parse rate limit headers (if Bankr sends them). Common names: X-RateLimit-Remaining, X-RateLimit-Limit, Retry-After.
- * @returns {{ remaining: number | null, limit: number | null, retryAfterSec: number | null }}
- */
-function parseRateLimitHeaders(res) {
-  const remaining = res.headers.get("X-RateLimit-Remaining") ?? res.headers.get("x-ratelimit-remaining");
-  const limit = res.headers.get("X-RateLimit-Limit") ?? res.headers.get("x-ratelimit-limit");
-  const retryAfter = res.headers.get("Retry-After");
-  return {
-    remaining: remaining != null && remaining !== "" ? parseInt(remaining, 10) : null,
-    limit: limit != null && limit !== "" ? parseInt(limit, 10) : null,
-    retryAfterSec: retryAfter != null && retryAfter !== "" ? parseInt(retryAfter, 10) : null,
-  };
-}
-
 /**
  * Call Bankr deploy API.
  * @param {ReturnType<buildDeployBody>} body - From buildDeployBody().
- * @param {{ bankrApiKey?: string }} [options] - Optional. bankrApiKey overrides env (e.g. from Discord /setup).
+ * @param {{ bankrApiKey?: string, envFallback?: boolean }} [options] - Optional. bankrApiKey overrides env (e.g. from Discord /setup).
+ *   envFallback: false to never use BANKR_API_KEY (Telegram /deploy deploys with the user's own key only).
  * @returns {Promise<{ success: boolean, tokenAddress?: string, poolId?: string, txHash?: string, activityId?: string, chain?: string, simulated?: boolean, feeDistribution?: object, rateLimit?: { remaining: number | null, limit: number | null, retryAfterSec: number | null }, error?: string }>}
+ *   Rejects with an Error carrying `rateLimit` when the API answers with an error status.
  */
 export async function callBankrDeploy(body, options = {}) {
-  const apiKey = defaultBankrApiKey(options.bankrApiKey);
+  // Never swap in a fallback key: the deploy spends this key's quota and defaults fees to its wallet.
+  const apiKey = options.envFallback === false ? options.bankrApiKey : defaultBankrApiKey(options.bankrApiKey, { fallback: false });
   if (!apiKey || !apiKey.trim()) {
-    throw new Error("BANKR_API_KEY is not set. Get a key with Agent API access at bankr.bot/api");
-  }
-  const res = await fetch(DEPLOY_API, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "X-API-Key": apiKey.trim(),
-    },
-    body: JSON.stringify(body),
-  });
-  const rateLimit = parseRateLimitHeaders(res);
-  const data = await res.json().catch(() => ({}));
-  if (res.ok) {
-    return { ...data, rateLimit };
+    throw new Error(
+      options.envFallback === false
+        ? "No Bankr API key for this deploy. Get a key with Agent API access at bankr.bot/api"
+        : "BANKR_API_KEY is not set. Get a key with Agent API access at bankr.bot/api"
+    );
   }
-  const msg = data?.message || data?.error || res.statusText || `HTTP ${res.status}`;
-  if (res.status === 401) throw new Error("Invalid API key. Check BANKR_API_KEY or server's /setup API key.");
-  if (res.status === 403) throw new Error("API key must have Agent API (write) access. Enable at bankr.bot/api");
+  const res = await postBankrDeploy(body, { apiKey: apiKey.trim() });
+  if (res.status == null) throw new Error(res.error);
+  const { rateLimit } = res;
+  const data = res.data ?? {};
+  if (res.ok) return { ...data, rateLimit };
+  const msg = data?.message || data?.error || `HTTP ${res.status}`;
+  // Failed calls still report the quota (e.g. 429) for callers that log it.
+  const fail = (message) => Object.assign(new Error(message), { rateLimit });
+  if (res.status === 401) throw fail("Invalid API key. Check BANKR_API_KEY or server's /setup API key.");
+  if (res.status === 403) throw fail("API key must have Agent API (write) access. Enable at bankr.bot/api");
   if (res.status === 429) {
     const parts = [
       "Rate limit exceeded (50 deploys/24h for this key; Bankr Club: 100/24h).",
       rateLimit.retryAfterSec != null ? `Retry after ${rateLimit.retryAfterSec}s.` : "Try again later.",
       "Or deploy at bankr.bot.",
     ];
-    throw new Error(parts.join(" "));
+    throw fail(parts.join(" "));
   }
-  throw new Error(msg || `Deploy failed (${res.status})`);
+  throw fail(msg || `Deploy failed (${res.status})`);
 }
@@ -0,0 +1,327 @@
+/**
+ * Scheduled digest per server (/setup digest): on a daily or weekly schedule in the server's timezone, posts a summary
+ * of the period to a Discord channel and/or a Telegram group (topic), for servers that mute the firehose.
+ *
+ * Sections:
+ *   launches    - Launches in the period (launch-archive.js).
+ *   top tokens  - By 24h volume and by mcap (fetchIndexerTradingSnapshot) among the period's launches: alert-watchlist
+ *                 matches first, then newest, up to DIGEST_MAX_TOKENS.
+ *   watchlist   - Launches matching the server's /alert-watchlist.
+ *   claims      - Fee claims in the period from the claim history (claim-history-store.js).
+ *   movers      - /activity-watch tokens by mcap change since the previous digest (24h price change before the first).
+ *
+ * Env:
+ *   DIGEST_MAX_TOKENS - Launches per digest that get an indexer snapshot (default 40).
+ */
+
+import { listArchivedLaunches } from "./launch-archive.js";
+import { mapLimit } from "./map-limit.js";
+import { fetchIndexerTradingSnapshot } from "./token-trend-card.js";
+import { isWatchMatchForTenant } from "./watch-match.js";
+import { listClaimsBetween } from "./claim-history-store.js";
+import { formatUsd } from "./token-stats.js";
+import { escapeTelegramHtml, sendTelegramHtmlToChat } from "./notify.js";
+import { enqueueDiscordChannelMessage } from "./outbound-dispatcher.js";
+import { getTenant, getWatchListForGuild, listGuildIdsWithDigest, setTenant } from "./tenant-store.js";
+
+const CHAIN_ID = parseInt(process.env.CHAIN_ID || "8453", 10);
+const DIGEST_MAX_TOKENS = Math.min(200, Math.max(5, parseInt(process.env.DIGEST_MAX_TOKENS || "40", 10) || 40));
+/** Rows per ranked section. */
+const DIGEST_TOP_N = 5;
+const SNAPSHOT_CONCURRENCY = 4;
+
+export const DIGEST_FREQUENCIES = { daily: 86_400_000, weekly: 7 * 86_400_000 };
+export const DIGEST_WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+/** True for IANA zone names Intl accepts (e.g. "Europe/Berlin", "UTC"). */
+export function isValidTimeZone(tz) {
+  if (!tz || typeof tz !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const partsFormatters = new Map();
+
+/** Wall-clock parts of an instant in a timezone: { date: "YYYY-MM-DD", hour, minute, weekday (0 = Sunday) }. */
+export function zonedParts(ms, timeZone) {
+  let fmt = partsFormatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      weekday: "short",
+    });
+    partsFormatters.set(timeZone, fmt);
+  }
+  const p = Object.fromEntries(fmt.formatToParts(new Date(ms)).map((x) => [x.type, x.value]));
+  return {
+    date: `${p.year}-${p.month}-${p.day}`,
+    hour: Number(p.hour),
+    minute: Number(p.minute),
+    weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(p.weekday),
+  };
+}
+
+/**
+ * Most recent scheduled instant at or before nowMs (local `hour`:00 in `timezone`, on `weekday` when weekly).
+ * Every real UTC offset is a multiple of 15 minutes, so stepping back over quarter hours finds it exactly.
+ * @param {{ frequency: string, hour: number, weekday: number, timezone: string }} digest
+ * @returns {number|null}
+ */
+export function latestDigestSlotMs(digest, nowMs = Date.now()) {
+  const tz = isValidTimeZone(digest?.timezone) ? digest.timezone : "UTC";
+  const weekly = digest?.frequency === "weekly";
+  const step = 15 * 60_000;
+  let t = Math.floor(nowMs / step) * step;
+  for (let i = 0; i <= (8 * 86_400_000) / step; i++, t -= step) {
+    const p = zonedParts(t, tz);
+    if (p.minute === 0 && p.hour === digest.hour && (!weekly || p.weekday === digest.weekday)) return t;
+  }
+  return null;
+}
+
+/** True when a destination is set and the latest slot is newer than the last post. */
+export function digestDue(digest, nowMs = Date.now()) {
+  if (!digest || (!digest.channelId && !digest.telegramChatId)) return false;
+  const slot = latestDigestSlotMs(digest, nowMs);
+  return slot != null && (digest.lastPostedAt ?? 0) < slot;
+}
+
+/** "Daily at 09:00 Europe/Berlin" / "Weekly on Monday at 09:00 UTC" */
+export function describeDigestSchedule(digest) {
+  const at = `${String(digest.hour).padStart(2, "0")}:00 ${digest.timezone}`;
+  return digest.frequency === "weekly" ? `Weekly on ${DIGEST_WEEKDAYS[digest.weekday]} at ${at}` : `Daily at ${at}`;
+}
+
+/** Claims recorded in [sinceMs, untilMs] (block time). */
+export function listDigestClaims({ sinceMs = 0, untilMs = Infinity } = {}) {
+  return listClaimsBetween({ sinceMs, untilMs });
+}
+
+function tokenRef(launch) {
+  return {
+    tokenAddress: String(launch.tokenAddress).toLowerCase(),
+    name: launch.name ?? null,
+    symbol: launch.symbol ?? null,
+  };
+}
+
+/**
+ * Pure digest summary from the period's data.
+ * @param {{
+ *   launches: object[],
+ *   snapshots: Map<string, object|null>,
+ *   watchList: object|null,
+ *   claims: object[],
+ *   activityWatches: Array<{ tokenAddress: string, label?: string|null }>,
+ *   previousMcaps?: Record<string, number>,
+ * }} input - launches in notify launch shape; snapshots keyed by lowercase token address
+ */
+export function summarizeDigest({ launches, snapshots, watchList, claims, activityWatches, previousMcaps = {} }) {
+  const withSnap = launches
+    .map((l) => ({ ...tokenRef(l), snap: snapshots.get(String(l.tokenAddress).toLowerCase()) }))
+    .filter((l) => l.snap);
+  const ranked = (key) =>
+    withSnap
+      .filter((l) => l.snap[key] > 0)
+      .sort((a, b) => b.snap[key] - a.snap[key])
+      .slice(0, DIGEST_TOP_N)
+      .map(({ snap, ...ref }) => ({ ...ref, vol24h: snap.vol24h, mcapUsd: snap.mcapUsd }));
+  const watchMatches = watchList ? launches.filter((l) => isWatchMatchForTenant(l, watchList)).map(tokenRef) : [];
+  const totalWeth = claims.reduce((sum, c) => sum + (Number(c.amountWeth) || 0), 0);
+  const topClaims = [...claims].sort((a, b) => (Number(b.amountWeth) || 0) - (Number(a.amountWeth) || 0)).slice(0, DIGEST_TOP_N);
+  const movers = [];
+  for (const w of activityWatches) {
+    const addr = String(w.tokenAddress).toLowerCase();
+    const snap = snapshots.get(addr);
+    if (!snap) continue;
+    const prev = previousMcaps[addr];
+    const changePct = prev > 0 && snap.mcapUsd > 0 ? ((snap.mcapUsd - prev) / prev) * 100 : Number(snap.priceChange24hPct);
+    if (!Number.isFinite(changePct)) continue;
+    const launch = withSnap.find((l) => l.tokenAddress === addr);
+    movers.push({ tokenAddress: addr, label: w.label ?? null, symbol: launch?.symbol ?? null, mcapUsd: snap.mcapUsd, changePct, basis: prev > 0 ? "digest" : "24h" });
+  }
+  movers.sort((a, b) => Math.abs(b.changePct) - Math.abs(a.changePct));
+  return {
+    launchCount: launches.length,
+    topByVolume: ranked("vol24h"),
+    topByMcap: ranked("mcapUsd"),
+    watchMatches,
+    claims: { count: claims.length, totalWeth, top: topClaims },
+    movers: movers.slice(0, DIGEST_TOP_N),
+  };
+}
+
+/**
+ * Gather the period's data for one server and summarize it.
+ * @param {object} tenant - getTenant() result
+ * @param {{ nowMs?: number, snapshotCache?: Map<string, object|null> }} [options] - snapshotCache is shared across servers in one tick
+ */
+export async function buildTenantDigest(tenant, options = {}) {
+  const nowMs = options.nowMs ?? Date.now();
+  const cache = options.snapshotCache ?? new Map();
+  const periodMs = DIGEST_FREQUENCIES[tenant.digest.frequency] ?? DIGEST_FREQUENCIES.daily;
+  const sinceMs = nowMs - periodMs;
+  const archived = await listArchivedLaunches({ chainId: CHAIN_ID, sinceMs, untilMs: nowMs });
+  const launches = archived.map((e) => ({ ...e.launch, tokenAddress: e.tokenAddress })).reverse();
+  const watchList = await getWatchListForGuild(tenant.guildId).catch(() => null);
+  const isMatch = (l) => !!watchList && isWatchMatchForTenant(l, watchList);
+  const sampled = [...launches.filter(isMatch), ...launches.filter((l) => !isMatch(l))].slice(0, DIGEST_MAX_TOKENS);
+  const activityWatches = (tenant.activityWatchList ?? []).filter((w) => w?.tokenAddress);
+  const wanted = [...new Set([...sampled, ...activityWatches].map((x) => String(x.tokenAddress).toLowerCase()))];
+  const opts = { dopplerIndexerUrl: tenant.dopplerIndexerUrl || undefined };
+  await mapLimit(
+    wanted.filter((a) => !cache.has(a)),
+    SNAPSHOT_CONCURRENCY,
+    async (addr) => cache.set(addr, await fetchIndexerTradingSnapshot(addr, opts).catch(() => null))
+  );
+  const claims = await listDigestClaims({ sinceMs, untilMs: nowMs });
+  const summary = summarizeDigest({
+    launches,
+    snapshots: cache,
+    watchList,
+    claims,
+    activityWatches,
+    previousMcaps: tenant.digest.mcaps ?? {},
+  });
+  const mcaps = {};
+  for (const w of activityWatches) {
+    const snap = cache.get(String(w.tokenAddress).toLowerCase());
+    if (snap?.mcapUsd > 0) mcaps[String(w.tokenAddress).toLowerCase()] = snap.mcapUsd;
+  }
+  return { summary, sinceMs, untilMs: nowMs, mcaps, sampled: sampled.length };
+}
+
+function fmtUsd(n) {
+  return formatUsd(n) ?? "—";
+}
+
+function fmtPct(n) {
+  return `${n >= 0 ? "+" : ""}${n.toFixed(1)}%`;
+}
+
+function refLabel(ref) {
+  if (ref.label) return ref.label;
+  return ref.symbol ? `$${ref.symbol}` : `${ref.tokenAddress.slice(0, 6)}…${ref.tokenAddress.slice(-4)}`;
+}
+
+function digestTitle(tenant) {
+  return tenant.digest.frequency === "weekly" ? "🗞️ Weekly digest" : "🗞️ Daily digest";
+}
+
+/** [name, lines] per section; `link` renders Discord markdown or Telegram HTML links. */
+function digestSections(summary, link) {
+  const tokenLine = (r, value) => `${link(refLabel(r), `https://bankr.bot/launches/${r.tokenAddress}`)} — ${value}`;
+  const none = "—";
+  return [
+    ["🚀 Launches", [`${summary.launchCount} new Bankr launch${summary.launchCount === 1 ? "" : "es"}`]],
+    ["📊 Top by 24h volume", summary.topByVolume.length ? summary.topByVolume.map((r) => tokenLine(r, `${fmtUsd(r.vol24h)} vol · ${fmtUsd(r.mcapUsd)} mcap`)) : [none]],
+    ["💎 Top by mcap", summary.topByMcap.length ? summary.topByMcap.map((r) => tokenLine(r, fmtUsd(r.mcapUsd))) : [none]],
+    [
+      "👀 Watchlist matches",
+      summary.watchMatches.length
+        ? [
+            summary.watchMatches
+              .slice(0, 10)
+              .map((r) => link(refLabel(r), `https://bankr.bot/launches/${r.tokenAddress}`))
+              .join(", ") + (summary.watchMatches.length > 10 ? ` +${summary.watchMatches.length - 10} more` : ""),
+          ]
+        : [none],
+    ],
+    [
+      "💰 Fee claims",
+      summary.claims.count
+        ? [
+            `${summary.claims.count} claim${summary.claims.count === 1 ? "" : "s"} · ${summary.claims.totalWeth.toFixed(4)} WETH`,
+            ...summary.claims.top.map((c) => tokenLine(c, `${(Number(c.amountWeth) || 0).toFixed(4)} WETH`)),
+          ]
+        : [none],
+    ],
+    [
+      "📈 Activity-watch movers",
+      summary.movers.length
+        ? summary.movers.map((m) =>
+            tokenLine(m, `${fmtPct(m.changePct)}${m.basis === "24h" ? " (24h)" : ""} · ${fmtUsd(m.mcapUsd)} mcap`)
+          )
+        : [none],
+    ],
+  ];
+}
+
+/** Discord embed (plain object). */
+export function buildDigestEmbed(tenant, digest) {
+  const sections = digestSections(digest.summary, (text, url) => `[${text}](${url})`);
+  return {
+    color: 0x0052_ff,
+    title: digestTitle(tenant),
+    description: `<t:${Math.floor(digest.sinceMs / 1000)}:f> → <t:${Math.floor(digest.untilMs / 1000)}:f>`,
+    fields: sections.map(([name, lines]) => ({ name, value: lines.join("\n").slice(0, 1024), inline: false })),
+    footer: { text: `${describeDigestSchedule(tenant.digest)} · volume/mcap from ${digest.sampled} sampled launches` },
+    timestamp: new Date(digest.untilMs).toISOString(),
+  };
+}
+
+/** Telegram HTML. */
+export function formatDigestTelegramHtml(tenant, digest) {
+  const sections = digestSections(digest.summary, (text, url) => `<a href="${escapeTelegramHtml(url)}">${escapeTelegramHtml(text)}</a>`);
+  const range = `${new Date(digest.sinceMs).toISOString().slice(0, 16).replace("T", " ")} → ${new Date(digest.untilMs)
+    .toISOString()
+    .slice(0, 16)
+    .replace("T", " ")} UTC`;
+  return [
+    `<b>${escapeTelegramHtml(digestTitle(tenant))}</b>`,
+    escapeTelegramHtml(range),
+    ...sections.flatMap(([name, lines]) => ["", `<b>${escapeTelegramHtml(name)}</b>`, ...lines]),
+  ].join("\n");
+}
+
+/**
+ * Build and send one server's digest, then remember the post time and activity-watch mcaps.
+ * @param {import("discord.js").Client} client
+ * @param {string} guildId
+ * @param {{ nowMs?: number, snapshotCache?: Map<string, object|null> }} [options]
+ * @returns {Promise<boolean>} false when the server has no digest destination
+ */
+export async function postTenantDigest(client, guildId, options = {}) {
+  const tenant = await getTenant(guildId);
+  const d = tenant?.digest;
+  if (!d?.channelId && !d?.telegramChatId) return false;
+  const digest = await buildTenantDigest(tenant, options);
+  if (d.channelId) {
+    const channel = await client.channels.fetch(d.channelId).catch(() => null);
+    if (channel?.isTextBased()) {
+      void enqueueDiscordChannelMessage(channel.id, { embeds: [buildDigestEmbed(tenant, digest)] }, { label: "digest" });
+    }
+  }
+  if (d.telegramChatId) {
+    await sendTelegramHtmlToChat(d.telegramChatId, formatDigestTelegramHtml(tenant, digest), {
+      messageThreadId: d.telegramTopicId ?? undefined,
+    });
+  }
+  await setTenant(guildId, { digest: { lastPostedAt: digest.untilMs, mcaps: digest.mcaps } });
+  return true;
+}
+
+/**
+ * Discord bot tick: post every digest whose slot has passed since its last post.
+ * @param {import("discord.js").Client} client
+ */
+export async function runDigestTick(client, nowMs = Date.now()) {
+  const snapshotCache = new Map();
+  for (const guildId of await listGuildIdsWithDigest()) {
+    const tenant = await getTenant(guildId);
+    if (!digestDue(tenant?.digest, nowMs)) continue;
+    await postTenantDigest(client, guildId, { nowMs, snapshotCache }).catch((e) =>
+      console.warn(`[digest] ${guildId} failed:`, e?.message ?? e)
+    );
+  }
+}
@@ -3,7 +3,8 @@ import "dotenv/config";
 /**
  * Discord bot: /alert-watchlist, /activity-watch, /claim-watch, /setup, /lookup, /wallet-lookup.
  * Runs the notify loop in the background.
- * Launch alerts are posted by the bot to DISCORD_ALERT_CHANNEL_ID or DISCORD_WATCH_ALERT_CHANNEL_ID (not webhook).
+ * Launch alerts are posted by the bot to DISCORD_ALERT_CHANNEL_ID or DISCORD_WATCH_ALERT_CHANNEL_ID (not webhook),
+ * with action buttons (src/launch-buttons.js).
  *
  * Env: DISCORD_BOT_TOKEN (required)
  *   DISCORD_ALERT_CHANNEL_ID    - channel for all launch alerts (fallback)
@@ -21,11 +22,15 @@ import {
   Events,
   GatewayIntentBits,
   MessageFlags,
+  ModalBuilder,
   PermissionFlagsBits,
   REST,
   Routes,
   SlashCommandBuilder,
+  TextInputBuilder,
+  TextInputStyle,
 } from "discord.js";
+import { randomUUID } from "crypto";
 import { spawn } from "child_process";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
@@ -48,6 +53,10 @@ import {
   addClaimTokenChannel,
   removeClaimTokenChannel,
   getTenantStats,
+  getTenantSecretStatus,
+  PERMISSION_COMMANDS,
+  setCommandRole,
+  isCommandAllowedForRoles,
 } from "./tenant-store.js";
 import {
   runNotifyCycle,
@@ -60,6 +69,7 @@ import {
   buildTradeLinks,
   getFeeRecipientFeedCount,
   getDeployerFeedCount,
+  escapeTelegramHtml,
 } from "./notify.js";
 import { sendTelegramGroupWatchMatches, mergeTelegramGroupHotTrendingTargets } from "./telegram-group-notify.js";
 import { sendTelegramHotTrendingPings } from "./hot-launch-telegram.js";
@@ -72,11 +82,18 @@ import {
   enrichLaunchWithBankrRoleCounts,
 } from "./lookup-deployer.js";
 import { buildDeployBody, callBankrDeploy } from "./deploy-token.js";
+import { formatDeployAuditLine, listDeployAudit, recordDeployAudit } from "./deploy-audit.js";
+import { DEPLOY_IMAGE_MAX_BYTES, deployImageUploadEnabled, isExpiringDiscordCdnUrl, rehostDeployImage } from "./deploy-image.js";
 import { getTokenFees, getHotTokenStats, formatUsd } from "./token-stats.js";
-import { fetchIndexerTradingSnapshot } from "./token-trend-card.js";
+import { buildTokenTrendCard, fetchIndexerTradingSnapshot } from "./token-trend-card.js";
 import { fetchLatestFeeClaim } from "./whales.js";
-import { getFeesSummaryOnChainOnly } from "./fees-for-wallet.js";
+import { WHALES_MAX_LIMIT, buildWhalesEmbed, getWhaleLeaderboard, runWhaleLeaderboardTick } from "./whale-leaderboard.js";
+import { DIGEST_WEEKDAYS, describeDigestSchedule, isValidTimeZone, postTenantDigest, runDigestTick } from "./digest.js";
+import { LAUNCH_BUTTON_ACTIVITY_DEFAULTS, buildLaunchButtonRows, parseLaunchButtonId } from "./launch-buttons.js";
+import { feesPortfolioCsv, getFeesPortfolio, getFeesSummaryOnChainOnly, parseFeesQueries } from "./fees-for-wallet.js";
 import { getClaimState, setClaimState } from "./claim-watch-store.js";
+import { formatClaimTimeline, listTokenClaimHistory } from "./claim-history-store.js";
+import { formatClaimAlertContextLines, getClaimAlertContext } from "./claim-alert-context.js";
 import { start as startDopplerClaimWatcher, onFeeClaim, getWalletClaims, getTokenClaims } from "./watchers/dopplerClaimWatcher.js";
 import { isBankrTokenAddress } from "./bankr-token.js";
 import { extractTickers, resolveCashtagToBankrToken } from "./cashtag-resolve.js";
@@ -89,7 +106,7 @@ import {
   getTelegramPersonalWatchlistDmDelayMs,
 } from "./telegram-personal-dm.js";
 import { isPersonalDmsEnabled } from "./telegram-personal-store.js";
-import { handlePersonalTelegramCommand } from "./telegram-personal-commands.js";
+import { handlePersonalTelegramCallback, handlePersonalTelegramCommand } from "./telegram-personal-commands.js";
 import { handleTelegramGroupMessage } from "./telegram-group-handlers.js";
 import {
   listTelegramGroupAlertConfigs,
@@ -101,27 +118,46 @@ import {
 } from "./telegram-group-settings.js";
 import { registerTelegramBotCommands } from "./telegram-register-commands.js";
 import { defaultBankrApiKey } from "./bankr-env-key.js";
+import { formatBankrKeyUsageLine, getBankrKeyUsage } from "./bankr-key-usage.js";
 import { BRAND_DISPLAY_NAME } from "./brand.js";
 import {
   runActivityWatchPoll,
   summarizeActivityWatchThresholds,
   resolveActivityWatchChannelId,
 } from "./activity-watch.js";
+import { FEE_RECIPIENT_WATCH_ENABLED, FEE_RECIPIENT_WATCH_INTERVAL_MS, runFeeRecipientWatch } from "./fee-recipient-watch.js";
 import { startBankrAppApiServer } from "./bankr-app-api.js";
+import { enqueueDiscordChannelMessage, setOutboundDiscordClient } from "./outbound-dispatcher.js";
+import { counter } from "./metrics.js";
+import { exceedsRiskLimit } from "./launch-risk.js";
 import {
   bankrAppAlertsEnabled,
   consumeTelegramConnectCode,
   hasActiveBankrAppUsers,
 } from "./bankr-app-store.js";
 import {
+  scheduleBankrAppClaimWebhooks,
   scheduleBankrAppHotTrendingWebhooks,
   scheduleBankrAppLaunchWebhooks,
 } from "./bankr-app-notify.js";
+import {
+  WEBHOOK_EVENT_TYPES,
+  claimWebhookData,
+  generateWebhookSecret,
+  hotWebhookData,
+  launchWebhookData,
+  normalizeWebhookUrl,
+  parseWebhookEvents,
+  sendWebhookEvent,
+  sendWebhookTestEvent,
+  webhookDestinationFrom,
+} from "./generic-webhook.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
 const TOKEN = process.env.DISCORD_BOT_TOKEN;
 startBankrAppApiServer();
+const guildAlertsTotal = counter("bankr_guild_alerts_total", "Discord channel alerts queued, by guild and alert type.", ["guild", "type"]);
 /** Optional: post every Bankr launch here (unfiltered firehose). */
 const ALL_LAUNCHES_CHANNEL_ID = process.env.DISCORD_ALL_LAUNCHES_CHANNEL_ID;
 /** Optional: post only launches that pass global filters (same as notify.js). If unset, only watch/all channels used. */
@@ -150,6 +186,17 @@ const INTERVAL = parseInt(process.env.POLL_INTERVAL_MS || "60000", 10);
 const LOOKUP_PAGE_SIZE = Math.min(Math.max(parseInt(process.env.LOOKUP_PAGE_SIZE || "5", 10), 3), 25);
 const LOOKUP_CACHE_TTL_MS = 5 * 60 * 1000; // 5 min
 const lookupCache = new Map(); // messageId -> { matches, query, by, searchUrl, totalCount, possiblyCapped, createdAt }
+const feesCache = new Map(); // messageId -> { portfolio, queries, currentPage, createdAt } (same TTL as lookupCache)
+/**
+ * Guided /deploy: draftId -> { userId, guildId, imageUrl, imageAttachment, websiteUrl, tweetUrl, feeRecipient, body (after
+ * the dry run), createdAt }. An uploaded logo (imageAttachment) is pinned to IPFS at the dry run and becomes imageUrl.
+ */
+const deployDrafts = new Map();
+const DEPLOY_DRAFT_TTL_MS = 15 * 60 * 1000;
+/** Whale leaderboard tick: snapshot when due (WHALE_SNAPSHOT_INTERVAL_MS) + daily /setup whales posts. */
+const WHALES_TICK_MS = 10 * 60 * 1000;
+/** Digest tick: posts /setup digest summaries whose scheduled slot has passed. */
+const DIGEST_TICK_MS = 5 * 60 * 1000;
 
 /** When true, /deploy is not registered and is hidden from help. Default: show /deploy for self-hosted forks (set HIDE_DEPLOY_COMMAND=true to disable). */
 const HIDE_DEPLOY_COMMAND =
@@ -182,13 +229,11 @@ const TELEGRAM_OUTBOUND_DELAY_MS = Math.max(
   parseInt(process.env.TELEGRAM_OUTBOUND_DELAY_MS ?? String(TELEGRAM_HOT_PING_DELAY_MS), 10)
 );
 
-/** Firehose/curated/tenant Telegram launch posts — after Discord, by TELEGRAM_OUTBOUND_DELAY_MS (default 30s). */
+/** Firehose/curated/tenant Telegram launch posts — queued after Discord, by TELEGRAM_OUTBOUND_DELAY_MS (default 30s). */
 function scheduleTelegramLaunchSend(launchForEmbeds, options = {}) {
-  if (TELEGRAM_OUTBOUND_DELAY_MS <= 0) {
-    void sendTelegram(launchForEmbeds, options).catch(() => {});
-  } else {
-    setTimeout(() => void sendTelegram(launchForEmbeds, options).catch(() => {}), TELEGRAM_OUTBOUND_DELAY_MS);
-  }
+  void sendTelegram(launchForEmbeds, { ...options, delayMs: TELEGRAM_OUTBOUND_DELAY_MS }).catch((e) =>
+    console.error("Telegram launch send:", e.message)
+  );
 }
 
 function hasTrendingBuyOrVolThreshold() {
@@ -228,13 +273,37 @@ function feeRecipientHasX(launch) {
   return x != null && String(x).trim().replace(/^@/, "").length > 0;
 }
 
-/** True if the user can change server config (setup, alert-watchlist, claim-watch, deploy). Requires Manage Server or Administrator in the guild. */
+/** True if the member has Manage Server or Administrator in the guild. Other members need a role from /setup permissions (canUseCommand). */
 function canManageServer(interaction) {
   if (!interaction.guildId || !interaction.member) return false;
   const perms = interaction.member.permissions;
   return perms?.has(PermissionFlagsBits.ManageGuild) || perms?.has(PermissionFlagsBits.Administrator);
 }
 
+/** Role IDs of the invoking member (cached GuildMember or raw API member). */
+function memberRoleIds(interaction) {
+  const roles = interaction.member?.roles;
+  if (Array.isArray(roles)) return roles;
+  return roles?.cache ? [...roles.cache.keys()] : [];
+}
+
+/** Manage Server / Administrator, or a role granted `command` in /setup permissions (see PERMISSION_COMMANDS). */
+function canUseCommand(interaction, tenant, command) {
+  if (canManageServer(interaction)) return true;
+  return !!interaction.guildId && isCommandAllowedForRoles(tenant, command, memberRoleIds(interaction));
+}
+
+/** Role mentions allowed for a delegated command, or "admins only". */
+function formatCommandRoles(tenant, command) {
+  const ids = tenant?.commandRoles?.[command] ?? [];
+  return ids.length ? ids.map((id) => `<@&${id}>`).join(", ") : "admins only";
+}
+
+/** Reply text when a member lacks both Manage Server and a delegated role. */
+function permissionDeniedText(what) {
+  return `Only server admins (Manage Server permission) or roles allowed with **/setup permissions** can ${what}.`;
+}
+
 /** Discord `content` max length (embeds use separate limits). */
 const DISCORD_CONTENT_MAX = 2000;
 
@@ -371,6 +440,355 @@ function buildLookupButtons(data, page) {
   return [row];
 }
 
+function fmtFeeAmount(n, unit) {
+  if (n == null || !Number.isFinite(n)) return null;
+  if (n === 0) return `0 ${unit}`;
+  if (n >= 1e9) return `${(n / 1e9).toFixed(2)}B ${unit}`;
+  if (n >= 1e6) return `${(n / 1e6).toFixed(2)}M ${unit}`;
+  if (n >= 1e3) return `${(n / 1e3).toFixed(1)}K ${unit}`;
+  return `${n.toFixed(4)} ${unit}`;
+}
+
+function feeAmountsLine(weth, token, symbol) {
+  const parts = [fmtFeeAmount(weth, "WETH"), token ? fmtFeeAmount(token, `$${symbol || "token"}`) : null].filter(Boolean);
+  return parts.length ? parts.join(" · ") : "—";
+}
+
+function buildFeesEmbed(data, page) {
+  const { portfolio } = data;
+  const { rows, totals, wallets, skipped } = portfolio;
+  const { totalPages, currentPage, start, pageMatches } = getLookupPagination(rows, page);
+  const walletLines = wallets.map((w) =>
+    w.wallet
+      ? `• **${w.query}** → \`${w.wallet}\` (${w.matchCount} token${w.matchCount === 1 ? "" : "s"})`
+      : `• **${w.query}** — ${w.error ? "lookup failed" : "no tokens as fee recipient"}`
+  );
+  const totalLines = [
+    totals.accruedUsd != null ? `**Accrued (indexer):** ${formatUsd(totals.accruedUsd) ?? `$${totals.accruedUsd.toFixed(2)}`}` : null,
+    `**Unclaimed (on-chain, pool-level):** ${fmtFeeAmount(totals.poolUnclaimedWeth, "WETH")}`,
+    `**Claimed:** ${fmtFeeAmount(totals.claimedWeth, "WETH")} in ${totals.claimCount} claim${totals.claimCount === 1 ? "" : "s"}`,
+    skipped > 0 ? `_${skipped} token(s) not loaded (limit or timeout) — see CSV for what was read._` : null,
+  ].filter(Boolean);
+  const multiWallet = wallets.filter((w) => w.wallet).length > 1;
+  return {
+    color: 0x0052_ff,
+    title: `Fee portfolio · ${totals.tokens} token${totals.tokens === 1 ? "" : "s"}`,
+    description: clampDiscordContent([...walletLines, "", ...totalLines].join("\n"), 4000),
+    fields: pageMatches.map((r) => ({
+      name: `${r.tokenName ?? "—"} ($${r.tokenSymbol ?? "?"})`.slice(0, 256),
+      value: [
+        multiWallet ? `Recipient \`${r.wallet.slice(0, 6)}…${r.wallet.slice(-4)}\`` : null,
+        r.accruedUsd != null ? `Accrued: ${formatUsd(r.accruedUsd) ?? `$${r.accruedUsd.toFixed(2)}`}` : null,
+        `Unclaimed (pool): ${r.poolUnclaimedWeth != null ? feeAmountsLine(r.poolUnclaimedWeth, r.poolUnclaimedToken, r.tokenSymbol) : "unavailable"}`,
+        `Claimed: ${feeAmountsLine(r.claimedWeth, r.claimedToken, r.tokenSymbol)}${r.claimCount ? ` (${r.claimCount}×)` : ""}`,
+        `[Bankr](https://bankr.bot/launches/${r.tokenAddress})`,
+      ]
+        .filter(Boolean)
+        .join("\n")
+        .slice(0, 1024),
+      inline: false,
+    })),
+    footer: { text: `Page ${currentPage + 1}/${totalPages} · tokens ${start + 1}–${start + pageMatches.length} of ${rows.length}` },
+  };
+}
+
+function buildFeesButtons(data, page) {
+  const { totalPages, currentPage } = getLookupPagination(data.portfolio.rows, page);
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId("fees:prev")
+      .setLabel("Previous")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(currentPage <= 0),
+    new ButtonBuilder()
+      .setCustomId("fees:next")
+      .setLabel("Next")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(currentPage >= totalPages - 1),
+    new ButtonBuilder().setCustomId("fees:csv").setLabel("CSV").setStyle(ButtonStyle.Primary)
+  );
+  return [row];
+}
+
+function feesCsvAttachment(portfolio) {
+  return { attachment: Buffer.from(feesPortfolioCsv(portfolio), "utf8"), name: `bankr-fees-${new Date().toISOString().slice(0, 10)}.csv` };
+}
+
+function pruneDeployDrafts() {
+  const now = Date.now();
+  for (const [id, draft] of deployDrafts.entries()) {
+    if (now - draft.createdAt > DEPLOY_DRAFT_TTL_MS) deployDrafts.delete(id);
+  }
+}
+
+/** Step 1 of /deploy: name, ticker and description. */
+function buildDeployModal(draftId) {
+  return new ModalBuilder()
+    .setCustomId(`deploy:modal:${draftId}`)
+    .setTitle("Deploy a Bankr token")
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder().setCustomId("name").setLabel("Token name").setStyle(TextInputStyle.Short).setMinLength(1).setMaxLength(100).setRequired(true)
+      ),
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("symbol")
+          .setLabel("Ticker (optional, 1-10 chars)")
+          .setStyle(TextInputStyle.Short)
+          .setMaxLength(10)
+          .setRequired(false)
+      ),
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("description")
+          .setLabel("Description (optional)")
+          .setStyle(TextInputStyle.Paragraph)
+          .setMaxLength(500)
+          .setRequired(false)
+      )
+    );
+}
+
+function deployFooterText(rl) {
+  const footerParts = ["Bankr deploy API • Creator fees 57%"];
+  if (rl?.remaining != null && !Number.isNaN(rl.remaining)) {
+    const limit = rl.limit != null && !Number.isNaN(rl.limit) ? rl.limit : 50;
+    footerParts.push(` • ${rl.remaining} deploys left in 24h (of ${limit})`);
+  } else {
+    footerParts.push(" • Limit: 50/24h (Bankr Club: 100)");
+  }
+  return footerParts.join("");
+}
+
+/** Step 2 of /deploy: dry-run result with what will be sent. */
+function buildDeployPreviewEmbed(body, preview) {
+  const fields = [
+    { name: "Name", value: body.tokenName.slice(0, 1024), inline: true },
+    { name: "Ticker", value: body.tokenSymbol ? `$${body.tokenSymbol}` : "Bankr default", inline: true },
+    { name: "Predicted address", value: preview.tokenAddress ? `\`${preview.tokenAddress}\`` : "—", inline: false },
+  ];
+  if (body.description) fields.push({ name: "Description", value: body.description.slice(0, 1024), inline: false });
+  if (body.websiteUrl) fields.push({ name: "Website", value: body.websiteUrl.slice(0, 1024), inline: true });
+  if (body.tweetUrl) fields.push({ name: "Tweet", value: body.tweetUrl.slice(0, 1024), inline: true });
+  fields.push({
+    name: "Creator fees (57%)",
+    value: body.feeRecipient ? `${body.feeRecipient.type}: \`${body.feeRecipient.value}\``.slice(0, 1024) : "API key wallet",
+    inline: false,
+  });
+  const embed = {
+    color: 0xfee7_5c,
+    title: "Deploy preview (dry run)",
+    description: "Nothing has been deployed yet. **Confirm** to deploy this token, **Cancel** to discard it.",
+    fields,
+    footer: { text: deployFooterText(preview.rateLimit) },
+  };
+  if (body.image) embed.thumbnail = { url: body.image };
+  return embed;
+}
+
+function buildDeployConfirmButtons(draftId) {
+  return [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`deploy:confirm:${draftId}`).setLabel("Confirm deploy").setStyle(ButtonStyle.Success),
+      new ButtonBuilder().setCustomId(`deploy:cancel:${draftId}`).setLabel("Cancel").setStyle(ButtonStyle.Danger)
+    ),
+  ];
+}
+
+function buildDeployResultEmbed(result) {
+  const tokenAddr = result.tokenAddress ?? "";
+  const launchUrl = tokenAddr ? `https://bankr.bot/launches/${tokenAddr}` : "https://bankr.bot/launches";
+  const lines = [
+    result.tokenAddress ? `**Token:** \`${result.tokenAddress}\`` : "",
+    result.poolId ? `**Pool ID:** \`${result.poolId}\`` : "",
+    result.txHash ? `**Tx:** [BaseScan](${`https://basescan.org/tx/${result.txHash}`})` : "",
+    `**Launch:** [View on Bankr](${launchUrl})`,
+  ].filter(Boolean);
+  return {
+    color: 0x0052_ff,
+    title: "Token deployed",
+    description: lines.join("\n"),
+    footer: { text: deployFooterText(result.rateLimit) },
+  };
+}
+
+/** Modal submitted: run the simulateOnly dry run and show the preview with Confirm / Cancel. */
+async function handleDeployModalSubmit(interaction, draftId) {
+  pruneDeployDrafts();
+  const draft = deployDrafts.get(draftId);
+  if (!draft || draft.userId !== interaction.user.id) {
+    await interaction.reply({ content: "This deploy form has expired. Run **/deploy** again.", flags: MessageFlags.Ephemeral }).catch(() => {});
+    return;
+  }
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+  try {
+    if (draft.imageAttachment && !draft.imageUrl) {
+      draft.imageUrl = await rehostDeployImage(draft.imageAttachment.url, draft.imageAttachment);
+    }
+    const body = buildDeployBody({
+      tokenName: interaction.fields.getTextInputValue("name"),
+      tokenSymbol: interaction.fields.getTextInputValue("symbol") || undefined,
+      description: interaction.fields.getTextInputValue("description") || undefined,
+      image: draft.imageUrl || undefined,
+      websiteUrl: draft.websiteUrl || undefined,
+      tweetUrl: draft.tweetUrl || undefined,
+      feeRecipient: draft.feeRecipient || undefined,
+      simulateOnly: true,
+    });
+    const tenant = draft.guildId ? await getTenant(draft.guildId) : null;
+    const preview = await callBankrDeploy(body, { bankrApiKey: tenant?.bankrApiKey });
+    draft.body = { ...body, simulateOnly: false };
+    draft.createdAt = Date.now();
+    await interaction.editReply({ embeds: [buildDeployPreviewEmbed(body, preview)], components: buildDeployConfirmButtons(draftId) });
+    debugLogActivity(interaction.guild?.name ?? interaction.guildId, interaction.user?.tag ?? "?", "/deploy", `preview ${body.tokenName}`);
+  } catch (e) {
+    deployDrafts.delete(draftId);
+    console.error("Deploy preview failed:", e.message);
+    debugLogError(e, "deploy preview");
+    await interaction.editReply({ content: clampDiscordContent(`Dry run failed: ${e.message}`, 1900) }).catch(() => {});
+  }
+}
+
+/** Confirm: real deploy + audit log entry. Cancel: discard the draft. Only the user who started the deploy can click. */
+async function handleDeployButton(interaction, action, draftId) {
+  pruneDeployDrafts();
+  const draft = deployDrafts.get(draftId);
+  if (!draft?.body || draft.userId !== interaction.user.id) {
+    await interaction
+      .reply({ content: "This deploy preview has expired or belongs to someone else. Run **/deploy** again.", flags: MessageFlags.Ephemeral })
+      .catch(() => {});
+    return;
+  }
+  deployDrafts.delete(draftId);
+  if (action === "cancel") {
+    await interaction.update({ content: "Deploy cancelled.", embeds: [], components: [] }).catch(() => {});
+    return;
+  }
+  await interaction.update({ content: "Deploying…", components: [] }).catch(() => {});
+  const audit = {
+    userId: interaction.user.id,
+    userTag: interaction.user?.tag ?? null,
+    tokenName: draft.body.tokenName,
+    tokenSymbol: draft.body.tokenSymbol ?? null,
+    feeRecipient: draft.body.feeRecipient ?? null,
+  };
+  try {
+    const tenant = draft.guildId ? await getTenant(draft.guildId) : null;
+    const result = await callBankrDeploy(draft.body, { bankrApiKey: tenant?.bankrApiKey });
+    if (draft.guildId) {
+      await recordDeployAudit(draft.guildId, {
+        ...audit,
+        status: "deployed",
+        tokenAddress: result.tokenAddress ?? null,
+        txHash: result.txHash ?? null,
+        rateLimit: result.rateLimit ?? null,
+      }).catch((e) => console.warn("[deploy-audit] write failed:", e?.message ?? e));
+    }
+    await interaction.editReply({ content: "", embeds: [buildDeployResultEmbed(result)], components: [] });
+    debugLogActivity(interaction.guild?.name ?? interaction.guildId, interaction.user?.tag ?? "?", "/deploy", result.tokenAddress ?? "ok");
+  } catch (e) {
+    if (draft.guildId) {
+      await recordDeployAudit(draft.guildId, { ...audit, status: "failed", error: e.message, rateLimit: e.rateLimit ?? null }).catch((err) =>
+        console.warn("[deploy-audit] write failed:", err?.message ?? err)
+      );
+    }
+    console.error("Deploy failed:", e.message);
+    debugLogError(e, "deploy");
+    await interaction.editReply({ content: clampDiscordContent(`Deploy failed: ${e.message}`, 1900), embeds: [], components: [] }).catch(() => {});
+  }
+}
+
+/** Click on a launch / hot / trending embed button (src/launch-buttons.js). Replies are ephemeral to the clicker. */
+async function handleLaunchButton(interaction, { action, tokenAddress, deployer }) {
+  const guildId = interaction.guildId ?? null;
+  const replyEphemeral = (content) =>
+    interaction.reply({ content: clampDiscordContent(content), flags: MessageFlags.Ephemeral }).catch(() => {});
+  const command = { "watch-deployer": "alert-watchlist", "claim-watch": "claim-watch", "activity-watch": "activity-watch" }[action];
+  const tenant = guildId ? await getTenant(guildId) : null;
+  if (command) {
+    if (!canUseCommand(interaction, tenant, command)) {
+      await replyEphemeral(permissionDeniedText(`use this button (**/${command}**)`));
+      return;
+    }
+    if (!tenant) {
+      await replyEphemeral("Set your server up first: **/setup full**.");
+      return;
+    }
+  }
+  debugLogActivity(interaction.guild?.name ?? guildId, interaction.user?.tag ?? "?", `button ${action}`, tokenAddress);
+  try {
+    if (action === "watch-deployer") {
+      await updateWatchListForGuild(guildId, "wallet", deployer, true);
+      await replyEphemeral(`Deployer \`${deployer}\` is on this server's **alert watchlist**. Manage it with **/alert-watchlist**.`);
+      return;
+    }
+    if (action === "claim-watch") {
+      await addClaimWatchToken(guildId, tokenAddress);
+      const ch = tenant.claimAlertChannelId || tenant.watchAlertChannelId || tenant.alertChannelId;
+      const channelHint = ch ? ` You'll get pinged in <#${ch}> when it's claimed.` : " Set **claim_channel** in **/setup channels** to get pinged.";
+      await replyEphemeral(`\`${tokenAddress}\` is on your claim watchlist.${channelHint}`);
+      return;
+    }
+    if (action === "activity-watch") {
+      const chId = resolveActivityWatchChannelId(tenant);
+      if (!chId) {
+        await replyEphemeral("Set **/setup channels** first — need **watch**, **claims**, **curated**, or **all launches** so activity alerts have a channel.");
+        return;
+      }
+      const existing = (await getActivityWatchList(guildId)).find((e) => e.tokenAddress === tokenAddress);
+      if (existing) {
+        await replyEphemeral(`This token already has activity-watch rule \`${existing.id}\` (${summarizeActivityWatchThresholds(existing)}).`);
+        return;
+      }
+      const entry = await addActivityWatchEntry(guildId, { ...LAUNCH_BUTTON_ACTIVITY_DEFAULTS, tokenAddress });
+      if (!entry) {
+        await replyEphemeral("No default thresholds are configured (LAUNCH_BUTTON_ACTIVITY_*). Use **/activity-watch add**.");
+        return;
+      }
+      await replyEphemeral(
+        `Added rule \`${entry.id}\`\nToken: \`${entry.tokenAddress}\`\n${summarizeActivityWatchThresholds(entry)}\nAlerts → <#${chId}> · cooldown **${Math.round(entry.cooldownSec / 60)}** min\n\nChange thresholds with **/activity-watch remove** + **add**.`
+      );
+      return;
+    }
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    if (action === "trend") {
+      const { text } = await buildTokenTrendCard(tokenAddress);
+      await interaction.editReply({ content: clampDiscordContent(text) });
+      return;
+    }
+    if (action === "lookup-deployer") {
+      const apiKey = defaultBankrApiKey(tenant?.bankrApiKey);
+      const { matches, totalCount, possiblyCapped } = await lookupByDeployerOrFee(deployer, "deployer", "newest", { bankrApiKey: apiKey });
+      const searchUrl = `https://bankr.bot/launches/search?q=${encodeURIComponent(deployer)}`;
+      if (matches.length === 0) {
+        await interaction.editReply({ content: `No Bankr tokens found for deployer \`${deployer}\`.\n**[Full search on Bankr →](${searchUrl})**` });
+        return;
+      }
+      const data = {
+        matches,
+        query: deployer,
+        by: "deployer",
+        searchUrl,
+        totalCount,
+        possiblyCapped,
+        resolvedWallet: deployer,
+        currentPage: 0,
+        createdAt: Date.now(),
+      };
+      const payload = { embeds: [buildLookupEmbed(data, 0)] };
+      if (matches.length > LOOKUP_PAGE_SIZE) payload.components = buildLookupButtons(data, 0);
+      const msg = await interaction.editReply(payload);
+      if (msg && matches.length > LOOKUP_PAGE_SIZE) lookupCache.set(msg.id, data);
+    }
+  } catch (e) {
+    console.error("Launch button failed:", e.message);
+    debugLogError(e, `button ${action}`);
+    const content = clampDiscordContent(`That didn't work: ${e.message}`, 1900);
+    if (interaction.deferred) await interaction.editReply({ content }).catch(() => {});
+    else await replyEphemeral(content);
+  }
+}
+
 if (!TOKEN) {
   console.error("DISCORD_BOT_TOKEN is required");
   process.exit(1);
@@ -383,6 +801,7 @@ const client = new Client({
     GatewayIntentBits.MessageContent,
   ],
 });
+setOutboundDiscordClient(client);
 
 async function registerCommands(appId) {
   const rest = new REST().setToken(TOKEN);
@@ -408,6 +827,31 @@ async function registerCommands(appId) {
           )
       )
       .toJSON(),
+    new SlashCommandBuilder()
+      .setName("fees")
+      .setDescription("Fee portfolio: accrued, unclaimed and claimed fees across one or more fee-recipient wallets")
+      .addStringOption((o) =>
+        o
+          .setName("wallets")
+          .setDescription("Wallets (0x...), X or Farcaster handles — separate several with commas or spaces (max 5)")
+          .setRequired(true)
+      )
+      .addBooleanOption((o) => o.setName("csv").setDescription("Attach the full breakdown as CSV").setRequired(false))
+      .toJSON(),
+    new SlashCommandBuilder()
+      .setName("whales")
+      .setDescription("Top fee earners (last 24h, 7 days or all time) with X handles")
+      .addStringOption((o) =>
+        o.setName("window").setDescription("Time window (default: all time)").setRequired(false).addChoices(
+          { name: "Last 24h", value: "24h" },
+          { name: "Last 7 days", value: "7d" },
+          { name: "All time", value: "all" }
+        )
+      )
+      .addIntegerOption((o) =>
+        o.setName("limit").setDescription(`Rows to show (1-${WHALES_MAX_LIMIT}, default 10)`).setMinValue(1).setMaxValue(WHALES_MAX_LIMIT).setRequired(false)
+      )
+      .toJSON(),
     new SlashCommandBuilder()
       .setName("wallet-lookup")
       .setDescription("Wallet lookup: resolve an X or Farcaster account to its linked wallet")
@@ -476,7 +920,7 @@ async function registerCommands(appId) {
       .toJSON(),
     new SlashCommandBuilder()
       .setName("claim-watch")
-      .setDescription("Claim watchlist: add/remove tokens, list, check, wallet (set channel in /setup)")
+      .setDescription("Claim watchlist: add/remove tokens, list, check, history, wallet (set channel in /setup)")
       .addSubcommand((s) =>
         s
           .setName("add")
@@ -505,6 +949,14 @@ async function registerCommands(appId) {
             o.setName("token").setDescription("Token address (0x...ba3) or Bankr URL").setRequired(true)
           )
       )
+      .addSubcommand((s) =>
+        s
+          .setName("history")
+          .setDescription("Claim timeline for a token: total claimed and average time between claims")
+          .addStringOption((o) =>
+            o.setName("token").setDescription("Token address (0x...ba3) or Bankr URL").setRequired(true)
+          )
+      )
       .addSubcommand((s) =>
         s
           .setName("wallet")
@@ -552,29 +1004,17 @@ async function registerCommands(appId) {
     ...(HIDE_DEPLOY_COMMAND ? [] : [
       new SlashCommandBuilder()
         .setName("deploy")
-        .setDescription("Deploy a Bankr token (ticker, description, links; fees to wallet, X, or Farcaster)")
-        .addStringOption((o) =>
+        .setDescription("Deploy a Bankr token: form for name/ticker/description, dry-run preview, then confirm")
+        .addAttachmentOption((o) =>
           o
-            .setName("name")
-            .setDescription("Token name (required, 1–100 chars)")
-            .setRequired(true)
-        )
-        .addStringOption((o) =>
-          o
-            .setName("symbol")
-            .setDescription("Ticker symbol (optional, 1–10 chars)")
-            .setRequired(false)
-        )
-        .addStringOption((o) =>
-          o
-            .setName("description")
-            .setDescription("Short description (optional, max 500 chars)")
+            .setName("image")
+            .setDescription("Token logo (PNG, JPEG, GIF or WebP), copied to IPFS")
             .setRequired(false)
         )
         .addStringOption((o) =>
           o
             .setName("image_url")
-            .setDescription("URL to token logo image")
+            .setDescription("Token logo link (https://), instead of uploading")
             .setRequired(false)
         )
         .addStringOption((o) =>
@@ -607,12 +1047,6 @@ async function registerCommands(appId) {
             .setDescription("Address, @handle, or ENS (required if fee type is set)")
             .setRequired(false)
         )
-        .addBooleanOption((o) =>
-          o
-            .setName("simulate_only")
-            .setDescription("Dry run: no real deploy (default: false)")
-            .setRequired(false)
-        )
         .toJSON(),
     ]),
     new SlashCommandBuilder()
@@ -766,7 +1200,7 @@ async function registerCommands(appId) {
       .addSubcommand((s) =>
         s
           .setName("rules")
-          .setDescription("Curated feed rules (X match, fee recipient has X, max deploys, poll interval)")
+          .setDescription("Curated feed rules (X match, fee recipient has X, max deploys, risk, copycats, poll interval)")
           .addBooleanOption((o) =>
             o.setName("filter_x_match").setDescription("Only alert when deployer and fee recipient match").setRequired(false)
           )
@@ -776,6 +1210,17 @@ async function registerCommands(appId) {
           .addIntegerOption((o) =>
             o.setName("filter_max_deploys").setDescription("Max deploys per day to alert").setRequired(false)
           )
+          .addIntegerOption((o) =>
+            o
+              .setName("max_risk_score")
+              .setDescription("Curated: hide launches with a higher risk score (0-100, 0 = no limit)")
+              .setMinValue(0)
+              .setMaxValue(100)
+              .setRequired(false)
+          )
+          .addBooleanOption((o) =>
+            o.setName("hide_copycats").setDescription("Curated: hide possible copycats of existing tokens").setRequired(false)
+          )
           .addNumberOption((o) =>
             o.setName("poll_interval_min").setDescription("Minutes between checks").setRequired(false)
           )
@@ -803,6 +1248,89 @@ async function registerCommands(appId) {
             o.setName("delay_hot_trending_sec").setDescription("Delay (seconds) before Hot/Trending pings to Telegram after Discord (default 60; 0 = same time)").setRequired(false)
           )
       )
+      .addSubcommand((s) =>
+        s
+          .setName("webhook")
+          .setDescription("Signed JSON webhook for your own services (launch, hot, trending, claim, activity)")
+          .addStringOption((o) =>
+            o.setName("url").setDescription("HTTPS endpoint (\"clear\" to remove)").setRequired(false)
+          )
+          .addStringOption((o) =>
+            o.setName("events").setDescription(`Comma-separated: ${WEBHOOK_EVENT_TYPES.join(", ")} (or "all")`).setRequired(false)
+          )
+          .addBooleanOption((o) =>
+            o.setName("rotate_secret").setDescription("Generate a new signing secret (shown once)").setRequired(false)
+          )
+          .addBooleanOption((o) => o.setName("test").setDescription("Send a test event now").setRequired(false))
+      )
+      .addSubcommand((s) =>
+        s
+          .setName("whales")
+          .setDescription("Daily fee-whale leaderboard post")
+          .addChannelOption((o) => o.setName("channel").setDescription("Channel for the daily leaderboard").setRequired(false))
+          .addStringOption((o) =>
+            o.setName("window").setDescription("Window ranked in the post (default: last 24h)").setRequired(false).addChoices(
+              { name: "Last 24h", value: "24h" },
+              { name: "Last 7 days", value: "7d" },
+              { name: "All time", value: "all" }
+            )
+          )
+          .addIntegerOption((o) =>
+            o.setName("hour_utc").setDescription("Hour of day (UTC) to post, 0-23 (default 14)").setMinValue(0).setMaxValue(23).setRequired(false)
+          )
+          .addBooleanOption((o) => o.setName("off").setDescription("Stop the daily post").setRequired(false))
+      )
+      .addSubcommand((s) =>
+        s
+          .setName("digest")
+          .setDescription("Scheduled daily/weekly digest: launches, top tokens, watchlist matches, claims, movers")
+          .addChannelOption((o) => o.setName("channel").setDescription("Discord channel for the digest").setRequired(false))
+          .addStringOption((o) =>
+            o.setName("frequency").setDescription("How often (default: daily)").setRequired(false).addChoices(
+              { name: "Daily", value: "daily" },
+              { name: "Weekly", value: "weekly" }
+            )
+          )
+          .addIntegerOption((o) =>
+            o.setName("hour").setDescription("Hour of day to post, 0-23, in the digest timezone (default 9)").setMinValue(0).setMaxValue(23).setRequired(false)
+          )
+          .addIntegerOption((o) =>
+            o
+              .setName("weekday")
+              .setDescription("Weekly: day to post (default Monday)")
+              .setRequired(false)
+              .addChoices(...DIGEST_WEEKDAYS.map((name, value) => ({ name, value })))
+          )
+          .addStringOption((o) =>
+            o.setName("timezone").setDescription("IANA timezone, e.g. Europe/Berlin or America/New_York (default UTC)").setRequired(false)
+          )
+          .addStringOption((o) =>
+            o.setName("telegram_chat_id").setDescription("Telegram group chat ID for the digest (\"clear\" to remove)").setRequired(false)
+          )
+          .addStringOption((o) => o.setName("telegram_topic_id").setDescription("Telegram topic ID (optional)").setRequired(false))
+          .addBooleanOption((o) => o.setName("off").setDescription("Stop the digest (clears channel and Telegram chat)").setRequired(false))
+          .addBooleanOption((o) => o.setName("test").setDescription("Post a digest now").setRequired(false))
+      )
+      .addSubcommand((s) =>
+        s
+          .setName("deploy_log")
+          .setDescription("Recent /deploy runs in this server: who, which token, result, quota left")
+          .addIntegerOption((o) => o.setName("limit").setDescription("Entries to show (default 10)").setMinValue(1).setMaxValue(25).setRequired(false))
+      )
+      .addSubcommand((s) =>
+        s
+          .setName("permissions")
+          .setDescription("Let roles run admin commands (e.g. mods editing watchlists); admins only")
+          .addStringOption((o) =>
+            o
+              .setName("command")
+              .setDescription("Command to delegate")
+              .setRequired(false)
+              .addChoices(...PERMISSION_COMMANDS.map((c) => ({ name: `/${c}`, value: c })))
+          )
+          .addRoleOption((o) => o.setName("add_role").setDescription("Role allowed to run the command").setRequired(false))
+          .addRoleOption((o) => o.setName("remove_role").setDescription("Role to remove from the command").setRequired(false))
+      )
       .addSubcommand((s) => s.setName("show").setDescription("Show full server config (API key hidden)"))
       .toJSON(),
     new SlashCommandBuilder()
@@ -840,6 +1368,8 @@ function tenantPassesFilters(launch, rules) {
     if (!feeX) return false;
   }
   if (filterMaxDeploys != null && filterMaxDeploys > 0 && launch.deployCount != null && launch.deployCount > filterMaxDeploys) return false;
+  if (exceedsRiskLimit(launch, rules?.filterMaxRiskScore)) return false;
+  if (rules?.filterHideCopycats === true && launch.copycat) return false;
   return true;
 }
 
@@ -913,10 +1443,10 @@ function buildRolePingContent(roleIds, suffix = "🔥 **Hot token**") {
 }
 
 /** Schedule a delayed check for "hot" (buys/holders) and "trending" (~30m / 5m / 1h buys or indexer 24h vol). Sends only to hot/trending channels, not firehose. */
-function scheduleHotLaunchCheck(launch, { discordHotChannelIds = [], discordTrendingChannelIds = [], telegramChatIds, telegramHotTargets = [], telegramTrendingTargets = [], bankrApiKey, hotPingConfigByGuildId = {}, telegramHotPingDelayMs: overrideDelayMs } = {}) {
+function scheduleHotLaunchCheck(launch, { discordHotChannelIds = [], discordTrendingChannelIds = [], telegramChatIds, telegramHotTargets = [], telegramTrendingTargets = [], bankrApiKey, hotPingConfigByGuildId = {}, telegramHotPingDelayMs: overrideDelayMs, webhookDestinations = [] } = {}) {
   if (!isBankrTokenAddress(launch?.tokenAddress)) return;
-  const hasHotDest = discordHotChannelIds.length > 0 || (telegramHotTargets?.length > 0);
-  const hasTrendingDest = discordTrendingChannelIds.length > 0 || (telegramTrendingTargets?.length > 0);
+  const hasHotDest = discordHotChannelIds.length > 0 || (telegramHotTargets?.length > 0) || webhookDestinations.length > 0;
+  const hasTrendingDest = discordTrendingChannelIds.length > 0 || (telegramTrendingTargets?.length > 0) || webhookDestinations.length > 0;
   const hasTelegram = (telegramChatIds?.length > 0) || hasHotDest || hasTrendingDest;
   const hasBankrAppHotTrendingDest = bankrAppAlertsEnabled();
   const telegramDelayMs = overrideDelayMs != null ? Math.max(0, Number(overrideDelayMs)) : TELEGRAM_HOT_PING_DELAY_MS;
@@ -1044,6 +1574,7 @@ function scheduleHotLaunchCheck(launch, { discordHotChannelIds = [], discordTren
         }
         return null;
       }
+      const launchButtons = buildLaunchButtonRows(launchForEmbed);
       const posted = new Set();
       if (isHot) {
         for (const channelId of discordHotChannelIds) {
@@ -1052,7 +1583,8 @@ function scheduleHotLaunchCheck(launch, { discordHotChannelIds = [], discordTren
           const ch = await client.channels.fetch(channelId).catch(() => null);
           if (ch) {
             const pingContent = getPingContent(ch.guildId, channelId, false);
-            await ch.send({ content: pingContent, embeds: [embedHot] }).catch((e) => console.error("Hot ping Discord:", e.message));
+            void enqueueDiscordChannelMessage(ch.id, { content: pingContent, embeds: [embedHot], components: launchButtons }, { label: "hot" });
+            guildAlertsTotal.inc({ guild: ch.guildId, type: "hot" });
           }
         }
       }
@@ -1063,10 +1595,22 @@ function scheduleHotLaunchCheck(launch, { discordHotChannelIds = [], discordTren
           const ch = await client.channels.fetch(channelId).catch(() => null);
           if (ch) {
             const pingContent = getPingContent(ch.guildId, channelId, true);
-            await ch.send({ content: pingContent, embeds: [embedTrending] }).catch((e) => console.error("Trending ping Discord:", e.message));
+            void enqueueDiscordChannelMessage(
+              ch.id,
+              { content: pingContent, embeds: [embedTrending], components: launchButtons },
+              { label: "trending" }
+            );
+            guildAlertsTotal.inc({ guild: ch.guildId, type: "trending" });
           }
         }
       }
+      if (webhookDestinations.length > 0) {
+        const data = hotWebhookData(launchForEmbed, { ...hotStats, marketCap: stats.marketCap });
+        for (const dest of webhookDestinations) {
+          if (isHot) void sendWebhookEvent(dest, "hot", data);
+          if (isTrending) void sendWebhookEvent(dest, "trending", data);
+        }
+      }
       schedulePersonalHotTrendingDms(launchForEmbed, hotStats, { isHot, isTrending });
       scheduleBankrAppHotTrendingWebhooks(launchForEmbed, hotStats, { isHot, isTrending });
       await sendTelegramHotTrendingPings({
@@ -1102,6 +1646,7 @@ async function runNotify() {
       for (const launch of newLaunches) {
         const launchForEmbeds = envRoleCountKey ? await enrichLaunchWithBankrRoleCounts(launch, { bankrApiKey: envRoleCountKey }) : launch;
         const embed = buildLaunchEmbed(launchForEmbeds);
+        const launchButtons = buildLaunchButtonRows(launchForEmbeds);
         const showInAll = true;
         const showInCurated = launch.passedFilters !== false;
         const showInWatch = launch.isWatchMatch;
@@ -1113,11 +1658,8 @@ async function runNotify() {
         async function postOnce(ch) {
           if (!ch || posted.has(ch.id)) return;
           posted.add(ch.id);
-          try {
-            await ch.send({ embeds: [embed] });
-          } catch (e) {
-            console.error(`Channel ${ch.id} send failed:`, e.message);
-          }
+          void enqueueDiscordChannelMessage(ch.id, { embeds: [embed], components: launchButtons }, { label: "launch" });
+          guildAlertsTotal.inc({ guild: ch.guildId, type: "launch" });
         }
         if (allChannel && showInAll) await postOnce(allChannel);
         if (alertChannel && showInCurated) await postOnce(alertChannel);
@@ -1177,7 +1719,7 @@ async function runNotify() {
     const tenantsWithChannels = [];
     for (const gid of guildIds) {
       const t = await getTenant(gid);
-      if (t && (t.allLaunchesChannelId || t.alertChannelId || t.watchAlertChannelId)) tenantsWithChannels.push({ guildId: gid, ...t });
+      if (t && (t.allLaunchesChannelId || t.alertChannelId || t.watchAlertChannelId || t.webhookUrl)) tenantsWithChannels.push({ guildId: gid, ...t });
     }
     if (tenantsWithChannels.length > 0) {
       try {
@@ -1192,6 +1734,7 @@ async function runNotify() {
         for (const launch of newLaunches) {
           const launchForEmbeds = roleCountApiKey ? await enrichLaunchWithBankrRoleCounts(launch, { bankrApiKey: roleCountApiKey }) : launch;
           const embed = buildLaunchEmbed(launchForEmbeds);
+          const launchButtons = buildLaunchButtonRows(launchForEmbeds);
           for (const tenant of tenantsWithChannels) {
             const showInCurated = tenantPassesFilters(launch, tenant.rules);
             const curatedForTenant = tenant._curatedLaunches || [];
@@ -1216,11 +1759,24 @@ async function runNotify() {
             async function postOnce(ch, emb = embed, content = null) {
               if (!ch || posted.has(ch.id)) return;
               posted.add(ch.id);
-              await ch.send({ content: content || undefined, embeds: [emb] }).catch(() => {});
+              void enqueueDiscordChannelMessage(
+                ch.id,
+                { content: content || undefined, embeds: [emb], components: launchButtons },
+                { label: "tenant launch" }
+              );
+              guildAlertsTotal.inc({ guild: ch.guildId, type: "launch" });
             }
             if (allCh) await postOnce(allCh);
             if (alertCh && showInCurated) await postOnce(alertCh, curatedEmbed, curatedContent);
             if (watchCh && showInWatch) await postOnce(watchCh, watchEmbed, watchContent);
+            const tenantWebhook = webhookDestinationFrom(tenant);
+            if (tenantWebhook) {
+              void sendWebhookEvent(
+                tenantWebhook,
+                "launch",
+                launchWebhookData(launchForEmbeds, { passedFilters: showInCurated, isWatchMatch: showInWatch, watchMatchReasons: watchReasons })
+              );
+            }
             if (tenant.telegramChatId) {
               const tgChat = tenant.telegramChatId;
               const topicFirehose = tenant.telegramTopicFirehose ?? undefined;
@@ -1265,6 +1821,7 @@ async function runNotify() {
           const telegramHotTargets = [];
           const telegramTrendingTargets = [];
           const hotPingConfigByGuildId = {};
+          const webhookDestinations = [];
           let telegramDelayOverride = null;
           if (process.env.TELEGRAM_CHAT_ID) {
             const envHot = process.env.TELEGRAM_TOPIC_HOT != null ? process.env.TELEGRAM_TOPIC_HOT : undefined;
@@ -1275,6 +1832,8 @@ async function runNotify() {
           }
           mergeTelegramGroupHotTrendingTargets(telegramGroupConfigs, telegramHotTargets, telegramTrendingTargets, telegramIds);
           for (const tenant of tenantsWithChannels) {
+            const tenantWebhook = webhookDestinationFrom(tenant);
+            if (tenantWebhook) webhookDestinations.push(tenantWebhook);
             if (tenant.hotLaunchEnabled !== false && tenant.hotAlertChannelId) {
               discordHotChannelIds.push(tenant.hotAlertChannelId);
             }
@@ -1309,6 +1868,7 @@ async function runNotify() {
               bankrApiKey: firstApiKey,
               hotPingConfigByGuildId,
               telegramHotPingDelayMs: telegramDelayOverride,
+              webhookDestinations,
             });
           }
         }
@@ -1471,7 +2031,8 @@ async function runClaimWatchCycle() {
             title: "💰 Fee claim detected",
             description: descLines.join("\n"),
           };
-          await channel.send({ embeds: [embed] }).catch((e) => console.error("Claim alert send failed:", e.message));
+          void enqueueDiscordChannelMessage(channel.id, { embeds: [embed] }, { label: "claim-watch" });
+          guildAlertsTotal.inc({ guild: channel.guildId, type: "claim" });
         }
 
         await setClaimState(guildId, tokenAddress, { lastClaimableToken: currentToken, lastClaimableWeth: currentWeth, symbol });
@@ -1494,7 +2055,7 @@ function isInClaimQuietWindow() {
   return hour >= start || hour < end;
 }
 
-/** Telegram long-poll for /claims <wallet> and /topicid. Runs in background when TELEGRAM_BOT_TOKEN is set. */
+/** Telegram long-poll for /claims <wallet|token>, /topicid and personal DM commands (incl. /deploy buttons). Runs in background when TELEGRAM_BOT_TOKEN is set. */
 function startTelegramClaimsPolling(token) {
   let offset = 0;
   const claimsRegex = /^\/claims\s+(0x[a-fA-F0-9]{40})$/;
@@ -1516,6 +2077,20 @@ function startTelegramClaimsPolling(token) {
       console.warn("[Telegram sendMessage] fetch failed:", e.message);
     }
   }
+  /** Fire-and-forget Bot API call (answerCallbackQuery, deleteMessage, …); failures are only logged. */
+  async function tgCall(method, body) {
+    try {
+      const res = await fetch(`https://api.telegram.org/bot${token}/${method}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!data.ok) console.warn(`[Telegram ${method}]`, data.description || data.error_code || res.status);
+    } catch (e) {
+      console.warn(`[Telegram ${method}] fetch failed:`, e.message);
+    }
+  }
   async function poll() {
     try {
       const res = await fetch(
@@ -1525,13 +2100,28 @@ function startTelegramClaimsPolling(token) {
       const updates = data?.result ?? [];
       for (const u of updates) {
         offset = Math.max(offset, (u.update_id ?? 0) + 1);
+        const cq = u?.callback_query;
+        if (cq) {
+          const cqChatId = cq.message?.chat?.id;
+          await tgCall("answerCallbackQuery", { callback_query_id: cq.id });
+          if (cqChatId == null || cq.message?.chat?.type !== "private" || !isPersonalDmsEnabled()) continue;
+          // Drop the buttons so a preview cannot be confirmed twice.
+          await tgCall("editMessageReplyMarkup", { chat_id: cqChatId, message_id: cq.message.message_id, reply_markup: { inline_keyboard: [] } });
+          await handlePersonalTelegramCallback({
+            chatId: cqChatId,
+            data: cq.data,
+            send: (m, o = {}) => sendTg(cqChatId, m, o),
+          });
+          continue;
+        }
         const msg = u?.message;
         const chatId = msg?.chat?.id;
         const threadId = msg?.message_thread_id;
         const chatType = msg?.chat?.type;
         const text = (msg?.text ?? msg?.caption ?? "").trim();
         if (chatId == null) continue;
-        if (!text) continue;
+        const hasMedia = chatType === "private" && !text && Boolean(msg?.photo || msg?.document);
+        if (!text && !hasMedia) continue;
         if (chatType === "private") {
           const connectMatch =
             text.match(/^\/connect(?:@\w+)?\s+([a-zA-Z0-9]{4,12})$/i) ||
@@ -1567,7 +2157,9 @@ function startTelegramClaimsPolling(token) {
             await handlePersonalTelegramCommand({
               chatId,
               text,
+              hasMedia,
               send: (msg, o = {}) => sendTg(chatId, msg, o),
+              deleteMessage: () => tgCall("deleteMessage", { chat_id: chatId, message_id: msg.message_id }),
             });
           }
           continue;
@@ -1605,21 +2197,31 @@ function startTelegramClaimsPolling(token) {
         const m = text.match(claimsRegex);
         if (!m) continue;
         const wallet = m[1].toLowerCase();
+        // Bankr token CA → recorded claim timeline; any other address is a claimer wallet.
+        if (isBankrTokenAddress(wallet)) {
+          try {
+            const reply = formatClaimTimeline(wallet, await listTokenClaimHistory(wallet), { style: "telegram" });
+            await sendTg(chatId, reply, { parse_mode: "HTML", disable_web_page_preview: true, message_thread_id: threadId ?? undefined });
+          } catch (e) {
+            await sendTg(chatId, `Failed to load claim history: ${e.message}`, { message_thread_id: threadId ?? undefined });
+          }
+          continue;
+        }
         try {
           const claims = await getWalletClaims(wallet);
           let reply;
           if (claims.length === 0) {
-            reply = `No Bankr fee claims for \`${wallet}\`.`;
+            reply = `No Bankr fee claims for <code>${wallet}</code>.`;
           } else {
             const lines = claims.map((c) => {
-              const sym = c.poolSymbol ? `$${c.poolSymbol}` : "";
-              const bankr = `https://bankr.bot/launches/${c.tokenAddress}`;
-              const tx = `https://basescan.org/tx/${c.txHash}`;
-              return `${sym ? sym + " " : ""}\`${c.tokenAddress}\` · ${c.wethAmount} WETH · [Bankr](${bankr}) · [TX](${tx})`;
+              const sym = c.poolSymbol ? `$${escapeTelegramHtml(c.poolSymbol)}` : "";
+              const bankr = escapeTelegramHtml(`https://bankr.bot/launches/${c.tokenAddress}`);
+              const tx = escapeTelegramHtml(`https://basescan.org/tx/${c.txHash}`);
+              return `${sym ? sym + " " : ""}<code>${escapeTelegramHtml(c.tokenAddress)}</code> · ${escapeTelegramHtml(c.wethAmount)} WETH · <a href="${bankr}">Bankr</a> · <a href="${tx}">TX</a>`;
             });
-            reply = `*Bankr claims for* \`${wallet}\` (${claims.length}):\n\n${lines.join("\n")}`;
+            reply = `<b>Bankr claims for</b> <code>${wallet}</code> (${claims.length}):\n\n${lines.join("\n")}`;
           }
-          await sendTg(chatId, reply, { parse_mode: "Markdown", disable_web_page_preview: true, message_thread_id: threadId ?? undefined });
+          await sendTg(chatId, reply, { parse_mode: "HTML", disable_web_page_preview: true, message_thread_id: threadId ?? undefined });
         } catch (e) {
           await sendTg(chatId, `Failed to fetch claims: ${e.message}`, { message_thread_id: threadId ?? undefined });
         }
@@ -1629,7 +2231,7 @@ function startTelegramClaimsPolling(token) {
   }
   poll();
   console.log(
-    "Telegram: setMyCommands (private + group menus); /claims <wallet>, /topicid|/id; groups: paste …ba3, lookups, /tg_help"
+    "Telegram: setMyCommands (private + group menus); /claims <wallet|token>, /topicid|/id; groups: paste …ba3, lookups, /tg_help"
   );
 }
 
@@ -1720,28 +2322,6 @@ client.once(Events.ClientReady, async () => {
     const tokenCa = claim.poolToken ?? ""; // full CA for copy/search
     const bankrUrl = tokenAddr ? `https://bankr.bot/launches/${tokenCa}` : null;
     const txUrl = claim.txHash ? `https://basescan.org/tx/${claim.txHash}` : null;
-    const desc = [
-      tokenCa ? `**Token CA:** \`${tokenCa}\`` : null,
-      `**Fees:** ${amt} WETH`,
-      txUrl ? `**TX:** [BaseScan](${txUrl})` : null,
-    ].filter(Boolean).join("\n");
-    const fields = [];
-    if (tokenCa && /^0x[a-fA-F0-9]{40}$/.test(tokenCa.trim())) {
-      fields.push({
-        name: "\u200b",
-        value: buildTradeLinks(tokenCa.trim().toLowerCase()),
-        inline: false,
-      });
-    }
-    const embed = {
-      title: `💰 $${symbol} claimed`,
-      description: desc,
-      url: bankrUrl || undefined, // title clicks through to Bankr launch page
-      color: 0x00aa00,
-      fields: fields.length ? fields : undefined,
-      timestamp: new Date().toISOString(),
-    };
-
     const channelIds = new Set();
     if (CLAIM_FIREHOSE_CHANNEL_ID) channelIds.add(CLAIM_FIREHOSE_CHANNEL_ID);
     const tokenChannelId = tokenAddr ? CLAIM_TOKEN_CHANNELS[tokenAddr] : null;
@@ -1753,19 +2333,54 @@ client.once(Events.ClientReady, async () => {
       const map = tenant?.claimTokenChannels ?? {};
       const chId = tokenAddr ? map[tokenAddr] : null;
       if (chId) channelIds.add(chId);
+      const tenantWebhook = webhookDestinationFrom(tenant);
       // Claim-watch: server has this token on watch list → post to claim channel and update state
       const watchList = (tenant?.claimWatchTokens ?? []).map((a) => a.toLowerCase());
+      if (tenantWebhook && tokenAddr && (map[tokenAddr] || watchList.includes(tokenAddr))) {
+        void sendWebhookEvent(tenantWebhook, "claim", claimWebhookData(claim));
+      }
       if (watchList.includes(tokenAddr)) {
         const claimCh = tenant?.claimAlertChannelId || tenant?.watchAlertChannelId || tenant?.alertChannelId;
         if (claimCh) channelIds.add(claimCh);
         await setClaimState(guildId, tokenAddr, { lastClaimableToken: 0, lastClaimableWeth: 0, symbol }).catch(() => {});
       }
     }
+    const channels = [];
     for (const cid of channelIds) {
       const ch = await client.channels.fetch(cid).catch(() => null);
-      if (ch) {
-        const payload = { embeds: [embed] };
-        await ch.send(payload).catch((e) => console.error("Claim send:", e.message));
+      if (ch) channels.push(ch);
+    }
+
+    // Context lookups (Bankr, DexScreener, RPC) run once per claim, and only when some destination will show it.
+    let contextPromise = null;
+    const loadContext = () => (contextPromise ??= getClaimAlertContext(claim));
+    if (channels.length > 0) {
+      const context = await loadContext();
+      const desc = [
+        tokenCa ? `**Token CA:** \`${tokenCa}\`` : null,
+        `**Fees:** ${amt} WETH`,
+        ...formatClaimAlertContextLines(context, { symbol }),
+        txUrl ? `**TX:** [BaseScan](${txUrl})` : null,
+      ].filter(Boolean).join("\n");
+      const fields = [];
+      if (tokenCa && /^0x[a-fA-F0-9]{40}$/.test(tokenCa.trim())) {
+        fields.push({
+          name: "\u200b",
+          value: buildTradeLinks(tokenCa.trim().toLowerCase()),
+          inline: false,
+        });
+      }
+      const embed = {
+        title: `💰 $${symbol} claimed`,
+        description: desc,
+        url: bankrUrl || undefined, // title clicks through to Bankr launch page
+        color: context?.notFeeRecipient ? 0xe67e22 : 0x00aa00,
+        fields: fields.length ? fields : undefined,
+        timestamp: new Date().toISOString(),
+      };
+      for (const ch of channels) {
+        void enqueueDiscordChannelMessage(ch.id, { embeds: [embed] }, { label: "claim" });
+        guildAlertsTotal.inc({ guild: ch.guildId, type: "claim" });
       }
     }
 
@@ -1774,17 +2389,13 @@ client.once(Events.ClientReady, async () => {
       const claimOpts = {
         chatId: tgClaimChat,
         messageThreadId: process.env.TELEGRAM_CLAIM_TOPIC_ID,
+        delayMs: TELEGRAM_OUTBOUND_DELAY_MS,
+        context: await loadContext(),
       };
-      if (TELEGRAM_OUTBOUND_DELAY_MS <= 0) {
-        await sendTelegramClaim(claim, claimOpts).catch((e) => console.error("Telegram claim send:", e.message));
-      } else {
-        setTimeout(
-          () => void sendTelegramClaim(claim, claimOpts).catch((e) => console.error("Telegram claim send:", e.message)),
-          TELEGRAM_OUTBOUND_DELAY_MS
-        );
-      }
+      await sendTelegramClaim(claim, claimOpts).catch((e) => console.error("Telegram claim send:", e.message));
     }
-    schedulePersonalClaimDms(claim);
+    schedulePersonalClaimDms(claim, loadContext);
+    scheduleBankrAppClaimWebhooks(claim);
   });
   void startDopplerClaimWatcher().catch((e) =>
     console.error("[dopplerClaimWatcher] start failed:", e?.message ?? e)
@@ -1831,6 +2442,21 @@ client.once(Events.ClientReady, async () => {
     runActivityWatchPoll(client).catch((e) => console.error("activity-watch poll:", e.message));
   }, ACTIVITY_WATCH_POLL_MS);
   console.log(`Activity watch: poll every ${ACTIVITY_WATCH_POLL_MS / 1000}s — /activity-watch`);
+
+  if (FEE_RECIPIENT_WATCH_ENABLED) {
+    setInterval(() => {
+      runFeeRecipientWatch(client).catch((e) => console.error("fee-recipient watch:", e.message));
+    }, FEE_RECIPIENT_WATCH_INTERVAL_MS);
+    console.log(`Fee recipient watch: every ${FEE_RECIPIENT_WATCH_INTERVAL_MS / 60_000}m for claim/activity-watched tokens`);
+  }
+
+  // Fee-whale snapshots (for /whales 24h / 7d) and /setup whales daily posts.
+  setInterval(() => {
+    runWhaleLeaderboardTick(client).catch((e) => console.error("whales tick:", e.message));
+  }, WHALES_TICK_MS);
+  setInterval(() => {
+    runDigestTick(client).catch((e) => console.error("digest tick:", e.message));
+  }, DIGEST_TICK_MS);
 });
 
 // Prune stale lookup cache entries
@@ -1839,6 +2465,9 @@ function pruneLookupCache() {
   for (const [id, entry] of lookupCache.entries()) {
     if (now - entry.createdAt > LOOKUP_CACHE_TTL_MS) lookupCache.delete(id);
   }
+  for (const [id, entry] of feesCache.entries()) {
+    if (now - entry.createdAt > LOOKUP_CACHE_TTL_MS) feesCache.delete(id);
+  }
 }
 
 /** Reply to a message with fees for a token (mention + address flow). Sends typing, then token fees or recipient fees. */
@@ -2192,6 +2821,46 @@ client.on("interactionCreate", async (interaction) => {
     return;
   }
 
+  if (interaction.isButton() && interaction.customId.startsWith("fees:")) {
+    pruneLookupCache();
+    const entry = feesCache.get(interaction.message?.id);
+    if (!entry) {
+      await interaction.reply({ content: "This fee portfolio has expired. Run /fees again.", flags: MessageFlags.Ephemeral }).catch(() => {});
+      return;
+    }
+    entry.createdAt = Date.now();
+    if (interaction.customId === "fees:csv") {
+      await interaction
+        .reply({ content: "Fee portfolio CSV", files: [feesCsvAttachment(entry.portfolio)], flags: MessageFlags.Ephemeral })
+        .catch(() => {});
+      return;
+    }
+    const totalPages = Math.ceil(entry.portfolio.rows.length / LOOKUP_PAGE_SIZE) || 1;
+    if (interaction.customId === "fees:next" && entry.currentPage < totalPages - 1) entry.currentPage++;
+    if (interaction.customId === "fees:prev" && entry.currentPage > 0) entry.currentPage--;
+    await interaction
+      .update({ embeds: [buildFeesEmbed(entry, entry.currentPage)], components: buildFeesButtons(entry, entry.currentPage) })
+      .catch(() => {});
+    return;
+  }
+
+  if (interaction.isModalSubmit() && interaction.customId.startsWith("deploy:modal:")) {
+    await handleDeployModalSubmit(interaction, interaction.customId.slice("deploy:modal:".length));
+    return;
+  }
+
+  if (interaction.isButton() && (interaction.customId.startsWith("deploy:confirm:") || interaction.customId.startsWith("deploy:cancel:"))) {
+    const [, action, draftId] = interaction.customId.split(":");
+    await handleDeployButton(interaction, action, draftId);
+    return;
+  }
+
+  const launchButton = interaction.isButton() ? parseLaunchButtonId(interaction.customId) : null;
+  if (launchButton) {
+    await handleLaunchButton(interaction, launchButton);
+    return;
+  }
+
   if (!interaction.isChatInputCommand()) return;
 
   if (interaction.commandName === "wallet-lookup") {
@@ -2313,6 +2982,61 @@ client.on("interactionCreate", async (interaction) => {
     return;
   }
 
+  if (interaction.commandName === "fees") {
+    const queries = parseFeesQueries(interaction.options.getString("wallets"));
+    const wantCsv = interaction.options.getBoolean("csv") === true;
+    await interaction.deferReply().catch((e) => console.error("[fees] deferReply:", e?.code ?? e?.message ?? e));
+    if (!interaction.deferred && !interaction.replied) return;
+    try {
+      if (queries.length === 0) {
+        await interaction.editReply({ content: "Provide at least one **wallet** (0x…), **X** or **Farcaster** handle." });
+        return;
+      }
+      const tenant = interaction.guildId ? await getTenant(interaction.guildId) : null;
+      const portfolio = await getFeesPortfolio(queries, { bankrApiKey: defaultBankrApiKey(tenant?.bankrApiKey) });
+      if (portfolio.rows.length === 0) {
+        const lines = portfolio.wallets.map((w) =>
+          w.wallet ? `• **${w.query}** → \`${w.wallet}\`: no fee data returned` : `• **${w.query}**: no Bankr tokens as fee recipient`
+        );
+        await interaction.editReply({
+          content: clampDiscordContent(
+            `No fees found.\n${lines.join("\n")}\n\nClaimable fees are also on [bankr.bot/terminal](https://bankr.bot/terminal).`
+          ),
+        });
+        return;
+      }
+      const data = { portfolio, queries, currentPage: 0, createdAt: Date.now() };
+      const payload = { embeds: [buildFeesEmbed(data, 0)], components: buildFeesButtons(data, 0) };
+      if (wantCsv) payload.files = [feesCsvAttachment(portfolio)];
+      const msg = await interaction.editReply(payload);
+      if (msg) feesCache.set(msg.id, data);
+      debugLogActivity(interaction.guild?.name ?? interaction.guildId, interaction.user?.tag ?? "?", "/fees", `${queries.join(", ")} (${portfolio.rows.length} tokens)`);
+    } catch (e) {
+      console.error("Fees failed:", e.message);
+      debugLogError(e, "fees");
+      await interaction.editReply({ content: clampDiscordContent(`Fees failed: ${e.message}`, 1900) }).catch(() => {});
+    }
+    return;
+  }
+
+  if (interaction.commandName === "whales") {
+    const window = interaction.options.getString("window") || "all";
+    const limit = interaction.options.getInteger("limit") ?? 10;
+    await interaction.deferReply().catch((e) => console.error("[whales] deferReply:", e?.code ?? e?.message ?? e));
+    if (!interaction.deferred && !interaction.replied) return;
+    try {
+      const tenant = interaction.guildId ? await getTenant(interaction.guildId) : null;
+      const board = await getWhaleLeaderboard({ window, limit, bankrApiKey: defaultBankrApiKey(tenant?.bankrApiKey) });
+      await interaction.editReply({ embeds: [buildWhalesEmbed(board)] });
+      debugLogActivity(interaction.guild?.name ?? interaction.guildId, interaction.user?.tag ?? "?", "/whales", `${window} (${board.rows.length} rows)`);
+    } catch (e) {
+      console.error("Whales failed:", e.message);
+      debugLogError(e, "whales");
+      await interaction.editReply({ content: clampDiscordContent(`Whales failed: ${e.message}`, 1900) }).catch(() => {});
+    }
+    return;
+  }
+
   if (interaction.commandName === "help") {
     const embed = {
       color: 0x0052_ff,
@@ -2334,7 +3058,8 @@ client.on("interactionCreate", async (interaction) => {
           value:
             "**full** – API key + channels + ping roles + rules (first-time).\n" +
             "**channels** – Where alerts go + **hot_ping_role_ids** + when to ping (hot / trending / watchlist / curated).\n" +
-            "**api_key**, **rules**, **telegram**, **show** (full config preview).",
+            "**api_key**, **rules**, **telegram**, **whales** (daily leaderboard post), **digest** (daily/weekly summary in your timezone), **show** (full config preview).\n" +
+            "**permissions** – Let roles (e.g. mods) run watchlist edits, **/deploy** or **/setup** without Manage Server.",
           inline: false,
         },
         {
@@ -2347,6 +3072,20 @@ client.on("interactionCreate", async (interaction) => {
             "Shows tokens + link to [full list on Bankr](https://bankr.bot/launches/search). Pagination when there are more than 5.",
           inline: false,
         },
+        {
+          name: "💸 /fees",
+          value:
+            "**Fee portfolio** across up to 5 fee-recipient **wallets** (0x…, X or Farcaster, comma-separated): indexer accrued fees, on-chain **unclaimed** and **claimed** per token.\n" +
+            "**Previous** / **Next** page through tokens; **CSV** (or **csv:true**) attaches the full breakdown.",
+          inline: false,
+        },
+        {
+          name: "🐋 /whales",
+          value:
+            "**Top fee earners** with X handles. **window:** last 24h, last 7 days or all time (24h / 7d compare against hourly snapshots of indexer fee totals).\n" +
+            "Admins can schedule a daily post with **/setup whales channel:#… hour_utc:14**.",
+          inline: false,
+        },
         {
           name: "🔗 /wallet-lookup",
           value:
@@ -2358,17 +3097,17 @@ client.on("interactionCreate", async (interaction) => {
           {
             name: "🚀 /deploy",
             value:
-              "**Deploy a Bankr token** from Discord.\n" +
-              "**name** (required), **symbol**, **description**, **image_url**, **website_url**, **tweet_url**.\n" +
+              "**Deploy a Bankr token** from Discord in three steps: a form for **name**, **ticker** and **description**; a dry-run **preview**; then **Confirm** or **Cancel**.\n" +
+              "Options: **image** (upload a logo, copied to IPFS) or **image_url**, **website_url**, **tweet_url**.\n" +
               "**Fee recipient:** wallet (0x…), X handle, Farcaster handle, or ENS — set type + value to send 57% creator fees there. Otherwise fees go to the API key wallet.\n" +
-              "**simulate_only:** dry run. Requires **BANKR_API_KEY** with Agent API (write) access at [bankr.bot/api](https://bankr.bot/api). Rate limit: 50 deploys/24h.",
+              "Requires **BANKR_API_KEY** with Agent API (write) access at [bankr.bot/api](https://bankr.bot/api). Rate limit: 50 deploys/24h. Admins see who deployed what in **/setup deploy_log**.",
             inline: false,
           },
         ]),
         {
           name: "💰 /claim-watch",
           value:
-            "**Claim watchlist + lookups.** Set **Claims** in **/setup channels**. **add** — token (0x…ba3); **list** / **remove**; **check** — claimed? **wallet** — what this wallet claimed.",
+            "**Claim watchlist + lookups.** Set **Claims** in **/setup channels**. **add** — token (0x…ba3); **list** / **remove**; **check** — claimed? **history** — claim timeline, total and average interval; **wallet** — what this wallet claimed.",
           inline: false,
         },
         {
@@ -2377,6 +3116,12 @@ client.on("interactionCreate", async (interaction) => {
             "**Per-token thresholds** (Doppler indexer + swap sample). **add** — set at least one: **mcap_usd_min**, or min **buys/sells/swaps** for ~15m, ~1h, or 24h. **list** / **remove** (id or token). Alerts post to **watch** → **claims** → **curated** → **all launches** channel. **cooldown_minutes** avoids spam. 15m/1h counts use up to 1000 recent swaps.",
           inline: false,
         },
+        {
+          name: "🔘 Launch card buttons",
+          value:
+            "Launch, hot and trending cards have buttons: **Watch deployer**, **Claim-watch**, **Activity-watch** (default thresholds) — admins or roles from **/setup permissions** — and **Trend card** / **Lookup deployer**, answered privately.",
+          inline: false,
+        },
         {
           name: "📌 Channels & paste",
           value:
@@ -2399,77 +3144,64 @@ client.on("interactionCreate", async (interaction) => {
       }).catch(() => {});
       return;
     }
-    if (interaction.guildId && !canManageServer(interaction)) {
+    if (interaction.guildId && !canUseCommand(interaction, await getTenant(interaction.guildId), "deploy")) {
       await interaction.reply({
-        content: "Only server admins (Manage Server permission) can run **/deploy**.",
+        content: permissionDeniedText("run **/deploy**"),
         flags: MessageFlags.Ephemeral,
       });
       return;
     }
-    const name = interaction.options.getString("name");
-    const symbol = interaction.options.getString("symbol");
-    const description = interaction.options.getString("description");
-    const imageUrl = interaction.options.getString("image_url");
-    const websiteUrl = interaction.options.getString("website_url");
-    const tweetUrl = interaction.options.getString("tweet_url");
     const feeType = interaction.options.getString("fee_recipient_type");
-    const feeValue = interaction.options.getString("fee_recipient_value");
-    const simulateOnly = interaction.options.getBoolean("simulate_only") ?? false;
-    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
-    try {
-      if (feeType && !feeValue?.trim()) {
-        await interaction.editReply({
-          content: "If you set **fee recipient type**, you must also set **fee recipient value** (address, @handle, or ENS).",
-        });
-        return;
-      }
-      const body = buildDeployBody({
-        tokenName: name,
-        tokenSymbol: symbol || undefined,
-        description: description || undefined,
-        image: imageUrl || undefined,
-        websiteUrl: websiteUrl || undefined,
-        tweetUrl: tweetUrl || undefined,
-        feeRecipient: feeType && feeValue ? { type: feeType, value: feeValue } : undefined,
-        simulateOnly,
+    const feeValue = interaction.options.getString("fee_recipient_value")?.trim();
+    const image = interaction.options.getAttachment("image");
+    if (feeType && !feeValue) {
+      await interaction.reply({
+        content: "If you set **fee recipient type**, you must also set **fee recipient value** (address, @handle, or ENS).",
+        flags: MessageFlags.Ephemeral,
       });
-      const result = await callBankrDeploy(body, { bankrApiKey: interaction.guildId ? (await getTenant(interaction.guildId))?.bankrApiKey : undefined });
-      if (result.simulated) {
-        await interaction.editReply({
-          content: `**Simulated deploy** (no tx broadcast).\nPredicted token address: \`${result.tokenAddress ?? "—"}\``,
-        });
-        debugLogActivity(interaction.guild?.name ?? interaction.guildId, interaction.user?.tag ?? "?", "/deploy", "simulate");
-        return;
-      }
-      const tokenAddr = result.tokenAddress ?? "";
-      const launchUrl = tokenAddr ? `https://bankr.bot/launches/${tokenAddr}` : "https://bankr.bot/launches";
-      const lines = [
-        result.tokenAddress ? `**Token:** \`${result.tokenAddress}\`` : "",
-        result.poolId ? `**Pool ID:** \`${result.poolId}\`` : "",
-        result.txHash ? `**Tx:** [BaseScan](${`https://basescan.org/tx/${result.txHash}`})` : "",
-        `**Launch:** [View on Bankr](${launchUrl})`,
-      ].filter(Boolean);
-      const rl = result.rateLimit;
-      const footerParts = ["Bankr deploy API • Creator fees 57%"];
-      if (rl?.remaining != null && !Number.isNaN(rl.remaining)) {
-        const limit = rl.limit != null && !Number.isNaN(rl.limit) ? rl.limit : 50;
-        footerParts.push(` • ${rl.remaining} deploys left in 24h (of ${limit})`);
-      } else {
-        footerParts.push(" • Limit: 50/24h (Bankr Club: 100)");
-      }
-      const embed = {
-        color: 0x0052_ff,
-        title: "Token deployed",
-        description: lines.join("\n"),
-        footer: { text: footerParts.join("") },
-      };
-      await interaction.editReply({ embeds: [embed] });
-      debugLogActivity(interaction.guild?.name ?? interaction.guildId, interaction.user?.tag ?? "?", "/deploy", result.tokenAddress ?? "ok");
-    } catch (e) {
-      console.error("Deploy failed:", e.message);
-      debugLogError(e, "deploy");
-      await interaction.editReply({ content: clampDiscordContent(`Deploy failed: ${e.message}`, 1900) }).catch(() => {});
+      return;
     }
+    if (image && !String(image.contentType ?? "").startsWith("image/")) {
+      await interaction.reply({ content: "**image** must be a PNG, JPEG, GIF or WebP file.", flags: MessageFlags.Ephemeral });
+      return;
+    }
+    // Discord attachment links expire, so uploads are re-hosted on IPFS (deploy-image.js) and CDN links are refused.
+    if (image && !deployImageUploadEnabled()) {
+      await interaction.reply({
+        content: "Uploaded logos are not enabled on this bot (Discord attachment links expire). Pass an **image_url** link instead.",
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+    if (image && image.size > DEPLOY_IMAGE_MAX_BYTES) {
+      await interaction.reply({ content: "**image** must be 5 MB or smaller.", flags: MessageFlags.Ephemeral });
+      return;
+    }
+    const imageUrl = interaction.options.getString("image_url")?.trim() || null;
+    if (imageUrl && (!/^https:\/\/\S+$/i.test(imageUrl) || isExpiringDiscordCdnUrl(imageUrl))) {
+      await interaction.reply({
+        content: "**image_url** must be an https:// link that stays up (Discord attachment links expire — upload the file as **image** instead).",
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+    pruneDeployDrafts();
+    const draftId = randomUUID();
+    deployDrafts.set(draftId, {
+      userId: interaction.user.id,
+      guildId: interaction.guildId ?? null,
+      imageUrl: image ? null : imageUrl,
+      imageAttachment: image ? { url: image.url, name: image.name, contentType: image.contentType } : null,
+      websiteUrl: interaction.options.getString("website_url")?.trim() || null,
+      tweetUrl: interaction.options.getString("tweet_url")?.trim() || null,
+      feeRecipient: feeType ? { type: feeType, value: feeValue } : null,
+      body: null,
+      createdAt: Date.now(),
+    });
+    await interaction.showModal(buildDeployModal(draftId)).catch((e) => {
+      deployDrafts.delete(draftId);
+      console.error("[deploy] showModal:", e?.code ?? e?.message ?? e);
+    });
     return;
   }
 
@@ -2482,14 +3214,17 @@ client.on("interactionCreate", async (interaction) => {
       });
       return;
     }
-    if (!canManageServer(interaction)) {
+    const sub = interaction.options.getSubcommand();
+    if (sub === "permissions" ? !canManageServer(interaction) : !canUseCommand(interaction, await getTenant(interaction.guildId), "setup")) {
       await interaction.reply({
-        content: "Only server admins (Manage Server permission) can run **/setup**.",
+        content:
+          sub === "permissions"
+            ? "Only server admins (Manage Server permission) can change **/setup permissions**."
+            : permissionDeniedText("run **/setup**"),
         flags: MessageFlags.Ephemeral,
       });
       return;
     }
-    const sub = interaction.options.getSubcommand();
     const subOpts = interaction.options.data?.[0]?.options ?? [];
     const hasSubOpt = (n) => subOpts.some((o) => o.name === n);
     await interaction.deferReply({ flags: MessageFlags.Ephemeral });
@@ -2580,8 +3315,16 @@ client.on("interactionCreate", async (interaction) => {
           return;
         }
         const w = tenant.watchlist || {};
+        // Read from the stored (encrypted) values; secrets never appear in the reply.
+        const secrets = await getTenantSecretStatus(guildId);
+        const secretLabel = (state) =>
+          state === "encrypted" ? "set (encrypted at rest)" : state === "plaintext" ? "set (plaintext — set SECRETS_MASTER_KEY on the bot)" : "not set";
         const lines = [
           "**Current config** (API key hidden)",
+          `• **Bankr API key:** ${secretLabel(secrets.bankrApiKey)}`,
+          tenant.bankrApiKey
+            ? `• **Key usage:** ${formatBankrKeyUsageLine(getBankrKeyUsage(tenant.bankrApiKey))}`
+            : "• **Key usage:** — (no server key; the bot's own key is used)",
           `• **All launches** (firehose): ${tenant.allLaunchesChannelId ? `<#${tenant.allLaunchesChannelId}>` : "—"}`,
           `• **Curated** (rules): ${tenant.alertChannelId ? `<#${tenant.alertChannelId}>` : "—"}`,
           `• **Alert watchlist**: ${tenant.watchAlertChannelId ? `<#${tenant.watchAlertChannelId}>` : "—"}`,
@@ -2596,6 +3339,8 @@ client.on("interactionCreate", async (interaction) => {
           `• Filter X match: ${tenant.rules?.filterXMatch ?? false}`,
           `• Filter fee recipient has X: ${tenant.rules?.filterFeeRecipientHasX ?? false}`,
           `• Max deploys/day: ${tenant.rules?.filterMaxDeploys ?? "—"}`,
+          `• Max risk score: ${tenant.rules?.filterMaxRiskScore ?? "—"}`,
+          `• Hide copycats: ${tenant.rules?.filterHideCopycats ?? false}`,
           `• Poll interval: ${((tenant.rules?.pollIntervalMs ?? 60000) / 60_000)} min`,
           "• Alert watchlist entries: wallets " + (w.wallet?.length ?? 0) + ", keywords " + (w.keywords?.length ?? 0) +
             ((w.x?.length ?? 0) + (w.fc?.length ?? 0) > 0 ? ` (legacy X/FC rows: ${(w.x?.length ?? 0) + (w.fc?.length ?? 0)})` : ""),
@@ -2603,7 +3348,19 @@ client.on("interactionCreate", async (interaction) => {
           tenant.telegramChatId
             ? `• **Telegram:** group \`${String(tenant.telegramChatId).slice(0, 12)}…\` · All launches ${tenant.telegramTopicFirehose ?? "—"} · X only fee recipient ${tenant.telegramTopicCurated ?? "—"} · Hot ${tenant.telegramTopicHot ?? "—"} · Trending ${tenant.telegramTopicTrending ?? "—"} · Hot/trending delay ${tenant.telegramHotPingDelayMs != null ? `${tenant.telegramHotPingDelayMs / 1000}s` : "(env)"}`
             : "• **Telegram:** (none)",
-          "Edit with **/setup api_key**, **/setup channels** (includes ping toggles), **/setup rules**, **/setup telegram**.",
+          tenant.webhookUrl
+            ? `• **Webhook:** ${tenant.webhookUrl} · events ${tenant.webhookEvents?.join(", ") ?? "all"} · signing secret ${secretLabel(secrets.webhookSecret)}`
+            : "• **Webhook:** (none)",
+          tenant.whalesChannelId
+            ? `• **Daily whales:** <#${tenant.whalesChannelId}> · ${tenant.whalesWindow} · ${String(tenant.whalesPostHourUtc).padStart(2, "0")}:00 UTC`
+            : "• **Daily whales:** (off)",
+          tenant.digest?.channelId || tenant.digest?.telegramChatId
+            ? `• **Digest:** ${describeDigestSchedule(tenant.digest)} → ${[tenant.digest.channelId ? `<#${tenant.digest.channelId}>` : null, tenant.digest.telegramChatId ? `Telegram \`${String(tenant.digest.telegramChatId).slice(0, 12)}…\`` : null].filter(Boolean).join(" + ")}`
+            : "• **Digest:** (off)",
+          PERMISSION_COMMANDS.some((c) => tenant.commandRoles[c])
+            ? `• **Permissions:** ${PERMISSION_COMMANDS.filter((c) => tenant.commandRoles[c]).map((c) => `/${c} → ${formatCommandRoles(tenant, c)}`).join(" · ")}`
+            : "• **Permissions:** admins only",
+          "Edit with **/setup api_key**, **/setup channels** (includes ping toggles), **/setup rules**, **/setup telegram**, **/setup webhook**, **/setup whales**, **/setup digest**, **/setup permissions**. Recent deploys: **/setup deploy_log**.",
         ];
         await interaction.editReply({ content: clampDiscordContent(lines.join("\n")) });
         return;
@@ -2635,6 +3392,168 @@ client.on("interactionCreate", async (interaction) => {
         return;
       }
 
+      if (sub === "webhook") {
+        const tenant = await getTenant(guildId);
+        const rawUrl = interaction.options.getString("url")?.trim();
+        const updates = {};
+        if (hasSubOpt("url")) {
+          if (!rawUrl || rawUrl.toLowerCase() === "clear") {
+            Object.assign(updates, { webhookUrl: null, webhookSecret: null, webhookEvents: null });
+          } else {
+            const url = normalizeWebhookUrl(rawUrl);
+            if (!url) {
+              await interaction.editReply({ content: "Webhook URL must be a public **https://** URL (no private or internal addresses)." });
+              return;
+            }
+            updates.webhookUrl = url;
+          }
+        }
+        if (hasSubOpt("events")) updates.webhookEvents = parseWebhookEvents(interaction.options.getString("events"));
+        const willHaveUrl = updates.webhookUrl !== undefined ? updates.webhookUrl : tenant?.webhookUrl;
+        let newSecret = null;
+        if (willHaveUrl && (!tenant?.webhookSecret || interaction.options.getBoolean("rotate_secret") === true)) {
+          newSecret = generateWebhookSecret();
+          updates.webhookSecret = newSecret;
+        }
+        const wantTest = interaction.options.getBoolean("test") === true;
+        if (Object.keys(updates).length === 0 && !wantTest) {
+          await interaction.editReply({
+            content: `Provide **url**, **events** (${WEBHOOK_EVENT_TYPES.join(", ")}), **rotate_secret** and/or **test**. Each POST is signed: header \`X-BankrMonitor-Signature: sha256=<HMAC of body>\`.`,
+          });
+          return;
+        }
+        const saved = Object.keys(updates).length > 0 ? await setTenant(guildId, updates) : tenant;
+        const lines = [];
+        if (Object.keys(updates).length > 0) {
+          lines.push(saved?.webhookUrl ? `Webhook set: ${saved.webhookUrl} · events ${saved.webhookEvents?.join(", ") ?? "all"}` : "Webhook removed.");
+        }
+        if (newSecret) {
+          lines.push(`**Signing secret** (shown once, store it now): \`${newSecret}\``);
+        }
+        if (wantTest) {
+          try {
+            await sendWebhookTestEvent(webhookDestinationFrom(saved), { guildId });
+            lines.push("✅ Test event delivered.");
+          } catch (e) {
+            lines.push(`❌ Test failed: ${e.message}`);
+          }
+        }
+        await interaction.editReply({ content: clampDiscordContent(lines.join("\n")) });
+        return;
+      }
+
+      if (sub === "digest") {
+        const tenant = await getTenant(guildId);
+        const channel = interaction.options.getChannel("channel");
+        const frequency = interaction.options.getString("frequency");
+        const hour = interaction.options.getInteger("hour");
+        const weekday = interaction.options.getInteger("weekday");
+        const timezone = interaction.options.getString("timezone")?.trim();
+        const tgChat = interaction.options.getString("telegram_chat_id")?.trim();
+        const tgTopic = interaction.options.getString("telegram_topic_id")?.trim();
+        const wantTest = interaction.options.getBoolean("test") === true;
+        if (timezone && !isValidTimeZone(timezone)) {
+          await interaction.editReply({ content: `Unknown timezone **${timezone}**. Use an IANA name like \`Europe/Berlin\` or \`America/New_York\`.` });
+          return;
+        }
+        const digest = {};
+        if (interaction.options.getBoolean("off") === true) Object.assign(digest, { channelId: null, telegramChatId: null, telegramTopicId: null });
+        else if (channel) digest.channelId = channel.id;
+        if (hasSubOpt("telegram_chat_id")) digest.telegramChatId = !tgChat || tgChat.toLowerCase() === "clear" ? null : tgChat;
+        if (hasSubOpt("telegram_topic_id")) digest.telegramTopicId = tgTopic ? parseInt(tgTopic, 10) || tgTopic : null;
+        if (frequency) digest.frequency = frequency;
+        if (hour !== null) digest.hour = hour;
+        if (weekday !== null) digest.weekday = weekday;
+        if (timezone) digest.timezone = timezone;
+        if (Object.keys(digest).length === 0 && !wantTest) {
+          await interaction.editReply({
+            content:
+              "Provide **channel** and/or **telegram_chat_id** (+ **telegram_topic_id**), **frequency**, **hour**, **weekday**, **timezone**, **off:true**, or **test:true** to post one now.",
+          });
+          return;
+        }
+        // Changes take effect from the next slot instead of posting one that already passed today.
+        if (Object.keys(digest).length > 0) digest.lastPostedAt = Date.now();
+        const saved = Object.keys(digest).length > 0 ? await setTenant(guildId, { digest }) : tenant;
+        const d = saved?.digest;
+        const lines = [
+          d?.channelId || d?.telegramChatId
+            ? `Digest: ${describeDigestSchedule(d)} → ${[d.channelId ? `<#${d.channelId}>` : null, d.telegramChatId ? `Telegram \`${d.telegramChatId}\`${d.telegramTopicId != null ? ` topic ${d.telegramTopicId}` : ""}` : null].filter(Boolean).join(" + ")}`
+            : "Digest is off.",
+        ];
+        if (wantTest) {
+          const posted = await postTenantDigest(client, guildId).catch((e) => {
+            lines.push(`❌ Test digest failed: ${e.message}`);
+            return null;
+          });
+          if (posted === true) lines.push("✅ Digest posted.");
+          else if (posted === false) lines.push("Set a **channel** or **telegram_chat_id** first.");
+        }
+        await interaction.editReply({ content: clampDiscordContent(lines.join("\n")) });
+        return;
+      }
+
+      if (sub === "whales") {
+        const channel = interaction.options.getChannel("channel");
+        const window = interaction.options.getString("window");
+        const hourUtc = interaction.options.getInteger("hour_utc");
+        const updates = {};
+        if (interaction.options.getBoolean("off") === true) updates.whalesChannelId = null;
+        else if (channel) updates.whalesChannelId = channel.id;
+        if (window) updates.whalesWindow = window;
+        if (hourUtc !== null) updates.whalesPostHourUtc = hourUtc;
+        if (Object.keys(updates).length === 0) {
+          await interaction.editReply({
+            content: "Provide **channel** (where the daily leaderboard posts), **window**, **hour_utc**, or **off:true** to stop it.",
+          });
+          return;
+        }
+        const saved = await setTenant(guildId, updates);
+        await interaction.editReply({
+          content: saved?.whalesChannelId
+            ? `Daily whale leaderboard (${saved.whalesWindow}) → <#${saved.whalesChannelId}> at ${String(saved.whalesPostHourUtc).padStart(2, "0")}:00 UTC.`
+            : "Daily whale leaderboard is off.",
+        });
+        return;
+      }
+
+      if (sub === "deploy_log") {
+        const entries = await listDeployAudit(guildId, { limit: interaction.options.getInteger("limit") ?? 10 });
+        await interaction.editReply({
+          content: entries.length
+            ? clampDiscordContent(`**Deploy log** (newest first)\n${entries.map(formatDeployAuditLine).join("\n")}`)
+            : "No **/deploy** runs recorded for this server yet.",
+          allowedMentions: { parse: [] },
+        });
+        return;
+      }
+
+      if (sub === "permissions") {
+        const command = interaction.options.getString("command");
+        const addRole = interaction.options.getRole("add_role");
+        const removeRole = interaction.options.getRole("remove_role");
+        if (command && (addRole || removeRole)) {
+          if (addRole) await setCommandRole(guildId, command, addRole.id, true);
+          if (removeRole) await setCommandRole(guildId, command, removeRole.id, false);
+        } else if (command || addRole || removeRole) {
+          await interaction.editReply({ content: "Pick a **command** and an **add_role** and/or **remove_role**." });
+          return;
+        }
+        const saved = await getTenant(guildId);
+        await interaction.editReply({
+          content: clampDiscordContent(
+            [
+              "**Command permissions** (Manage Server / Administrator can always run these):",
+              ...PERMISSION_COMMANDS.map((c) => `• **/${c}:** ${formatCommandRoles(saved, c)}`),
+              "",
+              "_/setup permissions itself stays admin-only._",
+            ].join("\n")
+          ),
+          allowedMentions: { parse: [] },
+        });
+        return;
+      }
+
       if (sub === "api_key") {
         const key = interaction.options.getString("key")?.trim();
         if (!key) {
@@ -2690,12 +3609,16 @@ client.on("interactionCreate", async (interaction) => {
         const filterXMatch = interaction.options.getBoolean("filter_x_match");
         const filterFeeRecipientHasX = interaction.options.getBoolean("filter_fee_recipient_has_x");
         const filterMaxDeploys = interaction.options.getInteger("filter_max_deploys");
+        const maxRiskScore = interaction.options.getInteger("max_risk_score");
+        const hideCopycats = interaction.options.getBoolean("hide_copycats");
         const pollIntervalMin = interaction.options.getNumber("poll_interval_min");
         const tenant = await getTenant(guildId);
         const rules = { ...(tenant?.rules ?? {}) };
         if (filterXMatch !== null) rules.filterXMatch = filterXMatch;
         if (filterFeeRecipientHasX !== null) rules.filterFeeRecipientHasX = filterFeeRecipientHasX;
         if (filterMaxDeploys !== null) rules.filterMaxDeploys = filterMaxDeploys;
+        if (maxRiskScore !== null) rules.filterMaxRiskScore = maxRiskScore > 0 ? maxRiskScore : null;
+        if (hideCopycats !== null) rules.filterHideCopycats = hideCopycats;
         if (pollIntervalMin != null) rules.pollIntervalMs = Math.max(0.5, pollIntervalMin) * 60_000;
         await setTenant(guildId, { rules });
         await interaction.editReply({ content: "Rules updated." });
@@ -2722,9 +3645,9 @@ client.on("interactionCreate", async (interaction) => {
         });
         return;
       }
-      if ((sub === "add" || sub === "remove") && !canManageServer(interaction)) {
+      if ((sub === "add" || sub === "remove") && !canUseCommand(interaction, tenant, "claim-watch")) {
         await interaction.reply({
-          content: "Only server admins can **add** or **remove** from the claim watchlist. Use **/claim-watch list** to view.",
+          content: `${permissionDeniedText("**add** or **remove** from the claim watchlist")} Use **/claim-watch list** to view.`,
           flags: MessageFlags.Ephemeral,
         });
         return;
@@ -2824,6 +3747,27 @@ client.on("interactionCreate", async (interaction) => {
       return;
     }
 
+    if (sub === "history") {
+      const tokenInput = interaction.options.getString("token")?.trim();
+      const addr = tokenInput?.match(/0x[a-fA-F0-9]{40}/i)?.[0]?.toLowerCase() ?? null;
+      if (!addr || !isBankrTokenAddress(addr)) {
+        await interaction.reply({ content: "Invalid token. Use a Bankr token address (0x…ba3) or Bankr URL.", flags: MessageFlags.Ephemeral });
+        return;
+      }
+      try {
+        const claims = await listTokenClaimHistory(addr);
+        await interaction.reply({
+          content: clampDiscordContent(`${formatClaimTimeline(addr, claims)}
+
+[Bankr](https://bankr.bot/launches/${addr})`),
+          flags: MessageFlags.Ephemeral,
+        });
+      } catch (e) {
+        await interaction.reply({ content: clampDiscordContent(`Failed: ${e.message}`, 1900), flags: MessageFlags.Ephemeral }).catch(() => {});
+      }
+      return;
+    }
+
     if (sub === "wallet") {
       const wallet = interaction.options.getString("address")?.trim();
       const addr = wallet && /^0x[a-fA-F0-9]{40}$/i.test(wallet) ? wallet.toLowerCase() : null;
@@ -2894,8 +3838,8 @@ client.on("interactionCreate", async (interaction) => {
         return;
       }
       if (sub === "remove") {
-        if (!canManageServer(interaction)) {
-          await interaction.reply({ content: "Only server admins can remove rules.", flags: MessageFlags.Ephemeral });
+        if (!canUseCommand(interaction, tenant, "activity-watch")) {
+          await interaction.reply({ content: permissionDeniedText("remove rules"), flags: MessageFlags.Ephemeral });
           return;
         }
         const raw = interaction.options.getString("id_or_token")?.trim() ?? "";
@@ -2907,8 +3851,8 @@ client.on("interactionCreate", async (interaction) => {
         return;
       }
       if (sub === "add") {
-        if (!canManageServer(interaction)) {
-          await interaction.reply({ content: "Only server admins can add rules.", flags: MessageFlags.Ephemeral });
+        if (!canUseCommand(interaction, tenant, "activity-watch")) {
+          await interaction.reply({ content: permissionDeniedText("add rules"), flags: MessageFlags.Ephemeral });
           return;
         }
         const token = interaction.options.getString("token")?.trim();
@@ -2965,9 +3909,9 @@ client.on("interactionCreate", async (interaction) => {
   const useTenant = !!tenant;
   const bankrApiKey = defaultBankrApiKey(tenant?.bankrApiKey);
 
-  if ((sub === "add" || sub === "remove") && guildId && !canManageServer(interaction)) {
+  if ((sub === "add" || sub === "remove") && guildId && !canUseCommand(interaction, tenant, "alert-watchlist")) {
     await interaction.reply({
-      content: "Only server admins (Manage Server permission) can **add** or **remove** alert watchlist entries. Use **/alert-watchlist list** to view.",
+      content: `${permissionDeniedText("**add** or **remove** alert watchlist entries")} Use **/alert-watchlist list** to view.`,
       flags: MessageFlags.Ephemeral,
     });
     return;
@@ -4,19 +4,33 @@
  *
  * GET /claimable?pool=<poolId>           — Rehype hook beneficiary fees for pool (Base only).
  * GET /claimable?token=<assetAddress>    — Resolve poolId + fee recipient via Bankr, then hook fees.
+ *     &beneficiary=<wallet>              — (either form) also that wallet's own claimable amount.
+ * POST /claimable/batch                  — { "tokens": [...up to 100], "beneficiary"?: "0x…" } in one multicall.
+ * GET /claimable/wallet/<address>        — Every token where the wallet is fee recipient, with its claimable amounts.
  * GET /health                            — For Railway/Render/Fly health checks.
  *
- * Optional: in-memory cache 60s (claimable responses). Set PORT (default 3xxx).
+ * Amounts: raw strings, 18-decimal numbers (…Formatted) and exact decimal strings (…Decimal); see fee-claimable.js.
+ * In-memory cache 60s (claimable responses), at most CACHE_MAX entries.
+ * Set PORT (default 3xxx).
  *
  * Env: RPC_URL_BASE (Base RPC). BANKR_API_KEY for ?token= resolution.
  */
 
 import "dotenv/config";
 import { createServer } from "http";
-import { fetchHookFeesOnChain, getTokenFees, CHAIN_ID } from "./token-stats.js";
+import { CHAIN_ID } from "./token-stats.js";
+import { lookupByDeployerOrFee } from "./lookup-deployer.js";
+import {
+  FEE_API_BATCH_MAX,
+  claimableBody,
+  getClaimableForTokens,
+  readClaimableOnChain,
+  summarizeWalletClaimable,
+} from "./fee-claimable.js";
 
 const PORT = parseInt(process.env.PORT || "3899", 10);
 const CACHE_TTL_MS = 60 * 1000; // 60 seconds
+const CACHE_MAX = 2000;
 
 const cache = new Map(); // key -> { data, expires }
 
@@ -42,7 +56,9 @@ function cacheGet(key) {
 }
 
 function cacheSet(key, data) {
+  cache.delete(key);
   cache.set(key, { data, expires: Date.now() + CACHE_TTL_MS });
+  while (cache.size > CACHE_MAX) cache.delete(cache.keys().next().value);
 }
 
 function send(res, statusCode, body, contentType = "application/json") {
@@ -50,89 +66,97 @@ function send(res, statusCode, body, contentType = "application/json") {
   res.end(typeof body === "string" ? body : JSON.stringify(body));
 }
 
-async function handleClaimableByPool(poolId) {
-  const { hookFees, error: hookError } = await fetchHookFeesOnChain(poolId);
-  if (!hookFees) {
-    return {
-      ok: false,
-      error: hookError ? `Hook read failed: ${hookError}` : "Not a Rehype pool or RPC failed",
-      poolId,
-      chainId: CHAIN_ID,
-    };
+async function readJson(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > 64 * 1024) throw new Error("Body too large");
+    chunks.push(chunk);
   }
-  const decimals = 18;
+  const raw = Buffer.concat(chunks).toString("utf-8").trim();
+  return raw ? JSON.parse(raw) : {};
+}
+
+async function handleClaimableByPool(poolId, beneficiary) {
+  const [read] = await readClaimableOnChain([{ poolId, beneficiary }]);
+  const body = claimableBody(read, beneficiary);
+  return body.beneficiaryFees
+    ? { ok: true, poolId, chainId: CHAIN_ID, ...body }
+    : { ok: false, poolId, chainId: CHAIN_ID, error: body.error };
+}
+
+async function handleClaimableByWallet(wallet) {
+  const lookup = await lookupByDeployerOrFee(wallet, "fee");
+  const all = [...new Set((lookup.matches ?? []).map((m) => normalizeAddress(m.tokenAddress)).filter(Boolean))];
+  const tokens = all.slice(0, FEE_API_BATCH_MAX);
+  const rows = await getClaimableForTokens(tokens, { beneficiary: wallet });
   return {
     ok: true,
-    poolId,
+    wallet,
     chainId: CHAIN_ID,
-    beneficiaryFees: {
-      token0: hookFees.beneficiaryFees0.toString(),
-      token1: hookFees.beneficiaryFees1.toString(),
-      token0Formatted: Number(hookFees.beneficiaryFees0) / 10 ** decimals,
-      token1Formatted: Number(hookFees.beneficiaryFees1) / 10 ** decimals,
-    },
-    totalFees: {
-      token0: hookFees.fees0.toString(),
-      token1: hookFees.fees1.toString(),
-    },
-    note: "Beneficiary share is pool-level (all beneficiaries). For per-address claimable use indexer or Bankr terminal.",
+    totals: summarizeWalletClaimable(rows),
+    truncated: all.length > tokens.length || !!lookup.possiblyCapped,
+    tokens: rows,
   };
 }
 
-async function handleClaimableByToken(tokenAddress) {
-  const out = await getTokenFees(tokenAddress);
-  const poolId = typeof out.launch?.poolId === "string" ? out.launch.poolId.trim() : null;
-  if (!poolId) {
-    return {
-      ok: false,
-      error: out.error || "No Bankr launch or poolId",
-      tokenAddress,
-      chainId: CHAIN_ID,
-    };
-  }
-  const hookFees = out.hookFees;
-  const feeWallet = out.feeWallet ?? null;
-  if (!hookFees) {
-    return {
-      ok: true,
-      tokenAddress,
-      name: out.name,
-      symbol: out.symbol,
-      poolId,
-      feeRecipient: feeWallet,
-      chainId: CHAIN_ID,
-      beneficiaryFees: null,
-      error: "On-chain hook fees not available (not Rehype or RPC failed).",
-    };
+/** ?beneficiary= / body.beneficiary: undefined when absent, null when invalid. */
+function parseBeneficiary(value) {
+  if (value == null || value === "") return undefined;
+  return normalizeAddress(value);
+}
+
+/** Decoded path segment, or null when the percent-encoding is malformed. */
+function decodeSegment(s) {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    return null;
   }
-  const decimals = 18;
-  return {
-    ok: true,
-    tokenAddress,
-    name: out.name,
-    symbol: out.symbol,
-    poolId,
-    feeRecipient: feeWallet,
-    chainId: CHAIN_ID,
-    beneficiaryFees: {
-      token0: hookFees.beneficiaryFees0.toString(),
-      token1: hookFees.beneficiaryFees1.toString(),
-      token0Formatted: Number(hookFees.beneficiaryFees0) / 10 ** decimals,
-      token1Formatted: Number(hookFees.beneficiaryFees1) / 10 ** decimals,
-    },
-    totalFees: {
-      token0: hookFees.fees0.toString(),
-      token1: hookFees.fees1.toString(),
-    },
-    note: "Beneficiary share is pool-level. You can query any token; fee recipient claims via Bankr terminal or collectFees.",
-  };
 }
 
-const server = createServer(async (req, res) => {
+async function handleRequest(req, res) {
   const url = new URL(req.url || "/", `http://${req.headers.host || "localhost"}`);
   const path = url.pathname.replace(/\/$/, "") || "/";
   const method = req.method;
 
+  if (path === "/claimable/batch") {
+    if (method !== "POST") {
+      send(res, 405, { error: "Method not allowed (POST)" });
+      return;
+    }
+    let body;
+    try {
+      body = await readJson(req);
+    } catch (e) {
+      send(res, 400, { error: `Invalid JSON body: ${e.message}` });
+      return;
+    }
+    const list = Array.isArray(body?.tokens) ? body.tokens : null;
+    if (!list || list.length === 0) {
+      send(res, 400, { error: 'Body must be { "tokens": ["0x…", …], "beneficiary"?: "0x…" }' });
+      return;
+    }
+    if (list.length > FEE_API_BATCH_MAX) {
+      send(res, 400, { error: `At most ${FEE_API_BATCH_MAX} tokens per batch` });
+      return;
+    }
+    const invalid = list.filter((t) => !normalizeAddress(t));
+    const beneficiary = parseBeneficiary(body.beneficiary);
+    if (invalid.length > 0 || beneficiary === null) {
+      send(res, 400, { error: "Invalid address (expect 0x + 40 hex)", invalid: beneficiary === null ? [...invalid, body.beneficiary] : invalid });
+      return;
+    }
+    try {
+      const results = await getClaimableForTokens(list.map(normalizeAddress), { beneficiary: beneficiary ?? null });
+      send(res, 200, { ok: true, chainId: CHAIN_ID, beneficiary: beneficiary ?? null, results });
+    } catch (e) {
+      send(res, 502, { ok: false, error: e?.message ?? String(e) });
+    }
+    return;
+  }
+
   if (method !== "GET") {
     send(res, 405, { error: "Method not allowed" });
     return;
@@ -143,22 +167,49 @@ const server = createServer(async (req, res) => {
     return;
   }
 
+  if (path.startsWith("/claimable/wallet/")) {
+    const wallet = normalizeAddress(decodeSegment(path.slice("/claimable/wallet/".length)));
+    if (!wallet) {
+      send(res, 400, { error: "Invalid wallet (expect 0x + 40 hex)" });
+      return;
+    }
+    const cached = cacheGet(`wallet:${wallet}`);
+    if (cached) {
+      send(res, 200, cached);
+      return;
+    }
+    try {
+      const data = await handleClaimableByWallet(wallet);
+      cacheSet(`wallet:${wallet}`, data);
+      send(res, 200, data);
+    } catch (e) {
+      send(res, 502, { ok: false, error: e?.message ?? String(e) });
+    }
+    return;
+  }
+
   if (path === "/claimable") {
     const pool = url.searchParams.get("pool");
     const token = url.searchParams.get("token");
+    const beneficiary = parseBeneficiary(url.searchParams.get("beneficiary"));
+    if (beneficiary === null) {
+      send(res, 400, { error: "Invalid beneficiary (expect 0x + 40 hex)" });
+      return;
+    }
     if (pool) {
       const poolId = normalizePoolId(pool);
       if (!poolId) {
         send(res, 400, { error: "Invalid pool (expect 0x + 64 hex)" });
         return;
       }
-      const cached = cacheGet(`pool:${poolId}`);
+      const key = `pool:${poolId}:${beneficiary ?? ""}`;
+      const cached = cacheGet(key);
       if (cached) {
         send(res, 200, cached);
         return;
       }
-      const data = await handleClaimableByPool(poolId);
-      cacheSet(`pool:${poolId}`, data);
+      const data = await handleClaimableByPool(poolId, beneficiary ?? null);
+      cacheSet(key, data);
       send(res, 200, data);
       return;
     }
@@ -168,28 +219,34 @@ const server = createServer(async (req, res) => {
         send(res, 400, { error: "Invalid token (expect 0x + 40 hex)" });
         return;
       }
-      const cached = cacheGet(`token:${tokenAddress}`);
-      if (cached) {
-        send(res, 200, cached);
-        return;
-      }
-      const data = await handleClaimableByToken(tokenAddress);
-      cacheSet(`token:${tokenAddress}`, data);
+      // Cached per token + beneficiary in fee-claimable.js (shared with the batch and wallet routes).
+      const [data] = await getClaimableForTokens([tokenAddress], { beneficiary: beneficiary ?? null });
       send(res, 200, data);
       return;
     }
     send(res, 400, {
-      error: "Use ?pool=<poolId> or ?token=<assetAddress>",
+      error: "Use ?pool=<poolId> or ?token=<assetAddress> (optionally &beneficiary=<wallet>)",
       example: "/claimable?token=0x40d5fef68d07ec540e95a1e6630906b6de6a9ba3",
     });
     return;
   }
 
-  send(res, 404, { error: "Not found", routes: ["/health", "/claimable"] });
+  send(res, 404, { error: "Not found", routes: ["/health", "/claimable", "/claimable/batch", "/claimable/wallet/<address>"] });
+}
+
+const server = createServer(async (req, res) => {
+  try {
+    await handleRequest(req, res);
+  } catch (e) {
+    console.error("[fee-api]", req.method, req.url, e?.message ?? e);
+    if (!res.headersSent) send(res, 500, { ok: false, error: "Internal error" });
+    else res.end();
+  }
 });
 
 server.listen(PORT, () => {
   console.log(`Fee API listening on port ${PORT}`);
   console.log(`  GET /health`);
-  console.log(`  GET /claimable?pool=<poolId> | /claimable?token=<assetAddress>`);
+  console.log(`  GET /claimable?pool=<poolId> | /claimable?token=<assetAddress> [&beneficiary=<wallet>]`);
+  console.log(`  POST /claimable/batch · GET /claimable/wallet/<address>`);
 });
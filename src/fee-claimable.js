@@ -0,0 +1,239 @@
+/**
+ * Claimable fee reads for the fee API (fee-api.js): pool-level RehypeDopplerHook beneficiary fees and one wallet's
+ * share of them, for any number of pools in a single multicall.
+ *
+ * A beneficiary's claimable amount is what DecayMulticurveInitializer already owes it,
+ *   (getCumulatedFees − getLastCumulatedFees) × getShares / 1e18,
+ * plus its share of the beneficiary fees still held by the hook (beneficiaryFees × getShares / 1e18).
+ * fees0 = WETH, fees1 = the token (same as the claim watcher). Amounts are returned as raw strings, numbers
+ * (token0Formatted, as the fee API always returned) and exact formatUnits(…, 18) strings (token0Decimal).
+ *
+ * Per-token results are cached for 60s (token + beneficiary), at most CACHE_MAX entries (least recently used go first).
+ */
+
+import { createPublicClient, formatUnits, http, parseAbi } from "viem";
+import { base } from "viem/chains";
+import { DOPPLER_CONTRACTS_BASE } from "./config.js";
+import { mapLimit } from "./map-limit.js";
+import { CHAIN_ID, resolveTokenPool } from "./token-stats.js";
+
+/** Tokens per POST /claimable/batch and per /claimable/wallet lookup. */
+export const FEE_API_BATCH_MAX = 100;
+const CACHE_TTL_MS = 60 * 1000;
+const CACHE_MAX = 5000;
+const RESOLVE_CONCURRENCY = 8;
+const WAD = 10n ** 18n;
+const DECIMALS = 18;
+
+const HOOK_ABI = parseAbi([
+  "function getHookFees(bytes32 poolId) view returns (uint128 fees0, uint128 fees1, uint128 beneficiaryFees0, uint128 beneficiaryFees1, uint24 customFee)",
+]);
+const FEES_MANAGER_ABI = parseAbi([
+  "function getShares(bytes32 poolId, address beneficiary) view returns (uint256)",
+  "function getCumulatedFees0(bytes32 poolId) view returns (uint256)",
+  "function getCumulatedFees1(bytes32 poolId) view returns (uint256)",
+  "function getLastCumulatedFees0(bytes32 poolId, address beneficiary) view returns (uint256)",
+  "function getLastCumulatedFees1(bytes32 poolId, address beneficiary) view returns (uint256)",
+]);
+const BENEFICIARY_READS = ["getShares", "getCumulatedFees0", "getCumulatedFees1", "getLastCumulatedFees0", "getLastCumulatedFees1"];
+
+const cache = new Map(); // token:beneficiary -> { data, expires }
+let _client = null;
+
+function baseClient() {
+  if (!_client) {
+    _client = createPublicClient({
+      chain: base,
+      transport: http(process.env.RPC_URL_BASE || process.env.RPC_URL || "https://mainnet.base.org"),
+    });
+  }
+  return _client;
+}
+
+/**
+ * Raw amounts (strings), 18-decimal numbers and exact decimal strings,
+ * e.g. { token0: "1500000000000000", token0Formatted: 0.0015, token0Decimal: "0.0015", … }.
+ */
+export function formatFeeAmounts(amount0, amount1) {
+  const token0Decimal = formatUnits(amount0, DECIMALS);
+  const token1Decimal = formatUnits(amount1, DECIMALS);
+  return {
+    token0: amount0.toString(),
+    token1: amount1.toString(),
+    token0Formatted: Number(token0Decimal),
+    token1Formatted: Number(token1Decimal),
+    token0Decimal,
+    token1Decimal,
+  };
+}
+
+function cacheGet(key, now) {
+  const hit = cache.get(key);
+  if (!hit) return null;
+  cache.delete(key);
+  if (hit.expires <= now) return null;
+  cache.set(key, hit);
+  return hit.data;
+}
+
+function cacheSet(key, data, now) {
+  cache.delete(key);
+  cache.set(key, { data, expires: now + CACHE_TTL_MS });
+  while (cache.size > CACHE_MAX) cache.delete(cache.keys().next().value);
+}
+
+/**
+ * One beneficiary's claimable fees (see module doc). shares is WAD-scaled (1e18 = 100%).
+ * @param {{ beneficiaryFees0: bigint, beneficiaryFees1: bigint }|null} hookFees
+ * @param {{ shares: bigint, cumulated0: bigint, cumulated1: bigint, last0: bigint, last1: bigint }} reads
+ * @returns {{ amount0: bigint, amount1: bigint }}
+ */
+export function beneficiaryClaimable(hookFees, { shares, cumulated0, cumulated1, last0, last1 }) {
+  const owed = (cumulated, last) => (cumulated > last ? ((cumulated - last) * shares) / WAD : 0n);
+  const held = (fees) => ((fees ?? 0n) * shares) / WAD;
+  return {
+    amount0: owed(cumulated0, last0) + held(hookFees?.beneficiaryFees0),
+    amount1: owed(cumulated1, last1) + held(hookFees?.beneficiaryFees1),
+  };
+}
+
+function hookFeesFrom(r) {
+  // Named outputs may come back as an object or as [fees0, fees1, beneficiaryFees0, beneficiaryFees1, customFee].
+  const pick = (name, i) => BigInt(r?.[name] ?? (Array.isArray(r) ? r[i] : 0) ?? 0);
+  return {
+    fees0: pick("fees0", 0),
+    fees1: pick("fees1", 1),
+    beneficiaryFees0: pick("beneficiaryFees0", 2),
+    beneficiaryFees1: pick("beneficiaryFees1", 3),
+  };
+}
+
+/**
+ * Hook fees (and a beneficiary's share when given) for each pool, in one multicall.
+ * @param {Array<{ poolId: string, beneficiary?: string|null }>} items
+ * @param {{ client?: object }} [opts] - viem public client (defaults to Base over RPC_URL_BASE / RPC_URL)
+ * @returns {Promise<Array<{ hookFees: object|null, beneficiary: { shares: bigint, amount0: bigint, amount1: bigint }|null, error: string|null }>>}
+ */
+export async function readClaimableOnChain(items, { client = baseClient() } = {}) {
+  if (items.length === 0) return [];
+  if (CHAIN_ID !== 8453) return items.map(() => ({ hookFees: null, beneficiary: null, error: "chain_not_base" }));
+  const contracts = [];
+  for (const { poolId, beneficiary } of items) {
+    contracts.push({ address: DOPPLER_CONTRACTS_BASE.RehypeDopplerHook, abi: HOOK_ABI, functionName: "getHookFees", args: [poolId] });
+    if (!beneficiary) continue;
+    for (const functionName of BENEFICIARY_READS) {
+      contracts.push({
+        address: DOPPLER_CONTRACTS_BASE.DecayMulticurveInitializer,
+        abi: FEES_MANAGER_ABI,
+        functionName,
+        args: functionName.includes("Shares") || functionName.includes("Last") ? [poolId, beneficiary] : [poolId],
+      });
+    }
+  }
+  let results;
+  try {
+    results = await client.multicall({ contracts, allowFailure: true });
+  } catch (e) {
+    const error = `rpc_or_contract: ${(e?.message ?? String(e)).slice(0, 200)}`;
+    return items.map(() => ({ hookFees: null, beneficiary: null, error }));
+  }
+  let i = 0;
+  return items.map(({ beneficiary }) => {
+    const hook = results[i++];
+    const hookFees = hook?.status === "success" ? hookFeesFrom(hook.result) : null;
+    let share = null;
+    if (beneficiary) {
+      const reads = results.slice(i, i + BENEFICIARY_READS.length);
+      i += BENEFICIARY_READS.length;
+      if (reads.every((r) => r?.status === "success")) {
+        const [shares, cumulated0, cumulated1, last0, last1] = reads.map((r) => BigInt(r.result));
+        share = { shares, ...beneficiaryClaimable(hookFees, { shares, cumulated0, cumulated1, last0, last1 }) };
+      }
+    }
+    return {
+      hookFees,
+      beneficiary: share,
+      error: hookFees ? null : hook?.error ? `rpc_or_contract: ${String(hook.error.shortMessage ?? hook.error.message).slice(0, 200)}` : "no_hook_fees",
+    };
+  });
+}
+
+/**
+ * Response body for one pool (shared by ?pool=, ?token=, batch and wallet routes).
+ * @param {{ hookFees: object|null, beneficiary: object|null, error: string|null }} read
+ * @param {string|null} beneficiary
+ */
+export function claimableBody(read, beneficiary) {
+  if (!read.hookFees) {
+    return { beneficiaryFees: null, error: `On-chain hook fees not available (not Rehype or RPC failed): ${read.error}` };
+  }
+  const body = {
+    beneficiaryFees: formatFeeAmounts(read.hookFees.beneficiaryFees0, read.hookFees.beneficiaryFees1),
+    totalFees: formatFeeAmounts(read.hookFees.fees0, read.hookFees.fees1),
+  };
+  if (!beneficiary) {
+    body.note = "Beneficiary fees are pool-level (all beneficiaries). Add &beneficiary=0x… for one wallet's amount.";
+  } else if (read.beneficiary) {
+    body.beneficiary = {
+      address: beneficiary,
+      shares: read.beneficiary.shares.toString(),
+      sharePct: Number((read.beneficiary.shares * 10_000n) / WAD) / 100,
+      claimable: formatFeeAmounts(read.beneficiary.amount0, read.beneficiary.amount1),
+    };
+  } else {
+    body.beneficiary = { address: beneficiary, claimable: null, error: "Share read failed (RPC or not a multicurve pool)." };
+  }
+  return body;
+}
+
+/**
+ * Claimable fees for Bankr tokens (poolId + fee recipient from the Bankr launch), optionally for one beneficiary.
+ * Cached tokens are served from memory; the rest share one multicall.
+ * @param {string[]} tokenAddresses - lowercase 0x addresses, at most FEE_API_BATCH_MAX
+ * @param {{ beneficiary?: string|null, bankrApiKey?: string, client?: object }} [opts]
+ * @returns {Promise<object[]>} one body per token, same order
+ */
+export async function getClaimableForTokens(tokenAddresses, { beneficiary = null, bankrApiKey, client } = {}) {
+  const key = (t) => `${t}:${beneficiary ?? ""}`;
+  const now = Date.now();
+  const out = tokenAddresses.map((t) => cacheGet(key(t), now));
+  const missing = [...new Set(tokenAddresses.filter((_, i) => !out[i]))];
+  const fresh = new Map();
+  if (missing.length > 0) {
+    const pools = await mapLimit(missing, RESOLVE_CONCURRENCY, (t) => resolveTokenPool(t, { bankrApiKey }));
+    const withPool = missing.filter((_, i) => pools[i].poolId);
+    const reads = await readClaimableOnChain(
+      withPool.map((t) => ({ poolId: pools[missing.indexOf(t)].poolId, beneficiary })),
+      client ? { client } : undefined
+    );
+    missing.forEach((tokenAddress, i) => {
+      const pool = pools[i];
+      const head = { tokenAddress, name: pool.name, symbol: pool.symbol, poolId: pool.poolId, feeRecipient: pool.feeWallet, chainId: CHAIN_ID };
+      const data = pool.poolId
+        ? { ok: true, ...head, ...claimableBody(reads[withPool.indexOf(tokenAddress)], beneficiary) }
+        : { ok: false, ...head, error: "No Bankr launch or poolId" };
+      fresh.set(tokenAddress, data);
+      cacheSet(key(tokenAddress), data, now);
+    });
+  }
+  return tokenAddresses.map((t, i) => out[i] ?? fresh.get(t));
+}
+
+/**
+ * Sum of one wallet's claimable WETH (fees0) over per-token bodies from getClaimableForTokens.
+ * @param {object[]} rows
+ * @returns {{ tokens: number, withClaimable: number, weth: string, wethFormatted: number, wethDecimal: string }}
+ */
+export function summarizeWalletClaimable(rows) {
+  let weth = 0n;
+  let withClaimable = 0;
+  for (const r of rows) {
+    const c = r.beneficiary?.claimable;
+    if (!c) continue;
+    const a0 = BigInt(c.token0);
+    weth += a0;
+    if (a0 > 0n || BigInt(c.token1) > 0n) withClaimable++;
+  }
+  const wethDecimal = formatUnits(weth, DECIMALS);
+  return { tokens: rows.length, withClaimable, weth: weth.toString(), wethFormatted: Number(wethDecimal), wethDecimal };
+}
@@ -0,0 +1,213 @@
+/**
+ * Fee recipient change detection: Bankr fee recipients can be reassigned after launch. Every
+ * FEE_RECIPIENT_WATCH_INTERVAL_MS the bot re-reads the recipient of each claim-watched (/claim-watch) and
+ * activity-watched (/activity-watch) token, plus personal Telegram watchlist token/activity rows: the Bankr launch's
+ * fee wallet and the pool's on-chain beneficiaries (getTokenFeeRecipients). A change posts "fee recipient changed
+ * from A to B" to the server's claim channel and DMs the personal users watching the token.
+ * The first read of a token is the baseline; a source that fails to load never counts as a change.
+ *
+ * Env:
+ *   FEE_RECIPIENT_WATCH - false or 0 to disable.
+ *   FEE_RECIPIENT_WATCH_INTERVAL_MS - Time between re-reads (default 900000 = 15 min, min 60000).
+ *   FEE_RECIPIENT_WATCH_FILE - Last seen recipients (state-storage.js document). Default .bankr-fee-recipients.json
+ */
+
+import { join } from "path";
+import { defineStateDocument } from "./state-storage.js";
+import { counter } from "./metrics.js";
+import { getTokenFeeRecipients } from "./token-stats.js";
+import { escapeTelegramHtml, sendTelegramHtmlToChat } from "./notify.js";
+import { enqueueDiscordChannelMessage } from "./outbound-dispatcher.js";
+import {
+  getActivityWatchList,
+  getClaimWatchTokens,
+  getTenant,
+  listActiveTenantGuildIds,
+  listGuildIdsWithActivityWatches,
+} from "./tenant-store.js";
+import { getAllPersonalUsers, isChatAllowedForPersonalFeatures, isPersonalDmsEnabled } from "./telegram-personal-store.js";
+
+const FEE_RECIPIENT_WATCH_FILE = process.env.FEE_RECIPIENT_WATCH_FILE || join(process.cwd(), ".bankr-fee-recipients.json");
+export const FEE_RECIPIENT_WATCH_ENABLED =
+  process.env.FEE_RECIPIENT_WATCH !== "false" && process.env.FEE_RECIPIENT_WATCH !== "0";
+export const FEE_RECIPIENT_WATCH_INTERVAL_MS = Math.max(
+  60_000,
+  parseInt(process.env.FEE_RECIPIENT_WATCH_INTERVAL_MS || "900000", 10) || 900_000
+);
+
+const recipientsDoc = defineStateDocument("fee-recipients", FEE_RECIPIENT_WATCH_FILE, { indent: 0 });
+const changesTotal = counter("bankr_fee_recipient_changes_total", "Fee recipient changes detected, by source.", ["source"]);
+
+let _chain = Promise.resolve();
+
+function queue(fn) {
+  _chain = _chain.then(fn, fn);
+  return _chain;
+}
+
+/**
+ * @typedef {{ feeWallet: string|null, beneficiaries: string[]|null, symbol: string|null, checkedAt: number, changedAt?: number }} FeeRecipientRecord
+ * @typedef {{ feeWallet: { from: string, to: string }|null, added: string[], removed: string[] }} FeeRecipientChange
+ */
+
+async function loadAll() {
+  try {
+    const raw = await recipientsDoc.read();
+    return raw?.tokens && typeof raw.tokens === "object" ? raw.tokens : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Compare the stored recipients with a fresh read. Sources that are null on either side are skipped.
+ * @param {FeeRecipientRecord|null} prev
+ * @param {{ feeWallet: string|null, beneficiaries: string[]|null }} current
+ * @returns {FeeRecipientChange|null}
+ */
+export function detectFeeRecipientChange(prev, current) {
+  if (!prev) return null;
+  const feeWallet =
+    prev.feeWallet && current.feeWallet && prev.feeWallet !== current.feeWallet
+      ? { from: prev.feeWallet, to: current.feeWallet }
+      : null;
+  let added = [];
+  let removed = [];
+  if (Array.isArray(prev.beneficiaries) && Array.isArray(current.beneficiaries)) {
+    added = current.beneficiaries.filter((b) => !prev.beneficiaries.includes(b));
+    removed = prev.beneficiaries.filter((b) => !current.beneficiaries.includes(b));
+  }
+  return feeWallet || added.length || removed.length ? { feeWallet, added, removed } : null;
+}
+
+/**
+ * Store a fresh read for a token and return what changed since the last one (null on the first read or no change).
+ * Unknown sources keep their previous value.
+ * @param {string} tokenAddress - lowercase
+ * @param {{ feeWallet: string|null, beneficiaries: string[]|null, symbol: string|null }} current
+ * @returns {Promise<FeeRecipientChange|null>}
+ */
+export function recordFeeRecipients(tokenAddress, current, nowMs = Date.now()) {
+  return queue(async () => {
+    const tokens = await loadAll();
+    const prev = tokens[tokenAddress] ?? null;
+    const change = detectFeeRecipientChange(prev, current);
+    tokens[tokenAddress] = {
+      feeWallet: current.feeWallet ?? prev?.feeWallet ?? null,
+      beneficiaries: current.beneficiaries ?? prev?.beneficiaries ?? null,
+      symbol: current.symbol ?? prev?.symbol ?? null,
+      checkedAt: nowMs,
+      ...(change ? { changedAt: nowMs } : prev?.changedAt ? { changedAt: prev.changedAt } : {}),
+    };
+    await recipientsDoc.write({ tokens });
+    return change;
+  });
+}
+
+/**
+ * Tokens to re-read and who to tell: guilds with the token on /claim-watch or /activity-watch, and personal
+ * Telegram users with it as a token row (claim alerts on) or an activity row.
+ * @returns {Promise<Map<string, { guildIds: Set<string>, chatIds: Set<string> }>>}
+ */
+export async function collectFeeRecipientWatchTargets() {
+  const targets = new Map();
+  const target = (token) => {
+    const key = String(token).toLowerCase();
+    if (!targets.has(key)) targets.set(key, { guildIds: new Set(), chatIds: new Set() });
+    return targets.get(key);
+  };
+  for (const guildId of await listActiveTenantGuildIds()) {
+    for (const token of await getClaimWatchTokens(guildId)) target(token).guildIds.add(guildId);
+  }
+  for (const guildId of await listGuildIdsWithActivityWatches()) {
+    for (const entry of await getActivityWatchList(guildId)) {
+      if (entry?.tokenAddress) target(entry.tokenAddress).guildIds.add(guildId);
+    }
+  }
+  if (isPersonalDmsEnabled()) {
+    for (const user of await getAllPersonalUsers()) {
+      if (!isChatAllowedForPersonalFeatures(user.chatId)) continue;
+      for (const row of user.watchlist || []) {
+        if (!/^0x[a-fA-F0-9]{40}$/.test(String(row?.value ?? "").trim())) continue;
+        if (row.type === "activity" || (row.type === "token" && user.settings?.claimAlerts)) {
+          target(row.value.trim()).chatIds.add(user.chatId);
+        }
+      }
+    }
+  }
+  return targets;
+}
+
+/**
+ * Alert lines for a change; style "telegram" = HTML.
+ * @param {string} tokenAddress
+ * @param {FeeRecipientChange} change
+ * @param {{ symbol?: string|null, style?: 'discord'|'telegram' }} [opts]
+ * @returns {string[]}
+ */
+export function formatFeeRecipientChangeLines(tokenAddress, change, { symbol = null, style = "discord" } = {}) {
+  const code = (s) => (style === "telegram" ? `<code>${escapeTelegramHtml(s)}</code>` : `\`${s}\``);
+  const bold = (s) => (style === "telegram" ? `<b>${s}</b>` : `**${s}**`);
+  const lines = [`${bold("Token:")} ${symbol ? `$${style === "telegram" ? escapeTelegramHtml(symbol) : symbol} ` : ""}${code(tokenAddress)}`];
+  if (change.feeWallet) {
+    lines.push(`Fee recipient changed from ${code(change.feeWallet.from)} to ${code(change.feeWallet.to)}`);
+  }
+  if (change.removed.length || change.added.length) {
+    lines.push(`${bold("On-chain beneficiaries:")}`);
+    for (const b of change.removed) lines.push(`➖ ${code(b)}`);
+    for (const b of change.added) lines.push(`➕ ${code(b)}`);
+  }
+  return lines;
+}
+
+async function notifyFeeRecipientChange(client, tokenAddress, change, { symbol, guildIds, chatIds }) {
+  const launchUrl = `https://bankr.bot/launches/${tokenAddress}`;
+  for (const guildId of guildIds) {
+    const tenant = await getTenant(guildId);
+    const channelId = tenant?.claimAlertChannelId || tenant?.watchAlertChannelId || tenant?.alertChannelId;
+    if (!channelId) continue;
+    const channel = await client.channels.fetch(channelId).catch(() => null);
+    if (!channel) continue;
+    const embed = {
+      color: 0xe67e22,
+      title: "🔁 Fee recipient changed",
+      description: [...formatFeeRecipientChangeLines(tokenAddress, change, { symbol }), "", `[View on Bankr](${launchUrl})`].join("\n"),
+    };
+    void enqueueDiscordChannelMessage(channel.id, { embeds: [embed] }, { label: "fee-recipient-watch" });
+  }
+  if (chatIds.size === 0 || !process.env.TELEGRAM_BOT_TOKEN) return;
+  const html = [
+    "<b>🔁 Fee recipient changed</b>",
+    ...formatFeeRecipientChangeLines(tokenAddress, change, { symbol, style: "telegram" }),
+    "",
+    `<a href="${escapeTelegramHtml(launchUrl)}">Bankr launch</a>`,
+  ].join("\n");
+  for (const chatId of chatIds) {
+    await sendTelegramHtmlToChat(chatId, html, { skipAllowedCheck: true }).catch((e) =>
+      console.error("Personal fee recipient DM:", e.message)
+    );
+  }
+}
+
+/**
+ * Discord bot tick: re-read every watched token's fee recipients and alert on changes.
+ * @param {import("discord.js").Client} client
+ */
+export async function runFeeRecipientWatch(client) {
+  if (!FEE_RECIPIENT_WATCH_ENABLED) return;
+  const targets = await collectFeeRecipientWatchTargets();
+  for (const [tokenAddress, who] of targets) {
+    try {
+      const firstGuild = who.guildIds.values().next().value;
+      const tenant = firstGuild ? await getTenant(firstGuild) : null;
+      const current = await getTokenFeeRecipients(tokenAddress, { bankrApiKey: tenant?.bankrApiKey });
+      const change = await recordFeeRecipients(tokenAddress, current);
+      if (!change) continue;
+      if (change.feeWallet) changesTotal.inc({ source: "bankr" });
+      if (change.added.length || change.removed.length) changesTotal.inc({ source: "onchain" });
+      await notifyFeeRecipientChange(client, tokenAddress, change, { symbol: current.symbol, ...who });
+    } catch (e) {
+      console.error(`Fee recipient watch ${tokenAddress} failed:`, e.message);
+    }
+  }
+}
@@ -3,16 +3,34 @@
  * Aggregate accrued/claimable-style fees for a wallet (or X/FC) as fee recipient.
  * Uses lookup (by fee) + Doppler indexer cumulatedFees when available.
  *
- * Usage: node src/fees-for-wallet.js <wallet|@x|fc_handle>
- * Export: getFeesSummary(query) for Discord /fees.
+ * Usage: node src/fees-for-wallet.js <wallet|@x|fc_handle> [more wallets…]
+ * Export: getFeesSummary(query); getFeesPortfolio(queries) + feesPortfolioCsv() for Discord /fees.
+ *
+ * Env (portfolio):
+ *   FEES_PORTFOLIO_MAX_WALLETS - Wallets/handles per /fees call (default 5).
+ *   FEES_PORTFOLIO_MAX_TOKENS - Tokens fetched per call, newest first (default 40).
+ *   FEES_PORTFOLIO_TIMEOUT_MS - Stop starting new token reads after this; partial results are returned (default 45000).
  */
 
 import "dotenv/config";
 import { lookupByDeployerOrFee } from "./lookup-deployer.js";
-import { fetchPoolByBaseToken, fetchCumulatedFees, formatUsd, getTokenFees } from "./token-stats.js";
+import {
+  fetchPoolByBaseToken,
+  fetchCumulatedFees,
+  fetchHookFeesOnChain,
+  formatUsd,
+  getClaimedFeesFromEvents,
+  getTokenFees,
+} from "./token-stats.js";
 
 const FEES_INDEXER_TIMEOUT_MS = 12_000; // reply to Discord before defer expires; indexer may be slow or down
 const RECIPIENT_ONCHAIN_MAX_TOKENS = 20; // limit tokens to avoid timeout when using on-chain only
+const FEES_PORTFOLIO_MAX_WALLETS = Math.max(1, parseInt(process.env.FEES_PORTFOLIO_MAX_WALLETS || "5", 10) || 5);
+const FEES_PORTFOLIO_MAX_TOKENS = Math.max(1, parseInt(process.env.FEES_PORTFOLIO_MAX_TOKENS || "40", 10) || 40);
+const FEES_PORTFOLIO_TIMEOUT_MS = Math.max(5000, parseInt(process.env.FEES_PORTFOLIO_TIMEOUT_MS || "45000", 10) || 45000);
+/** Tokens read in parallel (indexer + hook + claim logs each). */
+const PORTFOLIO_CONCURRENCY = 4;
+const DECIMALS = 18;
 
 /**
  * Get aggregated fees for a wallet or X/Farcaster handle (as fee recipient).
@@ -118,12 +136,177 @@ export async function getFeesSummaryOnChainOnly(walletOrHandle) {
   };
 }
 
+/**
+ * Split a /fees input ("0xabc…, @dev dwr.eth") into distinct wallets/handles, capped at FEES_PORTFOLIO_MAX_WALLETS.
+ * @param {string} raw
+ * @returns {string[]}
+ */
+export function parseFeesQueries(raw) {
+  const seen = new Set();
+  const out = [];
+  for (const part of String(raw ?? "").split(/[\s,;]+/)) {
+    const q = part.trim();
+    const key = q.toLowerCase().replace(/^@/, "");
+    if (!q || seen.has(key)) continue;
+    seen.add(key);
+    out.push(q);
+    if (out.length >= FEES_PORTFOLIO_MAX_WALLETS) break;
+  }
+  return out;
+}
+
+function weiToNumber(v) {
+  return v != null ? Number(BigInt(v)) / 10 ** DECIMALS : null;
+}
+
+/**
+ * One token for one fee wallet: indexer accrued (cumulatedFees), on-chain unclaimed (hook) and claimed (events).
+ * The hook's beneficiary fees are pool-level (all beneficiaries), hence poolUnclaimed*.
+ */
+async function fetchPortfolioRow(wallet, match) {
+  const pool = await fetchPoolByBaseToken(match.tokenAddress).catch(() => null);
+  const poolId = pool?.id ?? pool?.address ?? null;
+  const poolIdBytes32 = poolId && /^0x[a-fA-F0-9]{64}$/.test(String(poolId)) ? String(poolId) : null;
+  const [cumulated, hook, claimed] = await Promise.all([
+    poolId ? fetchCumulatedFees(poolId, wallet).catch(() => null) : null,
+    poolIdBytes32 ? fetchHookFeesOnChain(poolIdBytes32).catch(() => null) : null,
+    getClaimedFeesFromEvents(wallet, match.tokenAddress, poolIdBytes32 ?? undefined),
+  ]);
+  const hookFees = hook?.hookFees ?? null;
+  return {
+    wallet,
+    tokenAddress: match.tokenAddress,
+    tokenName: match.tokenName ?? null,
+    tokenSymbol: match.tokenSymbol ?? null,
+    accruedUsd: cumulated?.totalFeesUsd != null ? Number(cumulated.totalFeesUsd) : null,
+    // Pool base token = launch token (token0); quote = WETH (token1).
+    accruedToken: weiToNumber(cumulated?.token0Fees),
+    accruedWeth: weiToNumber(cumulated?.token1Fees),
+    // Hook: beneficiaryFees0 = WETH, beneficiaryFees1 = token (same as the claimable one-liner).
+    poolUnclaimedWeth: hookFees ? weiToNumber(hookFees.beneficiaryFees0) : null,
+    poolUnclaimedToken: hookFees ? weiToNumber(hookFees.beneficiaryFees1) : null,
+    claimedWeth: claimed.claimedWeth,
+    claimedToken: claimed.claimedToken,
+    claimCount: claimed.count,
+  };
+}
+
+/**
+ * Totals across portfolio rows (null amounts count as 0; accruedUsd stays null when no row had indexer data).
+ * poolUnclaimedWeth counts each token once, since every recipient row of a token carries the same pool-level amount.
+ * @param {object[]} rows - getFeesPortfolio rows
+ */
+export function summarizeFeeRows(rows) {
+  const sum = (k, list = rows) => list.reduce((acc, r) => acc + (Number.isFinite(r[k]) ? r[k] : 0), 0);
+  const perToken = [...new Map(rows.map((r) => [String(r.tokenAddress).toLowerCase(), r])).values()];
+  return {
+    tokens: rows.length,
+    accruedUsd: rows.some((r) => r.accruedUsd != null) ? sum("accruedUsd") : null,
+    poolUnclaimedWeth: sum("poolUnclaimedWeth", perToken),
+    claimedWeth: sum("claimedWeth"),
+    claimCount: sum("claimCount"),
+  };
+}
+
+/**
+ * Fee portfolio across several wallets/handles (as fee recipient): one row per (wallet, token).
+ * Tokens beyond FEES_PORTFOLIO_MAX_TOKENS or not started before FEES_PORTFOLIO_TIMEOUT_MS are counted in `skipped`.
+ * @param {string[]} queries - wallets, X or Farcaster handles
+ * @param {{ bankrApiKey?: string, timeoutMs?: number }} [options]
+ * @returns {Promise<{ wallets: Array<{ query: string, wallet: string|null, matchCount: number, error?: string }>, rows: object[], totals: object, skipped: number }>}
+ */
+export async function getFeesPortfolio(queries, options = {}) {
+  const deadline = Date.now() + (options.timeoutMs ?? FEES_PORTFOLIO_TIMEOUT_MS);
+  const wallets = [];
+  const work = [];
+  const seen = new Set();
+  for (const query of queries.slice(0, FEES_PORTFOLIO_MAX_WALLETS)) {
+    try {
+      const { matches, resolvedWallet } = await lookupByDeployerOrFee(query, "fee", "newest", { bankrApiKey: options.bankrApiKey });
+      const wallet = (matches[0]?.feeRecipientWallet ?? resolvedWallet ?? null)?.toLowerCase() ?? null;
+      wallets.push({ query, wallet, matchCount: matches.length });
+      for (const m of matches) {
+        const feeWallet = (m.feeRecipientWallet ?? wallet)?.toLowerCase();
+        const key = `${feeWallet}:${m.tokenAddress?.toLowerCase()}`;
+        if (!feeWallet || !m.tokenAddress || seen.has(key)) continue;
+        seen.add(key);
+        work.push({ wallet: feeWallet, match: m });
+      }
+    } catch (e) {
+      wallets.push({ query, wallet: null, matchCount: 0, error: e?.message ?? String(e) });
+    }
+  }
+
+  const rows = [];
+  const queue = work.slice(0, FEES_PORTFOLIO_MAX_TOKENS);
+  let skipped = work.length - queue.length;
+  const worker = async () => {
+    while (queue.length > 0) {
+      const item = queue.shift();
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        skipped++;
+        continue;
+      }
+      let timer;
+      const row = await Promise.race([
+        fetchPortfolioRow(item.wallet, item.match).catch(() => null),
+        new Promise((resolve) => {
+          timer = setTimeout(() => resolve(null), remaining);
+        }),
+      ]).finally(() => clearTimeout(timer));
+      if (row) rows.push(row);
+      else skipped++;
+    }
+  };
+  await Promise.all(Array.from({ length: PORTFOLIO_CONCURRENCY }, worker));
+
+  rows.sort((a, b) => (b.poolUnclaimedWeth ?? 0) - (a.poolUnclaimedWeth ?? 0) || (b.accruedUsd ?? 0) - (a.accruedUsd ?? 0));
+  return { wallets, rows, totals: summarizeFeeRows(rows), skipped };
+}
+
+const CSV_COLUMNS = [
+  "wallet",
+  "tokenAddress",
+  "tokenName",
+  "tokenSymbol",
+  "accruedUsd",
+  "accruedWeth",
+  "accruedToken",
+  "poolUnclaimedWeth",
+  "poolUnclaimedToken",
+  "claimedWeth",
+  "claimedToken",
+  "claimCount",
+];
+
+/** Text starting with = + - @ tab or CR gets a leading ' so spreadsheets don't run it as a formula. */
+function csvCell(v) {
+  if (v == null) return "";
+  let s = String(v);
+  if (typeof v !== "number" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** CSV (header + one line per row) for the /fees attachment. */
+export function feesPortfolioCsv(portfolio) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const row of portfolio?.rows ?? []) lines.push(CSV_COLUMNS.map((c) => csvCell(row[c])).join(","));
+  return lines.join("\n") + "\n";
+}
+
 async function main() {
   const query = process.argv[2];
   if (!query) {
-    console.log("Usage: node src/fees-for-wallet.js <wallet|@x|fc_handle>");
+    console.log("Usage: node src/fees-for-wallet.js <wallet|@x|fc_handle> [more wallets…]");
     process.exit(1);
   }
+  if (process.argv.length > 3) {
+    const portfolio = await getFeesPortfolio(process.argv.slice(2));
+    process.stdout.write(feesPortfolioCsv(portfolio));
+    if (portfolio.skipped > 0) console.error(`${portfolio.skipped} token(s) skipped (FEES_PORTFOLIO_MAX_TOKENS / timeout).`);
+    return;
+  }
   const out = await getFeesSummary(query);
   if (out.error) {
     console.log(out.error);
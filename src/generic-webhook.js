@@ -0,0 +1,224 @@
+/**
+ * Generic JSON webhook destination: launches, hot/trending pings, fee claims and activity-watch hits
+ * for your own services. Configured per server (/setup webhook) and per Bankr App user (destinations.webhookUrl).
+ *
+ * Each POST body is one event envelope; `version` only changes on breaking changes to `data`:
+ *   { "schema": "bankr-monitor.event", "version": 1, "id": "...", "type": "launch", "createdAt": "ISO", "data": { ... } }
+ * Headers:
+ *   X-BankrMonitor-Event      event type
+ *   X-BankrMonitor-Delivery   event id (same across retries — dedupe on it)
+ *   X-BankrMonitor-Signature  sha256=<hex HMAC-SHA256 of the raw body, keyed with the destination secret>
+ * Delivery, retries and rate limits: outbound-dispatcher.js.
+ */
+
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from "crypto";
+import { enqueueWebhookPost } from "./outbound-dispatcher.js";
+import { assertWebhookHostAllowed, isAllowedLocalWebhook, webhookHostProblem } from "./webhook-host-guard.js";
+
+export const WEBHOOK_SCHEMA = "bankr-monitor.event";
+export const WEBHOOK_SCHEMA_VERSION = 1;
+/** Event types a destination can subscribe to (null/empty list = all). "test" is always delivered. */
+export const WEBHOOK_EVENT_TYPES = ["launch", "hot", "trending", "claim", "activity"];
+
+const BASE_CHAIN_ID = 8453;
+
+export function generateWebhookSecret() {
+  return randomBytes(32).toString("hex");
+}
+
+/**
+ * Public https URL, or http(s) to localhost when WEBHOOK_ALLOW_LOCALHOST is on. Private / internal IP literals are
+ * rejected here; hostnames are checked again after DNS at send time (webhook-host-guard.js). Returns null when invalid.
+ */
+export function normalizeWebhookUrl(value) {
+  const s = String(value ?? "").trim();
+  if (!s) return null;
+  let u;
+  try {
+    u = new URL(s);
+  } catch {
+    return null;
+  }
+  if (u.username || u.password) return null;
+  if (webhookHostProblem(u)) return null;
+  if (u.protocol !== "https:" && !(u.protocol === "http:" && isAllowedLocalWebhook(u))) return null;
+  return u.toString();
+}
+
+/**
+ * "launch,claim" → ["launch","claim"]; "all" / empty → null (everything). Unknown names are dropped.
+ * @returns {string[]|null}
+ */
+export function parseWebhookEvents(raw) {
+  const list = Array.isArray(raw) ? raw : String(raw ?? "").split(/[\s,]+/);
+  const picked = [...new Set(list.map((s) => String(s).trim().toLowerCase()).filter((s) => WEBHOOK_EVENT_TYPES.includes(s)))];
+  return picked.length === 0 || picked.length === WEBHOOK_EVENT_TYPES.length ? null : picked;
+}
+
+/** `sha256=<hex>` HMAC of the exact body string that is POSTed. */
+export function signWebhookBody(secret, body) {
+  return `sha256=${createHmac("sha256", String(secret)).update(body, "utf-8").digest("hex")}`;
+}
+
+/** Receiver-side check (constant time). Handy for tests and for consumers written in JS. */
+export function verifyWebhookSignature(secret, body, signatureHeader) {
+  const expected = Buffer.from(signWebhookBody(secret, body));
+  const got = Buffer.from(String(signatureHeader ?? ""));
+  return expected.length === got.length && timingSafeEqual(expected, got);
+}
+
+function wallet(v) {
+  const s = String(v ?? "").trim().toLowerCase();
+  return /^0x[a-f0-9]{40}$/.test(s) ? s : null;
+}
+
+function handle(v) {
+  const s = String(v ?? "").trim().replace(/^@/, "");
+  return s || null;
+}
+
+function isoOrNull(ms) {
+  return ms != null && Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+/**
+ * Stable launch shape (notify.js launch → schema v1).
+ * @param {object} launch
+ * @param {{ passedFilters?: boolean, isWatchMatch?: boolean, watchMatchReasons?: string[] }} [match] - per-destination match info
+ */
+export function launchWebhookData(launch, match = {}) {
+  const tokenAddress = wallet(launch?.tokenAddress);
+  const beneficiaries = (launch?.beneficiaries || [])
+    .map((b) =>
+      typeof b === "object" && b !== null
+        ? { wallet: wallet(b.beneficiary ?? b.address ?? b.wallet), x: handle(b.xUsername), farcaster: handle(b.farcaster) }
+        : { wallet: wallet(b), x: null, farcaster: null }
+    )
+    .filter((b) => b.wallet);
+  return {
+    chainId: BASE_CHAIN_ID,
+    tokenAddress,
+    name: launch?.name ?? null,
+    symbol: launch?.symbol ?? null,
+    image: launch?.image ?? null,
+    bankrUrl: tokenAddress ? `https://bankr.bot/launches/${tokenAddress}` : null,
+    deployedAt: isoOrNull(launch?.deployedAtMsFromBankr ?? launch?.firstSeenAtMs),
+    launcher: {
+      wallet: wallet(launch?.launcher),
+      x: handle(launch?.launcherX),
+      farcaster: handle(launch?.launcherFarcaster),
+    },
+    beneficiaries,
+    tweetUrl: launch?.tweetUrl ?? null,
+    website: launch?.website ?? null,
+    deployCount: launch?.deployCount ?? null,
+    feeRecipientDeployCount: launch?.feeRecipientDeployCount ?? null,
+    passedFilters: match.passedFilters ?? launch?.passedFilters ?? null,
+    isWatchMatch: match.isWatchMatch ?? launch?.isWatchMatch ?? false,
+    watchMatchReasons: match.watchMatchReasons ?? launch?.watchMatchReasons ?? [],
+    risk: launch?.risk ?? null,
+    copycat: launch?.copycat ? { original: launch.copycat.original, matchedOn: launch.copycat.matchedOn } : null,
+  };
+}
+
+/** Launch data plus the stats that made it hot/trending (hot-launch stats shape). */
+export function hotWebhookData(launch, stats = {}) {
+  const num = (v) => (v != null && Number.isFinite(Number(v)) ? Number(v) : null);
+  return {
+    ...launchWebhookData(launch),
+    stats: {
+      buys5m: num(stats.buys5m ?? stats.buysFirstMin),
+      buys30m: num(stats.buys30m),
+      buys1h: num(stats.buys1h),
+      holderCount: num(stats.holderCount),
+      indexerVol1hUsd: num(stats.indexerVol1h),
+      indexerVol24hUsd: num(stats.indexerVol24h),
+      marketCapUsd: num(stats.marketCap),
+    },
+  };
+}
+
+/** Fee claim (dopplerClaimWatcher payload or claim-watch poll result). Amounts are WETH. */
+export function claimWebhookData(claim) {
+  const tokenAddress = wallet(claim?.poolToken ?? claim?.tokenAddress);
+  return {
+    chainId: BASE_CHAIN_ID,
+    tokenAddress,
+    symbol: claim?.poolSymbol ?? claim?.symbol ?? null,
+    amountWei: claim?.amount != null ? String(claim.amount) : null,
+    amountWeth: claim?.amountFormatted ?? null,
+    beneficiary: wallet(claim?.beneficiary),
+    claimer: wallet(claim?.claimer),
+    txHash: claim?.txHash ?? null,
+    bankrUrl: tokenAddress ? `https://bankr.bot/launches/${tokenAddress}` : null,
+  };
+}
+
+/** Activity-watch hit: which thresholds fired plus the metrics snapshot. */
+export function activityWebhookData(entry, metrics, reasons) {
+  const tokenAddress = wallet(entry?.tokenAddress);
+  return {
+    chainId: BASE_CHAIN_ID,
+    tokenAddress,
+    label: metrics?.label ?? entry?.label ?? null,
+    watchId: entry?.id ?? null,
+    reasons: reasons ?? [],
+    metrics: metrics ?? {},
+    bankrUrl: tokenAddress ? `https://bankr.bot/launches/${tokenAddress}` : null,
+  };
+}
+
+/** @returns {{ schema: string, version: number, id: string, type: string, createdAt: string, data: object }} */
+export function buildWebhookEvent(type, data, { id = randomUUID(), nowMs = Date.now() } = {}) {
+  return { schema: WEBHOOK_SCHEMA, version: WEBHOOK_SCHEMA_VERSION, id, type, createdAt: new Date(nowMs).toISOString(), data };
+}
+
+/**
+ * Tenant / Bankr App user config → destination, or null when no webhook is set.
+ * @returns {{ url: string, secret: string, events: string[]|null } | null}
+ */
+export function webhookDestinationFrom(config) {
+  const url = normalizeWebhookUrl(config?.webhookUrl);
+  if (!url || !config?.webhookSecret) return null;
+  return { url, secret: config.webhookSecret, events: Array.isArray(config.webhookEvents) ? config.webhookEvents : null };
+}
+
+/**
+ * Sign and queue one event. Skips types the destination did not subscribe to.
+ * @param {{ url: string, secret: string, events?: string[]|null } | null} dest
+ * @param {string} type
+ * @param {object} data
+ * @param {{ label?: string, maxAttempts?: number }} [opts]
+ * @returns {Promise<{ ok: boolean, result?: any, error?: string }>|null} delivery outcome, or null when skipped
+ */
+export function sendWebhookEvent(dest, type, data, opts = {}) {
+  if (!dest?.url || !dest.secret) return null;
+  if (type !== "test" && dest.events?.length && !dest.events.includes(type)) return null;
+  const event = buildWebhookEvent(type, data);
+  const body = JSON.stringify(event);
+  return enqueueWebhookPost(
+    dest.url,
+    body,
+    {
+      "Content-Type": "application/json",
+      "User-Agent": "BankrMonitor-Webhook/1",
+      "X-BankrMonitor-Event": type,
+      "X-BankrMonitor-Delivery": event.id,
+      "X-BankrMonitor-Signature": signWebhookBody(dest.secret, body),
+    },
+    { label: opts.label ?? `webhook ${type}`, ...(opts.maxAttempts != null && { maxAttempts: opts.maxAttempts }) }
+  );
+}
+
+/**
+ * Send a "test" event and wait for the result (setup commands / Bankr App test button).
+ * Errors are shown to the user, so they carry only the HTTP status, never the receiver's response body.
+ */
+export async function sendWebhookTestEvent(dest, context = {}) {
+  if (!dest?.url || !dest.secret) throw new Error("Webhook URL or secret missing");
+  await assertWebhookHostAllowed(dest.url);
+  const outcome = await sendWebhookEvent(dest, "test", { message: "BankrMonitor webhook test", ...context }, { maxAttempts: 2 });
+  if (!outcome) throw new Error("Webhook URL or secret missing");
+  if (!outcome.ok) throw new Error(outcome.status ? `Webhook responded with HTTP ${outcome.status}` : "Webhook could not be reached");
+  return true;
+}
@@ -37,6 +37,7 @@ export function hasHotTrendingThresholdsConfigured() {
 
 /**
  * Sends hot/trending Telegram pings after stats are known (also used by discord-bot after Discord posts).
+ * telegramDelayMs is passed through as the outbound queue delay (see outbound-dispatcher.js).
  * @param {typeof import("./notify.js").sendTelegramHotPing} params.sendTelegramHotPing
  */
 export async function sendTelegramHotTrendingPings({
@@ -56,44 +57,43 @@ export async function sendTelegramHotTrendingPings({
   const needsTelegramHotTrend =
     (isHot && ((telegramChatIds || []).length > 0 || sendTgHotTopics)) || sendTgTrendingTopics;
   if (!needsTelegramHotTrend) return;
-  const runTelegramHotTrend = async () => {
-    try {
-      const seen = new Set();
-      if (isHot) {
-        for (const chatId of telegramChatIds || []) {
-          const key = `g:${chatId}`;
-          if (seen.has(key)) continue;
-          seen.add(key);
-          await sendTelegramHotPing(launchForEmbed, hotStats, { chatId }).catch(() => {});
-        }
-        for (const t of telegramHotTargets || []) {
-          const key = `h:${t.chatId}:${t.messageThreadId ?? ""}`;
-          if (seen.has(key)) continue;
-          seen.add(key);
-          await sendTelegramHotPing(launchForEmbed, hotStats, {
-            chatId: t.chatId,
-            messageThreadId: t.messageThreadId,
-          }).catch(() => {});
-        }
+  const delayMs = Math.max(0, telegramDelayMs || 0);
+  try {
+    const seen = new Set();
+    if (isHot) {
+      for (const chatId of telegramChatIds || []) {
+        const key = `g:${chatId}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        await sendTelegramHotPing(launchForEmbed, hotStats, { chatId, delayMs });
       }
-      if (isTrending) {
-        for (const t of telegramTrendingTargets || []) {
-          const key = `tr:${t.chatId}:${t.messageThreadId ?? ""}`;
-          if (seen.has(key)) continue;
-          seen.add(key);
-          await sendTelegramHotPing(launchForEmbed, hotStats, {
-            chatId: t.chatId,
-            messageThreadId: t.messageThreadId,
-            trending: true,
-          }).catch(() => {});
-        }
+      for (const t of telegramHotTargets || []) {
+        const key = `h:${t.chatId}:${t.messageThreadId ?? ""}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        await sendTelegramHotPing(launchForEmbed, hotStats, {
+          chatId: t.chatId,
+          messageThreadId: t.messageThreadId,
+          delayMs,
+        });
       }
-    } catch (e) {
-      console.error("Telegram hot/trending ping failed:", e.message);
     }
-  };
-  if (telegramDelayMs > 0) setTimeout(runTelegramHotTrend, telegramDelayMs);
-  else void runTelegramHotTrend();
+    if (isTrending) {
+      for (const t of telegramTrendingTargets || []) {
+        const key = `tr:${t.chatId}:${t.messageThreadId ?? ""}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        await sendTelegramHotPing(launchForEmbed, hotStats, {
+          chatId: t.chatId,
+          messageThreadId: t.messageThreadId,
+          trending: true,
+          delayMs,
+        });
+      }
+    }
+  } catch (e) {
+    console.error("Telegram hot/trending ping failed:", e.message);
+  }
 }
 
 /**
@@ -0,0 +1,130 @@
+/**
+ * Persistent launch archive keyed by `${chainId}:${tokenAddress}`.
+ * notify.js records every launch it fetches so `notify --backfill` can replay gaps after downtime.
+ * Stored via state-storage.js (LAUNCH_ARCHIVE_FILE or the SQLite driver).
+ */
+
+import { join } from "path";
+import { defineStateDocument } from "./state-storage.js";
+
+const LAUNCH_ARCHIVE_FILE = process.env.LAUNCH_ARCHIVE_FILE || join(process.cwd(), ".bankr-launch-archive.json");
+/** Max archived launches kept (oldest dropped first). Default 20000. */
+const LAUNCH_ARCHIVE_MAX = Math.max(100, parseInt(process.env.LAUNCH_ARCHIVE_MAX || "20000", 10) || 20000);
+
+const archiveDoc = defineStateDocument("launch-archive", LAUNCH_ARCHIVE_FILE, { indent: 0 });
+
+let _chain = Promise.resolve();
+
+function queue(fn) {
+  _chain = _chain.then(fn, fn);
+  return _chain;
+}
+
+/**
+ * @typedef {{
+ *   key: string,
+ *   chainId: number,
+ *   tokenAddress: string,
+ *   deployedAtMs: number|null,
+ *   firstSeenAtMs: number,
+ *   sources: string[],
+ *   launch: object,
+ * }} ArchivedLaunch
+ */
+
+export function launchArchiveKey(chainId, tokenAddress) {
+  return `${chainId}:${String(tokenAddress).trim().toLowerCase()}`;
+}
+
+async function loadAll() {
+  try {
+    const j = await archiveDoc.read();
+    const launches = j?.launches;
+    return launches && typeof launches === "object" && !Array.isArray(launches) ? launches : {};
+  } catch {
+    return {};
+  }
+}
+
+/** Deploy time if known, else when we first saw it (used for --since windows and pruning). */
+function entryTimeMs(entry) {
+  return entry.deployedAtMs ?? entry.firstSeenAtMs ?? 0;
+}
+
+function prune(launches) {
+  const keys = Object.keys(launches);
+  if (keys.length <= LAUNCH_ARCHIVE_MAX) return launches;
+  keys.sort((a, b) => entryTimeMs(launches[a]) - entryTimeMs(launches[b]));
+  for (const k of keys.slice(0, keys.length - LAUNCH_ARCHIVE_MAX)) delete launches[k];
+  return launches;
+}
+
+/** Drop per-cycle enrichment so the archive only holds source data. */
+function archivableLaunch(launch) {
+  const { isWatchMatch, passedFilters, deployCount, feeRecipientDeployCount, watchMatchReasons, risk, copycat, ...rest } = launch;
+  return rest;
+}
+
+/**
+ * Record fetched launches. Existing entries keep firstSeenAtMs; richer fields (launcher, beneficiaries, deploy time) fill in.
+ * The archive is only rewritten when an entry was added or changed (most polls re-fetch launches it already holds).
+ * @param {object[]} launches - notify.js launch shape (tokenAddress required)
+ * @param {{ chainId: number, source: string, nowMs?: number }} opts - source e.g. "bankr" | "indexer" | "chain"
+ * @returns {Promise<number>} count of launches that were not archived before
+ */
+export function archiveLaunches(launches, { chainId, source, nowMs = Date.now() }) {
+  if (!launches?.length) return Promise.resolve(0);
+  return queue(async () => {
+    const all = await loadAll();
+    let added = 0;
+    let changed = false;
+    for (const launch of launches) {
+      if (!launch?.tokenAddress || !/^0x[a-fA-F0-9]{40}$/.test(String(launch.tokenAddress).trim())) continue;
+      const key = launchArchiveKey(chainId, launch.tokenAddress);
+      const prev = all[key];
+      const deployedAtMs = [launch.deployedAtMsFromBankr, launch.firstSeenAtMs].find((t) => Number.isFinite(t)) ?? null;
+      if (!prev) added++;
+      const merged = { ...(prev?.launch || {}) };
+      for (const [k, v] of Object.entries(archivableLaunch(launch))) {
+        if (v != null && !(Array.isArray(v) && v.length === 0)) merged[k] = v;
+      }
+      const entry = {
+        key,
+        chainId,
+        tokenAddress: String(launch.tokenAddress).trim().toLowerCase(),
+        deployedAtMs: deployedAtMs ?? prev?.deployedAtMs ?? null,
+        firstSeenAtMs: prev?.firstSeenAtMs ?? nowMs,
+        sources: [...new Set([...(prev?.sources || []), source])],
+        launch: merged,
+      };
+      if (prev && JSON.stringify(prev) === JSON.stringify(entry)) continue;
+      all[key] = entry;
+      changed = true;
+    }
+    if (changed) await archiveDoc.write({ launches: prune(all) });
+    return added;
+  });
+}
+
+/**
+ * Archived launches in a time window, oldest first.
+ * @param {{ chainId: number, sinceMs?: number, untilMs?: number }} opts
+ * @returns {Promise<ArchivedLaunch[]>}
+ */
+export async function listArchivedLaunches({ chainId, sinceMs = 0, untilMs = Infinity }) {
+  const all = await loadAll();
+  return Object.values(all)
+    .filter((e) => e.chainId === chainId)
+    .filter((e) => {
+      const t = entryTimeMs(e);
+      return t >= sinceMs && t <= untilMs;
+    })
+    .sort((a, b) => entryTimeMs(a) - entryTimeMs(b));
+}
+
+/** @returns {Promise<ArchivedLaunch | null>} */
+export async function getArchivedLaunch(chainId, tokenAddress) {
+  if (!tokenAddress) return null;
+  const all = await loadAll();
+  return all[launchArchiveKey(chainId, tokenAddress)] ?? null;
+}
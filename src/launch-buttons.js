@@ -0,0 +1,79 @@
+/**
+ * Action buttons under bot-posted launch / hot / trending embeds (Discord message components).
+ * Custom IDs carry everything the click handler needs, so buttons keep working after restarts:
+ *   launch:w:<token>:<deployer>  Add deployer wallet to the server's /alert-watchlist
+ *   launch:c:<token>             Add token to /claim-watch
+ *   launch:a:<token>             /activity-watch rule with LAUNCH_BUTTON_ACTIVITY_* defaults
+ *   launch:t:<token>             Trend card (buildTokenTrendCard), ephemeral
+ *   launch:l:<token>:<deployer>  /lookup of the deployer wallet, ephemeral
+ * Watch / claim-watch / activity-watch change server config and need Manage Server (handled in discord-bot.js).
+ *
+ * Env:
+ *   DISCORD_LAUNCH_BUTTONS - false or 0 to post launch embeds without buttons (default on).
+ *   LAUNCH_BUTTON_ACTIVITY_MIN_BUYS_15M - "Activity-watch" button: buys in ~15m threshold (default 10, 0 = off).
+ *   LAUNCH_BUTTON_ACTIVITY_MCAP_USD - "Activity-watch" button: market cap threshold in USD (default 100000, 0 = off).
+ */
+
+import { ButtonStyle, ComponentType } from "discord.js";
+
+export const LAUNCH_BUTTONS_ENABLED = process.env.DISCORD_LAUNCH_BUTTONS !== "false" && process.env.DISCORD_LAUNCH_BUTTONS !== "0";
+
+const PREFIX = "launch";
+const ADDRESS_RE = /^0x[a-f0-9]{40}$/;
+
+/** Short action codes (custom IDs are capped at 100 characters). */
+export const LAUNCH_BUTTON_ACTIONS = {
+  w: "watch-deployer",
+  c: "claim-watch",
+  a: "activity-watch",
+  t: "trend",
+  l: "lookup-deployer",
+};
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name] ?? "", 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/** Spec passed to addActivityWatchEntry by the "Activity-watch" button (tokenAddress added per click). */
+export const LAUNCH_BUTTON_ACTIVITY_DEFAULTS = {
+  minBuys15m: envInt("LAUNCH_BUTTON_ACTIVITY_MIN_BUYS_15M", 10) || null,
+  mcapUsdMin: envInt("LAUNCH_BUTTON_ACTIVITY_MCAP_USD", 100_000) || null,
+};
+
+function button(customId, label, style = ButtonStyle.Secondary) {
+  return { type: ComponentType.Button, custom_id: customId, label, style };
+}
+
+/**
+ * Action row for a launch embed. Plain JSON so outbound jobs can persist it.
+ * @param {{ tokenAddress: string, launcher?: string|null }} launch
+ * @returns {object[]} components array ([] when disabled or the token address is invalid)
+ */
+export function buildLaunchButtonRows(launch) {
+  if (!LAUNCH_BUTTONS_ENABLED) return [];
+  const token = String(launch?.tokenAddress ?? "").toLowerCase();
+  if (!ADDRESS_RE.test(token)) return [];
+  const deployer = String(launch?.launcher ?? "").toLowerCase();
+  const hasDeployer = ADDRESS_RE.test(deployer);
+  const buttons = [
+    hasDeployer ? button(`${PREFIX}:w:${token}:${deployer}`, "Watch deployer") : null,
+    button(`${PREFIX}:c:${token}`, "Claim-watch"),
+    button(`${PREFIX}:a:${token}`, "Activity-watch"),
+    button(`${PREFIX}:t:${token}`, "Trend card", ButtonStyle.Primary),
+    hasDeployer ? button(`${PREFIX}:l:${token}:${deployer}`, "Lookup deployer") : null,
+  ].filter(Boolean);
+  return [{ type: ComponentType.ActionRow, components: buttons }];
+}
+
+/**
+ * @param {string} customId
+ * @returns {{ action: string, tokenAddress: string, deployer: string|null } | null} null when not a launch button
+ */
+export function parseLaunchButtonId(customId) {
+  const [prefix, code, token, deployer] = String(customId ?? "").split(":");
+  if (prefix !== PREFIX || !LAUNCH_BUTTON_ACTIONS[code] || !ADDRESS_RE.test(token ?? "")) return null;
+  const needsDeployer = code === "w" || code === "l";
+  if (needsDeployer && !ADDRESS_RE.test(deployer ?? "")) return null;
+  return { action: LAUNCH_BUTTON_ACTIONS[code], tokenAddress: token, deployer: needsDeployer ? deployer : null };
+}
@@ -0,0 +1,200 @@
+/**
+ * Rug / risk score for new launches (0–100 plus reasons), shown on launch cards and filterable per server
+ * with /setup rules max_risk_score (FILTER_MAX_RISK_SCORE for the env curated feed).
+ *
+ * Signals (each one is skipped when its data source is unavailable or slow):
+ *   serial      - Launcher has many deploys (notify deploy counts / Bankr role counts).
+ *   fee_no_x    - Fee recipient is a different wallet with no X account.
+ *   fresh       - Launcher wallet has (almost) no transactions and no earlier deploys (RPC nonce).
+ *   image/name  - Same image or name as an earlier launch (launch.copycat from copycat-detect.js, run first).
+ *   holders     - Top holders (excluding pool / Doppler contracts) own a large share of supply (Doppler indexer).
+ *
+ * Env:
+ *   RISK_SCORE_ENABLED - Set to 0/false to skip scoring.
+ *   RISK_SERIAL_DEPLOYS - Deploy count that flags a serial deployer (default 5).
+ *   RISK_FRESH_WALLET_MAX_TXS - Launcher nonce at or below this counts as a fresh wallet (default 2).
+ *   RISK_TOP_HOLDERS_PCT - Top-10 holder share (%) that flags concentration (default 40).
+ *   RISK_LOOKUP_TIMEOUT_MS - Per-signal timeout for RPC / indexer lookups (default 4000).
+ *   RISK_MAX_LOOKUPS - Launches per cycle that get RPC / indexer lookups; the rest use local signals only (default 25).
+ *
+ * Launches are scored RISK_CONCURRENCY at a time.
+ */
+
+import { createPublicClient, http } from "viem";
+import { base, baseSepolia } from "viem/chains";
+import { DOPPLER_CONTRACTS_BASE } from "./config.js";
+import { mapLimit } from "./map-limit.js";
+import { counter } from "./metrics.js";
+
+const CHAIN_ID = parseInt(process.env.CHAIN_ID || "8453", 10);
+const DEFAULT_INDEXER = CHAIN_ID === 8453 ? "https://bankr.indexer.doppler.lol" : "https://testnet-indexer.doppler.lol";
+const RISK_SERIAL_DEPLOYS = Math.max(1, parseInt(process.env.RISK_SERIAL_DEPLOYS || "5", 10) || 5);
+const RISK_FRESH_WALLET_MAX_TXS = Math.max(0, parseInt(process.env.RISK_FRESH_WALLET_MAX_TXS ?? "2", 10) || 0);
+const RISK_TOP_HOLDERS_PCT = Math.min(100, Math.max(1, Number(process.env.RISK_TOP_HOLDERS_PCT || "40") || 40));
+const RISK_LOOKUP_TIMEOUT_MS = Math.max(500, parseInt(process.env.RISK_LOOKUP_TIMEOUT_MS || "4000", 10) || 4000);
+const RISK_MAX_LOOKUPS = Math.max(0, parseInt(process.env.RISK_MAX_LOOKUPS ?? "25", 10) || 0);
+const RISK_CONCURRENCY = 4;
+/** Holders counted for concentration. */
+const TOP_HOLDERS = 10;
+/** Uniswap v4 PoolManager on Base: holds the pool side of every Doppler v4 launch. */
+const V4_POOL_MANAGER = "0x498581ff718922c3f8e6a244956af099b2652b2b";
+const EXCLUDED_HOLDERS = new Set(
+  [...Object.values(DOPPLER_CONTRACTS_BASE), V4_POOL_MANAGER, "0x0000000000000000000000000000000000000000", "0x000000000000000000000000000000000000dead"].map((a) =>
+    a.toLowerCase()
+  )
+);
+
+export const RISK_LEVELS = { high: 60, medium: 30 };
+
+const launchRiskTotal = counter("bankr_launch_risk_total", "Launches scored by the risk module, by level.", ["level"]);
+
+export function riskScoreEnabled() {
+  return !/^(0|false|no)$/i.test(String(process.env.RISK_SCORE_ENABLED ?? "").trim());
+}
+
+function normWallet(v) {
+  const s = v && String(v).trim().toLowerCase();
+  return s && /^0x[a-f0-9]{40}$/.test(s) ? s : null;
+}
+
+function feeRecipient(launch) {
+  const b0 = launch?.beneficiaries?.[0];
+  if (!b0) return { wallet: null, x: null };
+  if (typeof b0 !== "object") return { wallet: normWallet(b0), x: null };
+  const x = b0.xUsername ? String(b0.xUsername).trim().replace(/^@/, "") : "";
+  return { wallet: normWallet(b0.beneficiary ?? b0.address ?? b0.wallet), x: x || null };
+}
+
+function tokenLabel(ref) {
+  const short = `${ref.tokenAddress.slice(0, 6)}…${ref.tokenAddress.slice(-4)}`;
+  return ref.symbol ? `$${ref.symbol} (${short})` : short;
+}
+
+/**
+ * Pure scoring from a launch (notify shape with deployCount / bankrDeployCount) and looked-up signals.
+ * @param {object} launch
+ * @param {{ deployerTxCount?: number|null, reusedImage?: object|null, reusedName?: object|null, topHoldersPct?: number|null }} [signals]
+ * @returns {{ score: number, level: "low"|"medium"|"high", reasons: Array<{ code: string, points: number, text: string }> }}
+ */
+export function scoreLaunchRisk(launch, signals = {}) {
+  const reasons = [];
+  const add = (code, points, text) => reasons.push({ code, points, text });
+  const launcher = normWallet(launch?.launcher);
+  const deploys = Math.max(Number(launch?.bankrDeployCount) || 0, Number(launch?.deployCount) || 0);
+
+  if (deploys >= RISK_SERIAL_DEPLOYS) {
+    add("serial", deploys >= RISK_SERIAL_DEPLOYS * 4 ? 35 : 25, `Serial deployer: ${deploys} launches from this wallet`);
+  }
+  const fee = feeRecipient(launch);
+  if (launcher && fee.wallet && fee.wallet !== launcher && !fee.x) {
+    add("fee_no_x", 20, "Fee recipient is a different wallet with no X account");
+  }
+  const txs = signals.deployerTxCount;
+  if (launcher && txs != null && txs <= RISK_FRESH_WALLET_MAX_TXS && deploys <= 1) {
+    add("fresh", 15, `Fresh deployer wallet (${txs} transaction${txs === 1 ? "" : "s"}, no earlier launches)`);
+  }
+  if (signals.reusedImage) add("image", 20, `Same image as ${tokenLabel(signals.reusedImage)}`);
+  if (signals.reusedName) add("name", 15, `Same name as ${tokenLabel(signals.reusedName)}`);
+  const pct = signals.topHoldersPct;
+  if (pct != null && pct >= RISK_TOP_HOLDERS_PCT) {
+    add("holders", 25, `Top ${TOP_HOLDERS} holders own ${pct.toFixed(1)}% of supply`);
+  }
+
+  const score = Math.min(100, reasons.reduce((sum, r) => sum + r.points, 0));
+  const level = score >= RISK_LEVELS.high ? "high" : score >= RISK_LEVELS.medium ? "medium" : "low";
+  return { score, level, reasons };
+}
+
+/** One-line label for cards, e.g. "🔴 High · 65/100". */
+export function formatRiskLabel(risk) {
+  if (!risk) return null;
+  const icon = risk.level === "high" ? "🔴" : risk.level === "medium" ? "🟡" : "🟢";
+  return `${icon} ${risk.level[0].toUpperCase()}${risk.level.slice(1)} · ${risk.score}/100`;
+}
+
+/** Resolve with null instead of throwing or hanging past RISK_LOOKUP_TIMEOUT_MS. */
+function settle(promise) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(null), RISK_LOOKUP_TIMEOUT_MS);
+  });
+  return Promise.race([Promise.resolve(promise).catch(() => null), timeout]).finally(() => clearTimeout(timer));
+}
+
+let publicClient;
+
+function getClient() {
+  if (!publicClient) {
+    publicClient = createPublicClient({
+      chain: CHAIN_ID === 84532 ? baseSepolia : base,
+      transport: http(process.env.RPC_URL_BASE || process.env.RPC_URL || undefined),
+    });
+  }
+  return publicClient;
+}
+
+async function fetchDeployerTxCount(wallet) {
+  if (!wallet) return null;
+  return getClient().getTransactionCount({ address: wallet });
+}
+
+/** Share of supply (%) held by the top non-protocol holders, from the Doppler indexer's per-user asset balances. */
+async function fetchTopHoldersPct(tokenAddress, indexerUrl) {
+  const addr = normWallet(tokenAddress);
+  if (!addr) return null;
+  const query = `query {
+    tokens(where: { chainId: ${CHAIN_ID}, address: "${addr}" }, limit: 1) { items { totalSupply } }
+    userAssets(where: { chainId: ${CHAIN_ID}, assetId: "${addr}" }, orderBy: "balance", orderDirection: "desc", limit: ${TOP_HOLDERS + EXCLUDED_HOLDERS.size}) {
+      items { userId balance }
+    }
+  }`;
+  const res = await fetch(`${indexerUrl.replace(/\/$/, "")}/graphql`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ query }),
+  });
+  if (!res.ok) return null;
+  const json = await res.json().catch(() => ({}));
+  const supply = BigInt(json.data?.tokens?.items?.[0]?.totalSupply ?? 0);
+  const holders = json.data?.userAssets?.items;
+  if (supply <= 0n || !Array.isArray(holders)) return null;
+  const top = holders
+    .filter((h) => normWallet(h.userId) && !EXCLUDED_HOLDERS.has(normWallet(h.userId)) && normWallet(h.userId) !== addr)
+    .slice(0, TOP_HOLDERS)
+    .reduce((sum, h) => sum + BigInt(h.balance ?? 0), 0n);
+  return Number((top * 10_000n) / supply) / 100;
+}
+
+/**
+ * Add `risk` ({ score, level, reasons }) to each launch. Never throws; failed lookups just drop their signal.
+ * @param {object[]} launches - notify.js launch shape (after deploy counts / Bankr role counts and detectCopycats)
+ * @param {{ dopplerIndexerUrl?: string }} [options]
+ * @returns {Promise<object[]>}
+ */
+export async function assessLaunchesRisk(launches, options = {}) {
+  if (!riskScoreEnabled() || !launches?.length) return launches;
+  const indexerUrl = options.dopplerIndexerUrl || process.env.DOPPLER_INDEXER_URL || DEFAULT_INDEXER;
+  return mapLimit(launches, RISK_CONCURRENCY, async (launch, i) => {
+    const lookups = i < RISK_MAX_LOOKUPS;
+    const [deployerTxCount, topHoldersPct] = lookups
+      ? await Promise.all([
+          settle(fetchDeployerTxCount(normWallet(launch.launcher))),
+          settle(fetchTopHoldersPct(launch.tokenAddress, indexerUrl)),
+        ])
+      : [null, null];
+    const risk = scoreLaunchRisk(launch, {
+      deployerTxCount: deployerTxCount != null ? Number(deployerTxCount) : null,
+      reusedImage: launch.copycat?.matches?.image ?? null,
+      reusedName: launch.copycat?.matches?.name ?? null,
+      topHoldersPct,
+    });
+    launchRiskTotal.inc({ level: risk.level });
+    return { ...launch, risk };
+  });
+}
+
+/** True when the launch has a score above maxScore (null / 0 maxScore = no limit; unscored launches pass). */
+export function exceedsRiskLimit(launch, maxScore) {
+  const max = maxScore != null ? Number(maxScore) : null;
+  return max != null && max > 0 && launch?.risk?.score != null && launch.risk.score > max;
+}
@@ -0,0 +1,208 @@
+/**
+ * Live event stream (Server-Sent Events) at GET /api/v1/stream, served through public-api.js (same tokens).
+ *
+ * Publishes every launch runNotifyCycle() returns and every claim from dopplerClaimWatcher's onFeeClaim,
+ * using the generic webhook data shapes (generic-webhook.js, schema v1):
+ *   id: 1734567890123
+ *   event: launch | claim
+ *   data: {"schema":"bankr-monitor.event","version":1,"type":"launch","data":{...}}
+ *
+ * Query filters (comma-separated, any match passes — same semantics as isWatchMatchForTenant):
+ *   wallet, keyword, x, fc, ca (token address), types (launch,claim). No filters = everything.
+ * Resume: reconnecting EventSource sends Last-Event-ID (or pass ?lastEventId=); buffered events after it are replayed.
+ *
+ * Env:
+ *   LIVE_STREAM_FILE - Replay buffer (state-storage.js document, survives restarts). Default .bankr-live-stream.json
+ *   LIVE_STREAM_BUFFER - Events kept for resume (default 1000).
+ *   LIVE_STREAM_MAX_CLIENTS - Concurrent stream connections (default 100).
+ */
+
+import { join } from "path";
+import { defineStateDocument } from "./state-storage.js";
+import { WEBHOOK_SCHEMA, WEBHOOK_SCHEMA_VERSION, claimWebhookData, launchWebhookData } from "./generic-webhook.js";
+import { isWatchMatchForTenant } from "./watch-match.js";
+import { onFeeClaim } from "./watchers/dopplerClaimWatcher.js";
+import { counter, gauge } from "./metrics.js";
+
+const LIVE_STREAM_FILE = process.env.LIVE_STREAM_FILE || join(process.cwd(), ".bankr-live-stream.json");
+const LIVE_STREAM_BUFFER = Math.max(10, parseInt(process.env.LIVE_STREAM_BUFFER || "1000", 10) || 1000);
+const LIVE_STREAM_MAX_CLIENTS = Math.max(1, parseInt(process.env.LIVE_STREAM_MAX_CLIENTS || "100", 10) || 100);
+/** Comment line so proxies (Railway, Cloudflare) keep idle streams open. */
+const HEARTBEAT_MS = 25_000;
+export const LIVE_STREAM_EVENT_TYPES = ["launch", "claim"];
+
+const bufferDoc = defineStateDocument("live-stream", LIVE_STREAM_FILE, { indent: 0 });
+
+const eventsPublishedTotal = counter("bankr_live_stream_events_total", "Events published to the live stream.", ["type"]);
+
+/** @type {Array<{ id: number, type: string, createdAt: string, data: object }>} */
+let buffer = [];
+let lastId = 0;
+let loaded = null;
+let persistTimer = null;
+/** @type {Set<{ res: import("http").ServerResponse, filter: object }>} */
+const clients = new Set();
+
+gauge("bankr_live_stream_clients", "Open live stream (SSE) connections.", [], (g) => g.set({}, clients.size));
+
+function loadBuffer() {
+  if (!loaded) {
+    loaded = (async () => {
+      try {
+        const j = await bufferDoc.read();
+        const saved = Array.isArray(j?.events) ? j.events.filter((e) => Number.isFinite(e?.id)) : [];
+        // Events published before the load finished come after the saved ones.
+        buffer = [...saved, ...buffer].slice(-LIVE_STREAM_BUFFER);
+        lastId = Math.max(lastId, ...buffer.map((e) => e.id), 0);
+      } catch (e) {
+        console.warn("[live-stream] could not read replay buffer:", e?.message ?? e);
+      }
+    })();
+  }
+  return loaded;
+}
+
+function schedulePersist() {
+  if (persistTimer) return;
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    void loadBuffer()
+      .then(() => bufferDoc.write({ events: buffer }))
+      .catch((e) => console.warn("[live-stream] saving replay buffer failed:", e?.message ?? e));
+  }, 1000);
+}
+
+/** Ids are ms timestamps bumped to stay strictly increasing, so they keep increasing across restarts too. */
+function nextId() {
+  lastId = Math.max(Date.now(), lastId + 1);
+  return lastId;
+}
+
+function splitParam(url, name) {
+  return String(url.searchParams.get(name) ?? "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Query params → { types, watchList } in the isWatchMatchForTenant watch-list shape (null watchList = no filter).
+ * @param {URL} url
+ */
+export function parseLiveStreamFilter(url) {
+  const lower = (name) => splitParam(url, name).map((s) => s.toLowerCase());
+  const types = lower("types").filter((t) => LIVE_STREAM_EVENT_TYPES.includes(t));
+  const watchList = {
+    wallet: new Set(lower("wallet").filter((a) => /^0x[a-f0-9]{40}$/.test(a))),
+    keywords: new Set(lower("keyword")),
+    x: new Set(lower("x").map((h) => h.replace(/^@/, ""))),
+    fc: new Set(lower("fc").map((h) => h.replace(/^@/, ""))),
+    tokenAddresses: new Set(lower("ca").filter((a) => /^0x[a-f0-9]{40}$/.test(a))),
+  };
+  const hasWatch = Object.values(watchList).some((s) => s.size > 0);
+  return { types: types.length > 0 ? types : null, watchList: hasWatch ? watchList : null };
+}
+
+/** Launch-shaped view of an event's data so claims run through the same watch matcher (claimer/beneficiary as wallets). */
+function matchableLaunch(event) {
+  const d = event.data;
+  if (event.type === "claim") {
+    return { tokenAddress: d.tokenAddress, symbol: d.symbol, launcher: d.claimer, beneficiaries: [d.beneficiary].filter(Boolean) };
+  }
+  return {
+    tokenAddress: d.tokenAddress,
+    name: d.name,
+    symbol: d.symbol,
+    launcher: d.launcher?.wallet,
+    launcherX: d.launcher?.x,
+    launcherFarcaster: d.launcher?.farcaster,
+    beneficiaries: (d.beneficiaries || []).map((b) => b.wallet),
+  };
+}
+
+export function liveEventMatches(event, filter) {
+  if (filter.types && !filter.types.includes(event.type)) return false;
+  return !filter.watchList || isWatchMatchForTenant(matchableLaunch(event), filter.watchList);
+}
+
+function writeEvent(res, event) {
+  const payload = {
+    schema: WEBHOOK_SCHEMA,
+    version: WEBHOOK_SCHEMA_VERSION,
+    id: String(event.id),
+    type: event.type,
+    createdAt: event.createdAt,
+    data: event.data,
+  };
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(payload)}\n\n`);
+}
+
+/**
+ * Add one event to the replay buffer and push it to matching subscribers.
+ * @param {"launch"|"claim"} type
+ * @param {object} data - generic-webhook data shape
+ */
+export function publishLiveEvent(type, data) {
+  const event = { id: nextId(), type, createdAt: new Date().toISOString(), data };
+  buffer.push(event);
+  if (buffer.length > LIVE_STREAM_BUFFER) buffer.splice(0, buffer.length - LIVE_STREAM_BUFFER);
+  eventsPublishedTotal.inc({ type });
+  for (const client of clients) {
+    if (liveEventMatches(event, client.filter)) writeEvent(client.res, event);
+  }
+  void loadBuffer();
+  schedulePersist();
+  return event;
+}
+
+/** notify.js: launches returned by runNotifyCycle (raw notify launch shape). */
+export function publishLaunches(launches) {
+  for (const launch of launches || []) {
+    if (launch?.tokenAddress) publishLiveEvent("launch", launchWebhookData(launch));
+  }
+}
+
+onFeeClaim((claim) => publishLiveEvent("claim", claimWebhookData(claim)));
+
+/**
+ * Serve one SSE connection. Auth and rate limiting happen in public-api.js.
+ * @param {import("http").IncomingMessage} req
+ * @param {import("http").ServerResponse} res
+ * @param {URL} url
+ * @returns {Promise<boolean>} false when the connection limit is reached (caller replies 503)
+ */
+export async function handleLiveStream(req, res, url) {
+  if (clients.size >= LIVE_STREAM_MAX_CLIENTS) return false;
+  const filter = parseLiveStreamFilter(url);
+  const resumeFrom = Number(req.headers["last-event-id"] ?? url.searchParams.get("lastEventId"));
+  await loadBuffer();
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-store",
+    Connection: "keep-alive",
+    "Access-Control-Allow-Origin": "*",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 5000\n\n");
+  if (Number.isFinite(resumeFrom) && resumeFrom > 0) {
+    for (const event of buffer) {
+      if (event.id > resumeFrom && liveEventMatches(event, filter)) writeEvent(res, event);
+    }
+  }
+  const client = { res, filter };
+  clients.add(client);
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+  const close = () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  };
+  req.on("close", close);
+  res.on("error", close);
+  return true;
+}
+
+/** Close every stream (shutdown / tests). */
+export function closeLiveStreams() {
+  for (const client of [...clients]) client.res.end();
+  clients.clear();
+}
@@ -15,7 +15,8 @@ import "dotenv/config";
 import { dirname } from "path";
 import { fileURLToPath } from "url";
 import { defaultBankrApiKey } from "./bankr-env-key.js";
-import { bankrApiUserAgent } from "./brand.js";
+import { listBankrLaunches, postBankrDeploy, searchBankrLaunches } from "./bankr-api.js";
+import { recordCacheLookup } from "./metrics.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 // How many launches to scan from full list (with API key) to find all tokens for a wallet. Higher = more pages/faster for big deployers.
@@ -29,8 +30,6 @@ const BANKR_RESOLVE_HANDLE_LIST_LIMIT = Math.min(
 );
 // When handle not found in newest launches, fetch this many oldest (order=asc) to resolve X/FC -> wallet
 const OLDEST_FETCH_LIMIT = Math.min(parseInt(process.env.BANKR_OLDEST_FETCH_LIMIT || "10000", 10), 50000);
-const SEARCH_API = "https://api.bankr.bot/token-launches/search";
-const DEPLOY_API = "https://api.bankr.bot/token-launches/deploy";
 const SEARCH_PAGE_SIZE = Math.min(Math.max(parseInt(process.env.BANKR_SEARCH_PAGE_SIZE || "25", 10), 5), 50);
 /** Max offset pages for token-launches/search when API sets hasMore (wallet lookups can have 20+ tokens). */
 const BANKR_SEARCH_MAX_PAGES = Math.min(Math.max(parseInt(process.env.BANKR_SEARCH_MAX_PAGES || "40", 10), 3), 80);
@@ -38,11 +37,6 @@ const BANKR_SEARCH_MAX_PAGES = Math.min(Math.max(parseInt(process.env.BANKR_SEAR
 const BANKR_WALLET_ROLE_COUNT_TTL_MS = parseInt(process.env.BANKR_WALLET_ROLE_COUNT_TTL_MS || "300000", 10);
 const bankrWalletRoleCountCache = new Map();
 
-const BANKR_FETCH_HEADERS = {
-  Accept: "application/json",
-  "User-Agent": bankrApiUserAgent("lookup"),
-};
-
 /** Optional handle -> wallet overrides (e.g. BANKR_HANDLE_WALLET_OVERRIDES='{"gork":"0x23..."}') when API doesn't return them. */
 function getHandleOverrides() {
   const raw = process.env.BANKR_HANDLE_WALLET_OVERRIDES;
@@ -146,17 +140,12 @@ function mergeLaunchesWithoutDuplicates(launches, toAdd) {
   }
 }
 
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
-
 /**
  * Single search strategy: pass headerKey=null to omit X-API-Key (browser-like).
- * Retries a few times on 429 so brief rate limits don't zero out /lookup merges.
+ * bankr-api.js retries 429s so brief rate limits don't zero out /lookup merges.
  */
 async function fetchSearchWithHeader(query, headerKey) {
-  const q = encodeURIComponent(String(query).trim());
-  if (!q) return null;
+  if (!String(query).trim()) return null;
   const seen = new Set();
   const out = [];
   let offset = 0;
@@ -168,17 +157,9 @@ async function fetchSearchWithHeader(query, headerKey) {
 
   try {
     for (let pageNum = 0; pageNum < BANKR_SEARCH_MAX_PAGES; pageNum++) {
-      const url = `${SEARCH_API}?q=${q}&limit=${pageSize}&offset=${offset}`;
-      let res;
-      for (let attempt = 0; attempt < 4; attempt++) {
-        res = await fetch(url, {
-          headers: { ...BANKR_FETCH_HEADERS, ...(headerKey && { "X-API-Key": headerKey }) },
-        });
-        if (res.status !== 429) break;
-        await sleep(400 * (attempt + 1) + Math.floor(Math.random() * 120));
-      }
-      if (!res.ok) break;
-      const json = await res.json();
+      const res = await searchBankrLaunches(query, { limit: pageSize, offset, apiKey: headerKey, userAgent: "lookup" });
+      if (!res.ok || !res.data) break;
+      const json = res.data;
       const { arrays, total, hasMore } = getSearchResultArrays(json);
       if (searchUsesHasMoreField === null) searchUsesHasMoreField = searchApiExposesHasMore(json);
       if (arrays.length > 0 && offset === 0) {
@@ -249,20 +230,9 @@ export async function fetchSearch(query, apiKey) {
 async function fetchLaunchesPage(offset, pageSize = 50, order, apiKey) {
   const key = defaultBankrApiKey(apiKey);
   if (!key) return { launches: [], rateLimited: false };
-  let url = `https://api.bankr.bot/token-launches?limit=${pageSize}&offset=${offset}`;
-  if (order === "asc") url += "&order=asc";
-  let res;
-  for (let attempt = 0; attempt < 3; attempt++) {
-    res = await fetch(url, {
-      headers: { ...BANKR_FETCH_HEADERS, "X-API-Key": key, Accept: "application/json" },
-    });
-    if (res.status !== 429) break;
-    await sleep(600 * (attempt + 1) + Math.floor(Math.random() * 200));
-  }
+  const res = await listBankrLaunches({ limit: pageSize, offset, order: order === "asc" ? "asc" : undefined, apiKey: key, userAgent: "lookup" });
   if (res.status === 429) return { launches: [], rateLimited: true };
-  if (!res.ok) return { launches: [], rateLimited: false };
-  const json = await res.json();
-  return { launches: json.launches?.filter((l) => isSearchRowDeployed(l)) ?? [], rateLimited: false };
+  return { launches: res.launches.filter((l) => isSearchRowDeployed(l)), rateLimited: false };
 }
 
 const FULL_LIST_CONCURRENCY = Math.min(parseInt(process.env.BANKR_FULL_LIST_CONCURRENCY || "10", 10), 20);
@@ -287,9 +257,9 @@ async function getCachedLaunches(limit, order, apiKey) {
   if (!key) return [];
   const cacheKey = `${bankrKeyFingerprint(key)}:${limit}:${order ?? "newest"}`;
   const now = Date.now();
-  if (_listCache && _listCacheKey === cacheKey && now - _listCacheTime < LIST_CACHE_TTL_MS) {
-    return _listCache;
-  }
+  const hit = _listCache && _listCacheKey === cacheKey && now - _listCacheTime < LIST_CACHE_TTL_MS;
+  recordCacheLookup("lookup_launch_list", hit);
+  if (hit) return _listCache;
   _listCache = await fetchAllLaunches(limit, order, key);
   _listCacheKey = cacheKey;
   _listCacheTime = now;
@@ -731,19 +701,13 @@ async function resolveHandleViaDeploySimulate(handle, apiKey, opts = {}) {
       type === "x" ? [...new Set([...hints.map((h) => String(h).trim()), handle])] : [handle];
     for (const value of valueCandidates) {
       try {
-        let res;
-        for (let attempt = 0; attempt < 3; attempt++) {
-          res = await fetch(DEPLOY_API, {
-            method: "POST",
-            headers: { "Content-Type": "application/json", "X-API-Key": key.trim() },
-            body: JSON.stringify({ tokenName: "ResolveCheck", simulateOnly: true, feeRecipient: { type, value } }),
-          });
-          if (res.status !== 429) break;
-          await sleep(600 * (attempt + 1) + Math.floor(Math.random() * 200));
-        }
+        const res = await postBankrDeploy(
+          { tokenName: "ResolveCheck", simulateOnly: true, feeRecipient: { type, value } },
+          { apiKey: key.trim(), userAgent: "lookup" }
+        );
         if (res.status === 401) return { wallet: null, clubRequired: false, deploy403Hint: null };
         if (res.status === 403) {
-          const body = await res.json().catch(() => ({}));
+          const body = res.data ?? {};
           const parsed = deploySimulate403UserHint(body);
           console.warn(
             `[resolve] deploy simulate 403 for handle="${handle}" type="${type}" clubRequired=${parsed.clubRequired} body=${JSON.stringify(body)} keyTail=...${String(key).slice(-4)}`
@@ -755,7 +719,7 @@ async function resolveHandleViaDeploySimulate(handle, apiKey, opts = {}) {
           };
         }
         if (!res.ok) continue;
-        const data = await res.json().catch(() => ({}));
+        const data = res.data ?? {};
         const creator = data?.feeDistribution?.creator;
         const addr =
           creator?.address ??
@@ -977,9 +941,9 @@ export async function getBankrWalletLaunchRoleCounts(walletAddress, options = {}
   }
   const now = Date.now();
   const cached = bankrWalletRoleCountCache.get(w);
-  if (cached && now - cached.t < BANKR_WALLET_ROLE_COUNT_TTL_MS) {
-    return cached.data;
-  }
+  const hit = cached && now - cached.t < BANKR_WALLET_ROLE_COUNT_TTL_MS;
+  recordCacheLookup("lookup_wallet_role_counts", hit);
+  if (hit) return cached.data;
   try {
     const result = await lookupByDeployerOrFee(w, "both", "newest", { bankrApiKey: apiKey });
     const asDeployer = new Set();
@@ -0,0 +1,25 @@
+/**
+ * Bounded-concurrency map shared by modules that fan out network lookups (copycat checks, risk lookups, digest
+ * snapshots, claimable pool resolution).
+ */
+
+/**
+ * Map items through an async fn with at most `limit` calls in flight. Results keep the input order.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+export async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  return out;
+}
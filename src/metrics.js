@@ -0,0 +1,195 @@
+/**
+ * In-process Prometheus metrics (text exposition format 0.0.4), served at GET /metrics by bankr-app-api.js.
+ * No client library: counters, gauges and histograms with label sets, plus collectors that read live state at scrape time.
+ *
+ * Env:
+ *   METRICS_ENABLED - Set to 0/false to disable the /metrics route.
+ *   METRICS_TOKEN - Required: /metrics answers 503 without it and needs `Authorization: Bearer <token>` (checked in bankr-app-api.js).
+ */
+
+/** Seconds; covers a fast Bankr API poll up to a slow indexer + chain fallback cycle. */
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+const registry = new Map();
+const collectors = [];
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+export function metricsEnabled() {
+  return !/^(0|false|no)$/i.test(String(process.env.METRICS_ENABLED ?? "").trim());
+}
+
+function escapeLabelValue(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((n) => (labels[n] != null ? String(labels[n]) : "")));
+}
+
+function formatLabels(labelNames, values, extra = "") {
+  const parts = labelNames.map((n, i) => `${n}="${escapeLabelValue(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function formatValue(v) {
+  if (v === Infinity) return "+Inf";
+  if (v === -Infinity) return "-Inf";
+  return Number.isNaN(v) ? "NaN" : String(v);
+}
+
+function register(metric) {
+  const existing = registry.get(metric.name);
+  if (existing) {
+    if (existing.type !== metric.type) throw new Error(`Metric ${metric.name} already registered as ${existing.type}`);
+    return existing;
+  }
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+/**
+ * Monotonic counter. Registering the same name twice returns the first instance.
+ * @param {string} name
+ * @param {string} help
+ * @param {string[]} [labelNames]
+ */
+export function counter(name, help, labelNames = []) {
+  const values = new Map();
+  return register({
+    name,
+    help,
+    type: "counter",
+    labelNames,
+    values,
+    inc(labels = {}, n = 1) {
+      if (!(n >= 0)) return;
+      const k = labelKey(labelNames, labels);
+      values.set(k, (values.get(k) ?? 0) + n);
+    },
+    get(labels = {}) {
+      return values.get(labelKey(labelNames, labels)) ?? 0;
+    },
+  });
+}
+
+/**
+ * Gauge: set/inc/dec. Pass `collect` to refresh it from live state on every scrape.
+ * @param {string} name
+ * @param {string} help
+ * @param {string[]} [labelNames]
+ * @param {(g: { set: Function }) => void | Promise<void>} [collect]
+ */
+export function gauge(name, help, labelNames = [], collect) {
+  const values = new Map();
+  const g = register({
+    name,
+    help,
+    type: "gauge",
+    labelNames,
+    values,
+    set(labels = {}, v) {
+      values.set(labelKey(labelNames, labels), Number(v));
+    },
+    inc(labels = {}, n = 1) {
+      const k = labelKey(labelNames, labels);
+      values.set(k, (values.get(k) ?? 0) + n);
+    },
+    dec(labels = {}, n = 1) {
+      g.inc(labels, -n);
+    },
+    get(labels = {}) {
+      return values.get(labelKey(labelNames, labels)) ?? 0;
+    },
+  });
+  if (collect) collectors.push(() => collect(g));
+  return g;
+}
+
+/**
+ * Histogram with cumulative buckets (seconds by convention).
+ * @param {string} name
+ * @param {string} help
+ * @param {string[]} [labelNames]
+ * @param {number[]} [buckets]
+ */
+export function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const sorted = [...buckets].sort((a, b) => a - b);
+  const values = new Map();
+  const h = register({
+    name,
+    help,
+    type: "histogram",
+    labelNames,
+    buckets: sorted,
+    values,
+    observe(labels = {}, v) {
+      if (!Number.isFinite(v)) return;
+      const k = labelKey(labelNames, labels);
+      let s = values.get(k);
+      if (!s) {
+        s = { counts: sorted.map(() => 0), sum: 0, count: 0 };
+        values.set(k, s);
+      }
+      for (let i = 0; i < sorted.length; i++) if (v <= sorted[i]) s.counts[i]++;
+      s.sum += v;
+      s.count++;
+    },
+    /** @returns {(labels?: object) => number} call when done; records and returns elapsed seconds */
+    startTimer(labels = {}) {
+      const t0 = process.hrtime.bigint();
+      return (endLabels = {}) => {
+        const sec = Number(process.hrtime.bigint() - t0) / 1e9;
+        h.observe({ ...labels, ...endLabels }, sec);
+        return sec;
+      };
+    },
+  });
+  return h;
+}
+
+function renderMetric(m) {
+  const lines = [`# HELP ${m.name} ${m.help.replace(/\n/g, " ")}`, `# TYPE ${m.name} ${m.type}`];
+  for (const [k, v] of m.values) {
+    const lv = JSON.parse(k);
+    if (m.type !== "histogram") {
+      lines.push(`${m.name}${formatLabels(m.labelNames, lv)} ${formatValue(v)}`);
+      continue;
+    }
+    m.buckets.forEach((b, i) => {
+      lines.push(`${m.name}_bucket${formatLabels(m.labelNames, lv, `le="${formatValue(b)}"`)} ${v.counts[i]}`);
+    });
+    lines.push(`${m.name}_bucket${formatLabels(m.labelNames, lv, 'le="+Inf"')} ${v.count}`);
+    lines.push(`${m.name}_sum${formatLabels(m.labelNames, lv)} ${formatValue(v.sum)}`);
+    lines.push(`${m.name}_count${formatLabels(m.labelNames, lv)} ${v.count}`);
+  }
+  return lines.join("\n");
+}
+
+/** Run collectors, then render every registered metric. A failing collector is logged and skipped. */
+export async function renderMetrics() {
+  for (const collect of collectors) {
+    try {
+      await collect();
+    } catch (e) {
+      console.error("[metrics] collector failed:", e?.message ?? e);
+    }
+  }
+  return [...registry.values()].map(renderMetric).join("\n\n") + "\n";
+}
+
+const cacheLookupsTotal = counter("bankr_cache_lookups_total", "In-memory cache lookups by cache and result (hit, miss).", ["cache", "result"]);
+
+/** Hit/miss for the in-memory caches (lookup-deployer.js, cashtag-resolve.js); hit rate = hit / (hit + miss). */
+export function recordCacheLookup(cache, hit) {
+  cacheLookupsTotal.inc({ cache, result: hit ? "hit" : "miss" });
+}
+
+// Process-level gauges (a subset of the default Node metrics most dashboards expect).
+const startedAtSec = Math.floor(Date.now() / 1000);
+gauge("process_start_time_seconds", "Start time of the process since unix epoch in seconds.", [], (g) => g.set({}, startedAtSec));
+gauge("process_resident_memory_bytes", "Resident memory size in bytes.", [], (g) => g.set({}, process.memoryUsage().rss));
+gauge("nodejs_heap_size_used_bytes", "Process heap size used from Node.js in bytes.", [], (g) =>
+  g.set({}, process.memoryUsage().heapUsed)
+);
@@ -22,22 +22,39 @@
  *   BANKR_INTEGRATION_ADDRESS - Filter tokens by this fee beneficiary (default: Bankr integration 0xF60633D02690e2A15A54AB919925F3d038Df163e)
  *   BANKR_TOKEN_SUFFIX       - Only treat 0x…40 addresses ending with this as Bankr (default ba3). Applies to indexer + chain fallback + hot pings.
  *   SEEN_FILE            - Path to store seen tokens (default: .bankr-seen.json)
+ *   STORAGE_DRIVER       - json (default) or sqlite; see state-storage.js (STORAGE_SQLITE_FILE)
+ *   LAUNCH_ARCHIVE_FILE  - Every fetched launch, keyed by chain+token (default: .bankr-launch-archive.json)
+ *   FILTER_MAX_RISK_SCORE - Curated: drop launches with a higher risk score (launch-risk.js; RISK_* env tunes the signals)
+ *   FILTER_HIDE_COPYCATS - Curated: drop possible copycats (copycat-detect.js; COPYCAT_* env)
+ *
+ * Backfill after downtime: node src/notify.js --backfill --since <2h | 90m | 1d | ISO time | epoch>
+ *   Fetches the gap from Bankr API + indexer + chain (BACKFILL_CHAIN_MAX_BLOCKS), replays it through the same
+ *   seen/filter/watch logic and posts one catch-up digest per destination instead of one message per launch.
  */
 
-import { readFile, writeFile, mkdir } from "fs/promises";
 import { getWatchList } from "./watch-store.js";
 import { dirname, join } from "path";
 import { fileURLToPath } from "url";
-import { fetchNewLaunches } from "./fetch-from-chain.js";
+import { fetchNewLaunches, fetchRecentLaunches } from "./fetch-from-chain.js";
 import { formatUsd, getHotTokenStats } from "./token-stats.js";
 import { enrichLaunchWithBankrRoleCounts } from "./lookup-deployer.js";
 import { isBankrTokenAddress } from "./bankr-token.js";
 import { defaultBankrApiKey } from "./bankr-env-key.js";
+import { getBankrLaunch, listBankrLaunches } from "./bankr-api.js";
+import { formatClaimAlertContextLines } from "./claim-alert-context.js";
 import { getAddress } from "viem";
 import { listTelegramGroupAlertConfigs, telegramGroupWatchListHasEntries } from "./telegram-group-settings.js";
 import { sendTelegramGroupWatchMatches, mergeTelegramGroupHotTrendingTargets } from "./telegram-group-notify.js";
 import { scheduleHotLaunchTelegramCheck, hasHotTrendingThresholdsConfigured } from "./hot-launch-telegram.js";
 import { BRAND_DISPLAY_NAME } from "./brand.js";
+import { defineStateDocument } from "./state-storage.js";
+import { archiveLaunches, listArchivedLaunches } from "./launch-archive.js";
+import { isWatchMatchForTenant } from "./watch-match.js";
+import { enqueueDiscordWebhook, enqueueTelegramApiCall } from "./outbound-dispatcher.js";
+import { counter, histogram } from "./metrics.js";
+import { publishLaunches } from "./live-stream.js";
+import { assessLaunchesRisk, exceedsRiskLimit, formatRiskLabel } from "./launch-risk.js";
+import { detectCopycats, formatCopycatFields, formatCopycatLabel } from "./copycat-detect.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 // Cap pagination to avoid 429; only need recent launches for notify. Override with BANKR_LAUNCHES_LIMIT.
@@ -51,6 +68,10 @@ let lastBankr429LaunchPollLog = 0;
 const FILTER_X_MATCH = process.env.FILTER_X_MATCH === "1" || process.env.FILTER_X_MATCH === "true";
 const FILTER_FEE_RECIPIENT_HAS_X = process.env.FILTER_FEE_RECIPIENT_HAS_X === "1" || process.env.FILTER_FEE_RECIPIENT_HAS_X === "true";
 const FILTER_MAX_DEPLOYS = process.env.FILTER_MAX_DEPLOYS ? parseInt(process.env.FILTER_MAX_DEPLOYS, 10) : null;
+/** Curated feed skips launches whose risk score (launch-risk.js) is above this. Unset/0 = no limit. */
+const FILTER_MAX_RISK_SCORE = process.env.FILTER_MAX_RISK_SCORE ? parseInt(process.env.FILTER_MAX_RISK_SCORE, 10) : null;
+/** Curated feed skips launches flagged as possible copycats (copycat-detect.js). */
+const FILTER_HIDE_COPYCATS = process.env.FILTER_HIDE_COPYCATS === "1" || process.env.FILTER_HIDE_COPYCATS === "true";
 const DOPPLER_INDEXER_URL =
   process.env.DOPPLER_INDEXER_URL || "https://bankr.indexer.doppler.lol";
 const BANKR_INTEGRATION_ADDRESS = (
@@ -62,6 +83,18 @@ const SEEN_MAX_KEYS = process.env.SEEN_MAX_KEYS != null ? parseInt(process.env.S
 const DEPLOY_COUNT_FILE = process.env.DEPLOY_COUNT_FILE || join(process.cwd(), ".bankr-deploy-counts.json");
 const FEE_RECIPIENT_COUNT_FILE =
   process.env.FEE_RECIPIENT_COUNT_FILE || join(process.cwd(), ".bankr-fee-recipient-counts.json");
+const seenDoc = defineStateDocument("seen", SEEN_FILE, { indent: 0 });
+
+const notifyCycleSeconds = histogram("bankr_notify_cycle_duration_seconds", "runNotifyCycle wall time (fetch + filter + watch match).", ["outcome"]);
+const launchesFetchedTotal = counter("bankr_launches_fetched_total", "Launches returned by each source per notify cycle.", ["source"]);
+const newLaunchesTotal = counter("bankr_new_launches_total", "Launches not seen before that passed filters or the watch list.");
+const launchSourceErrorsTotal = counter(
+  "bankr_launch_source_errors_total",
+  "Launch list fetch failures by source (reason: 429, http, error, empty).",
+  ["source", "reason"]
+);
+const deployCountsDoc = defineStateDocument("deploy-counts", DEPLOY_COUNT_FILE, { indent: 0 });
+const feeRecipientCountsDoc = defineStateDocument("fee-recipient-counts", FEE_RECIPIENT_COUNT_FILE, { indent: 0 });
 const DISCORD_WEBHOOK = process.env.DISCORD_WEBHOOK_URL;
 const TELEGRAM_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 const TELEGRAM_CHAT = process.env.TELEGRAM_CHAT_ID;
@@ -105,10 +138,19 @@ function formatLaunch(t) {
     pool: t.pool?.address ?? t.pool ?? null,
     volumeUsd: t.volumeUsd != null ? String(t.volumeUsd) : null,
     holderCount: t.holderCount ?? null,
+    firstSeenAtMs: indexerTimestampMs(t.firstSeenAt),
     ...links,
   };
 }
 
+/** Indexer timestamps are unix seconds (BigInt string); tolerate ms. */
+function indexerTimestampMs(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n <= 0) return null;
+  return n < 1e12 ? n * 1000 : n;
+}
+
 function normX(u) {
   if (!u || typeof u !== "string") return null;
   return u.startsWith("@") ? u.slice(1).toLowerCase() : u.toLowerCase();
@@ -194,25 +236,25 @@ function formatBankrLaunch(l) {
   };
 }
 
-async function fetchFromBankrApi(apiKey) {
+/**
+ * @param {string} [apiKey]
+ * @param {{ limit?: number, sinceMs?: number }} [opts] - limit defaults to BANKR_LAUNCHES_LIMIT; sinceMs stops paging once a page reaches launches older than it (backfill).
+ */
+async function fetchFromBankrApi(apiKey, opts = {}) {
   const key = defaultBankrApiKey(apiKey);
   if (!key) return null;
+  const limit = opts.limit ?? BANKR_LAUNCHES_LIMIT;
   try {
     const seen = new Set();
     const allLaunches = [];
     const pageSize = 50;
     let offset = 0;
 
-    while (offset < BANKR_LAUNCHES_LIMIT) {
-      const orderParam = offset === 0 ? "&order=desc" : "";
-      const url = `https://api.bankr.bot/token-launches?limit=${pageSize}&offset=${offset}${orderParam}`;
-      const res = await fetch(url, {
-        headers: {
-          "X-API-Key": key,
-          Accept: "application/json",
-        },
-      });
+    while (offset < limit) {
+      // One retry: a longer 429 backoff would hold up the whole notify cycle.
+      const res = await listBankrLaunches({ limit: pageSize, offset, order: offset === 0 ? "desc" : undefined, apiKey: key, retries: 1 });
       if (!res.ok) {
+        launchSourceErrorsTotal.inc({ source: "bankr", reason: res.status === 429 ? "429" : res.status == null ? "error" : "http" });
         if (res.status === 429) {
           const now = Date.now();
           if (
@@ -225,12 +267,11 @@ async function fetchFromBankrApi(apiKey) {
             );
           }
         } else {
-          console.error(`[Bankr API] ${res.status} ${res.statusText}: ${url}`);
+          console.error(`[Bankr API] launch list offset ${offset}: ${res.status ?? res.error}`);
         }
         break;
       }
-      const json = await res.json();
-      const batch = json.launches?.filter((l) => l.status === "deployed") ?? [];
+      const batch = res.launches.filter((l) => l.status === "deployed");
       if (batch.length === 0) break;
 
       for (const l of batch) {
@@ -241,6 +282,10 @@ async function fetchFromBankrApi(apiKey) {
         }
       }
       if (batch.length < pageSize) break;
+      if (opts.sinceMs != null) {
+        const times = batch.map((l) => formatBankrLaunch(l).deployedAtMsFromBankr).filter((t) => t != null);
+        if (times.length > 0 && Math.min(...times) < opts.sinceMs) break;
+      }
       offset += batch.length;
     }
 
@@ -248,6 +293,7 @@ async function fetchFromBankrApi(apiKey) {
       return allLaunches.map(formatBankrLaunch).filter((l) => isBankrTokenAddress(l.tokenAddress));
     }
   } catch (e) {
+    launchSourceErrorsTotal.inc({ source: "bankr", reason: "error" });
     console.error("[Bankr API] Error:", e.message || e);
   }
   return null;
@@ -258,13 +304,7 @@ async function fetchSingleBankrLaunch(tokenAddress, apiKey) {
   const key = defaultBankrApiKey(apiKey);
   if (!key || !tokenAddress) return null;
   try {
-    const url = `https://api.bankr.bot/token-launches/${encodeURIComponent(tokenAddress)}`;
-    const res = await fetch(url, {
-      headers: { Accept: "application/json", "X-API-Key": key },
-    });
-    if (!res.ok) return null;
-    const json = await res.json();
-    const raw = json.launch ?? json;
+    const { launch: raw } = await getBankrLaunch(tokenAddress, { apiKey: key });
     if (raw && (raw.tokenAddress || raw.asset || raw.token)) return raw;
   } catch {
     /* ignore */
@@ -279,23 +319,9 @@ export async function fetchLaunchByTokenAddress(tokenAddress, apiKey) {
   return formatBankrLaunch(raw);
 }
 
-async function fetchLaunches(apiKey) {
-  const key = defaultBankrApiKey(apiKey);
-  if (key && CHAIN_ID === 8453) {
-    const bankrLaunches = await fetchFromBankrApi(key);
-    if (bankrLaunches?.length > 0) return bankrLaunches;
-  }
-
-  // Production indexer: prefer Bankr integration filter. Unscoped `tokens(where: { chainId })` also exists as last resort;
-  // every path is filtered to addresses ending in BANKR_TOKEN_SUFFIX (default ba3) so non-Bankr Doppler tokens never notify.
-  const queryWithBeneficiary = `
-    query TokensByBeneficiary($chainId: Int!, $beneficiary: String!) {
-      tokens(
-        where: { chainId: $chainId, beneficiary: $beneficiary }
-        orderBy: "firstSeenAt"
-        orderDirection: "desc"
-        limit: 50
-      ) {
+/** Doppler indexer GraphQL query shapes, newest first (Bankr integration filter → integrationAddress → unscoped). */
+function indexerTokenQueries(limit) {
+  const fields = `
         items {
           address
           chainId
@@ -308,117 +334,133 @@ async function fetchLaunches(apiKey) {
           pool { address }
           volumeUsd
           holderCount
-        }
+          firstSeenAt
+        }`;
+  return [
+    {
+      query: `
+    query TokensByBeneficiary($chainId: Int!, $beneficiary: String!) {
+      tokens(
+        where: { chainId: $chainId, beneficiary: $beneficiary }
+        orderBy: "firstSeenAt"
+        orderDirection: "desc"
+        limit: ${limit}
+      ) {${fields}
       }
     }
-  `;
-  const queryWithIntegration = `
+  `,
+      variables: { chainId: CHAIN_ID, beneficiary: BANKR_INTEGRATION_ADDRESS },
+    },
+    {
+      query: `
     query TokensByIntegration($chainId: Int!, $integrationAddress: String!) {
       tokens(
         where: { chainId: $chainId, integrationAddress: $integrationAddress }
         orderBy: "firstSeenAt"
         orderDirection: "desc"
-        limit: 50
-      ) {
-        items {
-          address
-          chainId
-          name
-          symbol
-          decimals
-          image
-          creatorAddress
-          tokenUriData
-          pool { address }
-          volumeUsd
-          holderCount
-        }
+        limit: ${limit}
+      ) {${fields}
       }
     }
-  `;
-  const queryLegacy = `
+  `,
+      variables: { chainId: CHAIN_ID, integrationAddress: BANKR_INTEGRATION_ADDRESS },
+    },
+    {
+      query: `
     query Tokens($chainId: Int!) {
       tokens(
         where: { chainId: $chainId }
         orderBy: "firstSeenAt"
         orderDirection: "desc"
-        limit: 50
-      ) {
-        items {
-          address
-          chainId
-          name
-          symbol
-          decimals
-          image
-          creatorAddress
-          tokenUriData
-          pool { address }
-          volumeUsd
-          holderCount
-        }
+        limit: ${limit}
+      ) {${fields}
       }
     }
-  `;
+  `,
+      variables: { chainId: CHAIN_ID },
+    },
+  ];
+}
 
+/**
+ * Newest Bankr tokens from the Doppler indexer (first query shape that returns any).
+ * @param {number} [limit=50]
+ * @returns {Promise<object[]>} notify launch shape
+ */
+async function fetchFromIndexer(limit = 50) {
+  // Production indexer: prefer Bankr integration filter. Unscoped `tokens(where: { chainId })` also exists as last resort;
+  // every path is filtered to addresses ending in BANKR_TOKEN_SUFFIX (default ba3) so non-Bankr Doppler tokens never notify.
   const baseUrl = `${DOPPLER_INDEXER_URL.replace(/\/$/, "")}/graphql`;
-  let items = [];
-
-  for (const { query, variables } of [
-    { query: queryWithBeneficiary, variables: { chainId: CHAIN_ID, beneficiary: BANKR_INTEGRATION_ADDRESS } },
-    { query: queryWithIntegration, variables: { chainId: CHAIN_ID, integrationAddress: BANKR_INTEGRATION_ADDRESS } },
-    { query: queryLegacy, variables: { chainId: CHAIN_ID } },
-  ]) {
+  for (const { query, variables } of indexerTokenQueries(limit)) {
     try {
       const res = await fetch(baseUrl, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({ query, variables }),
       });
-      if (!res.ok) continue;
+      if (!res.ok) {
+        launchSourceErrorsTotal.inc({ source: "indexer", reason: "http" });
+        continue;
+      }
       const json = await res.json();
       if (json.errors?.length) continue;
       const next = json.data?.tokens?.items ?? [];
       const bankrOnly = next.filter((t) => isBankrTokenAddress(t.address));
-      if (bankrOnly.length > 0) {
-        items = bankrOnly;
-        break;
-      }
+      if (bankrOnly.length > 0) return bankrOnly.map(formatLaunch);
     } catch {
+      launchSourceErrorsTotal.inc({ source: "indexer", reason: "error" });
       /* try next query shape */
     }
   }
+  launchSourceErrorsTotal.inc({ source: "indexer", reason: "empty" });
+  return [];
+}
+
+/** fetch-from-chain.js Create-log launch → notify launch shape. */
+function formatChainLaunch(l) {
+  return {
+    name: l.name,
+    symbol: l.symbol,
+    tokenAddress: typeof l.tokenAddress === "string" ? l.tokenAddress.toLowerCase() : l.tokenAddress,
+    launcher: null,
+    beneficiaries: null,
+    image: l.image || null,
+    pool: l.poolId,
+    volumeUsd: null,
+    holderCount: null,
+    x: l.x || null,
+    website: l.website || null,
+  };
+}
+
+/** @returns {Promise<{ launches: object[], source: "bankr" | "indexer" | "chain" }>} */
+async function fetchLaunches(apiKey) {
+  const key = defaultBankrApiKey(apiKey);
+  if (key && CHAIN_ID === 8453) {
+    const bankrLaunches = await fetchFromBankrApi(key);
+    if (bankrLaunches?.length > 0) return { launches: bankrLaunches, source: "bankr" };
+  }
 
-  if (items.length > 0) return items.map(formatLaunch);
+  const items = await fetchFromIndexer(50);
+  if (items.length > 0) return { launches: items, source: "indexer" };
 
   console.error(`Indexer HTTP/GraphQL failed or returned no tokens for chainId ${CHAIN_ID}. Trying chain fallback...`);
   try {
     const chainLaunches = await fetchNewLaunches();
-    return chainLaunches
-      .filter((l) => isBankrTokenAddress(String(l.tokenAddress)))
-      .map((l) => ({
-        name: l.name,
-        symbol: l.symbol,
-        tokenAddress: typeof l.tokenAddress === "string" ? l.tokenAddress.toLowerCase() : l.tokenAddress,
-        launcher: null,
-        beneficiaries: null,
-        image: l.image || null,
-        pool: l.poolId,
-        volumeUsd: null,
-        holderCount: null,
-        x: l.x || null,
-        website: l.website || null,
-      }));
+    return {
+      launches: chainLaunches.filter((l) => isBankrTokenAddress(String(l.tokenAddress))).map(formatChainLaunch),
+      source: "chain",
+    };
   } catch (e) {
+    launchSourceErrorsTotal.inc({ source: "chain", reason: "error" });
     console.error("Chain fallback failed (set RPC_URL_BASE):", e.message);
-    return [];
+    return { launches: [], source: "chain" };
   }
 }
 
 async function loadSeen() {
   try {
-    const data = await readFile(SEEN_FILE, "utf-8");
-    const arr = JSON.parse(data);
+    const arr = await seenDoc.read();
     if (!Array.isArray(arr)) return [];
     if (SEEN_MAX_KEYS != null && SEEN_MAX_KEYS > 0 && arr.length > SEEN_MAX_KEYS)
       return arr.slice(-SEEN_MAX_KEYS);
@@ -429,17 +471,15 @@ async function loadSeen() {
 }
 
 async function saveSeen(seenArr) {
-  await mkdir(dirname(SEEN_FILE), { recursive: true }).catch(() => {});
   const toSave = SEEN_MAX_KEYS != null && SEEN_MAX_KEYS > 0 && seenArr.length > SEEN_MAX_KEYS
     ? seenArr.slice(-SEEN_MAX_KEYS)
     : seenArr;
-  await writeFile(SEEN_FILE, JSON.stringify(toSave, null, 0));
+  await seenDoc.write(toSave);
 }
 
 async function loadDeployCounts() {
   try {
-    const data = await readFile(DEPLOY_COUNT_FILE, "utf-8");
-    const raw = JSON.parse(data);
+    const raw = (await deployCountsDoc.read()) ?? {};
     const out = {};
     for (const [k, v] of Object.entries(raw)) {
       if (Array.isArray(v)) out[k.toLowerCase()] = new Set(v);
@@ -453,12 +493,11 @@ async function loadDeployCounts() {
 
 async function saveDeployCounts(counts) {
   try {
-    await mkdir(dirname(DEPLOY_COUNT_FILE), { recursive: true }).catch(() => {});
     const out = {};
     for (const [k, v] of Object.entries(counts)) {
       out[k] = [...v];
     }
-    await writeFile(DEPLOY_COUNT_FILE, JSON.stringify(out));
+    await deployCountsDoc.write(out);
   } catch {
     /* non-fatal */
   }
@@ -466,8 +505,7 @@ async function saveDeployCounts(counts) {
 
 async function loadFeeRecipientCounts() {
   try {
-    const data = await readFile(FEE_RECIPIENT_COUNT_FILE, "utf-8");
-    const raw = JSON.parse(data);
+    const raw = (await feeRecipientCountsDoc.read()) ?? {};
     const out = {};
     for (const [k, v] of Object.entries(raw)) {
       if (Array.isArray(v)) out[k.toLowerCase()] = new Set(v);
@@ -480,12 +518,11 @@ async function loadFeeRecipientCounts() {
 
 async function saveFeeRecipientCounts(counts) {
   try {
-    await mkdir(dirname(FEE_RECIPIENT_COUNT_FILE), { recursive: true }).catch(() => {});
     const out = {};
     for (const [k, v] of Object.entries(counts)) {
       out[k] = [...v];
     }
-    await writeFile(FEE_RECIPIENT_COUNT_FILE, JSON.stringify(out));
+    await feeRecipientCountsDoc.write(out);
   } catch {
     /* non-fatal */
   }
@@ -926,30 +963,29 @@ export function buildTokenStatsTelegramHtml(idx, out) {
 
 /**
  * Send HTML to any Telegram chat. Personal DMs must use skipAllowedCheck: true (TELEGRAM_ALLOWED_CHAT_IDS is for channel posts).
+ * Resolves once queued; delivery, retries and rate limits are handled by outbound-dispatcher.js.
  * @param {string|number} chatId
  * @param {string} html
- * @param {{ skipAllowedCheck?: boolean, reply_markup?: object }} [options]
+ * @param {{ skipAllowedCheck?: boolean, reply_markup?: object, messageThreadId?: number|string, delayMs?: number }} [options]
  */
 export async function sendTelegramHtmlToChat(chatId, html, options = {}) {
   if (!TELEGRAM_TOKEN || chatId == null || chatId === "") return;
   if (!options.skipAllowedCheck && !allowedTelegramChat(chatId)) return;
   const text = String(html || "").slice(0, TELEGRAM_HTML_MAX);
   if (!text) return;
-  try {
-    await fetch(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/sendMessage`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        chat_id: chatId,
-        text,
-        parse_mode: "HTML",
-        disable_web_page_preview: true,
-        ...(options.reply_markup ? { reply_markup: options.reply_markup } : {}),
-      }),
-    });
-  } catch (e) {
-    console.error("Telegram HTML chat send error:", e.message);
-  }
+  const messageThreadId = telegramThreadId(options.messageThreadId);
+  void enqueueTelegramApiCall(
+    "sendMessage",
+    {
+      chat_id: chatId,
+      text,
+      parse_mode: "HTML",
+      disable_web_page_preview: true,
+      ...(messageThreadId != null && { message_thread_id: messageThreadId }),
+      ...(options.reply_markup ? { reply_markup: options.reply_markup } : {}),
+    },
+    { delayMs: options.delayMs, label: "html" }
+  );
 }
 
 function formatDeployerOrFeeForTelegramHtml(obj) {
@@ -1259,6 +1295,19 @@ export function buildLaunchEmbed(launch) {
       inline: true,
     });
   }
+  if (launch.copycat) {
+    const fieldsText = formatCopycatFields(launch.copycat);
+    fields.push({
+      name: "⚠️ Copycat",
+      value: `${formatCopycatLabel(launch.copycat)}${fieldsText ? ` — ${fieldsText}` : ""}`.slice(0, 1024),
+      inline: false,
+    });
+  }
+  if (launch.risk) {
+    let v = [formatRiskLabel(launch.risk), ...launch.risk.reasons.map((r) => `• ${r.text}`)].join("\n");
+    if (v.length > 1024) v = `${v.slice(0, 1021)}…`;
+    fields.push({ name: "Risk", value: v, inline: false });
+  }
   if (launch.tweetUrl) fields.push({ name: "Tweet", value: launch.tweetUrl, inline: false });
   if (launch.website) fields.push({ name: "Website", value: launch.website, inline: true });
   if (launch.x && !launch.launcherX && !launch.beneficiaries?.some((b) => b.xUsername === launch.x)) {
@@ -1280,11 +1329,7 @@ export function buildLaunchEmbed(launch) {
 async function sendDiscordWebhook(launch) {
   if (!DISCORD_WEBHOOK) return;
   const embed = buildLaunchEmbed(launch);
-  await fetch(DISCORD_WEBHOOK, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ embeds: [embed] }),
-  });
+  void enqueueDiscordWebhook(DISCORD_WEBHOOK, { embeds: [embed] }, { label: "launch" });
 }
 
 function escapeMarkdown(s) {
@@ -1367,6 +1412,7 @@ function formatLaunchBodyForTelegram(launch, opts = {}) {
   return lines.join("\n");
 }
 
+/** Launch alert to Telegram (photo + caption when there is an image). Resolves once queued; options.delayMs holds it in the queue. */
 export async function sendTelegram(launch, options = {}) {
   const chatId = options.chatId ?? TELEGRAM_CHAT;
   if (!TELEGRAM_TOKEN || !chatId) return;
@@ -1409,6 +1455,17 @@ export async function sendTelegram(launch, options = {}) {
     text += `*Deployed*\n\`${deployed.toUTCString().replace(" GMT", " UTC")}\`\n\n`;
   }
 
+  if (launch.copycat) {
+    const fieldsText = formatCopycatFields(launch.copycat);
+    text += `⚠️ *${formatCopycatLabel(launch.copycat).replace(/([_*[`])/g, "\\$1")}*${fieldsText ? ` — ${fieldsText}` : ""}\n\n`;
+  }
+
+  if (launch.risk) {
+    text += `*Risk:* ${formatRiskLabel(launch.risk)}\n`;
+    for (const r of launch.risk.reasons) text += `  • ${r.text.replace(/([_*[`])/g, "\\$1")}\n`;
+    text += `\n`;
+  }
+
   if (launch.tweetUrl) text += `*Tweet:* ${launch.tweetUrl}\n`;
   if (launch.website) text += `*Website:* ${launch.website}\n`;
 
@@ -1417,28 +1474,24 @@ export async function sendTelegram(launch, options = {}) {
   const replyMarkup = telegramTradeKeyboard(launch.tokenAddress);
   const payloadExtra = replyMarkup ? { reply_markup: replyMarkup } : {};
 
-  try {
-    if (img) {
-      await fetch(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/sendPhoto`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ ...basePayload, ...payloadExtra, photo: img, caption: text, parse_mode: "Markdown" }),
-      });
-    } else {
-      await fetch(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/sendMessage`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ ...basePayload, ...payloadExtra, text, parse_mode: "Markdown" }),
-      });
-    }
-  } catch (e) {
-    console.error("Telegram error:", e.message);
+  const textPayload = { ...basePayload, ...payloadExtra, text, parse_mode: "Markdown" };
+  const sendOpts = { delayMs: options.delayMs, label: "launch" };
+  if (img) {
+    // Telegram rejects some image URLs; fall back to the text message instead of dropping the alert.
+    void enqueueTelegramApiCall(
+      "sendPhoto",
+      { ...basePayload, ...payloadExtra, photo: img, caption: text, parse_mode: "Markdown" },
+      { ...sendOpts, fallback: { method: "sendMessage", body: textPayload } }
+    );
+  } else {
+    void enqueueTelegramApiCall("sendMessage", textPayload, sendOpts);
   }
 }
 
 /** Send a short "hot" or "trending" ping to Telegram.
  * Hot: 5–10+ buys in first minute and/or 20+ holders. Trending: ~30m / 5m / 1h buy lines from DexScreener.
- * options.messageThreadId — forum topic ID. options.trending — use "TRENDING" title and buy lines. */
+ * options.messageThreadId — forum topic ID. options.trending — use "TRENDING" title and buy lines.
+ * options.delayMs — queue delay (e.g. after Discord). The message is pinned unless options.skipPin. */
 export async function sendTelegramHotPing(launch, stats, options = {}) {
   const chatId = options.chatId ?? TELEGRAM_CHAT;
   if (!TELEGRAM_TOKEN || !chatId || !stats) return;
@@ -1520,33 +1573,16 @@ export async function sendTelegramHotPing(launch, stats, options = {}) {
     ...(messageThreadId != null && { message_thread_id: messageThreadId }),
     ...(replyMarkup ? { reply_markup: replyMarkup } : {}),
   };
-  try {
-    const res = await fetch(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/sendMessage`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload),
-    });
-    const data = await res.json().catch(() => ({}));
-    const messageId = data?.result?.message_id;
-    if (messageId != null && options.skipPin !== true) {
-      await fetch(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/pinChatMessage`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          chat_id: chatId,
-          message_id: messageId,
-          disable_notification: false,
-        }),
-      }).catch((e) => console.error("Telegram pin hot message:", e.message));
-    }
-  } catch (e) {
-    console.error("Telegram hot ping error:", e.message);
-  }
+  void enqueueTelegramApiCall("sendMessage", payload, {
+    delayMs: options.delayMs,
+    label: trending ? "trending" : "hot",
+    pin: options.skipPin !== true,
+  });
 }
 
 /** Send a Bankr fee-claim alert to Telegram (same idea as Discord claim firehose).
  * @param {{ poolSymbol?: string, poolToken?: string, amountFormatted?: string, amount?: string, txHash?: string }} claim
- * @param {{ chatId?: string, messageThreadId?: number | string }} [options] - Default chatId from TELEGRAM_CLAIM_CHAT_ID or TELEGRAM_CHAT_ID
+ * @param {{ chatId?: string, messageThreadId?: number | string, delayMs?: number, context?: import('./claim-alert-context.js').ClaimAlertContext|null }} [options] - Default chatId from TELEGRAM_CLAIM_CHAT_ID or TELEGRAM_CHAT_ID; context = USD / claimable / recipient lines
  */
 export async function sendTelegramClaim(claim, options = {}) {
   const chatId = options.chatId ?? process.env.TELEGRAM_CLAIM_CHAT_ID ?? TELEGRAM_CHAT;
@@ -1564,6 +1600,7 @@ export async function sendTelegramClaim(claim, options = {}) {
   text += `💰 ${titleLink} claimed\n\n`;
   if (tokenAddr) text += `Token CA: \`${tokenAddr}\`\n`;
   text += `Fees: ${amt} WETH\n`;
+  for (const line of formatClaimAlertContextLines(options.context, { symbol: escapeMarkdown(symbol), style: "telegram" })) text += `${line}\n`;
   if (txUrl) text += `TX: [BaseScan](${txUrl})`;
   const replyMarkup = tokenAddr ? telegramTradeKeyboard(tokenAddr) : null;
   const payload = {
@@ -1574,29 +1611,50 @@ export async function sendTelegramClaim(claim, options = {}) {
     ...(replyMarkup ? { reply_markup: replyMarkup } : {}),
   };
   if (messageThreadId != null) payload.message_thread_id = messageThreadId;
+  void enqueueTelegramApiCall("sendMessage", payload, { delayMs: options.delayMs, label: "claim" });
+}
+
+/**
+ * Run one notify cycle (notifyCycle) with cycle metrics, then publish the new launches to stream subscribers.
+ * @param {{ bankrApiKey?: string, launches?: object[] }} [options] - bankrApiKey: use this key (e.g. a Discord tenant's)
+ *   so the cycle works without an env key; launches: replay these instead of fetching (backfill)
+ * @returns {Promise<{ newLaunches: object[], totalCount: number }>}
+ */
+export async function runNotifyCycle(options = {}) {
+  const endTimer = notifyCycleSeconds.startTimer();
   try {
-    await fetch(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/sendMessage`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload),
-    });
+    const result = await notifyCycle(options);
+    endTimer({ outcome: result.newLaunches.length > 0 ? "new_launches" : "idle" });
+    newLaunchesTotal.inc({}, result.newLaunches.length);
+    publishLaunches(result.newLaunches);
+    return result;
   } catch (e) {
-    console.error("Telegram claim send error:", e.message);
+    endTimer({ outcome: "error" });
+    throw e;
   }
 }
 
-/** Run one notify cycle: fetch, filter, update seen. Returns new launches (enriched) and totalCount.
- * @param {{ bankrApiKey?: string }} [options] - When provided (e.g. from Discord tenant), use this key for Bankr API so cycle works without env key.
- */
-export async function runNotifyCycle(options = {}) {
+/** One poll: fetch launches (or take options.launches), archive them, update seen, and return the unseen ones that pass filters or the watch list. */
+async function notifyCycle(options = {}) {
   const cycleApiKey = defaultBankrApiKey(options.bankrApiKey);
   const seenArr = await loadSeen();
   const deployCounts = await loadDeployCounts();
   const feeRecipientCounts = await loadFeeRecipientCounts();
 
-  const source = cycleApiKey && CHAIN_ID === 8453 ? "Bankr API" : `indexer=${DOPPLER_INDEXER_URL}`;
-  console.log(`Fetching launches (chainId=${CHAIN_ID}, ${source})...`);
-  const launches = await fetchLaunches(cycleApiKey);
+  let launches;
+  if (options.launches) {
+    launches = options.launches;
+    console.log(`Replaying ${launches.length} archived launches (chainId=${CHAIN_ID})...`);
+  } else {
+    const source = cycleApiKey && CHAIN_ID === 8453 ? "Bankr API" : `indexer=${DOPPLER_INDEXER_URL}`;
+    console.log(`Fetching launches (chainId=${CHAIN_ID}, ${source})...`);
+    const fetched = await fetchLaunches(cycleApiKey);
+    launches = fetched.launches;
+    launchesFetchedTotal.inc({ source: fetched.source }, launches.length);
+    await archiveLaunches(launches, { chainId: CHAIN_ID, source: fetched.source }).catch((e) =>
+      console.warn("[launch-archive] save failed:", e?.message ?? e)
+    );
+  }
   if (!launches?.length) {
     console.log("No launches found. Check: CHAIN_ID matches your indexer (84532=testnet, 8453=mainnet). For Base mainnet add RPC_URL_BASE as fallback.");
     return { newLaunches: [], totalCount: 0 };
@@ -1733,16 +1791,239 @@ export async function runNotifyCycle(options = {}) {
       ? await Promise.all(enriched.map((l) => enrichLaunchWithBankrRoleCounts(l, { bankrApiKey: cycleApiKey })))
       : enriched;
 
+  const withCopycats = await detectCopycats(withBankrCounts, { bankrApiKey: cycleApiKey });
+  const scored = (await assessLaunchesRisk(withCopycats)).map((l) =>
+    l.passedFilters && (exceedsRiskLimit(l, FILTER_MAX_RISK_SCORE) || (FILTER_HIDE_COPYCATS && l.copycat))
+      ? { ...l, passedFilters: false }
+      : l
+  );
+
   await saveSeen(seenArr);
-  for (const l of withBankrCounts) {
+  for (const l of scored) {
     const fee0 = l.beneficiaries?.[0] && (typeof l.beneficiaries[0] === "object" ? (l.beneficiaries[0].beneficiary ?? l.beneficiaries[0].address) : l.beneficiaries[0]);
     const launcherShort = l.launcher ? `${l.launcher.slice(0, 6)}..${l.launcher.slice(-4)}` : "—";
     const feeShort = fee0 ? `${String(fee0).slice(0, 6)}..${String(fee0).slice(-4)}` : "—";
     if (hasWatchList) console.log(`Notifying: ${l.name} ($${l.symbol}) launcher=${launcherShort} fee=${feeShort}${l.isWatchMatch ? " [WATCH MATCH]" : ""}`);
     else console.log(`Notifying: ${l.name} ($${l.symbol})${l.isWatchMatch ? " [watch]" : ""}`);
   }
-  console.log(`Done. ${withBankrCounts.length} new, ${launches.length} total (seen: ${seenArr.length}). Set SEEN_FILE=/data/bankr-seen.json on a volume so seen list persists across deploys.`);
-  return { newLaunches: withBankrCounts, totalCount: launches.length };
+  console.log(`Done. ${scored.length} new, ${launches.length} total (seen: ${seenArr.length}). Set SEEN_FILE=/data/bankr-seen.json on a volume so seen list persists across deploys.`);
+  return { newLaunches: scored, totalCount: launches.length };
+}
+
+/** Base produces a block roughly every 2s; used to size the on-chain scan for a backfill window. */
+const BASE_BLOCK_TIME_MS = 2000;
+/** Max blocks scanned via fetchRecentLaunches during backfill (default 7200 ≈ 4h on Base). */
+const BACKFILL_CHAIN_MAX_BLOCKS = Math.max(0, parseInt(process.env.BACKFILL_CHAIN_MAX_BLOCKS || "7200", 10) || 0);
+/** Max Bankr API launches paged during backfill (default 2000). */
+const BACKFILL_BANKR_LIMIT = Math.max(50, parseInt(process.env.BACKFILL_BANKR_LIMIT || "2000", 10) || 2000);
+/** Indexer tokens requested during backfill (default 500). */
+const BACKFILL_INDEXER_LIMIT = Math.min(1000, Math.max(50, parseInt(process.env.BACKFILL_INDEXER_LIMIT || "500", 10) || 500));
+/** Max launches listed per catch-up digest; the rest are summarized as a count (default 60). */
+const BACKFILL_DIGEST_MAX = Math.max(1, parseInt(process.env.BACKFILL_DIGEST_MAX || "60", 10) || 60);
+
+/**
+ * Parse `--since`: relative (`90m`, `2h`, `1d`), unix seconds / ms, or any Date-parsable string (ISO).
+ * @returns {number | null} epoch ms, or null if unparseable / in the future
+ */
+export function parseBackfillSince(raw, nowMs = Date.now()) {
+  const s = String(raw ?? "").trim();
+  if (!s) return null;
+  const rel = s.match(/^(\d+(?:\.\d+)?)\s*(s|m|h|d)$/i);
+  let ms = null;
+  if (rel) {
+    const unit = { s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000 }[rel[2].toLowerCase()];
+    ms = nowMs - Math.round(parseFloat(rel[1]) * unit);
+  } else if (/^\d{9,13}$/.test(s)) {
+    const n = parseInt(s, 10);
+    ms = s.length <= 10 ? n * 1000 : n;
+  } else {
+    const t = Date.parse(s);
+    ms = Number.isFinite(t) ? t : null;
+  }
+  return ms != null && ms <= nowMs ? ms : null;
+}
+
+/**
+ * Fill the launch archive for [sinceMs, now] from Bankr API, indexer and chain, then replay the window through
+ * runNotifyCycle (same seen / filter / watch logic as a normal poll).
+ * @param {{ sinceMs: number, bankrApiKey?: string }} opts
+ */
+export async function runBackfillCycle({ sinceMs, bankrApiKey } = {}) {
+  const key = defaultBankrApiKey(bankrApiKey);
+  const sinceIso = new Date(sinceMs).toISOString();
+  console.log(`[backfill] Filling gap since ${sinceIso} (chainId=${CHAIN_ID})...`);
+
+  if (key && CHAIN_ID === 8453) {
+    const bankr = (await fetchFromBankrApi(key, { limit: BACKFILL_BANKR_LIMIT, sinceMs })) ?? [];
+    const inWindow = bankr.filter((l) => l.deployedAtMsFromBankr == null || l.deployedAtMsFromBankr >= sinceMs);
+    const added = await archiveLaunches(inWindow, { chainId: CHAIN_ID, source: "bankr" });
+    console.log(`[backfill] Bankr API: ${inWindow.length} in window (${added} new to archive)`);
+  }
+
+  const indexed = (await fetchFromIndexer(BACKFILL_INDEXER_LIMIT)).filter(
+    (l) => l.firstSeenAtMs == null || l.firstSeenAtMs >= sinceMs
+  );
+  const indexerAdded = await archiveLaunches(indexed, { chainId: CHAIN_ID, source: "indexer" });
+  console.log(`[backfill] Indexer: ${indexed.length} in window (${indexerAdded} new to archive)`);
+
+  const blocksWanted = Math.ceil((Date.now() - sinceMs) / BASE_BLOCK_TIME_MS) + 30;
+  const blocksBack = Math.min(blocksWanted, BACKFILL_CHAIN_MAX_BLOCKS);
+  if (blocksBack > 0) {
+    if (blocksWanted > blocksBack) {
+      console.warn(`[backfill] Chain scan capped at ${blocksBack} blocks (BACKFILL_CHAIN_MAX_BLOCKS); older gap relies on Bankr API + indexer.`);
+    }
+    try {
+      const chain = (await fetchRecentLaunches(blocksBack))
+        .filter((l) => isBankrTokenAddress(String(l.tokenAddress)))
+        .map(formatChainLaunch);
+      const chainAdded = await archiveLaunches(chain, { chainId: CHAIN_ID, source: "chain" });
+      console.log(`[backfill] Chain: ${chain.length} in last ${blocksBack} blocks (${chainAdded} new to archive)`);
+    } catch (e) {
+      console.error("[backfill] Chain scan failed (set RPC_URL_BASE):", e.message);
+    }
+  }
+
+  const archived = await listArchivedLaunches({ chainId: CHAIN_ID, sinceMs });
+  const replay = archived.map((e) => ({ ...e.launch, tokenAddress: e.tokenAddress }));
+  const result = await runNotifyCycle({ bankrApiKey: key, launches: replay });
+  return { ...result, sinceMs };
+}
+
+function digestLaunchTimeMs(launch) {
+  return launch.deployedAtMsFromBankr ?? launch.firstSeenAtMs ?? null;
+}
+
+/** Watch matches first, then oldest → newest. */
+function orderDigestLaunches(launches) {
+  return [...launches].sort((a, b) => {
+    if (!!a.isWatchMatch !== !!b.isWatchMatch) return a.isWatchMatch ? -1 : 1;
+    return (digestLaunchTimeMs(a) ?? 0) - (digestLaunchTimeMs(b) ?? 0);
+  });
+}
+
+function chunkLines(lines, maxLen) {
+  const chunks = [];
+  let cur = "";
+  for (const line of lines) {
+    if (cur && cur.length + 1 + line.length > maxLen) {
+      chunks.push(cur);
+      cur = "";
+    }
+    cur = cur ? `${cur}\n${line}` : line.slice(0, maxLen);
+  }
+  if (cur) chunks.push(cur);
+  return chunks;
+}
+
+function digestWindowText(sinceMs, untilMs) {
+  const fmt = (ms) => new Date(ms).toISOString().slice(0, 16).replace("T", " ");
+  return `${fmt(sinceMs)} → ${fmt(untilMs)} UTC`;
+}
+
+/**
+ * Catch-up digest as Discord embeds (one line per launch, split across embeds under the 4096 description limit).
+ * @param {object[]} launches - runNotifyCycle newLaunches
+ * @param {{ sinceMs: number, untilMs?: number, title?: string, maxItems?: number }} opts
+ */
+export function buildBackfillDigestEmbeds(launches, { sinceMs, untilMs = Date.now(), title = "Catch-up", maxItems = BACKFILL_DIGEST_MAX } = {}) {
+  if (!launches?.length) return [];
+  const ordered = orderDigestLaunches(launches);
+  const shown = ordered.slice(0, maxItems);
+  const lines = shown.map((l) => {
+    const label = `${l.name ?? "?"} ($${l.symbol ?? "?"})`.replace(/[[\]]/g, "");
+    const parts = [`${l.isWatchMatch ? "👀 " : ""}**[${label}](${bankrLaunchUrl(l.tokenAddress)})**`, `\`${l.tokenAddress}\``];
+    if (l.launcherX) parts.push(`[@${l.launcherX}](${xProfileUrl(l.launcherX)})`);
+    const t = digestLaunchTimeMs(l);
+    if (t != null) parts.push(`<t:${Math.floor(t / 1000)}:t>`);
+    return parts.join(" · ");
+  });
+  if (ordered.length > shown.length) lines.push(`…and ${ordered.length - shown.length} more on https://bankr.bot/launches`);
+  const watchCount = launches.filter((l) => l.isWatchMatch).length;
+  const chunks = chunkLines(lines, 4000);
+  return chunks.map((description, i) => ({
+    color: 0x0052ff,
+    title: i === 0 ? `${title}: ${launches.length} launch${launches.length === 1 ? "" : "es"} missed` : `${title} (cont.)`,
+    description,
+    ...(i === chunks.length - 1 && {
+      footer: { text: `${digestWindowText(sinceMs, untilMs)}${watchCount > 0 ? ` · 👀 ${watchCount} watch match${watchCount === 1 ? "" : "es"}` : ""}` },
+    }),
+  }));
+}
+
+/**
+ * Catch-up digest as Telegram HTML messages (each under TELEGRAM_HTML_MAX).
+ * @param {object[]} launches
+ * @param {{ sinceMs: number, untilMs?: number, title?: string, maxItems?: number }} opts
+ * @returns {string[]}
+ */
+export function buildBackfillDigestTelegramHtml(launches, { sinceMs, untilMs = Date.now(), title = "Catch-up", maxItems = BACKFILL_DIGEST_MAX } = {}) {
+  if (!launches?.length) return [];
+  const ordered = orderDigestLaunches(launches);
+  const shown = ordered.slice(0, maxItems);
+  const header = `<b>${escapeTelegramHtml(title)}: ${launches.length} launch${launches.length === 1 ? "" : "es"} missed</b>\n<i>${escapeTelegramHtml(digestWindowText(sinceMs, untilMs))}</i>`;
+  const lines = shown.map((l) => {
+    const label = escapeTelegramHtml(`${l.name ?? "?"} ($${l.symbol ?? "?"})`);
+    const parts = [`${l.isWatchMatch ? "👀 " : "• "}<a href="${escapeTelegramHtml(bankrLaunchUrl(l.tokenAddress))}"><b>${label}</b></a>`, `<code>${escapeTelegramHtml(l.tokenAddress)}</code>`];
+    if (l.launcherX) parts.push(`@${escapeTelegramHtml(String(l.launcherX).replace(/^@/, ""))}`);
+    const t = digestLaunchTimeMs(l);
+    if (t != null) parts.push(`${new Date(t).toISOString().slice(11, 16)} UTC`);
+    return parts.join(" · ");
+  });
+  if (ordered.length > shown.length) lines.push(`…and ${ordered.length - shown.length} more on bankr.bot/launches`);
+  const chunks = chunkLines(lines, TELEGRAM_HTML_MAX - header.length - 8);
+  return chunks.map((body, i) => (i === 0 ? `${header}\n\n${body}` : body));
+}
+
+/** Queue one webhook post per embed; resolves once every post has been delivered (or dead-lettered). */
+async function postDiscordWebhookEmbeds(embeds) {
+  if (!DISCORD_WEBHOOK) return;
+  await Promise.all(embeds.map((embed) => enqueueDiscordWebhook(DISCORD_WEBHOOK, { embeds: [embed] }, { label: "backfill" })));
+}
+
+function readCliOption(argv, name) {
+  const i = argv.indexOf(name);
+  if (i >= 0 && argv[i + 1] != null && !argv[i + 1].startsWith("--")) return argv[i + 1];
+  const eq = argv.find((a) => a.startsWith(`${name}=`));
+  return eq ? eq.slice(name.length + 1) : null;
+}
+
+/** `notify --backfill --since <time>`: replay the gap and post one catch-up digest per destination. */
+async function mainBackfill(argv, telegramGroupConfigs) {
+  const sinceRaw = readCliOption(argv, "--since");
+  const sinceMs = parseBackfillSince(sinceRaw);
+  if (sinceMs == null) {
+    console.error("Usage: node src/notify.js --backfill --since <2h | 90m | 1d | 2025-01-31T12:00Z | unix time>");
+    process.exit(1);
+  }
+  const { newLaunches } = await runBackfillCycle({ sinceMs });
+  if (newLaunches.length === 0) {
+    console.log("[backfill] Nothing missed in that window.");
+    return;
+  }
+  const untilMs = Date.now();
+  await postDiscordWebhookEmbeds(buildBackfillDigestEmbeds(newLaunches, { sinceMs, untilMs }));
+  if (TELEGRAM_TOKEN && TELEGRAM_CHAT) {
+    const firehoseThreadId = telegramThreadId(process.env.TELEGRAM_TOPIC_FIREHOSE);
+    for (const html of buildBackfillDigestTelegramHtml(newLaunches, { sinceMs, untilMs })) {
+      await sendTelegramHtmlToChat(TELEGRAM_CHAT, html, { messageThreadId: firehoseThreadId });
+    }
+  }
+  if (TELEGRAM_TOKEN) {
+    for (const cfg of telegramGroupConfigs) {
+      if (!cfg.alertWatchMatch || !telegramGroupWatchListHasEntries(cfg.watchListSets)) continue;
+      const matches = newLaunches.filter((l) => isWatchMatchForTenant(l, cfg.watchListSets));
+      if (matches.length === 0) continue;
+      const tw = cfg.topicWatch != null && cfg.topicWatch !== "" ? cfg.topicWatch : undefined;
+      const htmls = buildBackfillDigestTelegramHtml(
+        matches.map((l) => ({ ...l, isWatchMatch: true })),
+        { sinceMs, untilMs, title: "Watch list catch-up" }
+      );
+      for (const html of htmls) {
+        await sendTelegramHtmlToChat(cfg.chatId, html, { messageThreadId: tw });
+      }
+    }
+  }
+  console.log(`[backfill] Posted catch-up digest for ${newLaunches.length} launch(es).`);
 }
 
 async function main() {
@@ -1760,6 +2041,12 @@ async function main() {
     process.exit(1);
   }
 
+  const argv = process.argv.slice(2);
+  if (argv.includes("--backfill")) {
+    await mainBackfill(argv, telegramGroupConfigs);
+    return;
+  }
+
   const firehoseThreadId = telegramThreadId(process.env.TELEGRAM_TOPIC_FIREHOSE);
   const tgAfterDiscordMs = Math.max(
     0,
@@ -1769,14 +2056,7 @@ async function main() {
   for (const launch of newLaunches) {
     await sendDiscordWebhook(launch);
     if (TELEGRAM_TOKEN && TELEGRAM_CHAT) {
-      if (tgAfterDiscordMs <= 0) {
-        await sendTelegram(launch, { messageThreadId: firehoseThreadId });
-      } else {
-        setTimeout(
-          () => void sendTelegram(launch, { messageThreadId: firehoseThreadId }).catch(() => {}),
-          tgAfterDiscordMs
-        );
-      }
+      await sendTelegram(launch, { messageThreadId: firehoseThreadId, delayMs: tgAfterDiscordMs });
     }
     if (TELEGRAM_TOKEN && telegramGroupConfigs.length > 0) {
       await sendTelegramGroupWatchMatches(launch, telegramGroupConfigs, {
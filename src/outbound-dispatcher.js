@@ -0,0 +1,546 @@
+/**
+ * Outbound dispatcher: every alert send (Discord webhook, Discord channel, Telegram Bot API, generic webhook) goes through one queue.
+ *
+ * - Durable: pending jobs are saved via state-storage.js (OUTBOUND_QUEUE_FILE or the SQLite driver) and resumed on restart.
+ * - Retries with exponential backoff; 429s wait for Telegram `parameters.retry_after` / Discord `retry_after` (or Retry-After).
+ * - Token bucket per destination (Telegram chat, Discord webhook/channel, generic webhook URL) plus a global Telegram bucket.
+ * - Jobs that fail permanently (4xx) or run out of attempts are logged and kept in OUTBOUND_DEAD_LETTER_FILE.
+ *
+ * "Post to Telegram 30s after Discord" is a job delayMs (persisted), not a setTimeout at the call site.
+ * Jobs to the same destination go out in the order they became due.
+ * Discord webhook URLs carry their token, so they are sealed with secret-box.js before a job is queued and only
+ * opened at send time; the queue and dead letter files keep the sealed value plus the (non-secret) webhook id.
+ */
+
+import { join } from "path";
+import { defineStateDocument } from "./state-storage.js";
+import { counter, gauge } from "./metrics.js";
+import { assertWebhookHostAllowed } from "./webhook-host-guard.js";
+import { isEncryptedSecret, openSecret, sealSecret } from "./secret-box.js";
+
+const OUTBOUND_QUEUE_FILE = process.env.OUTBOUND_QUEUE_FILE || join(process.cwd(), ".bankr-outbound-queue.json");
+const OUTBOUND_DEAD_LETTER_FILE =
+  process.env.OUTBOUND_DEAD_LETTER_FILE || join(process.cwd(), ".bankr-outbound-dead-letter.json");
+/** Dead-lettered jobs kept (oldest dropped first). Default 500. */
+const OUTBOUND_DEAD_LETTER_MAX = Math.max(10, parseInt(process.env.OUTBOUND_DEAD_LETTER_MAX || "500", 10) || 500);
+/** Delivery attempts per job before it is dead-lettered. Default 6. */
+const OUTBOUND_MAX_ATTEMPTS = Math.max(1, parseInt(process.env.OUTBOUND_MAX_ATTEMPTS || "6", 10) || 6);
+/** First retry delay; doubles per attempt up to OUTBOUND_RETRY_MAX_MS. Default 2s / 5 min. */
+const OUTBOUND_RETRY_BASE_MS = Math.max(100, parseInt(process.env.OUTBOUND_RETRY_BASE_MS || "2000", 10) || 2000);
+const OUTBOUND_RETRY_MAX_MS = Math.max(1000, parseInt(process.env.OUTBOUND_RETRY_MAX_MS || "300000", 10) || 300000);
+/** Jobs restored from disk older than this are dead-lettered instead of sent (stale alerts). Default 1h. */
+const OUTBOUND_MAX_AGE_MS = Math.max(60_000, parseInt(process.env.OUTBOUND_MAX_AGE_MS || "3600000", 10) || 3600000);
+/** Sends in flight at once (across destinations). Default 4. */
+const OUTBOUND_CONCURRENCY = Math.max(1, parseInt(process.env.OUTBOUND_CONCURRENCY || "4", 10) || 4);
+/** Per Telegram chat: sustained messages/min and burst. Telegram allows ~20/min in groups. */
+const OUTBOUND_TELEGRAM_CHAT_PER_MIN = Math.max(1, parseFloat(process.env.OUTBOUND_TELEGRAM_CHAT_PER_MIN || "20") || 20);
+const OUTBOUND_TELEGRAM_CHAT_BURST = Math.max(1, parseInt(process.env.OUTBOUND_TELEGRAM_CHAT_BURST || "3", 10) || 3);
+/** All Telegram chats together (Bot API limit is ~30/s). Default 25/s. */
+const OUTBOUND_TELEGRAM_GLOBAL_PER_SEC = Math.max(1, parseFloat(process.env.OUTBOUND_TELEGRAM_GLOBAL_PER_SEC || "25") || 25);
+/** Per Discord webhook or channel: sustained messages/min and burst. */
+const OUTBOUND_DISCORD_PER_MIN = Math.max(1, parseFloat(process.env.OUTBOUND_DISCORD_PER_MIN || "30") || 30);
+const OUTBOUND_DISCORD_BURST = Math.max(1, parseInt(process.env.OUTBOUND_DISCORD_BURST || "5", 10) || 5);
+/** Per generic webhook URL (generic-webhook.js): sustained posts/min and burst. */
+const OUTBOUND_WEBHOOK_PER_MIN = Math.max(1, parseFloat(process.env.OUTBOUND_WEBHOOK_PER_MIN || "120") || 120);
+const OUTBOUND_WEBHOOK_BURST = Math.max(1, parseInt(process.env.OUTBOUND_WEBHOOK_BURST || "20", 10) || 20);
+
+const queueDoc = defineStateDocument("outbound-queue", OUTBOUND_QUEUE_FILE, { indent: 0 });
+const deadLetterDoc = defineStateDocument("outbound-dead-letter", OUTBOUND_DEAD_LETTER_FILE);
+
+/** `destination` label = job kind: telegram, discord-webhook, discord-channel, webhook. */
+const alertsSentTotal = counter("bankr_alerts_sent_total", "Outbound sends delivered, by destination type.", ["destination"]);
+const alertSendFailuresTotal = counter(
+  "bankr_alert_send_failures_total",
+  "Outbound sends dead-lettered (reason: rejected, exhausted, expired).",
+  ["destination", "reason"]
+);
+const alertSendRetriesTotal = counter(
+  "bankr_alert_send_retries_total",
+  "Failed send attempts that will be retried (reason: rate_limited, error).",
+  ["destination", "reason"]
+);
+
+/** Delivery failure. permanent = do not retry (4xx other than 429); retryAfterMs = server-requested wait. */
+export class OutboundSendError extends Error {
+  constructor(message, { status = null, retryAfterMs = null, permanent = false } = {}) {
+    super(message);
+    this.name = "OutboundSendError";
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.permanent = permanent;
+  }
+}
+
+/**
+ * Token bucket: `capacity` burst, refilled at `refillPerSec`.
+ * @returns {{ waitMs: (nowMs?: number) => number, take: (nowMs?: number) => boolean }}
+ */
+export function createTokenBucket({ capacity, refillPerSec, nowMs = Date.now() }) {
+  let tokens = capacity;
+  let last = nowMs;
+  const refill = (now) => {
+    if (now > last) {
+      tokens = Math.min(capacity, tokens + ((now - last) / 1000) * refillPerSec);
+      last = now;
+    }
+  };
+  return {
+    /** ms until one token is available (0 = now). */
+    waitMs(now = Date.now()) {
+      refill(now);
+      return tokens >= 1 ? 0 : Math.ceil(((1 - tokens) / refillPerSec) * 1000);
+    },
+    take(now = Date.now()) {
+      refill(now);
+      if (tokens < 1) return false;
+      tokens -= 1;
+      return true;
+    },
+  };
+}
+
+/**
+ * Wait requested by a 429: Telegram `parameters.retry_after` (s), Discord body `retry_after` (s, float), else Retry-After header.
+ * @returns {number|null} ms
+ */
+export function parseRetryAfterMs(data, headers, nowMs = Date.now()) {
+  const fromBody = data?.parameters?.retry_after ?? data?.retry_after;
+  if (fromBody != null && Number.isFinite(Number(fromBody)) && Number(fromBody) >= 0) return Math.ceil(Number(fromBody) * 1000);
+  const header = headers?.get?.("retry-after");
+  if (header == null || header === "") return null;
+  const secs = Number(header);
+  if (Number.isFinite(secs) && secs >= 0) return Math.ceil(secs * 1000);
+  const at = Date.parse(header);
+  return Number.isNaN(at) ? null : Math.max(0, at - nowMs);
+}
+
+/** Backoff before retry `attempt` (1-based): base·2^(attempt-1), capped, ±20% jitter. */
+export function outboundBackoffMs(attempt, rand = Math.random) {
+  const base = Math.min(OUTBOUND_RETRY_MAX_MS, OUTBOUND_RETRY_BASE_MS * 2 ** Math.max(0, attempt - 1));
+  return Math.round(base * (0.8 + 0.4 * rand()));
+}
+
+/** @type {object[]} pending jobs, oldest first */
+const jobs = [];
+/** job id -> resolve({ ok, result?, error? }) for callers in this process */
+const waiters = new Map();
+const buckets = new Map();
+/** destination key -> ms until which it is rate limited (429) */
+const blockedUntil = new Map();
+const destinationsInFlight = new Set();
+let activeCount = 0;
+let seq = 0;
+let pumpTimer = null;
+let pumpAt = Infinity;
+let persistTimer = null;
+let restored = null;
+let discordClient = null;
+
+let _chain = Promise.resolve();
+
+function queue(fn) {
+  _chain = _chain.then(fn, fn);
+  return _chain;
+}
+
+function destinationKey(job) {
+  if (job.kind === "telegram") return `tg:${job.body?.chat_id}`;
+  if (job.kind === "discord-webhook") return `dw:${job.webhookId ?? job.url}`;
+  if (job.kind === "webhook") return `wh:${job.url}`;
+  return `dc:${job.channelId}`;
+}
+
+function discordWebhookId(url) {
+  return String(url ?? "").match(/webhooks\/(\d+)/)?.[1] ?? null;
+}
+
+/** Log-safe description (no webhook tokens). */
+function describeJob(job) {
+  const label = job.label ? ` [${job.label}]` : "";
+  if (job.kind === "telegram") return `telegram ${job.method} chat ${job.body?.chat_id}${label}`;
+  if (job.kind === "discord-webhook") {
+    const id = job.webhookId ?? discordWebhookId(job.url) ?? "?";
+    return `discord webhook ${id}${label}`;
+  }
+  if (job.kind === "webhook") {
+    let host = "?";
+    try {
+      host = new URL(job.url).host;
+    } catch {
+      /* keep "?" */
+    }
+    return `webhook ${host}${label}`;
+  }
+  return `discord channel ${job.channelId}${label}`;
+}
+
+function bucketFor(key, capacity, perSec) {
+  let b = buckets.get(key);
+  if (!b) {
+    b = createTokenBucket({ capacity, refillPerSec: perSec });
+    buckets.set(key, b);
+  }
+  return b;
+}
+
+function bucketsForJob(job, dest) {
+  if (job.kind === "telegram") {
+    return [
+      bucketFor(dest, OUTBOUND_TELEGRAM_CHAT_BURST, OUTBOUND_TELEGRAM_CHAT_PER_MIN / 60),
+      bucketFor("tg:*", OUTBOUND_TELEGRAM_GLOBAL_PER_SEC, OUTBOUND_TELEGRAM_GLOBAL_PER_SEC),
+    ];
+  }
+  if (job.kind === "webhook") return [bucketFor(dest, OUTBOUND_WEBHOOK_BURST, OUTBOUND_WEBHOOK_PER_MIN / 60)];
+  return [bucketFor(dest, OUTBOUND_DISCORD_BURST, OUTBOUND_DISCORD_PER_MIN / 60)];
+}
+
+function persistableJob(job) {
+  const { running, ...rest } = job;
+  return rest;
+}
+
+/** Load jobs left by a previous run (once). Jobs older than OUTBOUND_MAX_AGE_MS are dead-lettered. */
+function restoreSavedJobs() {
+  if (!restored) {
+    restored = (async () => {
+      let saved = [];
+      try {
+        const j = await queueDoc.read();
+        if (Array.isArray(j?.jobs)) saved = j.jobs;
+      } catch (e) {
+        console.warn("[outbound] could not read saved queue:", e?.message ?? e);
+        return;
+      }
+      const known = new Set(jobs.map((j) => j.id));
+      const now = Date.now();
+      const resumed = [];
+      for (const job of saved) {
+        if (!job?.id || known.has(job.id)) continue;
+        if (now - (job.createdAtMs ?? 0) > OUTBOUND_MAX_AGE_MS) {
+          alertSendFailuresTotal.inc({ destination: job.kind, reason: "expired" });
+          void deadLetter(job, "expired while queued");
+          continue;
+        }
+        resumed.push(job);
+      }
+      if (resumed.length > 0) {
+        jobs.unshift(...resumed);
+        console.log(`[outbound] resumed ${resumed.length} queued message(s) from the previous run`);
+      }
+    })();
+    restored.finally(() => {
+      schedulePersist();
+      schedulePump(0);
+    });
+  }
+  return restored;
+}
+
+function schedulePersist() {
+  if (persistTimer) return;
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    void queue(async () => {
+      await restoreSavedJobs();
+      await queueDoc.write({ jobs: jobs.map(persistableJob) });
+    }).catch((e) => console.warn("[outbound] saving queue failed:", e?.message ?? e));
+  }, 200);
+}
+
+function schedulePump(delayMs) {
+  const at = Date.now() + Math.max(0, delayMs);
+  if (pumpTimer && pumpAt <= at) return;
+  if (pumpTimer) clearTimeout(pumpTimer);
+  pumpAt = at;
+  pumpTimer = setTimeout(() => {
+    pumpTimer = null;
+    pumpAt = Infinity;
+    pump();
+  }, Math.max(0, delayMs));
+}
+
+function pump() {
+  const now = Date.now();
+  let nextAt = Infinity;
+  const waitingDest = new Set();
+  for (const job of jobs) {
+    if (activeCount >= OUTBOUND_CONCURRENCY) break;
+    if (job.running) continue;
+    const dest = destinationKey(job);
+    if (destinationsInFlight.has(dest) || waitingDest.has(dest)) continue;
+    const readyAt = Math.max(job.notBeforeMs ?? 0, blockedUntil.get(dest) ?? 0);
+    if (readyAt > now) {
+      nextAt = Math.min(nextAt, readyAt);
+      continue;
+    }
+    const jobBuckets = bucketsForJob(job, dest);
+    const wait = Math.max(...jobBuckets.map((b) => b.waitMs(now)));
+    if (wait > 0) {
+      waitingDest.add(dest);
+      nextAt = Math.min(nextAt, now + wait);
+      continue;
+    }
+    for (const b of jobBuckets) b.take(now);
+    void runJob(job, dest);
+  }
+  if (nextAt < Infinity) schedulePump(nextAt - now);
+}
+
+function finish(job, outcome) {
+  const i = jobs.indexOf(job);
+  if (i >= 0) jobs.splice(i, 1);
+  const resolve = waiters.get(job.id);
+  waiters.delete(job.id);
+  resolve?.(outcome);
+}
+
+async function runJob(job, dest) {
+  job.running = true;
+  destinationsInFlight.add(dest);
+  activeCount++;
+  job.attempts = (job.attempts ?? 0) + 1;
+  try {
+    const result = await deliver(job);
+    alertsSentTotal.inc({ destination: job.kind });
+    finish(job, { ok: true, result });
+    if (job.pin && result?.message_id != null) {
+      void enqueue(
+        { kind: "telegram", method: "pinChatMessage", body: { chat_id: job.body.chat_id, message_id: result.message_id, disable_notification: false } },
+        { label: "pin", maxAttempts: 2 }
+      );
+    }
+  } catch (e) {
+    const err = e instanceof OutboundSendError ? e : new OutboundSendError(e?.message ?? String(e));
+    job.lastError = err.message;
+    if (err.permanent && job.fallback) {
+      finish(job, { ok: false, error: err.message, status: err.status });
+      console.warn(`[outbound] ${describeJob(job)} rejected (${err.message}); sending fallback`);
+      void enqueue({ kind: job.kind, ...job.fallback }, { label: job.label });
+    } else if (err.permanent || job.attempts >= (job.maxAttempts ?? OUTBOUND_MAX_ATTEMPTS)) {
+      alertSendFailuresTotal.inc({ destination: job.kind, reason: err.permanent ? "rejected" : "exhausted" });
+      finish(job, { ok: false, error: err.message, status: err.status });
+      void deadLetter(job, err.message);
+    } else {
+      const delay = err.retryAfterMs ?? outboundBackoffMs(job.attempts);
+      job.notBeforeMs = Date.now() + delay;
+      if (err.retryAfterMs != null) blockedUntil.set(dest, job.notBeforeMs);
+      alertSendRetriesTotal.inc({ destination: job.kind, reason: err.retryAfterMs != null ? "rate_limited" : "error" });
+      console.warn(
+        `[outbound] ${describeJob(job)} attempt ${job.attempts} failed (${err.message}); retrying in ${Math.ceil(delay / 1000)}s`
+      );
+    }
+  } finally {
+    job.running = false;
+    destinationsInFlight.delete(dest);
+    activeCount--;
+    schedulePersist();
+    schedulePump(0);
+  }
+}
+
+function deadLetter(job, reason) {
+  console.error(`[outbound] dead-letter: ${describeJob(job)} after ${job.attempts ?? 0} attempt(s): ${reason}`);
+  return queue(async () => {
+    let list = [];
+    try {
+      const j = await deadLetterDoc.read();
+      if (Array.isArray(j?.jobs)) list = j.jobs;
+    } catch {
+      /* unreadable dead-letter file: the write below refuses rather than clobbering it */
+    }
+    list.push({ ...persistableJob(job), failedAtMs: Date.now(), reason });
+    await deadLetterDoc.write({ jobs: list.slice(-OUTBOUND_DEAD_LETTER_MAX) });
+  }).catch((e) => console.warn("[outbound] saving dead letter failed:", e?.message ?? e));
+}
+
+function httpError(message, res, data) {
+  if (res.status === 429) {
+    return new OutboundSendError(message, { status: 429, retryAfterMs: parseRetryAfterMs(data, res.headers) });
+  }
+  return new OutboundSendError(message, { status: res.status, permanent: res.status >= 400 && res.status < 500 });
+}
+
+async function deliverTelegram(job) {
+  const token = process.env.TELEGRAM_BOT_TOKEN;
+  if (!token) throw new OutboundSendError("TELEGRAM_BOT_TOKEN is not set", { permanent: true });
+  const res = await fetch(`https://api.telegram.org/bot${token}/${job.method}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(job.body),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (res.ok && data?.ok !== false) return data?.result ?? null;
+  throw httpError(`Telegram ${job.method} ${res.status}: ${String(data?.description ?? "").slice(0, 160)}`, res, data);
+}
+
+async function deliverDiscordWebhook(job) {
+  const url = openSecret(job.url);
+  if (!url) throw new OutboundSendError("Discord webhook URL cannot be decrypted (SECRETS_MASTER_KEY changed?)", { permanent: true });
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(job.body),
+  });
+  if (res.ok) return null;
+  const text = await res.text().catch(() => "");
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    /* non-JSON error body */
+  }
+  throw httpError(`Discord webhook ${res.status}: ${text.slice(0, 160)}`, res, data);
+}
+
+/**
+ * job.body is the exact signed string; headers were built at enqueue time (no secrets stored in the queue).
+ * The host is re-checked after DNS on every attempt and redirects are not followed (webhook-host-guard.js).
+ * Errors carry the status only: the receiver's body is user-controlled and is not echoed.
+ */
+async function deliverWebhook(job) {
+  try {
+    await assertWebhookHostAllowed(job.url);
+  } catch (e) {
+    throw new OutboundSendError(e.message, { permanent: true });
+  }
+  const res = await fetch(job.url, { method: "POST", headers: job.headers, body: job.body, redirect: "manual" });
+  if (res.ok) return { status: res.status };
+  if (res.status >= 300 && res.status < 400) {
+    throw new OutboundSendError(`Webhook ${res.status} (redirects are not followed)`, { status: res.status, permanent: true });
+  }
+  const data = res.status === 429 ? await res.json().catch(() => null) : null;
+  throw httpError(`Webhook ${res.status}`, res, data);
+}
+
+/** discord.js errors carry `status` (HTTP) and, for rate limits, `retryAfter` (ms) or `timeToReset`. */
+function discordJsError(e) {
+  const status = Number(e?.status) || null;
+  if (status === 429) {
+    const retryAfterMs = Number(e?.retryAfter ?? e?.timeToReset);
+    return new OutboundSendError(e.message, { status, retryAfterMs: Number.isFinite(retryAfterMs) ? retryAfterMs : null });
+  }
+  return new OutboundSendError(e?.message ?? String(e), { status, permanent: status != null && status >= 400 && status < 500 });
+}
+
+async function deliverDiscordChannel(job) {
+  if (!discordClient) throw new OutboundSendError("Discord client not ready");
+  let channel;
+  try {
+    channel = await discordClient.channels.fetch(job.channelId);
+  } catch (e) {
+    throw discordJsError(e);
+  }
+  if (typeof channel?.send !== "function") {
+    throw new OutboundSendError(`channel ${job.channelId} is not a text channel`, { permanent: true });
+  }
+  try {
+    const msg = await channel.send(job.body);
+    return { id: msg?.id ?? null };
+  } catch (e) {
+    throw discordJsError(e);
+  }
+}
+
+function deliver(job) {
+  if (job.kind === "telegram") return deliverTelegram(job);
+  if (job.kind === "discord-webhook") return deliverDiscordWebhook(job);
+  if (job.kind === "discord-channel") return deliverDiscordChannel(job);
+  if (job.kind === "webhook") return deliverWebhook(job);
+  return Promise.reject(new OutboundSendError(`unknown outbound job kind "${job.kind}"`, { permanent: true }));
+}
+
+/**
+ * @param {object} job - { kind, ...destination, body }
+ * @param {{ delayMs?: number, label?: string, maxAttempts?: number }} [opts]
+ * @returns {Promise<{ ok: boolean, result?: any, error?: string, status?: number|null }>} settles when delivered or dead-lettered (never rejects)
+ */
+function enqueue(job, { delayMs = 0, label, maxAttempts } = {}) {
+  const now = Date.now();
+  const entry = {
+    ...job,
+    // Builders (EmbedBuilder, ActionRowBuilder) serialize via toJSON; stored jobs must be plain JSON.
+    body: JSON.parse(JSON.stringify(job.body ?? {})),
+    id: `${now.toString(36)}-${process.pid}-${(++seq).toString(36)}`,
+    label: label ?? job.label ?? null,
+    attempts: 0,
+    createdAtMs: now,
+    notBeforeMs: now + Math.max(0, Number(delayMs) || 0),
+    ...(maxAttempts != null && { maxAttempts }),
+  };
+  jobs.push(entry);
+  const done = new Promise((resolve) => waiters.set(entry.id, resolve));
+  void restoreSavedJobs();
+  schedulePersist();
+  schedulePump(0);
+  return done;
+}
+
+/**
+ * Queue a Telegram Bot API call (sendMessage, sendPhoto, …). The bot token is read at send time, never stored.
+ * @param {string} method
+ * @param {object} body - Must include chat_id
+ * @param {{ delayMs?: number, label?: string, maxAttempts?: number, pin?: boolean, fallback?: { method: string, body: object } }} [opts]
+ *   pin: pin the sent message; fallback: call sent instead when Telegram rejects this one (e.g. sendPhoto with a bad image)
+ */
+export function enqueueTelegramApiCall(method, body, opts = {}) {
+  const { pin, fallback, ...rest } = opts;
+  return enqueue(
+    { kind: "telegram", method, body, ...(pin && { pin: true }), ...(fallback && { fallback: JSON.parse(JSON.stringify(fallback)) }) },
+    rest
+  );
+}
+
+/**
+ * Queue a Discord webhook POST. The URL is sealed before the job is stored (see module doc).
+ * @param {string} url - plaintext or already sealed webhook URL
+ * @param {object} body - { content?, embeds?, … }
+ * @param {{ delayMs?: number, label?: string, maxAttempts?: number }} [opts]
+ */
+export function enqueueDiscordWebhook(url, body, opts = {}) {
+  const webhookId = discordWebhookId(openSecret(url));
+  return enqueue({ kind: "discord-webhook", url: isEncryptedSecret(url) ? url : sealSecret(url), webhookId, body }, opts);
+}
+
+/**
+ * Queue a POST of a pre-serialized body (generic-webhook.js signs it first, so retries resend identical bytes).
+ * @param {string} url
+ * @param {string} body
+ * @param {Record<string, string>} headers
+ * @param {{ delayMs?: number, label?: string, maxAttempts?: number }} [opts]
+ */
+export function enqueueWebhookPost(url, body, headers, opts = {}) {
+  return enqueue({ kind: "webhook", url, body: String(body), headers }, opts);
+}
+
+/**
+ * Queue a message to a Discord channel via the bot client (see setOutboundDiscordClient).
+ * @param {string} channelId
+ * @param {object} payload - channel.send() options; builders are stored as JSON
+ * @param {{ delayMs?: number, label?: string, maxAttempts?: number }} [opts]
+ */
+export function enqueueDiscordChannelMessage(channelId, payload, opts = {}) {
+  return enqueue({ kind: "discord-channel", channelId: String(channelId), body: payload }, opts);
+}
+
+/** Register the discord.js client used for channel jobs (discord-bot.js at startup). */
+export function setOutboundDiscordClient(client) {
+  discordClient = client;
+  schedulePump(0);
+}
+
+/** Snapshot for logs / health: pending jobs, sends in flight, destinations waiting out a 429. */
+export function getOutboundQueueStats() {
+  const now = Date.now();
+  return {
+    pending: jobs.length,
+    inFlight: activeCount,
+    rateLimitedDestinations: [...blockedUntil.values()].filter((t) => t > now).length,
+  };
+}
+
+gauge("bankr_outbound_queue_jobs", "Outbound queue snapshot (state: pending, in_flight, rate_limited_destinations).", ["state"], (g) => {
+  const stats = getOutboundQueueStats();
+  g.set({ state: "pending" }, stats.pending);
+  g.set({ state: "in_flight" }, stats.inFlight);
+  g.set({ state: "rate_limited_destinations" }, stats.rateLimitedDestinations);
+});
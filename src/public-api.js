@@ -0,0 +1,294 @@
+/**
+ * Read-only public REST API (GET /api/v1/...), mounted on the bot's HTTP server (bankr-app-api.js).
+ * Exposes what the bots already compute so dashboards do not have to scrape Discord.
+ *
+ *   GET /api/v1/launches?limit=&since=&before=   Recent launches from the notify poll (launch archive), newest first
+ *   GET /api/v1/tokens/:address                  getTokenFees (fee recipient, cumulated fees, hook fees, volume)
+ *   GET /api/v1/tokens/:address/trend            buildTokenTrendCard card (price change, volume, trend score)
+ *   GET /api/v1/lookup?q=&role=&sort=            lookupByDeployerOrFee (wallet, X or Farcaster handle)
+ *   GET /api/v1/resolve?q=                       resolveHandleToWallet
+ *   GET /api/v1/cashtags/:symbol                 resolveCashtagToBankrToken
+ *   GET /api/v1/leaderboard/fees?limit=          fetchTopFeeEarners
+ *   GET /api/v1/stream?wallet=&keyword=&x=…      Server-Sent Events: live launches + claims (live-stream.js)
+ *
+ * Auth: `Authorization: Bearer <token>` (or X-API-Token) with a token from PUBLIC_API_TOKENS.
+ * Launch items use the generic webhook launch shape (generic-webhook.js, schema v1).
+ *
+ * Env:
+ *   PUBLIC_API_TOKENS - Comma-separated tokens, optionally `name:token` (name shows in logs/metrics). Unset = API off (503).
+ *   PUBLIC_API_RATE_PER_MIN - Requests per minute per token (default 60, burst PUBLIC_API_BURST=20).
+ *   PUBLIC_API_CACHE_TTL_MS - Response cache per URL (default 30000). Identical requests in flight share one upstream call.
+ */
+
+import { getAddress } from "viem";
+import { listArchivedLaunches } from "./launch-archive.js";
+import { launchWebhookData } from "./generic-webhook.js";
+import { getTokenFees } from "./token-stats.js";
+import { buildTokenTrendCard } from "./token-trend-card.js";
+import { lookupByDeployerOrFee, resolveHandleToWallet } from "./lookup-deployer.js";
+import { resolveCashtagToBankrToken } from "./cashtag-resolve.js";
+import { fetchTopFeeEarners } from "./whales.js";
+import { createTokenBucket } from "./outbound-dispatcher.js";
+import { counter } from "./metrics.js";
+import { handleLiveStream } from "./live-stream.js";
+
+const CHAIN_ID = parseInt(process.env.CHAIN_ID || "8453", 10);
+const PUBLIC_API_RATE_PER_MIN = Math.max(1, parseFloat(process.env.PUBLIC_API_RATE_PER_MIN || "60") || 60);
+const PUBLIC_API_BURST = Math.max(1, parseInt(process.env.PUBLIC_API_BURST || "20", 10) || 20);
+const PUBLIC_API_CACHE_TTL_MS = Math.max(0, parseInt(process.env.PUBLIC_API_CACHE_TTL_MS || "30000", 10) || 0);
+const MAX_LAUNCHES = 500;
+const CACHE_MAX_ENTRIES = 500;
+
+const requestsTotal = counter("bankr_public_api_requests_total", "Public REST API requests by route and status.", ["route", "status"]);
+
+/** url -> { expires, promise } */
+const cache = new Map();
+/** client name -> token bucket */
+const buckets = new Map();
+
+/** Parsed PUBLIC_API_TOKENS: token -> client name. */
+function configuredTokens() {
+  const out = new Map();
+  String(process.env.PUBLIC_API_TOKENS || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .forEach((entry, i) => {
+      const sep = entry.indexOf(":");
+      const name = sep > 0 ? entry.slice(0, sep).trim() : `client${i + 1}`;
+      const token = sep > 0 ? entry.slice(sep + 1).trim() : entry;
+      if (token) out.set(token, name);
+    });
+  return out;
+}
+
+export function publicApiEnabled() {
+  return configuredTokens().size > 0;
+}
+
+/** Bearer / X-API-Token header, or `?token=` (for clients that cannot set headers, e.g. EventSource). */
+export function publicApiClientFor(req, url) {
+  const auth = String(req.headers?.authorization || "");
+  const token =
+    (auth.toLowerCase().startsWith("bearer ") ? auth.slice(7).trim() : "") ||
+    String(req.headers?.["x-api-token"] || "").trim() ||
+    url?.searchParams?.get("token") ||
+    "";
+  return token ? configuredTokens().get(token) ?? null : null;
+}
+
+function sendJson(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Cache-Control": "no-store",
+    ...headers,
+  });
+  res.end(JSON.stringify(body, (_k, v) => (typeof v === "bigint" ? v.toString() : v)));
+}
+
+/** ms number or ISO date → ms, else null. */
+function parseTimeParam(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  if (Number.isFinite(n)) return n;
+  const t = Date.parse(v);
+  return Number.isFinite(t) ? t : null;
+}
+
+function clampInt(v, min, max, fallback) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) ? Math.min(Math.max(n, min), max) : fallback;
+}
+
+function normalizeTokenAddress(v) {
+  try {
+    return getAddress(String(v ?? "").trim()).toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+class BadRequest extends Error {}
+
+const LOOKUP_ROLES = { deployer: "deployer", fee: "fee", fee_recipient: "fee", both: "both" };
+
+function decodeSegment(s) {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    return "";
+  }
+}
+
+function cached(key, fn) {
+  const now = Date.now();
+  const hit = cache.get(key);
+  if (hit && hit.expires > now) return hit.promise;
+  const promise = Promise.resolve().then(fn);
+  cache.set(key, { expires: now + PUBLIC_API_CACHE_TTL_MS, promise });
+  // Failures are not cached.
+  promise.catch(() => cache.delete(key));
+  if (cache.size > CACHE_MAX_ENTRIES) {
+    for (const [k, v] of cache) if (v.expires <= now || cache.size > CACHE_MAX_ENTRIES) cache.delete(k);
+  }
+  return promise;
+}
+
+async function listLaunches(url) {
+  const limit = clampInt(url.searchParams.get("limit"), 1, MAX_LAUNCHES, 50);
+  const sinceMs = parseTimeParam(url.searchParams.get("since")) ?? 0;
+  const untilMs = parseTimeParam(url.searchParams.get("before")) ?? Infinity;
+  const entries = await listArchivedLaunches({ chainId: CHAIN_ID, sinceMs, untilMs });
+  const page = entries.slice(-limit).reverse();
+  return {
+    launches: page.map((e) => ({
+      ...launchWebhookData(e.launch),
+      firstSeenAt: new Date(e.firstSeenAtMs).toISOString(),
+      sources: e.sources,
+    })),
+    count: page.length,
+    hasMore: entries.length > page.length,
+  };
+}
+
+async function tokenFees(address) {
+  const { formatUsd: _fmt, ...out } = await getTokenFees(address);
+  return out;
+}
+
+async function tokenTrend(address) {
+  const { card } = await buildTokenTrendCard(address);
+  return card;
+}
+
+async function lookup(url) {
+  const q = url.searchParams.get("q")?.trim();
+  if (!q) throw new BadRequest("q is required (wallet, X or Farcaster handle)");
+  const roleParam = url.searchParams.get("role") || "both";
+  const role = Object.hasOwn(LOOKUP_ROLES, roleParam) ? LOOKUP_ROLES[roleParam] : null;
+  if (!role) throw new BadRequest("role must be deployer, fee or both");
+  const sort = url.searchParams.get("sort") === "oldest" ? "oldest" : "newest";
+  return lookupByDeployerOrFee(q, role, sort);
+}
+
+async function resolve(url) {
+  const q = url.searchParams.get("q")?.trim();
+  if (!q) throw new BadRequest("q is required (X or Farcaster handle or profile URL)");
+  const { wallet, normalized, isWallet } = await resolveHandleToWallet(q);
+  return { query: q, normalized, wallet, isWallet };
+}
+
+async function cashtag(symbol) {
+  const sym = String(symbol ?? "").replace(/^\$/, "").trim();
+  if (!/^[A-Za-z0-9_]{2,15}$/.test(sym)) throw new BadRequest("symbol must be 2-15 letters, digits or _");
+  return { symbol: sym.toUpperCase(), token: await resolveCashtagToBankrToken(sym) };
+}
+
+async function feeLeaderboard(url) {
+  return fetchTopFeeEarners(clampInt(url.searchParams.get("limit"), 1, 50, 10));
+}
+
+/**
+ * Match a path to a route. `route` is the metrics label; `run` produces the `data` payload (`stream` routes hold the response open).
+ * @returns {{ route: string, run?: () => Promise<object>, stream?: boolean } | null}
+ */
+function matchRoute(path, url) {
+  let m;
+  if (path === "/api/v1/launches") return { route: "launches", run: () => listLaunches(url) };
+  if ((m = path.match(/^\/api\/v1\/tokens\/([^/]+)(\/trend)?$/))) {
+    const address = normalizeTokenAddress(decodeSegment(m[1]));
+    const trend = !!m[2];
+    return {
+      route: trend ? "token_trend" : "token",
+      run: () => {
+        if (!address) throw new BadRequest("Invalid token address (0x + 40 hex)");
+        return trend ? tokenTrend(address) : tokenFees(address);
+      },
+    };
+  }
+  if (path === "/api/v1/lookup") return { route: "lookup", run: () => lookup(url) };
+  if (path === "/api/v1/resolve") return { route: "resolve", run: () => resolve(url) };
+  if ((m = path.match(/^\/api\/v1\/cashtags\/([^/]+)$/))) {
+    return { route: "cashtag", run: () => cashtag(decodeSegment(m[1])) };
+  }
+  if (path === "/api/v1/leaderboard/fees") return { route: "leaderboard_fees", run: () => feeLeaderboard(url) };
+  if (path === "/api/v1/stream") return { route: "stream", stream: true };
+  return null;
+}
+
+export const PUBLIC_API_ROUTES = [
+  "/api/v1/launches",
+  "/api/v1/tokens/:address",
+  "/api/v1/tokens/:address/trend",
+  "/api/v1/lookup",
+  "/api/v1/resolve",
+  "/api/v1/cashtags/:symbol",
+  "/api/v1/leaderboard/fees",
+  "/api/v1/stream",
+];
+
+/** Cache key: path + sorted query without the auth token (so every client shares one cache). */
+function cacheKeyFor(path, url) {
+  const params = [...url.searchParams.entries()].filter(([k]) => k !== "token").sort(([a], [b]) => a.localeCompare(b));
+  return `${path}?${new URLSearchParams(params)}`;
+}
+
+/**
+ * Handle GET /api/v1/*. Caller checks the prefix.
+ * @param {import("http").IncomingMessage} req
+ * @param {import("http").ServerResponse} res
+ * @param {URL} url
+ * @param {string} path - pathname without trailing slash
+ */
+export async function handlePublicApiRequest(req, res, url, path) {
+  const matched = matchRoute(path, url);
+  const route = matched?.route ?? "unknown";
+  const reply = (status, body, headers) => {
+    requestsTotal.inc({ route, status });
+    sendJson(res, status, body, headers);
+  };
+  if (!publicApiEnabled()) {
+    reply(503, { ok: false, error: "Public API is not configured (set PUBLIC_API_TOKENS)." });
+    return;
+  }
+  const client = publicApiClientFor(req, url);
+  if (!client) {
+    reply(401, { ok: false, error: "Unauthorized" });
+    return;
+  }
+  if (req.method !== "GET") {
+    reply(405, { ok: false, error: "Method not allowed (read-only API)" });
+    return;
+  }
+  if (!matched) {
+    reply(404, { ok: false, error: "Not found", routes: PUBLIC_API_ROUTES });
+    return;
+  }
+  let bucket = buckets.get(client);
+  if (!bucket) {
+    bucket = createTokenBucket({ capacity: PUBLIC_API_BURST, refillPerSec: PUBLIC_API_RATE_PER_MIN / 60 });
+    buckets.set(client, bucket);
+  }
+  if (!bucket.take()) {
+    const retryAfterSec = Math.max(1, Math.ceil(bucket.waitMs() / 1000));
+    reply(429, { ok: false, error: "Rate limit exceeded" }, { "Retry-After": String(retryAfterSec) });
+    return;
+  }
+  if (matched.stream) {
+    if (await handleLiveStream(req, res, url)) requestsTotal.inc({ route, status: 200 });
+    else reply(503, { ok: false, error: "Too many open streams, retry later" }, { "Retry-After": "30" });
+    return;
+  }
+  try {
+    const data = await cached(cacheKeyFor(path, url), matched.run);
+    reply(200, { ok: true, chainId: CHAIN_ID, data });
+  } catch (e) {
+    if (e instanceof BadRequest) {
+      reply(400, { ok: false, error: e.message });
+      return;
+    }
+    console.error(`[public-api] ${route} (${client}) failed:`, e?.message ?? e);
+    reply(502, { ok: false, error: "Upstream lookup failed" });
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * AES-256-GCM encryption for secrets kept in state documents: tenant Bankr API keys and webhook secrets,
+ * Bankr App Discord webhook URLs, personal Telegram Bankr keys.
+ * Ciphertext format: "enc:v1:<keyId>:<iv b64>:<ciphertext+tag b64>", keyId = first 8 hex chars of sha256(master key).
+ * Stores call sealSecret() before writing and openSecret() when reading; values written before a master key was set
+ * stay readable as plaintext until the next write or `npm run secrets:rotate`.
+ *
+ * Env:
+ *   SECRETS_MASTER_KEY - 32-byte key as 64 hex chars or base64 (e.g. `openssl rand -hex 32`). Unset = tenant / app
+ *                        secrets are stored in plaintext (warning at first write) and Telegram /deploy is disabled.
+ *   SECRETS_MASTER_KEY_PREVIOUS - Comma-separated retired keys, still accepted for decryption while rotating.
+ */
+
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from "crypto";
+
+const PREFIX = "enc:v1:";
+
+/** 32-byte key from hex or base64; null when missing or malformed. */
+export function parseMasterKey(raw) {
+  const s = String(raw ?? "").trim();
+  if (!s) return null;
+  const buf = /^[0-9a-fA-F]{64}$/.test(s) ? Buffer.from(s, "hex") : Buffer.from(s, "base64");
+  return buf.length === 32 ? buf : null;
+}
+
+function masterKey() {
+  const key = parseMasterKey(process.env.SECRETS_MASTER_KEY);
+  if (!key && process.env.SECRETS_MASTER_KEY) console.warn("[secret-box] SECRETS_MASTER_KEY must be 32 bytes (64 hex chars or base64)");
+  return key;
+}
+
+/** Current key first, then SECRETS_MASTER_KEY_PREVIOUS. */
+function keyring() {
+  const previous = String(process.env.SECRETS_MASTER_KEY_PREVIOUS ?? "")
+    .split(",")
+    .map(parseMasterKey)
+    .filter(Boolean);
+  return [masterKey(), ...previous].filter(Boolean);
+}
+
+export function keyIdOf(key) {
+  return createHash("sha256").update(key).digest("hex").slice(0, 8);
+}
+
+export function hasSecretsMasterKey() {
+  return masterKey() != null;
+}
+
+export function isEncryptedSecret(value) {
+  return typeof value === "string" && value.startsWith(PREFIX);
+}
+
+/**
+ * @param {string} plaintext
+ * @param {Buffer} [key] - Defaults to SECRETS_MASTER_KEY
+ * @returns {string}
+ */
+export function encryptSecret(plaintext, key = masterKey()) {
+  if (!key) throw new Error("SECRETS_MASTER_KEY is not set");
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", key, iv);
+  const ct = Buffer.concat([cipher.update(String(plaintext), "utf8"), cipher.final(), cipher.getAuthTag()]);
+  return `${PREFIX}${keyIdOf(key)}:${iv.toString("base64")}:${ct.toString("base64")}`;
+}
+
+/**
+ * @param {string} value - From encryptSecret
+ * @param {Buffer} [key] - Defaults to whichever of SECRETS_MASTER_KEY / SECRETS_MASTER_KEY_PREVIOUS matches the key id
+ * @returns {string}
+ */
+export function decryptSecret(value, key) {
+  if (!isEncryptedSecret(value)) throw new Error("not an encrypted secret");
+  const [keyId, ivB64, ctB64] = value.slice(PREFIX.length).split(":");
+  if (!key) {
+    const ring = keyring();
+    if (ring.length === 0) throw new Error("SECRETS_MASTER_KEY is not set");
+    key = ring.find((k) => keyIdOf(k) === keyId) ?? ring[0];
+  }
+  if (keyId !== keyIdOf(key)) throw new Error(`secret was encrypted with another master key (${keyId})`);
+  const data = Buffer.from(ctB64 ?? "", "base64");
+  const decipher = createDecipheriv("aes-256-gcm", key, Buffer.from(ivB64 ?? "", "base64"));
+  decipher.setAuthTag(data.subarray(data.length - 16));
+  return Buffer.concat([decipher.update(data.subarray(0, data.length - 16)), decipher.final()]).toString("utf8");
+}
+
+let _warnedPlaintext = false;
+
+/**
+ * Value to write to a store: encrypted when SECRETS_MASTER_KEY is set, else unchanged (plaintext, warned once).
+ * null / "" and already-encrypted values pass through.
+ * @param {string|null|undefined} value
+ * @returns {string|null}
+ */
+export function sealSecret(value) {
+  if (value == null || value === "") return value ?? null;
+  if (isEncryptedSecret(value)) return value;
+  if (!hasSecretsMasterKey()) {
+    if (!_warnedPlaintext) {
+      _warnedPlaintext = true;
+      console.warn("[secret-box] SECRETS_MASTER_KEY is not set: API keys and webhook secrets are stored in plaintext");
+    }
+    return value;
+  }
+  return encryptSecret(value);
+}
+
+/**
+ * Value read from a store: decrypted, or returned as is when stored before encryption was enabled.
+ * Undecryptable values (missing / wrong master key) read as null.
+ * @param {string|null|undefined} value
+ * @returns {string|null}
+ */
+export function openSecret(value) {
+  if (value == null || value === "") return value ?? null;
+  if (!isEncryptedSecret(value)) return value;
+  try {
+    return decryptSecret(value);
+  } catch (e) {
+    console.warn("[secret-box] cannot decrypt stored secret:", e.message);
+    return null;
+  }
+}
+
+/**
+ * Re-encrypt a stored value with the current master key (plaintext values get encrypted). Used by secrets:rotate.
+ * Throws when there is no master key or the value cannot be decrypted, so rotation never drops a secret.
+ * @returns {{ value: string|null, changed: boolean }}
+ */
+export function resealSecret(value) {
+  const key = masterKey();
+  if (!key) throw new Error("SECRETS_MASTER_KEY is not set");
+  if (value == null || value === "") return { value: value ?? null, changed: false };
+  if (isEncryptedSecret(value) && value.startsWith(`${PREFIX}${keyIdOf(key)}:`)) return { value, changed: false };
+  const plain = isEncryptedSecret(value) ? decryptSecret(value) : value;
+  return { value: encryptSecret(plain, key), changed: true };
+}
+
+/** "encrypted" | "plaintext" | null — how a stored value is kept, without decrypting it (for /setup show). */
+export function describeStoredSecret(value) {
+  if (value == null || value === "") return null;
+  return isEncryptedSecret(value) ? "encrypted" : "plaintext";
+}
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+/**
+ * Re-encrypt every stored secret with the current SECRETS_MASTER_KEY: tenant Bankr API keys and webhook secrets,
+ * Bankr App Discord webhook URLs / webhook secrets, personal Telegram Bankr keys. Plaintext values written before
+ * encryption was enabled are encrypted too.
+ *
+ * Usage: npm run secrets:rotate
+ *
+ * Env: SECRETS_MASTER_KEY (new key), SECRETS_MASTER_KEY_PREVIOUS (old key(s), comma-separated) plus the usual
+ * TENANTS_FILE, BANKR_APP_USERS_FILE, TELEGRAM_PERSONAL_USERS_FILE, STORAGE_DRIVER, …
+ * Rotation: set both env vars on the bot, run this once, then remove SECRETS_MASTER_KEY_PREVIOUS.
+ */
+
+import "dotenv/config";
+import { hasSecretsMasterKey } from "./secret-box.js";
+import { resealTenantSecrets } from "./tenant-store.js";
+import { resealBankrAppSecrets } from "./bankr-app-store.js";
+import { resealPersonalSecrets } from "./telegram-personal-store.js";
+
+const STORES = [
+  ["tenants", resealTenantSecrets],
+  ["bankr-app-users", resealBankrAppSecrets],
+  ["telegram-personal-users", resealPersonalSecrets],
+];
+
+async function main() {
+  if (!hasSecretsMasterKey()) {
+    console.error("SECRETS_MASTER_KEY is not set (32 bytes: `openssl rand -hex 32`).");
+    process.exit(1);
+  }
+  console.log("Re-encrypting stored secrets with the current SECRETS_MASTER_KEY\n");
+  let failed = 0;
+  for (const [name, reseal] of STORES) {
+    try {
+      const changed = await reseal();
+      console.log(`  ✓ ${name}: ${changed} secret(s) re-encrypted`);
+    } catch (e) {
+      failed++;
+      console.error(`  ✗ ${name}: ${e.message} (nothing written; add the old key to SECRETS_MASTER_KEY_PREVIOUS)`);
+    }
+  }
+  console.log(`\nDone.${failed > 0 ? ` ${failed} store(s) failed.` : " You can now remove SECRETS_MASTER_KEY_PREVIOUS."}`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,283 @@
+/**
+ * Pluggable storage for bot state documents (tenants, Telegram users, seen list, …).
+ *
+ * Every store keeps one JSON document. STORAGE_DRIVER chooses where it lives:
+ *   json   (default) — one file per store at the store's own *_FILE path (legacy layout).
+ *            Writes go to a temp file + rename, the previous file is kept in rotating backups,
+ *            and a file that no longer parses is never overwritten (see STATE_BACKUP_* below).
+ *   sqlite — one row per store in STORAGE_SQLITE_FILE; each write is a single transaction,
+ *            so a restart mid-write keeps the previous document instead of a truncated file,
+ *            and a row that no longer parses is never overwritten (same guard as the json driver).
+ *
+ * Stores read, change and write a whole document, and most treat a failed read as empty state. So once a
+ * document's read throws (anything but "missing"), its writes are refused (StateReadFailedError) until a read
+ * succeeds again: a transient error or a bad row can't turn into an empty document that replaces the real one.
+ *
+ * SQLite uses node:sqlite when the runtime has it, else the optional better-sqlite3 package.
+ * Import existing JSON files once with `npm run storage:migrate` (see storage-migrate.js).
+ */
+
+import { readFile, mkdir, open, rename, rm, readdir, copyFile } from "fs/promises";
+import { basename, dirname, join } from "path";
+
+/** Registered documents by name (filled as store modules load). */
+const documents = new Map();
+
+/** Rotating backups kept per JSON state file (STATE_BACKUP_KEEP, default 10; 0 = no backups). */
+const STATE_BACKUP_KEEP = Math.max(0, parseInt(process.env.STATE_BACKUP_KEEP ?? "10", 10) || 0);
+/** Min ms between backups of the same file (STATE_BACKUP_INTERVAL_MS, default 10 min) so the seen list doesn't back up every poll. */
+const STATE_BACKUP_INTERVAL_MS = Math.max(0, parseInt(process.env.STATE_BACKUP_INTERVAL_MS ?? "600000", 10) || 0);
+
+/** Thrown when a write would replace a state file (or SQLite row) whose current contents do not parse. */
+export class StateFileCorruptError extends Error {
+  constructor(file, cause) {
+    super(
+      `Refusing to overwrite ${file}: existing data is not valid JSON (${cause?.message ?? cause}). ` +
+        "Restore it from a backup (STATE_BACKUP_DIR) or move it aside, then retry."
+    );
+    this.name = "StateFileCorruptError";
+    this.file = file;
+  }
+}
+
+/** Thrown when a document is written after its last read failed (the caller may be holding fallback empty state). */
+export class StateReadFailedError extends Error {
+  constructor(name, cause) {
+    super(
+      `Refusing to write state document "${name}": its last read failed (${cause?.message ?? cause}). ` +
+        "Writes resume after a read succeeds."
+    );
+    this.name = "StateReadFailedError";
+    this.document = name;
+  }
+}
+
+/** Backup directory for a state file (STATE_BACKUP_DIR, default .state-backups next to the file). */
+function backupDirFor(file) {
+  return process.env.STATE_BACKUP_DIR || join(dirname(file), ".state-backups");
+}
+
+/** file path -> last backup time (ms) in this process */
+const lastBackupAt = new Map();
+
+async function rotateBackup(file) {
+  if (STATE_BACKUP_KEEP <= 0) return;
+  const now = Date.now();
+  const last = lastBackupAt.get(file);
+  if (last != null && now - last < STATE_BACKUP_INTERVAL_MS) return;
+  lastBackupAt.set(file, now);
+  const dir = backupDirFor(file);
+  const base = basename(file);
+  const stamp = new Date(now).toISOString().replace(/[:.]/g, "-");
+  try {
+    await mkdir(dir, { recursive: true });
+    await copyFile(file, join(dir, `${base}.${stamp}.bak`));
+    const old = (await readdir(dir)).filter((f) => f.startsWith(`${base}.`) && f.endsWith(".bak")).sort();
+    for (const f of old.slice(0, Math.max(0, old.length - STATE_BACKUP_KEEP))) {
+      await rm(join(dir, f), { force: true });
+    }
+  } catch (e) {
+    console.warn(`[state-storage] backup of ${file} failed:`, e?.message ?? e);
+  }
+}
+
+/** Write to a temp file in the same directory, fsync, then rename over the target (atomic on POSIX). */
+async function writeFileAtomic(file, contents) {
+  const tmp = join(dirname(file), `.${basename(file)}.${process.pid}.${Date.now()}.tmp`);
+  const fh = await open(tmp, "w");
+  try {
+    await fh.writeFile(contents, "utf-8");
+    await fh.sync();
+  } finally {
+    await fh.close();
+  }
+  try {
+    await rename(tmp, file);
+  } catch (e) {
+    await rm(tmp, { force: true });
+    throw e;
+  }
+}
+
+let activeDriver = null;
+
+/** "json" | "sqlite" from STORAGE_DRIVER (unknown values fall back to json). */
+export function getStorageDriverName() {
+  const raw = String(process.env.STORAGE_DRIVER || "json").trim().toLowerCase();
+  return raw === "sqlite" ? "sqlite" : "json";
+}
+
+/** SQLite database path (STORAGE_SQLITE_FILE, default .bankr-state.sqlite in app cwd). */
+export function getSqliteStorageFile() {
+  return process.env.STORAGE_SQLITE_FILE || join(process.cwd(), ".bankr-state.sqlite");
+}
+
+/**
+ * One file per document. Missing file → null; invalid JSON throws (callers decide the fallback).
+ * write() refuses (StateFileCorruptError) when the current file exists but does not parse, so a
+ * failed read that fell back to empty state can never replace the real data.
+ */
+export function createJsonStorageDriver() {
+  return {
+    name: "json",
+    async read(doc) {
+      let raw;
+      try {
+        raw = await readFile(doc.file, "utf-8");
+      } catch (e) {
+        if (e?.code === "ENOENT") return null;
+        throw e;
+      }
+      try {
+        return JSON.parse(raw);
+      } catch (e) {
+        console.error(`[state-storage] ${doc.file} is not valid JSON; writes are blocked until it is fixed:`, e.message);
+        throw e;
+      }
+    },
+    async write(doc, data) {
+      await mkdir(dirname(doc.file), { recursive: true }).catch(() => {});
+      let existing = null;
+      try {
+        existing = await readFile(doc.file, "utf-8");
+      } catch (e) {
+        if (e?.code !== "ENOENT") throw e;
+      }
+      if (existing != null) {
+        try {
+          JSON.parse(existing);
+        } catch (e) {
+          throw new StateFileCorruptError(doc.file, e);
+        }
+        await rotateBackup(doc.file);
+      }
+      await writeFileAtomic(doc.file, JSON.stringify(data, null, doc.indent));
+    },
+    async close() {},
+  };
+}
+
+async function openSqliteDatabase(file) {
+  await mkdir(dirname(file), { recursive: true }).catch(() => {});
+  try {
+    const { DatabaseSync } = await import("node:sqlite");
+    return new DatabaseSync(file);
+  } catch {
+    /* node:sqlite needs Node 22.5+; fall through to better-sqlite3 */
+  }
+  let Database;
+  try {
+    ({ default: Database } = await import("better-sqlite3"));
+  } catch {
+    throw new Error("STORAGE_DRIVER=sqlite needs Node 22.5+ (node:sqlite) or the better-sqlite3 package (npm install better-sqlite3)");
+  }
+  return new Database(file);
+}
+
+/**
+ * All documents in one SQLite file: table state_documents(name, data, updated_at).
+ * @param {string} [file] - Database path (default getSqliteStorageFile()).
+ */
+export function createSqliteStorageDriver(file = getSqliteStorageFile()) {
+  let dbPromise = null;
+  const getDb = () => {
+    if (!dbPromise) {
+      dbPromise = openSqliteDatabase(file).then((db) => {
+        db.exec("PRAGMA journal_mode = WAL");
+        db.exec("PRAGMA synchronous = NORMAL");
+        db.exec(
+          "CREATE TABLE IF NOT EXISTS state_documents (name TEXT PRIMARY KEY, data TEXT NOT NULL, updated_at INTEGER NOT NULL)"
+        );
+        return db;
+      });
+      dbPromise.catch(() => {
+        dbPromise = null;
+      });
+    }
+    return dbPromise;
+  };
+  return {
+    name: "sqlite",
+    file,
+    async read(doc) {
+      const db = await getDb();
+      const row = db.prepare("SELECT data FROM state_documents WHERE name = ?").get(doc.name);
+      if (!row) return null;
+      try {
+        return JSON.parse(row.data);
+      } catch (e) {
+        console.error(`[state-storage] ${file} row "${doc.name}" is not valid JSON; writes are blocked until it is fixed:`, e.message);
+        throw e;
+      }
+    },
+    async write(doc, data) {
+      const db = await getDb();
+      const existing = db.prepare("SELECT data FROM state_documents WHERE name = ?").get(doc.name);
+      if (existing) {
+        try {
+          JSON.parse(existing.data);
+        } catch (e) {
+          throw new StateFileCorruptError(`${file} (row "${doc.name}")`, e);
+        }
+      }
+      db.prepare(
+        "INSERT INTO state_documents (name, data, updated_at) VALUES (?, ?, ?) ON CONFLICT(name) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at"
+      ).run(doc.name, JSON.stringify(data), Date.now());
+    },
+    async has(doc) {
+      const db = await getDb();
+      return !!db.prepare("SELECT 1 AS found FROM state_documents WHERE name = ?").get(doc.name);
+    },
+    async close() {
+      if (!dbPromise) return;
+      const db = await dbPromise.catch(() => null);
+      dbPromise = null;
+      db?.close();
+    },
+  };
+}
+
+/** Driver selected by STORAGE_DRIVER (created once per process). */
+export function getStorageDriver() {
+  if (!activeDriver) {
+    activeDriver = getStorageDriverName() === "sqlite" ? createSqliteStorageDriver() : createJsonStorageDriver();
+  }
+  return activeDriver;
+}
+
+/**
+ * Register a state document. Stores call read()/write() instead of touching files directly.
+ * @param {string} name - Stable key (SQLite row name), e.g. "tenants".
+ * @param {string} file - JSON path used by the json driver and by storage:migrate.
+ * @param {{ indent?: number }} [opts] - JSON file indentation (0 = compact).
+ * @returns {{ name: string, file: string, indent: number, read: () => Promise<any>, write: (data: any) => Promise<void> }}
+ */
+export function defineStateDocument(name, file, opts = {}) {
+  let readError = null;
+  const doc = {
+    name,
+    file,
+    indent: opts.indent ?? 2,
+    read: async () => {
+      try {
+        const data = await getStorageDriver().read(doc);
+        readError = null;
+        return data;
+      } catch (e) {
+        readError = e;
+        throw e;
+      }
+    },
+    write: async (data) => {
+      if (readError) throw new StateReadFailedError(name, readError);
+      await getStorageDriver().write(doc, data);
+    },
+  };
+  documents.set(name, doc);
+  return doc;
+}
+
+/** Every document registered so far (import the store modules first). */
+export function listStateDocuments() {
+  return [...documents.values()];
+}
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * One-shot import of the JSON state files into the SQLite storage driver.
+ * Reads every store's *_FILE path (same env as the bot) and writes one row per store.
+ *
+ * Usage: npm run storage:migrate [-- --force]
+ *   --force  Overwrite rows that already exist in SQLite (default: skip them)
+ *
+ * Env: STORAGE_SQLITE_FILE (target, default .bankr-state.sqlite) plus the usual TENANTS_FILE, SEEN_FILE, …
+ * Afterwards set STORAGE_DRIVER=sqlite and restart. JSON files are left untouched as a fallback.
+ */
+
+import "dotenv/config";
+import {
+  createJsonStorageDriver,
+  createSqliteStorageDriver,
+  getSqliteStorageFile,
+  listStateDocuments,
+} from "./state-storage.js";
+// Importing each store registers its document (name + JSON path).
+import "./tenant-store.js";
+import "./telegram-personal-store.js";
+import "./telegram-group-settings.js";
+import "./bankr-app-store.js";
+import "./claim-watch-store.js";
+import "./watch-store.js";
+import "./launch-archive.js";
+import "./outbound-dispatcher.js";
+import "./live-stream.js";
+import "./whale-leaderboard.js";
+import "./deploy-audit.js";
+import "./watchers/dopplerClaimWatcher.js";
+import "./claim-history-store.js";
+import "./fee-recipient-watch.js";
+import "./notify.js";
+
+async function main() {
+  const force = process.argv.includes("--force");
+  const json = createJsonStorageDriver();
+  const sqlite = createSqliteStorageDriver(getSqliteStorageFile());
+  console.log(`Migrating JSON state → ${sqlite.file}${force ? " (--force)" : ""}\n`);
+  let imported = 0;
+  let failed = 0;
+  try {
+    for (const doc of listStateDocuments()) {
+      let data;
+      try {
+        data = await json.read(doc);
+      } catch (e) {
+        failed++;
+        console.error(`  ✗ ${doc.name}: cannot read ${doc.file}: ${e.message}`);
+        continue;
+      }
+      if (data == null) {
+        console.log(`  - ${doc.name}: no file at ${doc.file}`);
+        continue;
+      }
+      if (!force && (await sqlite.has(doc))) {
+        console.log(`  - ${doc.name}: already in SQLite (use --force to overwrite)`);
+        continue;
+      }
+      await sqlite.write(doc, data);
+      imported++;
+      console.log(`  ✓ ${doc.name}: imported ${doc.file}`);
+    }
+  } finally {
+    await sqlite.close();
+  }
+  console.log(`\nDone. ${imported} imported, ${failed} failed. Set STORAGE_DRIVER=sqlite to use the database.`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -3,7 +3,8 @@
  *
  * Railway: set TELEGRAM_BANKR_API_KEYS=key1,key2,key3 (comma or newline).
  * If set, those keys are tried first (round-robin); BANKR_API_KEY is always appended as a fallback (deduped).
- * If TELEGRAM_* is unset, only BANKR_API_KEY is used. Discord/notify always use BANKR_API_KEY (or /setup) only.
+ * If TELEGRAM_* is unset, only BANKR_API_KEY is used. Discord/notify use BANKR_API_KEY (or /setup) and only borrow from this
+ * pool while that key is rate limited (bankr-key-usage.js).
  */
 
 let _rr = 0;
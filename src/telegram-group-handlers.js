@@ -1,5 +1,5 @@
 /**
- * Telegram groups/supergroups: /walletlookup, /lookup, /token + pasted Bankr CAs (…ba3).
+ * Telegram groups/supergroups: /walletlookup, /lookup, /token, /whales + pasted Bankr CAs (…ba3).
  * Admins: /tg_tokenlookup, /tg_watch, /tg_alerts, /tg_settings. See /tg_help.
  */
 
@@ -13,6 +13,7 @@ import {
   runTelegramWalletLookupCommand,
   runTelegramLookupCommand,
   runTelegramTokenSlashCommand,
+  runTelegramWhalesCommand,
 } from "./telegram-personal-commands.js";
 import {
   getTelegramGroupSettings,
@@ -422,6 +423,8 @@ export async function handleTelegramGroupMessage(p) {
         "`/walletlookup` — X/Farcaster / URL → wallet",
         "`/lookup` — Bankr tokens for wallet or profile",
         "`/token` — fee summary for `0x…ba3` or `$TICKER` (resolves to highest-mcap Bankr match)",
+        "`/whales` `24h`|`7d`|`all` — top fee earners",
+        "`/claims` `0x…` — Bankr tokens a wallet claimed, or a `0x…ba3` token's claim timeline",
         "_Paste a Bankr contract (`…ba3`) or a cashtag (`$SYMBOL`) → token summary when auto-lookup is ON._",
         "",
         "*Group alerts (anyone can list; admins add/remove):*",
@@ -507,6 +510,11 @@ export async function handleTelegramGroupMessage(p) {
     return "handled";
   }
 
+  if (cmd === "/whales") {
+    await runTelegramWhalesCommand(send, rest);
+    return "handled";
+  }
+
   // Unknown slash command (e.g. /claims) — fall through to discord-bot poll loop
   if (lineForSlash.startsWith("/")) return "not_handled";
 
@@ -25,15 +25,11 @@ function escapeTgMd(s) {
 /**
  * @param {object} launchForEmbeds
  * @param {Awaited<ReturnType<import("./telegram-group-settings.js").listTelegramGroupAlertConfigs>>} telegramGroupConfigs
- * @param {{ sendTelegram: (launch: object, opts?: object) => Promise<void>, outboundDelayMs?: number }} io
+ * @param {{ sendTelegram: (launch: object, opts?: object) => Promise<void>, outboundDelayMs?: number }} io - outboundDelayMs is the queue delay after Discord
  */
 export async function sendTelegramGroupWatchMatches(launchForEmbeds, telegramGroupConfigs, io) {
   const { sendTelegram, outboundDelayMs = 0 } = io;
   if (!telegramGroupConfigs?.length) return;
-  const schedule = (fn) => {
-    if (outboundDelayMs <= 0) void fn();
-    else setTimeout(fn, outboundDelayMs);
-  };
   for (const cfg of telegramGroupConfigs) {
     if (!cfg.alertWatchMatch || !telegramGroupWatchListHasEntries(cfg.watchListSets)) continue;
     if (!isWatchMatchForTenant(launchForEmbeds, cfg.watchListSets)) continue;
@@ -43,13 +39,12 @@ export async function sendTelegramGroupWatchMatches(launchForEmbeds, telegramGro
     const lines = reasons.map((r) => `• ${escapeTgMd(r)}`);
     const prepend = `👀 *Watch list match*\n${lines.join("\n")}\n\n`;
     const tw = cfg.topicWatch != null && cfg.topicWatch !== "" ? cfg.topicWatch : undefined;
-    schedule(() =>
-      void sendTelegram(launchForEmbeds, {
-        chatId: cfg.chatId,
-        messageThreadId: tw,
-        prependMarkdown: prepend,
-      }).catch(() => {})
-    );
+    await sendTelegram(launchForEmbeds, {
+      chatId: cfg.chatId,
+      messageThreadId: tw,
+      prependMarkdown: prepend,
+      delayMs: Math.max(0, outboundDelayMs),
+    }).catch((e) => console.error("Telegram group watch match:", e.message));
   }
 }
 
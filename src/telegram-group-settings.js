@@ -3,11 +3,12 @@
  * Use TELEGRAM_GROUP_SETTINGS_FILE on a volume in production (same pattern as personal users file).
  */
 
-import { readFile, writeFile, mkdir } from "fs/promises";
-import { dirname, join } from "path";
+import { join } from "path";
+import { defineStateDocument } from "./state-storage.js";
 
 const FILE =
   process.env.TELEGRAM_GROUP_SETTINGS_FILE || join(process.cwd(), ".telegram-group-settings.json");
+const settingsDoc = defineStateDocument("telegram-group-settings", FILE);
 
 const DEFAULT_WATCHLIST = { x: [], fc: [], wallet: [], keywords: [] };
 
@@ -51,8 +52,7 @@ function defaultSettings() {
 
 async function loadAll() {
   try {
-    const raw = await readFile(FILE, "utf-8");
-    const j = JSON.parse(raw);
+    const j = await settingsDoc.read();
     const chats = j?.chats;
     if (!chats || typeof chats !== "object") return {};
     return chats;
@@ -62,8 +62,7 @@ async function loadAll() {
 }
 
 async function saveAll(chats) {
-  await mkdir(dirname(FILE), { recursive: true }).catch(() => {});
-  await writeFile(FILE, JSON.stringify({ chats }, null, 2), "utf-8");
+  await settingsDoc.write({ chats });
 }
 
 /**
@@ -1,7 +1,13 @@
 /**
  * Commands for Telegram private chat (personal DM bot layer).
+ *
+ * /deploy walks through name → symbol → image → fee recipient, dry-runs the deploy with the user's own Bankr key
+ * (/bankrkey, stored encrypted; never the operator's BANKR_API_KEY) and deploys on the inline "Confirm" button.
+ * Hidden with HIDE_DEPLOY_COMMAND=true; needs SECRETS_MASTER_KEY to store keys.
  */
 
+import { randomBytes } from "crypto";
+
 import {
   resolveHandleToWallet,
   parseQuery,
@@ -16,6 +22,7 @@ import {
   buildTelegramTradeKeyboardMarkup,
   getDeployerFeedCount,
   getFeeRecipientFeedCount,
+  escapeTelegramHtml,
   TELEGRAM_HTML_MAX,
 } from "./notify.js";
 import { getTokenFees, formatUsd } from "./token-stats.js";
@@ -30,12 +37,21 @@ import {
   updatePersonalSettings,
   addPersonalActivityWatch,
   removePersonalActivityWatch,
+  setPersonalBankrApiKey,
+  clearPersonalBankrApiKey,
+  getPersonalBankrApiKey,
+  hasPersonalBankrApiKey,
   TELEGRAM_PERSONAL_WATCHLIST_MAX,
 } from "./telegram-personal-store.js";
 import { summarizeActivityWatchThresholds } from "./activity-watch.js";
 import { BRAND_DISPLAY_NAME } from "./brand.js";
 import { hasTelegramBankrApiKeys, pickTelegramBankrApiKeyRoundRobin } from "./telegram-bankr-keys.js";
 import { resolveCashtagToBankrToken, formatCashtagResolvePreambleHtml } from "./cashtag-resolve.js";
+import { formatWhalesTelegramText, getWhaleLeaderboard, parseWhaleWindow } from "./whale-leaderboard.js";
+import { buildDeployBody, callBankrDeploy } from "./deploy-token.js";
+import { hasSecretsMasterKey } from "./secret-box.js";
+
+const HIDE_DEPLOY_COMMAND = process.env.HIDE_DEPLOY_COMMAND === "true" || process.env.HIDE_DEPLOY_COMMAND === "1";
 
 /** Max token rows per /lookup reply (Telegram ~4k limit). */
 const TELEGRAM_LOOKUP_MAX_ROWS = Math.min(Math.max(parseInt(process.env.TELEGRAM_LOOKUP_MAX_ROWS || "15", 10), 5), 35);
@@ -397,6 +413,27 @@ export async function runTelegramLookupCommand(send, rest) {
   }
 }
 
+/** Shared /whales command (DMs + groups): `/whales [24h|7d|all]`. */
+export async function runTelegramWhalesCommand(send, rest) {
+  const arg = rest?.trim().split(/\s+/)[0] || "";
+  const window = arg ? parseWhaleWindow(arg) : "all";
+  if (!window) {
+    await send("Usage: /whales [24h|7d|all]");
+    return;
+  }
+  await send("Loading fee whales…");
+  try {
+    const board = await getWhaleLeaderboard({
+      window,
+      limit: 10,
+      bankrApiKey: hasTelegramBankrApiKeys() ? pickTelegramBankrApiKeyRoundRobin() : undefined,
+    });
+    await send(formatWhalesTelegramText(board));
+  } catch (e) {
+    await send(`Whales failed: ${e.message}`);
+  }
+}
+
 /** Shared /token command (DMs + groups). */
 export async function runTelegramTokenSlashCommand(send, rest) {
   if (!rest?.trim()) {
@@ -431,6 +468,237 @@ export async function runTelegramTokenSlashCommand(send, rest) {
   await runTokenLookupForChat(send, addr, pickTelegramBankrApiKeyRoundRobin());
 }
 
+/** Open /deploy conversations by chat id. In memory: a restart drops them (user runs /deploy again). */
+const deploySessions = new Map();
+const DEPLOY_SESSION_TTL_MS = 15 * 60 * 1000;
+
+function activeDeploySession(chatId) {
+  const session = deploySessions.get(chatId);
+  if (session && Date.now() - session.updatedAt > DEPLOY_SESSION_TTL_MS) {
+    deploySessions.delete(chatId);
+    return null;
+  }
+  return session ?? null;
+}
+
+/**
+ * Fee recipient reply from /deploy: 0x wallet, name.eth, @handle or x:handle (X), fc:handle (Farcaster).
+ * @returns {{ type: 'wallet'|'x'|'farcaster'|'ens', value: string } | null} null when not recognized
+ */
+export function parseTelegramFeeRecipient(raw) {
+  const s = String(raw ?? "").trim();
+  if (/^0x[a-fA-F0-9]{40}$/.test(s)) return { type: "wallet", value: s.toLowerCase() };
+  if (/^[a-z0-9-]+(\.[a-z0-9-]+)*\.eth$/i.test(s)) return { type: "ens", value: s.toLowerCase() };
+  const fc = s.match(/^(?:fc|farcaster):@?([a-z0-9][a-z0-9_.-]{0,30})$/i);
+  if (fc) return { type: "farcaster", value: fc[1].toLowerCase() };
+  const x = s.match(/^(?:x:|twitter:)?@?([A-Za-z0-9_]{1,15})$/);
+  if (x && (s.startsWith("@") || /^(x|twitter):/i.test(s))) return { type: "x", value: x[1] };
+  return null;
+}
+
+function isSkipReply(text) {
+  return /^(skip|\/skip|-)$/i.test(String(text ?? "").trim());
+}
+
+function deployRateLimitLine(rateLimit) {
+  if (rateLimit?.remaining == null) return "";
+  return `Deploys left on your key: ${rateLimit.remaining}${rateLimit.limit != null ? `/${rateLimit.limit}` : ""} (24h)`;
+}
+
+function deployPreviewHtml(body, preview) {
+  const fee = body.feeRecipient
+    ? `${body.feeRecipient.type}: <code>${escapeTelegramHtml(body.feeRecipient.value)}</code>`
+    : "your Bankr key's wallet";
+  return [
+    "<b>Deploy preview (dry run)</b>",
+    "",
+    `Name: <b>${escapeTelegramHtml(body.tokenName)}</b>`,
+    `Ticker: ${body.tokenSymbol ? `$${escapeTelegramHtml(body.tokenSymbol)}` : "Bankr default"}`,
+    `Image: ${body.image ? escapeTelegramHtml(body.image) : "none"}`,
+    `Creator fees (57%): ${fee}`,
+    `Predicted address: ${preview.tokenAddress ? `<code>${preview.tokenAddress}</code>` : "—"}`,
+    deployRateLimitLine(preview.rateLimit),
+    "",
+    "Nothing has been deployed yet. Tap <b>Confirm deploy</b> to deploy, or <b>Cancel</b>.",
+  ]
+    .filter((line, i, all) => line !== "" || all[i - 1] !== "")
+    .join("\n");
+}
+
+function deployResultHtml(result) {
+  const addr = result.tokenAddress ?? "";
+  return [
+    "<b>Token deployed</b>",
+    "",
+    addr ? `Token: <code>${addr}</code>` : "",
+    result.txHash ? `Tx: https://basescan.org/tx/${result.txHash}` : "",
+    `Bankr: https://bankr.bot/launches${addr ? `/${addr}` : ""}`,
+    deployRateLimitLine(result.rateLimit),
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+/** Inline keyboard for the preview. callback_data is capped at 64 bytes. */
+function deployConfirmKeyboard(sessionId) {
+  return {
+    inline_keyboard: [
+      [
+        { text: "Confirm deploy", callback_data: `deploy:confirm:${sessionId}` },
+        { text: "Cancel", callback_data: `deploy:cancel:${sessionId}` },
+      ],
+    ],
+  };
+}
+
+async function runTelegramBankrKeyCommand(ctx, chatId, rest) {
+  const send = ctx.send;
+  const arg = rest.trim();
+  if (!arg) {
+    const u = await getPersonalUser(chatId);
+    return send(
+      hasPersonalBankrApiKey(u)
+        ? "Your Bankr API key is set (stored encrypted). /bankrkey clear to remove it."
+        : "No Bankr API key set. Send /bankrkey <key> (Agent API access, from bankr.bot/api). Used only for your own /deploy."
+    );
+  }
+  if (arg.toLowerCase() === "clear") {
+    return send((await clearPersonalBankrApiKey(chatId)) ? "Bankr API key removed." : "No Bankr API key was set.");
+  }
+  // The key is in chat history: try to delete the user's message (fails silently when Telegram refuses).
+  if (typeof ctx.deleteMessage === "function") await ctx.deleteMessage().catch(() => {});
+  const r = await setPersonalBankrApiKey(chatId, arg);
+  if (!r.ok) {
+    return send(
+      r.error === "NO_MASTER_KEY"
+        ? "This bot cannot store API keys (SECRETS_MASTER_KEY is not set). Contact the bot admin."
+        : "That does not look like a Bankr API key."
+    );
+  }
+  return send("Bankr API key saved (encrypted). Delete your message with the key if it is still visible. Now try /deploy.");
+}
+
+async function startTelegramDeploy(chatId, send) {
+  if (!hasSecretsMasterKey()) {
+    return send("Deploy is not available on this bot (SECRETS_MASTER_KEY is not set). Contact the bot admin.");
+  }
+  if (!hasPersonalBankrApiKey(await getPersonalUser(chatId))) {
+    return send(
+      "Deploying uses your own Bankr API key. Get one with Agent API access at bankr.bot/api, then send /bankrkey <key> and /deploy again."
+    );
+  }
+  deploySessions.set(chatId, { id: randomBytes(6).toString("hex"), step: "name", updatedAt: Date.now(), body: null, draft: {} });
+  return send("<b>Deploy a Bankr token</b> (/cancel to stop)\n\nStep 1/4 — token <b>name</b>?", { parse_mode: "HTML" });
+}
+
+/** Reply to the current /deploy step. Returns after sending the next question, or the dry-run preview after the last. */
+async function continueTelegramDeploy(ctx, chatId, session) {
+  const send = ctx.send;
+  const text = String(ctx.text ?? "").trim();
+  session.updatedAt = Date.now();
+  if (session.step === "confirm") {
+    return send("Use the buttons on the preview above, or /cancel.");
+  }
+  if (ctx.hasMedia && session.step === "image") {
+    return send("Uploaded images cannot be used. Send an https:// link to the image, or skip.");
+  }
+  if (!text) return send("Send text for this step, or /cancel.");
+
+  if (session.step === "name") {
+    if (text.length > 100) return send("Name must be 1–100 characters. Try again:");
+    session.draft.tokenName = text;
+    session.step = "symbol";
+    return send("Step 2/4 — <b>ticker</b> (up to 10 characters), or <code>skip</code> for Bankr's default:", { parse_mode: "HTML" });
+  }
+  if (session.step === "symbol") {
+    if (!isSkipReply(text)) {
+      const symbol = text.replace(/^\$/, "");
+      if (!/^[A-Za-z0-9]{1,10}$/.test(symbol)) return send("Ticker must be 1–10 letters or digits. Try again, or skip:");
+      session.draft.tokenSymbol = symbol.toUpperCase();
+    }
+    session.step = "image";
+    return send("Step 3/4 — <b>image</b>: an https:// link to the logo, or <code>skip</code>:", { parse_mode: "HTML" });
+  }
+  if (session.step === "image") {
+    if (!isSkipReply(text)) {
+      if (!/^https:\/\/\S+$/i.test(text)) return send("Send an https:// link to the image, or skip:");
+      session.draft.image = text;
+    }
+    session.step = "fee";
+    return send(
+      [
+        "Step 4/4 — <b>fee recipient</b> (creator fees):",
+        "<code>0x…</code> wallet · <code>name.eth</code> · <code>@handle</code> (X) · <code>fc:handle</code> (Farcaster)",
+        "or <code>skip</code> for your Bankr key's wallet.",
+      ].join("\n"),
+      { parse_mode: "HTML" }
+    );
+  }
+  if (session.step === "fee") {
+    if (!isSkipReply(text)) {
+      const feeRecipient = parseTelegramFeeRecipient(text);
+      if (!feeRecipient) return send("Not a wallet, ENS name, @handle or fc:handle. Try again, or skip:");
+      session.draft.feeRecipient = feeRecipient;
+    }
+    const apiKey = await getPersonalBankrApiKey(chatId);
+    if (!apiKey) {
+      deploySessions.delete(chatId);
+      return send("Your Bankr API key could not be read. Set it again with /bankrkey <key>, then /deploy.");
+    }
+    session.step = "preview";
+    try {
+      const body = buildDeployBody({ ...session.draft, simulateOnly: true });
+      const preview = await callBankrDeploy(body, { bankrApiKey: apiKey, envFallback: false });
+      session.body = { ...body, simulateOnly: false };
+      session.step = "confirm";
+      session.updatedAt = Date.now();
+      return send(deployPreviewHtml(body, preview), {
+        parse_mode: "HTML",
+        disable_web_page_preview: true,
+        reply_markup: deployConfirmKeyboard(session.id),
+      });
+    } catch (e) {
+      deploySessions.delete(chatId);
+      return send(`Dry run failed: ${e.message}\n\nNothing was deployed. /deploy to start over.`);
+    }
+  }
+}
+
+/**
+ * Inline keyboard taps in a private chat (deploy:confirm:<id> / deploy:cancel:<id>).
+ * @param {{ chatId: number|string, data: string, send: (msg: string, opts?: object) => Promise<void> }} ctx
+ * @returns {Promise<boolean>} true when the callback belonged to this module
+ */
+export async function handlePersonalTelegramCallback(ctx) {
+  const chatId = String(ctx.chatId);
+  const m = String(ctx.data ?? "").match(/^deploy:(confirm|cancel):([a-f0-9]+)$/);
+  if (!m) return false;
+  const session = activeDeploySession(chatId);
+  if (!session?.body || session.id !== m[2]) {
+    await ctx.send("This deploy preview has expired. Run /deploy again.");
+    return true;
+  }
+  deploySessions.delete(chatId);
+  if (m[1] === "cancel") {
+    await ctx.send("Deploy cancelled.");
+    return true;
+  }
+  const apiKey = await getPersonalBankrApiKey(chatId);
+  if (!apiKey) {
+    await ctx.send("Your Bankr API key could not be read. Set it again with /bankrkey <key>, then /deploy.");
+    return true;
+  }
+  await ctx.send("Deploying…");
+  try {
+    const result = await callBankrDeploy(session.body, { bankrApiKey: apiKey, envFallback: false });
+    await ctx.send(deployResultHtml(result), { parse_mode: "HTML", disable_web_page_preview: true });
+  } catch (e) {
+    console.error("[Telegram deploy] failed:", e.message);
+    await ctx.send(`Deploy failed: ${e.message}`);
+  }
+  return true;
+}
+
 const ALERT_KEYS = {
   launch: "launchAlerts",
   claims: "claimAlerts",
@@ -439,7 +707,13 @@ const ALERT_KEYS = {
 };
 
 /**
- * @param {{ chatId: number|string, text: string, send: (msg: string, opts?: object) => Promise<void> }} ctx
+ * @param {{
+ *   chatId: number|string,
+ *   text: string,
+ *   send: (msg: string, opts?: object) => Promise<void>,
+ *   hasMedia?: boolean, // photo / document without usable text (answered only inside /deploy)
+ *   deleteMessage?: () => Promise<void>, // deletes the incoming message (used by /bankrkey)
+ * }} ctx
  */
 export async function handlePersonalTelegramCommand(ctx) {
   const chatId = String(ctx.chatId);
@@ -453,6 +727,17 @@ export async function handlePersonalTelegramCommand(ctx) {
     return;
   }
 
+  const deploySession = HIDE_DEPLOY_COMMAND ? null : activeDeploySession(chatId);
+  if (cmd === "/cancel") {
+    if (!deploySession) return send("Nothing to cancel.");
+    deploySessions.delete(chatId);
+    return send("Deploy cancelled.");
+  }
+  if (deploySession && (ctx.hasMedia || !trimmed.startsWith("/") || isSkipReply(trimmed))) {
+    return continueTelegramDeploy(ctx, chatId, deploySession);
+  }
+  if (ctx.hasMedia) return;
+
   if (cmd === "/activity") {
     await registerPersonalUser(chatId);
     const tail = rest.trim();
@@ -596,7 +881,11 @@ export async function handlePersonalTelegramCommand(ctx) {
         "/walletlookup <0x | @handle | URL> — resolve X/Farcaster to wallet only",
         "/lookup [deployer|fee|both] <0x | @handle | URL> — Bankr tokens for that wallet or account",
         "/token <0x…ba3 | $TICKER | Bankr launch URL>",
+        "/whales [24h|7d|all] — top fee earners",
         "/activity <0x…ba3> mcap 30000 — threshold DMs (1 slot; /activity help)",
+        ...(HIDE_DEPLOY_COMMAND
+          ? []
+          : ["/bankrkey <key> — your own Bankr API key (stored encrypted) for /deploy", "/deploy — deploy a Bankr token (dry run first)"]),
         "",
         `Max ${TELEGRAM_PERSONAL_WATCHLIST_MAX} watch items (wallet, keyword, token, or activity).`,
       ].join("\n")
@@ -711,5 +1000,17 @@ export async function handlePersonalTelegramCommand(ctx) {
     return runTelegramTokenSlashCommand(send, rest);
   }
 
+  if (cmd === "/whales") {
+    return runTelegramWhalesCommand(send, rest);
+  }
+
+  if (!HIDE_DEPLOY_COMMAND && cmd === "/bankrkey") {
+    return runTelegramBankrKeyCommand(ctx, chatId, rest);
+  }
+
+  if (!HIDE_DEPLOY_COMMAND && cmd === "/deploy") {
+    return startTelegramDeploy(chatId, send);
+  }
+
   await send("Unknown command. Try /help");
 }
@@ -2,6 +2,7 @@
  * Schedule Telegram *personal* DMs.
  * - Watchlist launch + claim DMs: immediate by default (same time we process the event).
  * - Hot/trending personal DMs: TELEGRAM_DM_DELAY_MS or TELEGRAM_HOT_PING_DELAY_MS (default 30s).
+ * Delays are outbound queue delays; per-chat pacing comes from outbound-dispatcher.js token buckets.
  */
 
 import { sendTelegram, sendTelegramHotPing, sendTelegramClaim } from "./notify.js";
@@ -15,8 +16,6 @@ import {
 } from "./telegram-personal-store.js";
 import { isWatchMatchForTenant, getWatchMatchReasons } from "./watch-match.js";
 
-const STAGGER_MS = 50;
-
 /** Telegram Markdown (legacy) escape — same rules as notify.js */
 function escapeTgMarkdown(s) {
   if (!s || typeof s !== "string") return "";
@@ -61,20 +60,16 @@ export function getTelegramPersonalWatchlistDmDelayMs() {
 /** After Discord + group Telegram paths run for a new launch, queue personal watchlist DMs (TELEGRAM_DM_WATCHLIST_DELAY_MS / default 30s). */
 export function schedulePersonalLaunchDms(launch) {
   if (!isPersonalDmsEnabled() || !process.env.TELEGRAM_BOT_TOKEN) return;
-  const delay = getTelegramPersonalWatchlistDmDelayMs();
-  setTimeout(() => {
-    void fanOutLaunchDms(launch);
-  }, delay);
+  void fanOutLaunchDms(launch, getTelegramPersonalWatchlistDmDelayMs());
 }
 
-async function fanOutLaunchDms(launch) {
+async function fanOutLaunchDms(launch, delayMs) {
   let users;
   try {
     users = await getAllPersonalUsers();
   } catch {
     return;
   }
-  let i = 0;
   for (const user of users) {
     if (!isChatAllowedForPersonalFeatures(user.chatId)) continue;
     const wlLen = user.watchlist?.length ?? 0;
@@ -82,51 +77,44 @@ async function fanOutLaunchDms(launch) {
     const wl = userToWatchListSets(user);
     const matchWatch = user.settings.launchAlerts !== false && isWatchMatchForTenant(launch, wl);
     if (!matchWatch) continue;
-    const idx = i++;
-    const prepend = buildPersonalWatchlistPrepend(launch, wl);
-    setTimeout(async () => {
-      try {
-        await sendTelegram(launch, {
-          chatId: user.chatId,
-          skipAllowedCheck: true,
-          prependMarkdown: prepend,
-        });
-      } catch (_) {}
-    }, idx * STAGGER_MS);
+    await sendTelegram(launch, {
+      chatId: user.chatId,
+      skipAllowedCheck: true,
+      prependMarkdown: buildPersonalWatchlistPrepend(launch, wl),
+      delayMs,
+    }).catch((e) => console.error("Personal launch DM:", e.message));
   }
 }
 
-/** After on-chain claim is handled for Discord/group, queue personal claim DMs (same timing as watchlist launches by default). */
-export function schedulePersonalClaimDms(claim) {
+/**
+ * After on-chain claim is handled for Discord/group, queue personal claim DMs (same timing as watchlist launches by default).
+ * @param {object} claim
+ * @param {() => Promise<import('./claim-alert-context.js').ClaimAlertContext|null>} [loadContext] - Same extra lines as
+ *   the group alert; only called when a user's watchlist matches
+ */
+export function schedulePersonalClaimDms(claim, loadContext = async () => null) {
   if (!isPersonalDmsEnabled() || !process.env.TELEGRAM_BOT_TOKEN) return;
-  const delay = getTelegramPersonalWatchlistDmDelayMs();
-  setTimeout(() => {
-    void fanOutClaimDms(claim);
-  }, delay);
+  void fanOutClaimDms(claim, getTelegramPersonalWatchlistDmDelayMs(), loadContext);
 }
 
-async function fanOutClaimDms(claim) {
+async function fanOutClaimDms(claim, delayMs, loadContext) {
   let users;
   try {
     users = await getAllPersonalUsers();
   } catch {
     return;
   }
-  let i = 0;
   for (const user of users) {
     if (!isChatAllowedForPersonalFeatures(user.chatId)) continue;
     if (!(user.watchlist?.length > 0)) continue;
     if (!userMatchesClaim(user, claim)) continue;
-    const idx = i++;
-    setTimeout(async () => {
-      try {
-        await sendTelegramClaim(claim, {
-          chatId: user.chatId,
-          skipAllowedCheck: true,
-          prependMarkdown: buildPersonalClaimPrepend(user, claim),
-        });
-      } catch (_) {}
-    }, idx * STAGGER_MS);
+    await sendTelegramClaim(claim, {
+      chatId: user.chatId,
+      skipAllowedCheck: true,
+      prependMarkdown: buildPersonalClaimPrepend(user, claim),
+      delayMs,
+      context: await loadContext(),
+    }).catch((e) => console.error("Personal claim DM:", e.message));
   }
 }
 
@@ -140,46 +128,43 @@ export function schedulePersonalHotTrendingDms(launchForEmbed, hotStats, flags)
   if (!isPersonalDmsEnabled() || !process.env.TELEGRAM_BOT_TOKEN) return;
   const { isHot, isTrending } = flags;
   if (!isHot && !isTrending) return;
-  const delay = getTelegramPersonalDmDelayMs();
-  setTimeout(() => {
-    void fanOutHotTrendingDms(launchForEmbed, hotStats, { isHot, isTrending });
-  }, delay);
+  void fanOutHotTrendingDms(launchForEmbed, hotStats, { isHot, isTrending, delayMs: getTelegramPersonalDmDelayMs() });
 }
 
-async function fanOutHotTrendingDms(launchForEmbed, hotStats, { isHot, isTrending }) {
+async function fanOutHotTrendingDms(launchForEmbed, hotStats, { isHot, isTrending, delayMs }) {
   let users;
   try {
     users = await getAllPersonalUsers();
   } catch {
     return;
   }
-  let i = 0;
   for (const user of users) {
     if (!isChatAllowedForPersonalFeatures(user.chatId)) continue;
     const wantHot = isHot && user.settings.hot === true;
     const wantTrend = isTrending && user.settings.trending !== false;
     if (!wantHot && !wantTrend) continue;
-    const idx = i++;
-    setTimeout(async () => {
-      try {
-        if (wantHot) {
-          await sendTelegramHotPing(launchForEmbed, hotStats, {
-            chatId: user.chatId,
-            skipAllowedCheck: true,
-            skipPin: true,
-            prependMarkdown: "🔥 *Hot*",
-          });
-        }
-        if (wantTrend) {
-          await sendTelegramHotPing(launchForEmbed, hotStats, {
-            chatId: user.chatId,
-            skipAllowedCheck: true,
-            skipPin: true,
-            trending: true,
-            prependMarkdown: "📈 *Trending*",
-          });
-        }
-      } catch (_) {}
-    }, idx * STAGGER_MS);
+    try {
+      if (wantHot) {
+        await sendTelegramHotPing(launchForEmbed, hotStats, {
+          chatId: user.chatId,
+          skipAllowedCheck: true,
+          skipPin: true,
+          prependMarkdown: "🔥 *Hot*",
+          delayMs,
+        });
+      }
+      if (wantTrend) {
+        await sendTelegramHotPing(launchForEmbed, hotStats, {
+          chatId: user.chatId,
+          skipAllowedCheck: true,
+          skipPin: true,
+          trending: true,
+          prependMarkdown: "📈 *Trending*",
+          delayMs,
+        });
+      }
+    } catch (e) {
+      console.error("Personal hot/trending DM:", e.message);
+    }
   }
 }
@@ -1,13 +1,16 @@
 /**
- * Per-user Telegram DM preferences: watchlist (max 5), alert toggles.
- * JSON file — use a Railway volume path for persistence.
+ * Per-user Telegram DM preferences: watchlist (max 5), alert toggles, own Bankr API key for /deploy (encrypted with
+ * SECRETS_MASTER_KEY, see secret-box.js).
+ * Stored via state-storage.js (JSON file or SQLite) — use a Railway volume path for persistence.
  */
 
-import { readFile, writeFile, mkdir } from "fs/promises";
-import { dirname, join } from "path";
+import { join } from "path";
 import { isBankrTokenAddress } from "./bankr-token.js";
+import { defineStateDocument } from "./state-storage.js";
+import { decryptSecret, encryptSecret, hasSecretsMasterKey, resealSecret } from "./secret-box.js";
 
 const FILE = process.env.TELEGRAM_PERSONAL_USERS_FILE || join(process.cwd(), ".telegram-personal-users.json");
+const usersDoc = defineStateDocument("telegram-personal-users", FILE);
 export const TELEGRAM_PERSONAL_WATCHLIST_MAX = 5;
 
 /**
@@ -32,6 +35,7 @@ export const TELEGRAM_PERSONAL_WATCHLIST_MAX = 5;
  *   watchlist: WatchEntry[],
  *   settings: { launchAlerts: boolean, firehose: boolean (ignored; DMs never firehose), claimAlerts: boolean, trending: boolean, hot: boolean },
  *   premium: boolean, // reserved / unused (legacy JSON)
+ *   bankrApiKeyEnc?: string|null, // encryptSecret() output; never stored in plaintext
  * }} PersonalUser */
 
 let _chain = Promise.resolve();
@@ -53,8 +57,7 @@ function defaultUser(chatId) {
 
 async function loadUsers() {
   try {
-    const raw = await readFile(FILE, "utf-8");
-    const j = JSON.parse(raw);
+    const j = await usersDoc.read();
     const users = j?.users;
     if (!Array.isArray(users)) return [];
     return users.map((u) => ({
@@ -70,8 +73,7 @@ async function loadUsers() {
 }
 
 async function saveUsers(users) {
-  await mkdir(dirname(FILE), { recursive: true }).catch(() => {});
-  await writeFile(FILE, JSON.stringify({ users }, null, 2), "utf-8");
+  await usersDoc.write({ users });
 }
 
 function queue(fn) {
@@ -338,3 +340,75 @@ export async function setPersonalPremium(chatId, value) {
     return u;
   });
 }
+
+/**
+ * Store the user's own Bankr API key (encrypted). Used only for that user's Telegram /deploy.
+ * @returns {Promise<{ ok: true } | { ok: false, error: 'NO_MASTER_KEY'|'BAD_KEY' }>}
+ */
+export async function setPersonalBankrApiKey(chatId, apiKey) {
+  const id = String(chatId);
+  const key = String(apiKey ?? "").trim();
+  if (!hasSecretsMasterKey()) return { ok: false, error: "NO_MASTER_KEY" };
+  if (key.length < 10 || /\s/.test(key)) return { ok: false, error: "BAD_KEY" };
+  const enc = encryptSecret(key);
+  return queue(async () => {
+    const users = await loadUsers();
+    let u = users.find((x) => x.chatId === id);
+    if (!u) {
+      u = defaultUser(id);
+      users.push(u);
+    }
+    u.bankrApiKeyEnc = enc;
+    await saveUsers(users);
+    return { ok: true };
+  });
+}
+
+export async function clearPersonalBankrApiKey(chatId) {
+  const id = String(chatId);
+  return queue(async () => {
+    const users = await loadUsers();
+    const u = users.find((x) => x.chatId === id);
+    if (!u?.bankrApiKeyEnc) return false;
+    delete u.bankrApiKeyEnc;
+    await saveUsers(users);
+    return true;
+  });
+}
+
+/** True when the user has a stored key (does not decrypt). */
+export function hasPersonalBankrApiKey(user) {
+  return typeof user?.bankrApiKeyEnc === "string" && user.bankrApiKeyEnc.length > 0;
+}
+
+/** Decrypted key for the user's own deploys, or null (unset, or undecryptable with the current master key). */
+export async function getPersonalBankrApiKey(chatId) {
+  const u = await getPersonalUser(chatId);
+  if (!hasPersonalBankrApiKey(u)) return null;
+  try {
+    return decryptSecret(u.bankrApiKeyEnc);
+  } catch (e) {
+    console.warn("[telegram-personal] could not decrypt Bankr key for", String(chatId), e.message);
+    return null;
+  }
+}
+
+/**
+ * Re-encrypt stored personal Bankr keys with the current SECRETS_MASTER_KEY (npm run secrets:rotate).
+ * @returns {Promise<number>} keys rewritten
+ */
+export async function resealPersonalSecrets() {
+  return queue(async () => {
+    const users = await loadUsers();
+    let changed = 0;
+    for (const u of users) {
+      if (!hasPersonalBankrApiKey(u)) continue;
+      const r = resealSecret(u.bankrApiKeyEnc);
+      if (!r.changed) continue;
+      u.bankrApiKeyEnc = r.value;
+      changed++;
+    }
+    if (changed > 0) await saveUsers(users);
+    return changed;
+  });
+}
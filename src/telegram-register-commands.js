@@ -8,6 +8,7 @@
  */
 export async function registerTelegramBotCommands(botToken) {
   if (!botToken || typeof botToken !== "string") return;
+  const hideDeploy = process.env.HIDE_DEPLOY_COMMAND === "true" || process.env.HIDE_DEPLOY_COMMAND === "1";
 
   async function setCommands(commands, scope) {
     try {
@@ -41,12 +42,20 @@ export async function registerTelegramBotCommands(botToken) {
     { command: "wallet", description: "Same as /walletlookup" },
     { command: "lookup", description: "Bankr tokens for a wallet or profile" },
     { command: "token", description: "Fee summary for a Bankr token" },
+    { command: "whales", description: "Top fee earners: /whales 24h | 7d | all" },
+    ...(hideDeploy
+      ? []
+      : [
+          { command: "deploy", description: "Deploy a Bankr token with your own API key" },
+          { command: "bankrkey", description: "Set or clear your Bankr API key for /deploy" },
+          { command: "cancel", description: "Stop an unfinished /deploy" },
+        ]),
   ];
 
   /** @type {{ command: string, description: string }[]} */
   const groupCommands = [
     { command: "start", description: "What works in this group" },
-    { command: "claims", description: "Fee claims for a wallet — /claims 0x…" },
+    { command: "claims", description: "Claims by a wallet, or a token's claim timeline — /claims 0x…" },
     { command: "topicid", description: "Show this chat/topic IDs for env vars" },
     { command: "tg_help", description: "Group commands & paste CA lookup" },
     { command: "add", description: "Add to this group's watch list (like DM /add)" },
@@ -56,6 +65,7 @@ export async function registerTelegramBotCommands(botToken) {
     { command: "wallet", description: "Same as /walletlookup" },
     { command: "lookup", description: "Bankr tokens for wallet or profile" },
     { command: "token", description: "Fee summary for 0x…ba3" },
+    { command: "whales", description: "Top fee earners: /whales 24h | 7d | all" },
     { command: "tg_settings", description: "Paste lookup on/off status" },
     { command: "tg_tokenlookup", description: "Admins: on or off auto paste lookup" },
     { command: "tg_watch", description: "Group watch list: /tg_watch list | add | remove" },
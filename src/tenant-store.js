@@ -1,29 +1,56 @@
 /**
  * Per-guild (tenant) config for multi-tenant Bankr monitor.
  * Each Discord server has its own: API key, alert channels, rules, watchlist.
+ * The Bankr API key and webhook signing secret are encrypted at rest (secret-box.js, SECRETS_MASTER_KEY).
  */
 
 import { randomUUID } from "crypto";
-import { readFile, writeFile, mkdir } from "fs/promises";
 import { dirname, join } from "path";
 import { fileURLToPath } from "url";
+import { defineStateDocument } from "./state-storage.js";
+import { describeStoredSecret, openSecret, resealSecret, sealSecret } from "./secret-box.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const TENANTS_FILE = process.env.TENANTS_FILE || join(process.cwd(), ".bankr-tenants.json");
+const tenantsDoc = defineStateDocument("tenants", TENANTS_FILE);
 
 const DEFAULT_RULES = {
   filterXMatch: false,
   filterFeeRecipientHasX: false,
   filterMaxDeploys: null,
+  filterMaxRiskScore: null,
+  filterHideCopycats: false,
   pollIntervalMs: 60_000,
 };
 
 const DEFAULT_WATCHLIST = { x: [], fc: [], wallet: [], keywords: [] };
 
+/** Fields stored with sealSecret(); getTenant() returns them decrypted. */
+const TENANT_SECRET_FIELDS = ["bankrApiKey", "webhookSecret"];
+
+/**
+ * Commands that Manage Server / Administrator can delegate to roles with /setup permissions.
+ * alert-watchlist covers add/remove; claim-watch add/remove; activity-watch add/remove; setup every subcommand
+ * except permissions itself. Launch-card buttons follow the command they mirror.
+ */
+export const PERMISSION_COMMANDS = ["alert-watchlist", "claim-watch", "activity-watch", "deploy", "setup"];
+
+/** Scheduled digest (/setup digest). hour / weekday (0 = Sunday) are in `timezone`; mcaps = activity-watch mcap at the last post. */
+const DEFAULT_DIGEST = {
+  channelId: null,
+  telegramChatId: null,
+  telegramTopicId: null,
+  frequency: "daily",
+  hour: 9,
+  weekday: 1,
+  timezone: "UTC",
+  lastPostedAt: null,
+  mcaps: {},
+};
+
 async function loadAll() {
   try {
-    const data = await readFile(TENANTS_FILE, "utf-8");
-    const raw = JSON.parse(data);
+    const raw = await tenantsDoc.read();
     return typeof raw === "object" && raw !== null ? raw : {};
   } catch {
     return {};
@@ -31,8 +58,7 @@ async function loadAll() {
 }
 
 async function saveAll(tenants) {
-  await mkdir(dirname(TENANTS_FILE), { recursive: true }).catch(() => {});
-  await writeFile(TENANTS_FILE, JSON.stringify(tenants, null, 2));
+  await tenantsDoc.write(tenants);
 }
 
 /**
@@ -46,7 +72,7 @@ export async function getTenant(guildId) {
   if (!t) return null;
   return {
     guildId: t.guildId ?? guildId,
-    bankrApiKey: t.bankrApiKey ?? null,
+    bankrApiKey: openSecret(t.bankrApiKey),
     /** Every Bankr launch (no rules). Optional firehose channel. */
     allLaunchesChannelId: t.allLaunchesChannelId ?? null,
     /** Launches that pass filter_x_match / filter_max_deploys (curated). */
@@ -87,6 +113,18 @@ export async function getTenant(guildId) {
     claimTokenChannels: typeof t.claimTokenChannels === "object" && t.claimTokenChannels !== null ? t.claimTokenChannels : {},
     dopplerIndexerUrl: t.dopplerIndexerUrl ?? null,
     rpcUrl: t.rpcUrl ?? null,
+    /** Generic JSON webhook (generic-webhook.js): URL, HMAC secret, subscribed event types (null = all). */
+    webhookUrl: t.webhookUrl ?? null,
+    webhookSecret: openSecret(t.webhookSecret),
+    webhookEvents: Array.isArray(t.webhookEvents) ? t.webhookEvents : null,
+    /** Daily fee-whale leaderboard post (/setup whales): channel, window (24h | 7d | all), UTC hour, last post date (YYYY-MM-DD). */
+    whalesChannelId: t.whalesChannelId ?? null,
+    whalesWindow: t.whalesWindow ?? "24h",
+    whalesPostHourUtc: Number.isInteger(t.whalesPostHourUtc) ? t.whalesPostHourUtc : 14,
+    whalesLastPostedOn: t.whalesLastPostedOn ?? null,
+    digest: { ...DEFAULT_DIGEST, ...t.digest },
+    /** Role IDs allowed to run delegated commands (/setup permissions): { [command]: roleId[] }. */
+    commandRoles: normalizeCommandRoles(t.commandRoles),
     createdAt: t.createdAt ?? null,
     updatedAt: t.updatedAt ?? null,
   };
@@ -95,7 +133,7 @@ export async function getTenant(guildId) {
 /**
  * Set (create or update) tenant config for a guild.
  * @param {string} guildId
- * @param {Partial<{ bankrApiKey: string, allLaunchesChannelId: string|null, alertChannelId: string, watchAlertChannelId: string, hotAlertChannelId: string, hotLaunchEnabled: boolean, hotLaunchRoleIds: string[], pingOnHot: boolean, pingOnTrending: boolean, pingOnWatchMatch: boolean, pingOnCurated: boolean, trendingAlertChannelId: string, trendingEnabled: boolean, telegramChatId: string, telegramTopicFirehose: number|string|null, telegramTopicCurated: number|string|null, telegramTopicHot: number|string|null, telegramTopicTrending: number|string|null, telegramHotPingDelayMs: number|null, rules: object, watchlist: object, claimWatchTokens: string[], dopplerIndexerUrl: string, rpcUrl: string }>} updates
+ * @param {Partial<{ bankrApiKey: string, allLaunchesChannelId: string|null, alertChannelId: string, watchAlertChannelId: string, hotAlertChannelId: string, hotLaunchEnabled: boolean, hotLaunchRoleIds: string[], pingOnHot: boolean, pingOnTrending: boolean, pingOnWatchMatch: boolean, pingOnCurated: boolean, trendingAlertChannelId: string, trendingEnabled: boolean, telegramChatId: string, telegramTopicFirehose: number|string|null, telegramTopicCurated: number|string|null, telegramTopicHot: number|string|null, telegramTopicTrending: number|string|null, telegramHotPingDelayMs: number|null, rules: object, watchlist: object, claimWatchTokens: string[], dopplerIndexerUrl: string, rpcUrl: string, webhookUrl: string|null, webhookSecret: string|null, webhookEvents: string[]|null, whalesChannelId: string|null, whalesWindow: string, whalesPostHourUtc: number, whalesLastPostedOn: string|null, digest: object, commandRoles: Record<string, string[]> }>} updates
  */
 export async function setTenant(guildId, updates) {
   if (!guildId || typeof guildId !== "string") return null;
@@ -110,9 +148,18 @@ export async function setTenant(guildId, updates) {
     createdAt: existing.createdAt ?? now,
     updatedAt: now,
   };
+  for (const field of TENANT_SECRET_FIELDS) {
+    if (updates[field] !== undefined) next[field] = sealSecret(updates[field]);
+  }
   if (updates.rules && typeof updates.rules === "object") {
     next.rules = { ...DEFAULT_RULES, ...existing.rules, ...updates.rules };
   }
+  if (updates.digest && typeof updates.digest === "object") {
+    next.digest = { ...DEFAULT_DIGEST, ...existing.digest, ...updates.digest };
+  }
+  if (updates.commandRoles && typeof updates.commandRoles === "object") {
+    next.commandRoles = normalizeCommandRoles({ ...existing.commandRoles, ...updates.commandRoles });
+  }
   if (updates.watchlist && typeof updates.watchlist === "object") {
     next.watchlist = { ...DEFAULT_WATCHLIST, ...existing.watchlist, ...updates.watchlist };
   }
@@ -148,6 +195,35 @@ export async function setTenant(guildId, updates) {
   return getTenant(guildId);
 }
 
+/**
+ * How each secret of a tenant is stored ("encrypted" | "plaintext" | null = unset), read without decrypting.
+ * @param {string} guildId
+ * @returns {Promise<{ bankrApiKey: string|null, webhookSecret: string|null }>}
+ */
+export async function getTenantSecretStatus(guildId) {
+  const t = (await loadAll())[String(guildId ?? "").trim()] ?? {};
+  return { bankrApiKey: describeStoredSecret(t.bankrApiKey), webhookSecret: describeStoredSecret(t.webhookSecret) };
+}
+
+/**
+ * Re-encrypt every tenant secret with the current SECRETS_MASTER_KEY (npm run secrets:rotate).
+ * @returns {Promise<number>} secrets rewritten
+ */
+export async function resealTenantSecrets() {
+  const tenants = await loadAll();
+  let changed = 0;
+  for (const t of Object.values(tenants)) {
+    for (const field of TENANT_SECRET_FIELDS) {
+      const r = resealSecret(t?.[field]);
+      if (!r.changed) continue;
+      t[field] = r.value;
+      changed++;
+    }
+  }
+  if (changed > 0) await saveAll(tenants);
+  return changed;
+}
+
 /**
  * List all tenant guild IDs that have at least one alert channel (for notify loop).
  */
@@ -155,7 +231,7 @@ export async function listActiveTenantGuildIds() {
   const tenants = await loadAll();
   return Object.keys(tenants).filter((id) => {
     const t = tenants[id];
-    return t && (t.allLaunchesChannelId || t.alertChannelId || t.watchAlertChannelId || t.telegramChatId || t.hotAlertChannelId || t.trendingAlertChannelId);
+    return t && (t.allLaunchesChannelId || t.alertChannelId || t.watchAlertChannelId || t.telegramChatId || t.hotAlertChannelId || t.trendingAlertChannelId || t.webhookUrl);
   });
 }
 
@@ -509,3 +585,60 @@ export async function listGuildIdsWithActivityWatches() {
     return Array.isArray(w) && w.length > 0;
   });
 }
+
+/** Guild IDs with a daily whale leaderboard channel (/setup whales). */
+export async function listGuildIdsWithWhalesPost() {
+  const tenants = await loadAll();
+  return Object.keys(tenants).filter((id) => !!tenants[id]?.whalesChannelId);
+}
+
+/** Guild IDs with a digest destination (Discord channel or Telegram chat). */
+export async function listGuildIdsWithDigest() {
+  const tenants = await loadAll();
+  return Object.keys(tenants).filter((id) => {
+    const d = tenants[id]?.digest;
+    return !!(d && (d.channelId || d.telegramChatId));
+  });
+}
+
+function normalizeCommandRoles(raw) {
+  const out = {};
+  if (!raw || typeof raw !== "object") return out;
+  for (const command of PERMISSION_COMMANDS) {
+    const ids = Array.isArray(raw[command]) ? [...new Set(raw[command].map(String).filter((id) => /^\d+$/.test(id)))] : [];
+    if (ids.length) out[command] = ids;
+  }
+  return out;
+}
+
+/**
+ * Grant or revoke a role for a delegated command.
+ * @param {string} guildId
+ * @param {string} command - One of PERMISSION_COMMANDS
+ * @param {string} roleId
+ * @param {boolean} allow
+ * @returns {Promise<string[]|null>} Role IDs now allowed for the command, or null if command/role is invalid
+ */
+export async function setCommandRole(guildId, command, roleId, allow) {
+  if (!PERMISSION_COMMANDS.includes(command) || !/^\d+$/.test(String(roleId ?? ""))) return null;
+  const tenant = await getTenant(guildId);
+  const current = tenant?.commandRoles?.[command] ?? [];
+  const ids = allow ? [...new Set([...current, String(roleId)])] : current.filter((id) => id !== String(roleId));
+  const updated = await setTenant(guildId, { commandRoles: { [command]: ids } });
+  return updated?.commandRoles?.[command] ?? [];
+}
+
+/**
+ * Whether a member without Manage Server may run `command` (callers check Manage Server / Administrator first).
+ * @param {{ commandRoles?: Record<string, string[]> } | null} tenant
+ * @param {string} command
+ * @param {Iterable<string>} memberRoleIds
+ */
+export function isCommandAllowedForRoles(tenant, command, memberRoleIds) {
+  const allowed = tenant?.commandRoles?.[command];
+  if (!Array.isArray(allowed) || allowed.length === 0) return false;
+  for (const id of memberRoleIds ?? []) {
+    if (allowed.includes(String(id))) return true;
+  }
+  return false;
+}
@@ -20,6 +20,7 @@ import { parseAbiItem } from "viem";
 import { DOPPLER_CONTRACTS_BASE } from "./config.js";
 import { getClaimTxsFromBaseScan } from "./basescan-claims.js";
 import { defaultBankrApiKey } from "./bankr-env-key.js";
+import { getBankrLaunch } from "./bankr-api.js";
 import { fetchSearch } from "./lookup-deployer.js";
 
 const CHAIN_ID = parseInt(process.env.CHAIN_ID || "8453", 10);
@@ -27,7 +28,6 @@ const CHAIN_ID = parseInt(process.env.CHAIN_ID || "8453", 10);
 const DOPPLER_INDEXER_URL =
   process.env.DOPPLER_INDEXER_URL ||
   (CHAIN_ID === 8453 ? "https://bankr.indexer.doppler.lol" : "https://testnet-indexer.doppler.lol");
-const BANKR_LAUNCH_URL = "https://api.bankr.bot/token-launches";
 const BANKR_AGENT_PROFILES_URL = "https://api.bankr.bot/agent-profiles";
 /** Base RPC URL for on-chain reads (claimable fees, pool state). Only RPC_URL_BASE is used; RPC_URL is fallback. */
 const getBaseRpcUrl = () => process.env.RPC_URL_BASE || process.env.RPC_URL || "https://mainnet.base.org";
@@ -248,26 +248,11 @@ function ponderTimestampToMs(v) {
 
 async function fetchBankrLaunch(tokenAddress, apiKey) {
   const key = defaultBankrApiKey(apiKey);
-  const urls = [
-    `${BANKR_LAUNCH_URL}/${tokenAddress}`,
-    `${BANKR_LAUNCH_URL}/${tokenAddress.slice(0, 2) + tokenAddress.slice(2).toUpperCase()}`,
-  ];
-  const tryHeaders = (withApiKey) => {
-    const headers = { Accept: "application/json" };
-    if (withApiKey && key) headers["X-API-Key"] = key;
-    return headers;
-  };
+  const addresses = [tokenAddress, tokenAddress.slice(0, 2) + tokenAddress.slice(2).toUpperCase()];
   const attempt = async (withApiKey) => {
-    for (const url of urls) {
-      try {
-        const res = await fetch(url, { headers: tryHeaders(withApiKey) });
-        if (!res.ok) continue;
-        const json = await res.json();
-        const launch = json.launch ?? null;
-        if (launch) return launch;
-      } catch {
-        /* try next */
-      }
+    for (const addr of addresses) {
+      const res = await getBankrLaunch(addr, { apiKey: withApiKey ? key : null, userAgent: "token-stats" });
+      if (res.ok && res.data?.launch) return res.data.launch;
     }
     return null;
   };
@@ -986,6 +971,127 @@ async function fetchHookFeesOnChain(poolId) {
   }
 }
 
+/** Registered fee recipient wallet of a Bankr launch (fee recipient, else creator). */
+function feeWalletFromLaunch(launch) {
+  if (!launch) return null;
+  const fee = launch.feeRecipient;
+  return (
+    (fee?.walletAddress ? normalizeAddress(fee.walletAddress) : null) ??
+    (fee?.wallet ?? fee?.address ? normalizeAddress(fee.wallet ?? fee.address) : null) ??
+    (typeof launch.feeRecipientWallet === "string" && /^0x[a-fA-F0-9]{40}$/.test(launch.feeRecipientWallet.trim()) ? normalizeAddress(launch.feeRecipientWallet) : null) ??
+    (typeof launch.creatorWallet === "string" && /^0x[a-fA-F0-9]{40}$/.test(launch.creatorWallet.trim()) ? normalizeAddress(launch.creatorWallet) : null) ??
+    (launch.creator?.walletAddress ?? launch.creator?.wallet ? normalizeAddress(launch.creator.walletAddress ?? launch.creator.wallet) : null)
+  );
+}
+
+/** bytes32 poolId from a Bankr launch (poolId, pool or pool.poolId), or null. */
+function bytes32PoolIdFromLaunch(launch) {
+  const ok = (v) => typeof v === "string" && /^0x[a-fA-F0-9]{64}$/.test(v.trim());
+  if (!launch) return null;
+  if (ok(launch.poolId)) return launch.poolId.trim();
+  if (ok(launch.pool)) return launch.pool.trim();
+  if (ok(launch.pool?.poolId)) return launch.pool.poolId.trim();
+  return null;
+}
+
+const WETH_BASE = "0x4200000000000000000000000000000000000006";
+const WETH_USD_CACHE_MS = 60_000;
+let wethUsdCache = { at: 0, price: null };
+
+/** WETH/USD from the deepest Base WETH pair on DexScreener (cached for a minute). Null when unavailable. */
+export async function fetchWethUsdPrice() {
+  if (wethUsdCache.price != null && Date.now() - wethUsdCache.at < WETH_USD_CACHE_MS) return wethUsdCache.price;
+  try {
+    const res = await fetch(`${DEXSCREENER_API_BASE}/tokens/${WETH_BASE}`, { headers: { Accept: "application/json" } });
+    if (!res.ok) return wethUsdCache.price;
+    const data = await res.json();
+    const pairs = (data.pairs ?? []).filter(
+      (p) => (p.chainId === "base" || p.chainId === "8453") && p.baseToken?.address?.toLowerCase() === WETH_BASE && Number(p.priceUsd) > 0
+    );
+    if (pairs.length === 0) return wethUsdCache.price;
+    const best = pairs.reduce((a, b) => ((b.liquidity?.usd ?? 0) > (a.liquidity?.usd ?? 0) ? b : a), pairs[0]);
+    wethUsdCache = { at: Date.now(), price: Number(best.priceUsd) };
+    return wethUsdCache.price;
+  } catch {
+    return wethUsdCache.price;
+  }
+}
+
+/**
+ * Token-side context for a fee claim alert: the registered fee wallet (Bankr launch), what is still claimable
+ * (RehypeDopplerHook.getHookFees), current mcap (DexScreener) and WETH/USD. Missing sources give null.
+ * @param {string} tokenAddress
+ * @param {{ bankrApiKey?: string }} [options]
+ * @returns {Promise<{ feeWallet: string|null, hookFees: object|null, marketCapUsd: number|null, wethUsd: number|null }>}
+ */
+export async function getTokenClaimContext(tokenAddress, options = {}) {
+  const addr = normalizeAddress(tokenAddress);
+  if (!addr) return { feeWallet: null, hookFees: null, marketCapUsd: null, wethUsd: null };
+  const apiKey = defaultBankrApiKey(options.bankrApiKey);
+  const [launch, dex, wethUsd] = await Promise.all([
+    fetchBankrLaunchResolved(addr, apiKey),
+    fetchDexScreenerBaseToken(addr),
+    fetchWethUsdPrice(),
+  ]);
+  const poolId = bytes32PoolIdFromLaunch(launch) ?? (await fetchPoolIdFromDopplerSdk(addr));
+  const hookFees = poolId ? (await fetchHookFeesOnChain(poolId)).hookFees : null;
+  return {
+    feeWallet: feeWalletFromLaunch(launch),
+    hookFees,
+    marketCapUsd: dex?.marketCap != null && Number.isFinite(dex.marketCap) ? dex.marketCap : null,
+    wethUsd,
+  };
+}
+
+/** Beneficiary wallets from the pool's on-chain state (Doppler SDK getState), sorted; null when the SDK/RPC has none. */
+async function fetchPoolBeneficiariesOnChain(tokenAddress) {
+  const state = await fetchDopplerPoolState(tokenAddress);
+  if (!Array.isArray(state?.beneficiaries)) return null;
+  const wallets = state.beneficiaries
+    .map((b) => normalizeAddress(typeof b === "string" ? b : b?.beneficiary ?? b?.wallet))
+    .filter(Boolean);
+  return wallets.length ? [...new Set(wallets)].sort() : null;
+}
+
+/**
+ * Current fee recipients of a Bankr token: the Bankr launch's fee wallet and the pool's on-chain beneficiaries.
+ * Each is null when its source is unavailable (so callers can tell "unknown" from "changed").
+ * @param {string} tokenAddress
+ * @param {{ bankrApiKey?: string }} [options]
+ * @returns {Promise<{ feeWallet: string|null, beneficiaries: string[]|null, symbol: string|null }>}
+ */
+export async function getTokenFeeRecipients(tokenAddress, options = {}) {
+  const addr = normalizeAddress(tokenAddress);
+  if (!addr) return { feeWallet: null, beneficiaries: null, symbol: null };
+  const [launch, beneficiaries] = await Promise.all([
+    fetchBankrLaunchResolved(addr, defaultBankrApiKey(options.bankrApiKey)),
+    fetchPoolBeneficiariesOnChain(addr),
+  ]);
+  return {
+    feeWallet: feeWalletFromLaunch(launch),
+    beneficiaries,
+    symbol: launch?.tokenSymbol ?? launch?.symbol ?? null,
+  };
+}
+
+/**
+ * Bankr launch → poolId, fee wallet and name/symbol (no indexer or hook reads). Used by the fee API batch routes.
+ * @param {string} tokenAddress
+ * @param {{ bankrApiKey?: string }} [options]
+ * @returns {Promise<{ poolId: string|null, feeWallet: string|null, name: string|null, symbol: string|null }>}
+ */
+export async function resolveTokenPool(tokenAddress, options = {}) {
+  const addr = normalizeAddress(tokenAddress);
+  if (!addr) return { poolId: null, feeWallet: null, name: null, symbol: null };
+  const launch = await fetchBankrLaunchResolved(addr, defaultBankrApiKey(options.bankrApiKey));
+  return {
+    poolId: bytes32PoolIdFromLaunch(launch) ?? (await fetchPoolIdFromDopplerSdk(addr)),
+    feeWallet: feeWalletFromLaunch(launch),
+    name: launch?.tokenName ?? null,
+    symbol: launch?.tokenSymbol ?? null,
+  };
+}
+
 const CREATOR_SHARE_BPS = 5700;
 const SWAP_FEE_BPS = 120;
 
@@ -1027,18 +1133,10 @@ export async function getTokenFees(tokenAddress, options = {}) {
   }
 
   const fee = launch.feeRecipient;
-  const feeWallet =
-    (fee?.walletAddress ? normalizeAddress(fee.walletAddress) : null) ??
-    (fee?.wallet ?? fee?.address ? normalizeAddress(fee.wallet ?? fee.address) : null) ??
-    (typeof launch.feeRecipientWallet === "string" && /^0x[a-fA-F0-9]{40}$/.test(launch.feeRecipientWallet.trim()) ? normalizeAddress(launch.feeRecipientWallet) : null) ??
-    (typeof launch.creatorWallet === "string" && /^0x[a-fA-F0-9]{40}$/.test(launch.creatorWallet.trim()) ? normalizeAddress(launch.creatorWallet) : null) ??
-    (launch.creator?.walletAddress ?? launch.creator?.wallet ? normalizeAddress(launch.creator.walletAddress ?? launch.creator.wallet) : null);
+  const feeWallet = feeWalletFromLaunch(launch);
   let cumulatedFees = null;
   // Prefer launch.poolId (bytes32) when available — indexer expects this format for cumulatedFees.
-  const poolIdFromLaunch =
-    (typeof launch.poolId === "string" && /^0x[a-fA-F0-9]{64}$/.test(launch.poolId.trim()) ? launch.poolId.trim() : null) ??
-    (launch.pool && typeof launch.pool === "string" && /^0x[a-fA-F0-9]{64}$/.test(launch.pool.trim()) ? launch.pool.trim() : null) ??
-    (launch.pool?.poolId && typeof launch.pool.poolId === "string" && /^0x[a-fA-F0-9]{64}$/.test(launch.pool.poolId.trim()) ? launch.pool.poolId.trim() : null);
+  const poolIdFromLaunch = bytes32PoolIdFromLaunch(launch);
   // Resolve poolId: run indexer and on-chain SDK in parallel so Claimable/Claims work when indexer is down
   const [poolFromIndexer, sdkPoolId] = await Promise.all([
     poolIdFromLaunch ? Promise.resolve(null) : fetchPoolByBaseToken(addr),
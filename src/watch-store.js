@@ -3,12 +3,13 @@
  * Used by notify.js and discord-bot.js.
  */
 
-import { readFile, writeFile, mkdir } from "fs/promises";
 import { dirname, join } from "path";
 import { fileURLToPath } from "url";
+import { defineStateDocument } from "./state-storage.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const WATCH_FILE = process.env.WATCH_FILE || join(process.cwd(), ".bankr-watch.json");
+const watchDoc = defineStateDocument("watch", WATCH_FILE);
 
 function parseHandle(s, stripAt = true) {
   if (!s || typeof s !== "string") return null;
@@ -34,8 +35,7 @@ const DEFAULT_RAW = { x: [], fc: [], wallet: [], keywords: [] };
 
 async function loadRaw() {
   try {
-    const data = await readFile(WATCH_FILE, "utf-8");
-    const raw = JSON.parse(data);
+    const raw = (await watchDoc.read()) ?? {};
     return {
       x: Array.isArray(raw.x) ? raw.x : [],
       fc: Array.isArray(raw.fc) ? raw.fc : [],
@@ -48,8 +48,7 @@ async function loadRaw() {
 }
 
 async function saveRaw(raw) {
-  await mkdir(dirname(WATCH_FILE), { recursive: true }).catch(() => {});
-  await writeFile(WATCH_FILE, JSON.stringify(raw, null, 2));
+  await watchDoc.write(raw);
 }
 
 /** Merge env vars with file */
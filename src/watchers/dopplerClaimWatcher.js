@@ -1,17 +1,30 @@
 /**
- * Doppler fee claim watcher — real-time detection via Alchemy WebSocket.
+ * Doppler fee claim watcher — real-time detection via Alchemy WebSocket, with HTTP eth_getLogs polling as fallback.
  * Listens for ERC20 Transfer(from = feeLocker, to = beneficiary) and emits claim events.
  * Only WETH transfers are treated as fee claims (pool init/launch sends other tokens; collectFees pays WETH).
- * No polling; uses eth_subscribe over WebSocket only.
+ * WebSocket mode uses eth_subscribe; after CLAIM_WS_FAILURES_BEFORE_POLL upgrade/subscription errors in a row
+ * (e.g. Alchemy 429) it switches to polling. Polling pages through the Transfer logs in block chunks from the last
+ * processed block (kept in CLAIM_WATCHER_STATE_FILE) and skips logs already seen (tx hash + log index).
  *
- * Env: ALCHEMY_KEY or ALCHEMY_WS_URL (Base mainnet). If unset, watcher does not start.
+ * Env:
+ *   DOPPLER_CLAIM_WS=1 + ALCHEMY_KEY or ALCHEMY_WS_URL (Base mainnet) - WebSocket mode. Without a WS URL it polls.
+ *   DOPPLER_CLAIM_POLL=1 - Poll over HTTP (RPC_URL_BASE / RPC_URL) without trying the WebSocket.
+ *   CLAIM_WS_FAILURES_BEFORE_POLL - Consecutive WS errors before switching to polling (default 5, 0 = never).
+ *   CLAIM_POLL_INTERVAL_MS - Delay between polls (default 15000).
+ *   CLAIM_POLL_CHUNK_BLOCKS - Blocks per eth_getLogs call (default 500).
+ *   CLAIM_POLL_MAX_BLOCKS_BACK - Longest catch-up after downtime; older blocks are skipped (default 1800, ~1h on Base).
+ *   CLAIM_WATCHER_STATE_FILE - Last processed block + recently seen logs (default .bankr-claim-watcher.json).
+ * If neither DOPPLER_CLAIM_WS nor DOPPLER_CLAIM_POLL is set, the watcher does not start.
  */
 
 import { EventEmitter } from "events";
-import { createPublicClient, webSocket, parseAbiItem, decodeFunctionData } from "viem";
+import { join } from "path";
+import { createPublicClient, http, webSocket, parseAbiItem, decodeFunctionData } from "viem";
 import { base } from "viem/chains";
 import { DOPPLER_CONTRACTS_BASE } from "../config.js";
 import { isBankrTokenAddress } from "../bankr-token.js";
+import { counter, gauge } from "../metrics.js";
+import { defineStateDocument } from "../state-storage.js";
 
 const CHAIN_ID = parseInt(process.env.CHAIN_ID || "8453", 10);
 
@@ -21,16 +34,54 @@ const CHAIN_ID = parseInt(process.env.CHAIN_ID || "8453", 10);
  * Historical /claims lookups use HTTP RPC (RPC_URL / mainnet.base.org), not Alchemy WS.
  */
 function isClaimWsEnabled() {
-  const raw = process.env.DOPPLER_CLAIM_WS ?? process.env.ENABLE_DOPPLER_CLAIM_WS;
+  return isTruthyEnv(process.env.DOPPLER_CLAIM_WS ?? process.env.ENABLE_DOPPLER_CLAIM_WS);
+}
+
+/** HTTP eth_getLogs polling without the WebSocket (DOPPLER_CLAIM_POLL=1). */
+function isClaimPollEnabled() {
+  return isTruthyEnv(process.env.DOPPLER_CLAIM_POLL);
+}
+
+function isTruthyEnv(raw) {
   if (raw == null || String(raw).trim() === "") return false;
   const s = String(raw).trim().toLowerCase();
   return s === "1" || s === "true" || s === "yes" || s === "on";
 }
 
+const WS_FAILURES_BEFORE_POLL = Math.max(0, parseInt(process.env.CLAIM_WS_FAILURES_BEFORE_POLL || "5", 10) || 0);
+const POLL_INTERVAL_MS = Math.max(2000, parseInt(process.env.CLAIM_POLL_INTERVAL_MS || "15000", 10) || 15_000);
+const POLL_CHUNK_BLOCKS = BigInt(Math.max(1, parseInt(process.env.CLAIM_POLL_CHUNK_BLOCKS || "500", 10) || 500));
+const POLL_MAX_BLOCKS_BACK = BigInt(Math.max(1, parseInt(process.env.CLAIM_POLL_MAX_BLOCKS_BACK || "1800", 10) || 1800));
+/** Same pause between getLogs chunks as fetch-from-chain.js. */
+const POLL_CHUNK_DELAY_MS = parseInt(process.env.RPC_GETLOGS_DELAY_MS || "150", 10);
+const CLAIM_WATCHER_STATE_FILE =
+  process.env.CLAIM_WATCHER_STATE_FILE || join(process.cwd(), ".bankr-claim-watcher.json");
+const watcherStateDoc = defineStateDocument("claim-watcher", CLAIM_WATCHER_STATE_FILE, { indent: 0 });
+/** Seen log keys kept in state, so a restart or a WS → poll switch does not alert twice. */
+const SEEN_LOGS_MAX = 2000;
+
 /**
  * viem's socket reconnect uses setup().catch(console.error), which logs the entire ErrorEvent on upgrade failures (e.g. Alchemy 429).
  * Only collapse that narrow case so other errors stay verbose.
  */
+const wsReconnectFailuresTotal = counter(
+  "bankr_claim_watcher_ws_upgrade_failures_total",
+  "Claim watcher WebSocket (re)connect attempts rejected by the server.",
+  ["status"]
+);
+const subscriptionErrorsTotal = counter(
+  "bankr_claim_watcher_subscription_errors_total",
+  "Claim watcher eth_subscribe errors (kind: rate_limited, other).",
+  ["kind"]
+);
+const claimsEmittedTotal = counter("bankr_claim_watcher_claims_total", "Bankr fee claims emitted by the claim watcher.");
+const pollErrorsTotal = counter("bankr_claim_watcher_poll_errors_total", "Claim watcher eth_getLogs polls that failed.");
+const modeSwitchesTotal = counter(
+  "bankr_claim_watcher_mode_switches_total",
+  "Claim watcher switches from WebSocket to HTTP polling after repeated socket errors."
+);
+let lastLogsAtMs = null;
+
 let viemWsConsoleFilterInstalled = false;
 function installViemWsUpgradeErrorFilter() {
   if (viemWsConsoleFilterInstalled) return;
@@ -42,10 +93,12 @@ function installViemWsUpgradeErrorFilter() {
       args.length === 1 && e && typeof e === "object" && typeof e.message === "string" ? e.message : "";
     // Node `ws` / upgrade failures often log a huge ErrorEvent; do not require constructor.name (VM/realm quirks).
     if (msg.includes("Unexpected server response")) {
+      wsReconnectFailuresTotal.inc({ status: msg.match(/\b([1-5]\d\d)\b/)?.[1] ?? "unknown" });
       const hint = /\b429\b/.test(msg)
         ? " (Alchemy 429 — omit DOPPLER_CLAIM_WS / ALCHEMY_KEY for claim WS, or upgrade plan)"
         : "";
       orig(`[dopplerClaimWatcher] WS upgrade failed: ${msg}${hint}`);
+      noteWsFailure();
       return;
     }
     orig(...args);
@@ -253,6 +306,8 @@ async function enrichClaim(client, txHash, feeLocker) {
  * @property {string} [claimer] - Wallet that triggered the claim (tx.from or handleOps ops[0].sender)
  * @property {string} [poolToken] - Pool token address whose fees were claimed (from same-tx Transfer logs)
  * @property {string} [poolSymbol] - Pool token symbol (e.g. "UNC")
+ * @property {number} [blockNumber] - Block of the claim tx
+ * @property {number} [blockTime] - Block timestamp (unix ms; time seen when the block could not be fetched)
  */
 
 /** @type {EventEmitter & { onFeeClaim(fn: (claim: FeeClaimPayload) => void): void; start(): Promise<void>; stop(): void }} */
@@ -262,27 +317,147 @@ emitter.setMaxListeners(50);
 let publicClient = null;
 let unwatchers = [];
 let running = false;
+/** @type {'ws'|'poll'|null} */
+let mode = null;
+let wsConsecutiveFailures = 0;
+let pollTimer = null;
+let pollClient = null;
 /** One alert per tx; avoids duplicate messages when one claim tx has multiple transfers. */
 const recentTxHashes = new Set();
 const RECENT_TX_MAX = 5000;
 
+/** @type {{ chainId: number, lastBlock: number|null, seen: Set<string> } | null} lastBlock = fully processed */
+let watcherState = null;
+let _stateChain = Promise.resolve();
+function queueState(fn) {
+  _stateChain = _stateChain.then(fn, fn);
+  return _stateChain;
+}
+
+async function loadWatcherState() {
+  if (watcherState) return watcherState;
+  let raw = null;
+  try {
+    raw = await watcherStateDoc.read();
+  } catch {
+    /* first run */
+  }
+  const sameChain = raw && typeof raw === "object" && raw.chainId === CHAIN_ID;
+  watcherState = {
+    chainId: CHAIN_ID,
+    lastBlock: sameChain && Number.isFinite(raw.lastBlock) ? raw.lastBlock : null,
+    seen: new Set(sameChain && Array.isArray(raw.seen) ? raw.seen : []),
+  };
+  return watcherState;
+}
+
+function saveWatcherState() {
+  return queueState(async () => {
+    if (!watcherState) return;
+    const seen = [...watcherState.seen].slice(-SEEN_LOGS_MAX);
+    watcherState.seen = new Set(seen);
+    await watcherStateDoc.write({ chainId: CHAIN_ID, lastBlock: watcherState.lastBlock, seen });
+  });
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+/** Block timestamp in ms (best-effort; now when the RPC call fails). */
+async function getBlockTimeMs(client, blockNumber) {
+  try {
+    const block = await client.getBlock({ blockNumber: BigInt(blockNumber) });
+    if (block?.timestamp != null) return Number(block.timestamp) * 1000;
+  } catch (_) {}
+  return Date.now();
+}
+
+/**
+ * Turn one WETH Transfer(from = feeLocker) log into a claim event (WS and polling share this).
+ * @param {import('viem').PublicClient} client - Used for claimer / pool token enrichment
+ * @param {object} log - viem log decoded with TRANSFER_EVENT
+ * @param {string} [locker] - Fee locker when log.args.from is missing
+ */
+async function handleTransferLog(client, log, locker) {
+  // Only WETH transfers = real fee claims; other tokens are pool init/launch distributions
+  const tokenAddr = (log.address ?? "").toLowerCase();
+  if (tokenAddr !== WETH_BASE.toLowerCase()) return;
+  const value = log.args?.value ?? 0n;
+  if (value === 0n || value < MIN_WETH_CLAIM) return;
+  const txHash = log.transactionHash ?? "";
+  if (!txHash) return;
+  const state = await loadWatcherState();
+  const logKey = `${txHash.toLowerCase()}:${log.logIndex ?? ""}`;
+  if (state.seen.has(logKey)) return;
+  state.seen.add(logKey);
+  if (recentTxHashes.has(txHash)) return;
+  recentTxHashes.add(txHash);
+  if (recentTxHashes.size > RECENT_TX_MAX) {
+    const first = recentTxHashes.values().next().value;
+    if (first) recentTxHashes.delete(first);
+  }
+  const feeLockerAddr = (log.args?.from ?? locker ?? "").toLowerCase();
+  const payload = {
+    beneficiary: (log.args?.to ?? "").toLowerCase(),
+    token: tokenAddr,
+    amount: String(value),
+    txHash,
+    feeLocker: feeLockerAddr,
+    symbol: "WETH",
+    decimals: 18,
+    amountFormatted: (Number(value) / 1e18).toFixed(4),
+  };
+  if (log.blockNumber != null) {
+    payload.blockNumber = Number(log.blockNumber);
+    payload.blockTime = await getBlockTimeMs(client, log.blockNumber);
+  }
+  try {
+    const enriched = await enrichClaim(client, txHash, feeLockerAddr);
+    if (enriched.claimer) payload.claimer = enriched.claimer;
+    if (enriched.poolToken) payload.poolToken = enriched.poolToken;
+    if (enriched.poolSymbol) payload.poolSymbol = enriched.poolSymbol;
+  } catch (_) {}
+  // Only alert for Bankr tokens (address ends in e.g. "ba3"); ignore other Doppler platforms
+  const poolAddr = payload.poolToken?.toLowerCase() ?? "";
+  if (!poolAddr || !isBankrTokenAddress(poolAddr)) return;
+  claimsEmittedTotal.inc();
+  emitter.emit("claim", payload);
+}
+
 /**
- * Start the claim watcher. Subscribes to Transfer events from each fee locker.
- * Does nothing if ALCHEMY_KEY/ALCHEMY_WS_URL is unset or chain is not Base.
+ * Start the claim watcher: WebSocket subscriptions when DOPPLER_CLAIM_WS + an Alchemy WS URL are set,
+ * else HTTP polling (DOPPLER_CLAIM_POLL, or DOPPLER_CLAIM_WS without a WS URL).
+ * Does nothing when neither is enabled or chain is not Base.
  */
 async function start() {
   const wsUrl = getWsUrl();
-  if (!isClaimWsEnabled()) {
+  if (!isClaimWsEnabled() && !isClaimPollEnabled()) {
     console.log(
-      "[dopplerClaimWatcher] Skipped: WebSocket firehose is off by default. Set DOPPLER_CLAIM_WS=1 (+ ALCHEMY_KEY) to enable."
+      "[dopplerClaimWatcher] Skipped: claim watcher is off by default. Set DOPPLER_CLAIM_WS=1 (+ ALCHEMY_KEY) or DOPPLER_CLAIM_POLL=1 to enable."
     );
     return;
   }
-  if (!wsUrl || FEE_LOCKERS.length === 0) {
-    console.log("[dopplerClaimWatcher] Skipped: set ALCHEMY_KEY or ALCHEMY_WS_URL for Base to enable.");
+  if (FEE_LOCKERS.length === 0) {
+    console.log("[dopplerClaimWatcher] Skipped: fee lockers are only known for Base (CHAIN_ID=8453).");
     return;
   }
   if (running) return;
+  if (isClaimWsEnabled() && wsUrl && !isClaimPollEnabled()) {
+    await startWebSocket(wsUrl);
+    return;
+  }
+  await startPolling(isClaimPollEnabled() ? "DOPPLER_CLAIM_POLL" : "no ALCHEMY_KEY / ALCHEMY_WS_URL");
+}
+
+async function startWebSocket(wsUrl) {
+  // The socket has no backlog: mark blocks up to now as done so a later switch to polling starts here.
+  const state = await loadWatcherState();
+  try {
+    const latest = Number(await getPollClient().getBlockNumber());
+    state.lastBlock = Math.max(state.lastBlock ?? 0, latest - 1);
+    await saveWatcherState();
+  } catch (_) {}
   try {
     publicClient = createPublicClient({
       chain: base,
@@ -299,47 +474,24 @@ async function start() {
         args: { from: locker },
         poll: false,
         onLogs: async (logs) => {
-          // Only WETH transfers = real fee claims; other tokens are pool init/launch distributions
-          const wethLower = WETH_BASE.toLowerCase();
-          for (const log of logs) {
-            const tokenAddr = (log.address ?? "").toLowerCase();
-            if (tokenAddr !== wethLower) continue;
-            const value = log.args?.value ?? 0n;
-            if (value === 0n || value < MIN_WETH_CLAIM) continue;
-            const txHash = log.transactionHash ?? "";
-            if (!txHash) continue;
-            if (recentTxHashes.has(txHash)) continue;
-            recentTxHashes.add(txHash);
-            if (recentTxHashes.size > RECENT_TX_MAX) {
-              const first = recentTxHashes.values().next().value;
-              if (first) recentTxHashes.delete(first);
-            }
-            const feeLockerAddr = (log.args?.from ?? locker).toLowerCase();
-            const payload = {
-              beneficiary: (log.args?.to ?? "").toLowerCase(),
-              token: tokenAddr,
-              amount: String(value),
-              txHash,
-              feeLocker: feeLockerAddr,
-              symbol: "WETH",
-              decimals: 18,
-              amountFormatted: (Number(value) / 1e18).toFixed(4),
-            };
-            try {
-              const enriched = await enrichClaim(publicClient, txHash, feeLockerAddr);
-              if (enriched.claimer) payload.claimer = enriched.claimer;
-              if (enriched.poolToken) payload.poolToken = enriched.poolToken;
-              if (enriched.poolSymbol) payload.poolSymbol = enriched.poolSymbol;
-            } catch (_) {}
-            // Only alert for Bankr tokens (address ends in e.g. "ba3"); ignore other Doppler platforms
-            const poolAddr = payload.poolToken?.toLowerCase() ?? "";
-            if (!poolAddr || !isBankrTokenAddress(poolAddr)) continue;
-            emitter.emit("claim", payload);
+          lastLogsAtMs = Date.now();
+          wsConsecutiveFailures = 0;
+          const client = publicClient;
+          if (!client) return;
+          for (const log of logs) await handleTransferLog(client, log, locker);
+          // Polling after a switch resumes here; the last block may still get more logs, so it is not "done".
+          const block = logs.reduce((max, l) => (l.blockNumber != null && Number(l.blockNumber) > max ? Number(l.blockNumber) : max), 0);
+          if (block > 0 && watcherState) {
+            watcherState.lastBlock = Math.max(watcherState.lastBlock ?? 0, block - 1);
+            void saveWatcherState().catch(() => {});
           }
         },
         onError: (err) => {
           const msg = formatSubscriptionError(err);
-          if (/\b429\b|Too Many Requests/i.test(msg)) {
+          const rateLimited = /\b429\b|Too Many Requests/i.test(msg);
+          subscriptionErrorsTotal.inc({ kind: rateLimited ? "rate_limited" : "other" });
+          noteWsFailure();
+          if (rateLimited) {
             const now = Date.now();
             if (now - last429SubscriptionLog < SUB_429_LOG_INTERVAL_MS) return;
             last429SubscriptionLog = now;
@@ -350,6 +502,8 @@ async function start() {
       unwatchers.push(unwatch);
     }
     running = true;
+    mode = "ws";
+    wsConsecutiveFailures = 0;
     const minEth = Number(MIN_WETH_CLAIM) / 1e18;
     console.log(
       "[dopplerClaimWatcher] Started: WETH from",
@@ -363,7 +517,20 @@ async function start() {
   }
 }
 
-function stop() {
+/** Count a socket upgrade / subscription error; too many in a row (no logs in between) switches to polling. */
+function noteWsFailure() {
+  if (mode !== "ws") return;
+  wsConsecutiveFailures++;
+  if (WS_FAILURES_BEFORE_POLL === 0 || wsConsecutiveFailures < WS_FAILURES_BEFORE_POLL) return;
+  modeSwitchesTotal.inc();
+  console.error(
+    `[dopplerClaimWatcher] ${wsConsecutiveFailures} WebSocket errors in a row — switching to eth_getLogs polling.`
+  );
+  stopWebSocket();
+  void startPolling("WebSocket kept failing");
+}
+
+function stopWebSocket() {
   for (const unwatch of unwatchers) {
     try {
       unwatch();
@@ -372,6 +539,94 @@ function stop() {
   unwatchers = [];
   publicClient = null;
   running = false;
+  mode = null;
+}
+
+function getPollClient() {
+  if (!pollClient) pollClient = createPublicClient({ chain: base, transport: http(getRpcUrl()) });
+  return pollClient;
+}
+
+async function startPolling(reason) {
+  if (running) return;
+  running = true;
+  mode = "poll";
+  const state = await loadWatcherState();
+  console.log(
+    `[dopplerClaimWatcher] Polling eth_getLogs every ${POLL_INTERVAL_MS / 1000}s (${reason})` +
+      (state.lastBlock != null ? `; resuming after block ${state.lastBlock}` : "")
+  );
+  const tick = async () => {
+    try {
+      await pollClaimLogs(getPollClient());
+    } catch (err) {
+      pollErrorsTotal.inc();
+      console.error("[dopplerClaimWatcher] poll failed:", formatSubscriptionError(err));
+    }
+    if (mode === "poll") pollTimer = setTimeout(tick, POLL_INTERVAL_MS);
+  };
+  void tick();
+}
+
+/**
+ * One polling pass: Transfer(from = feeLocker) WETH logs from the block after the last processed one to latest,
+ * in CLAIM_POLL_CHUNK_BLOCKS chunks. The state is saved after each chunk, so a failed chunk is retried next poll.
+ * First run starts at the latest block (no backfill); long gaps are capped at CLAIM_POLL_MAX_BLOCKS_BACK.
+ * @param {import('viem').PublicClient} client - HTTP client (getBlockNumber, getLogs, receipts for enrichment)
+ * @returns {Promise<{ fromBlock: number, toBlock: number } | null>} scanned range, null when already up to date
+ */
+async function pollClaimLogs(client) {
+  const state = await loadWatcherState();
+  const latest = await client.getBlockNumber();
+  if (state.lastBlock == null) {
+    state.lastBlock = Number(latest) - 1;
+    await saveWatcherState();
+  }
+  let from = BigInt(state.lastBlock) + 1n;
+  if (latest - from + 1n > POLL_MAX_BLOCKS_BACK) from = latest - POLL_MAX_BLOCKS_BACK + 1n;
+  if (from > latest) return null;
+  const scanned = { fromBlock: Number(from), toBlock: Number(latest) };
+  while (from <= latest) {
+    const to = from + POLL_CHUNK_BLOCKS - 1n < latest ? from + POLL_CHUNK_BLOCKS - 1n : latest;
+    const logs = await client.getLogs({
+      address: WETH_BASE,
+      event: TRANSFER_EVENT,
+      args: { from: FEE_LOCKERS },
+      fromBlock: from,
+      toBlock: to,
+    });
+    if (logs.length > 0) lastLogsAtMs = Date.now();
+    for (const log of logs) await handleTransferLog(client, log);
+    state.lastBlock = Number(to);
+    await saveWatcherState();
+    from = to + 1n;
+    if (from <= latest && POLL_CHUNK_DELAY_MS > 0) await sleep(POLL_CHUNK_DELAY_MS);
+  }
+  return scanned;
+}
+
+gauge(
+  "bankr_claim_watcher_state",
+  "Claim watcher state (enabled: DOPPLER_CLAIM_WS or DOPPLER_CLAIM_POLL set; running: watching; polling: in eth_getLogs mode).",
+  ["state"],
+  (g) => {
+    g.set({ state: "enabled" }, (isClaimWsEnabled() && !!getWsUrl()) || isClaimPollEnabled() ? 1 : 0);
+    g.set({ state: "running" }, running ? 1 : 0);
+    g.set({ state: "polling" }, mode === "poll" ? 1 : 0);
+  }
+);
+gauge(
+  "bankr_claim_watcher_last_logs_timestamp_seconds",
+  "Unix time the claim watcher last received logs from its subscription or a poll (0 = never).",
+  [],
+  (g) => g.set({}, lastLogsAtMs != null ? Math.floor(lastLogsAtMs / 1000) : 0)
+);
+
+function stop() {
+  if (pollTimer) clearTimeout(pollTimer);
+  pollTimer = null;
+  pollClient = null;
+  stopWebSocket();
   console.log("[dopplerClaimWatcher] Stopped.");
 }
 
@@ -502,4 +757,4 @@ async function getTokenClaims(tokenAddress, fromBlock, maxLogs = 300) {
   return results;
 }
 
-export { start, stop, onFeeClaim, getWsUrl, getWalletClaims, getTokenClaims };
+export { start, stop, onFeeClaim, getWsUrl, getWalletClaims, getTokenClaims, pollClaimLogs };
@@ -0,0 +1,116 @@
+/**
+ * Webhook host guard: user-supplied webhook URLs (/setup webhook, Bankr App destinations.webhookUrl) must point at
+ * the public internet, so the bot can't be used to probe loopback, private networks or cloud metadata endpoints.
+ * normalizeWebhookUrl() rejects blocked IP literals when a URL is saved; the dispatcher re-checks the resolved
+ * addresses right before every POST (a public name can later resolve to a private address).
+ *
+ * Env:
+ *   WEBHOOK_ALLOW_LOCALHOST - 1 or true to allow localhost / loopback webhooks (http or https), for local testing.
+ */
+
+import { lookup } from "dns/promises";
+import { BlockList, isIP } from "net";
+
+const blocked = new BlockList();
+for (const [net, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["169.254.0.0", 16], // link-local, incl. 169.254.169.254 metadata
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  blocked.addSubnet(net, prefix, "ipv4");
+}
+for (const [net, prefix] of [
+  ["::", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7], // unique local, incl. fd00:ec2::254 metadata
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  blocked.addSubnet(net, prefix, "ipv6");
+}
+const loopback = new BlockList();
+loopback.addSubnet("127.0.0.0", 8, "ipv4");
+loopback.addAddress("::1", "ipv6");
+
+/** Blocked webhook destination (not retried; the message is safe to show to users). */
+export class WebhookHostError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "WebhookHostError";
+  }
+}
+
+export function webhookLocalhostAllowed() {
+  const v = process.env.WEBHOOK_ALLOW_LOCALHOST;
+  return v === "1" || v === "true";
+}
+
+function isLoopback(ip) {
+  const family = isIP(ip) === 6 ? "ipv6" : "ipv4";
+  return loopback.check(ip, family);
+}
+
+/** True for loopback, private, link-local, metadata, multicast and reserved addresses (IPv4-mapped IPv6 included). */
+export function isBlockedWebhookAddress(ip, { allowLoopback = webhookLocalhostAllowed() } = {}) {
+  let addr = String(ip ?? "").replace(/^\[|\]$/g, "");
+  const mapped = addr.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) addr = mapped[1];
+  const family = isIP(addr);
+  if (family === 0) return true;
+  if (isLoopback(addr)) return !allowLoopback;
+  if (family === 6 && /^::ffff:/i.test(addr)) return true;
+  return blocked.check(addr, family === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * Why a parsed URL's host may not receive webhooks without a DNS lookup (localhost, blocked IP literals), or null.
+ * @param {URL} u
+ */
+export function webhookHostProblem(u) {
+  const host = u.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (host === "localhost" || host.endsWith(".localhost")) {
+    return webhookLocalhostAllowed() ? null : "localhost webhooks are disabled";
+  }
+  if (isIP(host) && isBlockedWebhookAddress(host)) return "webhook URL points at a private or internal address";
+  return null;
+}
+
+/** True when the URL targets loopback and WEBHOOK_ALLOW_LOCALHOST is on (the only case http is allowed). */
+export function isAllowedLocalWebhook(u) {
+  if (!webhookLocalhostAllowed()) return false;
+  const host = u.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  return host === "localhost" || host.endsWith(".localhost") || (isIP(host) !== 0 && isLoopback(host));
+}
+
+/**
+ * Resolve the URL's host and throw WebhookHostError when any address is blocked (or it does not resolve).
+ * @param {string} url
+ */
+export async function assertWebhookHostAllowed(url) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    throw new WebhookHostError("invalid webhook URL");
+  }
+  const problem = webhookHostProblem(u);
+  if (problem) throw new WebhookHostError(problem);
+  const host = u.hostname.replace(/^\[|\]$/g, "");
+  if (isIP(host) || isAllowedLocalWebhook(u)) return;
+  let addresses;
+  try {
+    addresses = await lookup(host, { all: true, verbatim: true });
+  } catch {
+    throw new WebhookHostError("webhook host does not resolve");
+  }
+  if (addresses.length === 0 || addresses.some((a) => isBlockedWebhookAddress(a.address))) {
+    throw new WebhookHostError("webhook URL points at a private or internal address");
+  }
+}
@@ -0,0 +1,310 @@
+/**
+ * Fee-whale leaderboard with time windows: Discord and Telegram /whales, plus the daily post a server schedules
+ * with /setup whales.
+ *
+ * "all" ranks the indexer's cumulatedFees totals summed per wallet (whales.js). "24h" and "7d" rank by how much each
+ * wallet's fees grew since a stored snapshot: the newest snapshot at least that old, or the oldest one (flagged partial)
+ * while history is still shorter than the window. Snapshots keep the top rows per (wallet, pool) and only positions
+ * present in both the snapshot and the current list are diffed: a pool that entered or left the tracked list during the
+ * window would otherwise show up as a jump (or drop) in its wallet's total.
+ *
+ * Env:
+ *   WHALE_SNAPSHOT_FILE - Snapshot history (state-storage.js document). Default .bankr-whale-snapshots.json
+ *   WHALE_SNAPSHOT_INTERVAL_MS - Min time between snapshots (default 3600000 = 1h).
+ *   WHALE_SNAPSHOT_TOP - cumulatedFees (wallet, pool) rows tracked per snapshot (default 200, max 500).
+ *   WHALE_HANDLE_TTL_MS - Cache for wallet → X handle lookups (default 21600000 = 6h).
+ */
+
+import { join } from "path";
+import { defineStateDocument } from "./state-storage.js";
+import { fetchTopFeeEarners, fetchTopFeePositions } from "./whales.js";
+import { fetchSearch, launchWallet } from "./lookup-deployer.js";
+import { formatUsd } from "./token-stats.js";
+import { defaultBankrApiKey } from "./bankr-env-key.js";
+import { getTenant, listGuildIdsWithWhalesPost, setTenant } from "./tenant-store.js";
+import { enqueueDiscordChannelMessage } from "./outbound-dispatcher.js";
+
+const WHALE_SNAPSHOT_FILE = process.env.WHALE_SNAPSHOT_FILE || join(process.cwd(), ".bankr-whale-snapshots.json");
+const WHALE_SNAPSHOT_INTERVAL_MS = Math.max(60_000, parseInt(process.env.WHALE_SNAPSHOT_INTERVAL_MS || "3600000", 10) || 3_600_000);
+const WHALE_SNAPSHOT_TOP = Math.min(500, Math.max(10, parseInt(process.env.WHALE_SNAPSHOT_TOP || "200", 10) || 200));
+const WHALE_HANDLE_TTL_MS = Math.max(60_000, parseInt(process.env.WHALE_HANDLE_TTL_MS || "21600000", 10) || 21_600_000);
+/** Snapshots older than the longest window plus a day are dropped. */
+const SNAPSHOT_RETENTION_MS = 8 * 86_400_000;
+const HANDLE_LOOKUP_TIMEOUT_MS = 5000;
+export const WHALES_MAX_LIMIT = 25;
+
+/** Window name → length in ms (null = all time). */
+export const WHALE_WINDOWS = { "24h": 86_400_000, "7d": 7 * 86_400_000, all: null };
+export const WHALE_WINDOW_LABELS = { "24h": "last 24h", "7d": "last 7 days", all: "all time" };
+
+const snapshotDoc = defineStateDocument("whale-snapshots", WHALE_SNAPSHOT_FILE, { indent: 0 });
+
+let _chain = Promise.resolve();
+
+function queue(fn) {
+  _chain = _chain.then(fn, fn);
+  return _chain;
+}
+
+/** @type {Map<string, { t: number, x: string|null }>} */
+const handleCache = new Map();
+
+/** "24h" | "7d" | "all" from user input (1d, day, week, alltime, …); null when unrecognised. */
+export function parseWhaleWindow(raw) {
+  const s = String(raw ?? "").trim().toLowerCase().replace(/[\s_-]/g, "");
+  if (!s) return null;
+  if (["24h", "1d", "day", "daily", "today"].includes(s)) return "24h";
+  if (["7d", "1w", "week", "weekly"].includes(s)) return "7d";
+  if (["all", "alltime", "total", "ever"].includes(s)) return "all";
+  return null;
+}
+
+/**
+ * @typedef {{ wallet: string, poolId: string, totalUsd: number, weth: number }} WhalePosition
+ * @typedef {{ at: number, positions: Record<string, { usd: number, weth: number }> }} WhaleSnapshot
+ */
+
+function positionKey(p) {
+  return `${String(p.wallet).trim().toLowerCase()}:${String(p.poolId).trim().toLowerCase()}`;
+}
+
+/**
+ * Snapshot of a fetchTopFeePositions list, keyed by "wallet:poolId".
+ * @param {WhalePosition[]} positions
+ * @returns {WhaleSnapshot}
+ */
+export function buildWhaleSnapshot(positions, nowMs = Date.now()) {
+  const out = {};
+  for (const p of positions || []) {
+    if (!p?.wallet || !p.poolId) continue;
+    out[positionKey(p)] = { usd: Number(p.totalUsd) || 0, weth: Number(p.weth) || 0 };
+  }
+  return { at: nowMs, positions: out };
+}
+
+/** Largest first; rows are { wallet, usd, weth, totalUsd } with usd = the ranked amount. */
+function rankRows(rows) {
+  return rows.filter((r) => r.usd > 0).sort((a, b) => b.usd - a.usd);
+}
+
+/**
+ * Rank wallets for a window. windowMs null = all time (cumulative totals).
+ * @param {WhalePosition[]} currentPositions
+ * @param {WhaleSnapshot[]} snapshots
+ * @param {number|null} windowMs
+ * @returns {{ rows: Array<{ wallet: string, usd: number, weth: number, totalUsd: number }>, sinceMs: number|null, partial: boolean }}
+ */
+export function computeWhaleWindow(currentPositions, snapshots, windowMs, nowMs = Date.now()) {
+  const current = (currentPositions || []).filter((p) => p?.wallet && p.poolId);
+  /** @type {Map<string, { wallet: string, usd: number, weth: number, totalUsd: number }>} */
+  const byWallet = new Map();
+  const walletRow = (p) => {
+    const w = String(p.wallet).toLowerCase();
+    if (!byWallet.has(w)) byWallet.set(w, { wallet: p.wallet, usd: 0, weth: 0, totalUsd: 0 });
+    return byWallet.get(w);
+  };
+  if (windowMs == null) {
+    for (const p of current) {
+      const row = walletRow(p);
+      row.totalUsd += Number(p.totalUsd) || 0;
+      row.usd = row.totalUsd;
+      row.weth += Number(p.weth) || 0;
+    }
+    return { rows: rankRows([...byWallet.values()]), sinceMs: null, partial: false };
+  }
+  // Snapshots written before per-pool tracking have no `positions` and are ignored.
+  const older = (snapshots || [])
+    .filter((s) => Number.isFinite(s?.at) && s.at < nowMs && s.positions)
+    .sort((a, b) => a.at - b.at);
+  const inWindow = older.filter((s) => s.at <= nowMs - windowMs);
+  const baseline = inWindow.length ? inWindow[inWindow.length - 1] : older[0];
+  if (!baseline) return { rows: [], sinceMs: null, partial: true };
+  for (const p of current) {
+    const row = walletRow(p);
+    row.totalUsd += Number(p.totalUsd) || 0;
+    const prev = baseline.positions[positionKey(p)];
+    if (!prev) continue;
+    row.usd += Math.max(0, (Number(p.totalUsd) || 0) - prev.usd);
+    row.weth += Math.max(0, (Number(p.weth) || 0) - prev.weth);
+  }
+  return { rows: rankRows([...byWallet.values()]), sinceMs: baseline.at, partial: inWindow.length === 0 };
+}
+
+/** @returns {Promise<WhaleSnapshot[]>} oldest first */
+export async function listWhaleSnapshots() {
+  try {
+    const raw = await snapshotDoc.read();
+    return Array.isArray(raw?.snapshots) ? raw.snapshots.filter((s) => Number.isFinite(s?.at)) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Store a snapshot unless the newest one is younger than WHALE_SNAPSHOT_INTERVAL_MS. Prunes old and pre-per-pool snapshots.
+ * @param {WhalePosition[]} positions
+ * @returns {Promise<boolean>} true when a snapshot was written
+ */
+export function recordWhaleSnapshot(positions, nowMs = Date.now()) {
+  if (!positions?.length) return Promise.resolve(false);
+  return queue(async () => {
+    const snapshots = await listWhaleSnapshots();
+    const last = snapshots[snapshots.length - 1];
+    if (last && nowMs - last.at < WHALE_SNAPSHOT_INTERVAL_MS) return false;
+    const kept = snapshots.filter((s) => s.positions && nowMs - s.at <= SNAPSHOT_RETENTION_MS);
+    kept.push(buildWhaleSnapshot(positions, nowMs));
+    await snapshotDoc.write({ snapshots: kept });
+    return true;
+  });
+}
+
+/** True when the newest stored snapshot is older than WHALE_SNAPSHOT_INTERVAL_MS. */
+export async function whaleSnapshotDue(nowMs = Date.now()) {
+  const snapshots = await listWhaleSnapshots();
+  const last = snapshots[snapshots.length - 1];
+  return !last || nowMs - last.at >= WHALE_SNAPSHOT_INTERVAL_MS;
+}
+
+/** X handle for a fee wallet from Bankr search (fee recipient first, then deployer). Cached, misses included. */
+export async function resolveWhaleHandle(wallet, options = {}) {
+  const w = wallet && String(wallet).trim().toLowerCase();
+  if (!w || !/^0x[a-f0-9]{40}$/.test(w)) return null;
+  const cached = handleCache.get(w);
+  if (cached && Date.now() - cached.t < WHALE_HANDLE_TTL_MS) return cached.x;
+  const apiKey = defaultBankrApiKey(options.bankrApiKey);
+  if (!apiKey) return null;
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(undefined), HANDLE_LOOKUP_TIMEOUT_MS);
+  });
+  const result = await Promise.race([fetchSearch(w, apiKey).catch(() => undefined), timeout]).finally(() => clearTimeout(timer));
+  // Timeouts and failures are not cached so the next call can retry.
+  if (result === undefined) return null;
+  const launches = Array.isArray(result?.launches) ? result.launches : [];
+  const asFee = launches.find((l) => launchWallet(l, "fee") === w && l.feeRecipient?.xUsername);
+  const asDeployer = launches.find((l) => launchWallet(l, "deployer") === w && l.deployer?.xUsername);
+  const raw = asFee?.feeRecipient?.xUsername ?? asDeployer?.deployer?.xUsername ?? null;
+  const x = raw ? String(raw).trim().replace(/^@/, "") || null : null;
+  handleCache.set(w, { t: Date.now(), x });
+  return x;
+}
+
+/**
+ * Top fee earners for a window with X handles. Also records a snapshot when one is due.
+ * @param {{ window?: "24h"|"7d"|"all", limit?: number, bankrApiKey?: string, nowMs?: number }} [options]
+ * @returns {Promise<{ window: string, source: string, sinceMs: number|null, partial: boolean, unsupported: boolean, rows: Array<{ wallet: string, x: string|null, usd: number, weth: number, totalUsd: number }> }>}
+ */
+export async function getWhaleLeaderboard(options = {}) {
+  const window = WHALE_WINDOWS[options.window] !== undefined ? options.window : "all";
+  const limit = Math.min(Math.max(1, parseInt(options.limit, 10) || 10), WHALES_MAX_LIMIT);
+  const nowMs = options.nowMs ?? Date.now();
+  const positions = await fetchTopFeePositions(WHALE_SNAPSHOT_TOP);
+  let source = "cumulatedFees";
+  let unsupported = false;
+  let ranked;
+  if (positions) {
+    const snapshots = window === "all" ? [] : await listWhaleSnapshots();
+    ranked = computeWhaleWindow(positions, snapshots, WHALE_WINDOWS[window], nowMs);
+    await recordWhaleSnapshot(positions, nowMs).catch((e) => console.warn("[whales] snapshot write failed:", e?.message ?? e));
+  } else {
+    // No per-pool cumulatedFees rows (e.g. only the v4pools volume fallback): all time only, nothing to diff.
+    const top = await fetchTopFeeEarners(WHALE_SNAPSHOT_TOP);
+    source = top.source;
+    unsupported = window !== "all";
+    const rows = unsupported ? [] : top.rows.map((r) => ({ wallet: r.wallet, usd: r.totalUsd, weth: r.weth, totalUsd: r.totalUsd }));
+    ranked = { rows: rankRows(rows), sinceMs: null, partial: false };
+  }
+  const top = ranked.rows.slice(0, limit);
+  const handles = await Promise.all(top.map((r) => resolveWhaleHandle(r.wallet, options).catch(() => null)));
+  return {
+    window,
+    source,
+    sinceMs: ranked.sinceMs,
+    partial: ranked.partial,
+    unsupported,
+    rows: top.map((r, i) => ({ ...r, x: handles[i] })),
+  };
+}
+
+function shortWallet(w) {
+  return `${w.slice(0, 6)}…${w.slice(-4)}`;
+}
+
+/** "$12,345.00 · 1.2345 WETH" */
+export function formatWhaleAmount(row) {
+  const usd = formatUsd(row.usd) ?? "$0.00";
+  const weth = row.weth != null && row.weth > 0 ? ` · ${row.weth.toFixed(4)} WETH` : "";
+  return `${usd}${weth}`;
+}
+
+function whalesNote(board) {
+  if (board.unsupported) return "Windowed rankings need the indexer's per-pool cumulatedFees list, which is not available.";
+  if (board.window === "all") return board.source === "v4pools" ? "Ranked by pool volume (indexer has no cumulatedFees list)." : null;
+  if (board.sinceMs == null) return "No snapshot history yet — the first one was just recorded. Try again later.";
+  if (board.partial) return `Only ${Math.max(1, Math.round((Date.now() - board.sinceMs) / 3_600_000))}h of history so far; figures cover that span.`;
+  return null;
+}
+
+/** Discord embed (plain object) for /whales and the daily post. */
+export function buildWhalesEmbed(board, title = "🐋 Top fee earners") {
+  const lines = board.rows.map((r, i) => {
+    const who = r.x ? `[@${r.x}](https://x.com/${r.x}) · \`${shortWallet(r.wallet)}\`` : `\`${r.wallet}\``;
+    return `**${i + 1}.** ${who} — ${formatWhaleAmount(r)}`;
+  });
+  const note = whalesNote(board);
+  const description = [lines.length ? lines.join("\n") : "No fee earners to show for this window.", note ? `\n_${note}_` : null]
+    .filter(Boolean)
+    .join("\n");
+  return {
+    color: 0x0052_ff,
+    title: `${title} · ${WHALE_WINDOW_LABELS[board.window]}`,
+    description: description.slice(0, 4000),
+    footer: { text: board.sinceMs != null ? "Change since" : `Source: ${board.source}` },
+    timestamp: new Date(board.sinceMs ?? Date.now()).toISOString(),
+  };
+}
+
+/** Plain-text leaderboard for Telegram (no parse mode). */
+export function formatWhalesTelegramText(board) {
+  const lines = [`🐋 Top fee earners · ${WHALE_WINDOW_LABELS[board.window]}`, ""];
+  board.rows.forEach((r, i) => {
+    lines.push(`${i + 1}. ${r.x ? `@${r.x} (${shortWallet(r.wallet)})` : r.wallet} — ${formatWhaleAmount(r)}`);
+  });
+  if (board.rows.length === 0) lines.push("No fee earners to show for this window.");
+  const note = whalesNote(board);
+  if (note) lines.push("", note);
+  return lines.join("\n");
+}
+
+/**
+ * Discord bot tick: record a snapshot when due, then post the daily leaderboard for servers whose UTC hour has come.
+ * @param {import("discord.js").Client} client
+ */
+export async function runWhaleLeaderboardTick(client, nowMs = Date.now()) {
+  if (await whaleSnapshotDue(nowMs)) {
+    const positions = await fetchTopFeePositions(WHALE_SNAPSHOT_TOP);
+    if (positions) await recordWhaleSnapshot(positions, nowMs);
+  }
+  const now = new Date(nowMs);
+  const today = now.toISOString().slice(0, 10);
+  /** One leaderboard per window per tick, shared across servers (so built with the bot's own key, not a server's). */
+  const boards = new Map();
+  for (const guildId of await listGuildIdsWithWhalesPost()) {
+    try {
+      const tenant = await getTenant(guildId);
+      if (!tenant?.whalesChannelId || tenant.whalesLastPostedOn === today) continue;
+      if (now.getUTCHours() < tenant.whalesPostHourUtc) continue;
+      const channel = await client.channels.fetch(tenant.whalesChannelId).catch(() => null);
+      if (!channel?.isTextBased()) continue;
+      const window = WHALE_WINDOWS[tenant.whalesWindow] !== undefined ? tenant.whalesWindow : "24h";
+      if (!boards.has(window)) {
+        boards.set(window, await getWhaleLeaderboard({ window, limit: 10, bankrApiKey: defaultBankrApiKey(), nowMs }));
+      }
+      const embed = buildWhalesEmbed(boards.get(window), "🐋 Daily fee whales");
+      void enqueueDiscordChannelMessage(channel.id, { embeds: [embed] }, { label: "whales" });
+      await setTenant(guildId, { whalesLastPostedOn: today });
+    } catch (e) {
+      console.error(`Whale leaderboard post for ${guildId} failed:`, e.message);
+    }
+  }
+}
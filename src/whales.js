@@ -1,6 +1,7 @@
 /**
  * Bankr fee-whale leaderboard from Doppler Indexer.
- * Queries cumulatedFees ordered by totalFeesUsd (all-time top fee earners).
+ * Queries cumulatedFees ordered by totalFeesUsd (all-time top fee earners). Indexer rows are per pool and
+ * beneficiary: fetchTopFeeEarners sums them per wallet, fetchTopFeePositions keeps them apart.
  */
 
 import { getClaimTxsFromBaseScan } from "./basescan-claims.js";
@@ -10,18 +11,14 @@ const CHAIN_ID = parseInt(process.env.CHAIN_ID || "8453", 10);
 const DOPPLER_INDEXER_URL =
   process.env.DOPPLER_INDEXER_URL ||
   (CHAIN_ID === 8453 ? "https://bankr.indexer.doppler.lol" : "https://testnet-indexer.doppler.lol");
+/** Upper bound for one query (whale-leaderboard.js snapshots track more rows than any list shows). */
+const MAX_FEE_EARNER_ROWS = 500;
 
-/**
- * Fetch top fee earners by totalFeesUsd from the indexer.
- * Tries multiple query shapes: with/without chainId, items vs list (Bankr indexer uses chainId + items).
- * @param {number} [limit=10]
- * @returns {Promise<{ rows: Array<{ wallet: string, totalUsd: number, weth: number }>, source: 'cumulatedFees' | 'v4pools' }>}
- */
-export async function fetchTopFeeEarners(limit = 10) {
-  const cap = Math.min(Math.max(1, parseInt(limit, 10) || 10), 50);
-  const base = DOPPLER_INDEXER_URL.replace(/\/$/, "");
+const FEE_ROW_FIELDS = "beneficiary token0Fees token1Fees totalFeesUsd";
 
-  const variants = [
+/** cumulatedFees query shapes: with/without chainId, items vs list (Bankr indexer uses chainId + items). */
+function cumulatedFeesVariants(cap, fields) {
+  return [
     // Bankr indexer style: where { chainId }, items, Int chainId
     {
       query: `query TopFeeRecipientsChainId($chainId: Int!, $limit: Int!) {
@@ -31,12 +28,7 @@ export async function fetchTopFeeEarners(limit = 10) {
           orderDirection: "desc"
           limit: $limit
         ) {
-          items {
-            beneficiary
-            token0Fees
-            token1Fees
-            totalFeesUsd
-          }
+          items { ${fields} }
         }
       }`,
       variables: { chainId: CHAIN_ID, limit: cap },
@@ -50,12 +42,7 @@ export async function fetchTopFeeEarners(limit = 10) {
           orderDirection: "desc"
           limit: $limit
         ) {
-          items {
-            beneficiary
-            token0Fees
-            token1Fees
-            totalFeesUsd
-          }
+          items { ${fields} }
         }
       }`,
       variables: { chainId: CHAIN_ID, limit: cap },
@@ -68,12 +55,7 @@ export async function fetchTopFeeEarners(limit = 10) {
           orderDirection: "desc"
           limit: $limit
         ) {
-          items {
-            beneficiary
-            token0Fees
-            token1Fees
-            totalFeesUsd
-          }
+          items { ${fields} }
         }
       }`,
       variables: { limit: cap },
@@ -86,17 +68,20 @@ export async function fetchTopFeeEarners(limit = 10) {
           orderDirection: "desc"
           limit: $limit
         ) {
-          beneficiary
-          token0Fees
-          token1Fees
-          totalFeesUsd
+          ${fields}
         }
       }`,
       variables: { limit: cap },
     },
   ];
+}
 
-  for (const { query, variables } of variants) {
+/**
+ * Raw cumulatedFees rows (one per pool and beneficiary), largest totalFeesUsd first.
+ * @returns {Promise<object[]|null>} null when no query shape returned rows
+ */
+async function queryCumulatedFees(base, cap, fields) {
+  for (const { query, variables } of cumulatedFeesVariants(cap, fields)) {
     try {
       const res = await fetch(`${base}/graphql`, {
         method: "POST",
@@ -118,38 +103,76 @@ export async function fetchTopFeeEarners(limit = 10) {
       } else if (!Array.isArray(list)) {
         continue;
       }
-
-      const byWallet = new Map();
-      for (const r of list) {
-        if (!r?.beneficiary) continue;
-        const raw = String(r.beneficiary).trim();
-        const w = raw.toLowerCase();
-        const usd = r.totalFeesUsd != null ? Number(r.totalFeesUsd) : 0;
-        const weth = r.token0Fees != null ? Number(r.token0Fees) / 1e18 : 0;
-        const cur = byWallet.get(w);
-        if (cur) {
-          cur.totalUsd += usd;
-          cur.weth += weth;
-        } else {
-          byWallet.set(w, { wallet: raw, totalUsd: usd, weth });
-        }
-      }
-      const out = Array.from(byWallet.values())
-        .sort((a, b) => b.totalUsd - a.totalUsd)
-        .slice(0, cap);
-      if (out.length > 0) return { rows: out, source: "cumulatedFees" };
+      if (list.some((r) => r?.beneficiary)) return list;
     } catch (e) {
       if (process.env.DEBUG_WHALES === "1") {
         console.error("[whales] fetch error:", e.message);
       }
     }
   }
+  return null;
+}
+
+function feeRowValues(r) {
+  return {
+    wallet: String(r.beneficiary).trim(),
+    totalUsd: r.totalFeesUsd != null ? Number(r.totalFeesUsd) : 0,
+    weth: r.token0Fees != null ? Number(r.token0Fees) / 1e18 : 0,
+  };
+}
+
+/**
+ * Fetch top fee earners by totalFeesUsd from the indexer (rows summed per wallet).
+ * @param {number} [limit=10] - Rows to return (max 500)
+ * @returns {Promise<{ rows: Array<{ wallet: string, totalUsd: number, weth: number }>, source: 'cumulatedFees' | 'v4pools' }>}
+ */
+export async function fetchTopFeeEarners(limit = 10) {
+  const cap = Math.min(Math.max(1, parseInt(limit, 10) || 10), MAX_FEE_EARNER_ROWS);
+  const base = DOPPLER_INDEXER_URL.replace(/\/$/, "");
+
+  const list = await queryCumulatedFees(base, cap, FEE_ROW_FIELDS);
+  if (list) {
+    const byWallet = new Map();
+    for (const r of list) {
+      if (!r?.beneficiary) continue;
+      const { wallet, totalUsd, weth } = feeRowValues(r);
+      const w = wallet.toLowerCase();
+      const cur = byWallet.get(w);
+      if (cur) {
+        cur.totalUsd += totalUsd;
+        cur.weth += weth;
+      } else {
+        byWallet.set(w, { wallet, totalUsd, weth });
+      }
+    }
+    const out = Array.from(byWallet.values())
+      .sort((a, b) => b.totalUsd - a.totalUsd)
+      .slice(0, cap);
+    if (out.length > 0) return { rows: out, source: "cumulatedFees" };
+  }
 
   // Fallback: indexer may not expose global cumulatedFees list; use v4pools by volume and aggregate by beneficiary
   const fallback = await fetchTopFeeEarnersFromV4Pools(base, cap);
   return { rows: fallback, source: "v4pools" };
 }
 
+/**
+ * Top cumulatedFees rows per (pool, beneficiary), not summed per wallet. whale-leaderboard.js snapshots these so a
+ * 24h / 7d window only diffs positions it saw at both ends.
+ * @param {number} [limit=200] - Rows to fetch (max 500)
+ * @returns {Promise<Array<{ wallet: string, poolId: string, totalUsd: number, weth: number }>|null>} null when the
+ *   indexer has no cumulatedFees list with poolId
+ */
+export async function fetchTopFeePositions(limit = 200) {
+  const cap = Math.min(Math.max(1, parseInt(limit, 10) || 200), MAX_FEE_EARNER_ROWS);
+  const base = DOPPLER_INDEXER_URL.replace(/\/$/, "");
+  const list = await queryCumulatedFees(base, cap, `poolId ${FEE_ROW_FIELDS}`);
+  const positions = (list ?? [])
+    .filter((r) => r?.beneficiary && r.poolId)
+    .map((r) => ({ ...feeRowValues(r), poolId: String(r.poolId).trim().toLowerCase() }));
+  return positions.length > 0 ? positions : null;
+}
+
 /**
  * Fallback when cumulatedFees list is not available: get v4pools by volumeUsd, aggregate by beneficiary.
  * Shows "top fee recipients by pool volume" (proxy for fee earners).
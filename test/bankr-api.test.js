@@ -0,0 +1,58 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+process.env.BANKR_API_BACKOFF_BASE_MS = "1";
+process.env.BANKR_API_KEY = "";
+process.env.TELEGRAM_BANKR_API_KEYS = "pool-key";
+const { getBankrLaunch, listBankrLaunches, postBankrDeploy } = await import("../src/bankr-api.js");
+const { getBankrKeyUsage } = await import("../src/bankr-key-usage.js");
+
+const TOKEN = "0x" + "ab".repeat(20);
+const json = (body, status = 200, headers = {}) => new Response(JSON.stringify(body), { status, headers });
+
+test("concurrent identical reads share one request and later reads hit the cache", async (t) => {
+  let calls = 0;
+  t.mock.method(globalThis, "fetch", async () => {
+    calls++;
+    await new Promise((r) => setTimeout(r, 5));
+    return json({ launch: { tokenAddress: TOKEN, tokenName: "Cached" } });
+  });
+  const [a, b] = await Promise.all([getBankrLaunch(TOKEN, { apiKey: "k-cache" }), getBankrLaunch(TOKEN, { apiKey: "k-cache" })]);
+  assert.equal(calls, 1);
+  assert.equal(a.launch.tokenName, "Cached");
+  assert.equal(b.launch.tokenName, "Cached");
+  assert.equal((await getBankrLaunch(TOKEN, { apiKey: "k-cache" })).launch.tokenName, "Cached");
+  assert.equal(calls, 1);
+  // Another key is another cache entry.
+  await getBankrLaunch(TOKEN, { apiKey: "k-other" });
+  assert.equal(calls, 2);
+});
+
+test("429 is retried after Retry-After on a pool key while the first key is rate limited", async (t) => {
+  const keys = [];
+  t.mock.method(globalThis, "fetch", async (_url, init) => {
+    keys.push(init.headers["X-API-Key"]);
+    if (keys.length === 1) return json({ message: "Too many requests" }, 429, { "Retry-After": "0" });
+    return json({ launches: [{ tokenAddress: TOKEN }] });
+  });
+  const res = await listBankrLaunches({ limit: 5, apiKey: "k-limited" });
+  assert.equal(res.ok, true);
+  assert.equal(res.launches.length, 1);
+  assert.deepEqual(keys, ["k-limited", "pool-key"]);
+  assert.equal(getBankrKeyUsage("k-limited").rateLimited, 1);
+  assert.equal(getBankrKeyUsage("pool-key").calls.launches, 1);
+});
+
+test("real deploys are sent once on the given key; simulations are retried", async (t) => {
+  const sent = [];
+  t.mock.method(globalThis, "fetch", async (_url, init) => {
+    sent.push({ key: init.headers["X-API-Key"], simulateOnly: JSON.parse(init.body).simulateOnly });
+    return json({ message: "Bad gateway" }, 502);
+  });
+  const res = await postBankrDeploy({ tokenName: "Once", simulateOnly: false }, { apiKey: "k-deploy" });
+  assert.equal(res.status, 502);
+  assert.equal(sent.length, 1);
+  await postBankrDeploy({ tokenName: "Sim", simulateOnly: true }, { apiKey: "k-deploy" });
+  assert.equal(sent.length, 5);
+  assert.ok(sent.every((s) => s.key === "k-deploy"));
+});
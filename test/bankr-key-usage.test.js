@@ -0,0 +1,53 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+process.env.BANKR_API_KEY = "env-key";
+process.env.TELEGRAM_BANKR_API_KEYS = "pool-a,pool-b";
+const { formatBankrKeyUsageLine, getBankrKeyUsage, isBankrKeyExhausted, recordBankrApiCall } = await import("../src/bankr-key-usage.js");
+const { defaultBankrApiKey } = await import("../src/bankr-env-key.js");
+const { buildDeployBody, callBankrDeploy } = await import("../src/deploy-token.js");
+
+test("calls, 429s and the last error are counted per key", () => {
+  recordBankrApiCall("tenant-one", "search", { status: 200 });
+  recordBankrApiCall("tenant-one", "search", { status: 200 });
+  recordBankrApiCall("tenant-one", "launches", { status: 500 });
+  const u = getBankrKeyUsage("tenant-one");
+  assert.deepEqual(u.calls, { search: 2, launches: 1 });
+  assert.equal(u.rateLimited, 0);
+  assert.equal(u.errors, 1);
+  assert.deepEqual([u.lastError.endpoint, u.lastError.status, u.lastError.message], ["launches", 500, "HTTP 500"]);
+  assert.equal(getBankrKeyUsage("other-key"), null);
+  const line = formatBankrKeyUsageLine(u);
+  assert.match(line, /^3 call\(s\) since <t:\d+:R> \(search 2 · launches 1\) · 429s 0 · last error/);
+  assert.ok(!line.includes("tenant-one"));
+});
+
+test("a rate limited tenant key falls back to round-robin keys until Retry-After", () => {
+  assert.equal(defaultBankrApiKey("tenant-two"), "tenant-two");
+  recordBankrApiCall("tenant-two", "launches", { status: 429, retryAfterSec: 30 });
+  assert.equal(isBankrKeyExhausted("tenant-two"), true);
+  assert.equal(isBankrKeyExhausted("tenant-two", Date.now() + 31_000), false);
+  const picked = new Set([defaultBankrApiKey("tenant-two"), defaultBankrApiKey("tenant-two"), defaultBankrApiKey("tenant-two")]);
+  assert.deepEqual([...picked].sort(), ["env-key", "pool-a", "pool-b"]);
+  // Exhausted pool keys are skipped.
+  recordBankrApiCall("pool-a", "search", { status: 429 });
+  recordBankrApiCall("env-key", "search", { status: 429 });
+  assert.equal(defaultBankrApiKey("tenant-two"), "pool-b");
+  assert.equal(defaultBankrApiKey("tenant-two", { fallback: false }), "tenant-two");
+  assert.equal(getBankrKeyUsage("tenant-two").rateLimited, 1);
+});
+
+test("deploys are recorded against the tenant key and never use a fallback key", async (t) => {
+  recordBankrApiCall("tenant-three", "search", { status: 429 });
+  const sent = [];
+  t.mock.method(globalThis, "fetch", async (_url, init) => {
+    sent.push(init.headers["X-API-Key"]);
+    return new Response(JSON.stringify({ message: "Rate limited" }), { status: 429, headers: { "Retry-After": "120" } });
+  });
+  await assert.rejects(callBankrDeploy(buildDeployBody({ tokenName: "Test" }), { bankrApiKey: "tenant-three" }), /Rate limit exceeded/);
+  assert.deepEqual(sent, ["tenant-three"]);
+  const u = getBankrKeyUsage("tenant-three");
+  assert.equal(u.calls.deploy, 1);
+  assert.equal(u.rateLimited, 2);
+  assert.equal(u.lastError.endpoint, "deploy");
+});
@@ -0,0 +1,67 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const dir = await mkdtemp(join(tmpdir(), "bankr-claim-context-"));
+process.env.CLAIM_HISTORY_FILE = join(dir, "claim-history.json");
+process.env.STATE_BACKUP_KEEP = "0";
+const { buildClaimAlertContext, formatClaimAlertContextLines } = await import("../src/claim-alert-context.js");
+
+test.after(() => rm(dir, { recursive: true, force: true }));
+
+const FEE_WALLET = "0x" + "aa".repeat(20);
+const OTHER = "0x" + "bb".repeat(20);
+const RELAYER = "0x" + "cc".repeat(20);
+const claim = (beneficiary, wei = 5n * 10n ** 17n, claimer = beneficiary) => ({
+  poolToken: "0x" + "12".repeat(18) + "0ba3",
+  poolSymbol: "MCAT",
+  beneficiary,
+  claimer,
+  amount: String(wei),
+  txHash: "0x" + "ee".repeat(32),
+});
+const token = {
+  feeWallet: FEE_WALLET.toUpperCase().replace("0X", "0x"),
+  hookFees: { beneficiaryFees0: 2n * 10n ** 17n, beneficiaryFees1: 1500n * 10n ** 18n },
+  marketCapUsd: 1_250_000,
+  wethUsd: 3000,
+};
+
+test("context adds USD value, lifetime total including this claim and what is still claimable", () => {
+  const past = [{ txHash: "0x" + "01".repeat(32), amountWei: String(10n ** 18n) }];
+  const ctx = buildClaimAlertContext(claim(FEE_WALLET), token, past);
+  assert.equal(ctx.usdValue, 1500);
+  assert.equal(ctx.claimerTotalWeth, 1.5);
+  assert.equal(ctx.claimerClaimCount, 2);
+  assert.equal(ctx.claimableWeth, 0.2);
+  assert.equal(ctx.notFeeRecipient, false);
+  // Already recorded by the history listener: not counted twice.
+  assert.equal(buildClaimAlertContext(claim(FEE_WALLET), token, [{ txHash: "0x" + "ee".repeat(32), amountWei: String(5n * 10n ** 17n) }]).claimerClaimCount, 1);
+
+  const lines = formatClaimAlertContextLines(ctx, { symbol: "MCAT" });
+  assert.deepEqual(lines, [
+    "**Value:** $1,500.00",
+    "**Claimer lifetime:** 1.5000 WETH over 2 claim(s)",
+    "**Still claimable:** 0.2000 WETH · 1,500 MCAT",
+    "**Mcap:** $1.25M",
+  ]);
+});
+
+test("fees paid to another wallet than the registered fee recipient are flagged; the sender is shown apart", () => {
+  const ctx = buildClaimAlertContext(claim(OTHER), token, []);
+  assert.equal(ctx.notFeeRecipient, true);
+  const [flag] = formatClaimAlertContextLines(ctx, { style: "telegram" }).slice(-1);
+  assert.equal(flag, "⚠️ Not the fee recipient: paid to `0xbbbb…bbbb`, registered recipient is `0xaaaa…aaaa`");
+
+  // A relayer / AA sender claiming for the fee wallet is not a mismatch.
+  const relayed = buildClaimAlertContext(claim(FEE_WALLET, 10n ** 18n, RELAYER), token, []);
+  assert.equal(relayed.notFeeRecipient, false);
+  assert.equal(relayed.recipient, FEE_WALLET);
+  assert.equal(relayed.claimer, RELAYER);
+  assert.equal(formatClaimAlertContextLines(relayed).at(-1), "**Sent by:** `0xcccc…cccc`");
+  // Unknown fee wallet or lookups failed: no flag, no lines.
+  assert.equal(buildClaimAlertContext(claim(OTHER), { ...token, feeWallet: null }, []).notFeeRecipient, false);
+  assert.deepEqual(formatClaimAlertContextLines(null), []);
+});
@@ -0,0 +1,81 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const dir = await mkdtemp(join(tmpdir(), "bankr-claim-history-"));
+process.env.CLAIM_HISTORY_FILE = join(dir, "claim-history.json");
+process.env.CLAIM_HISTORY_MAX_AGE_DAYS = "36500"; // fixed dates below must not age out
+process.env.STATE_BACKUP_KEEP = "0";
+const { formatClaimInterval, formatClaimTimeline, listTokenClaimHistory, recordClaimHistory, summarizeClaimHistory } = await import(
+  "../src/claim-history-store.js"
+);
+
+test.after(() => rm(dir, { recursive: true, force: true }));
+
+const TOKEN = "0x" + "12".repeat(18) + "0ba3";
+const BENEFICIARY = "0x" + "cd".repeat(20);
+const SMART_ACCOUNT = "0x" + "ef".repeat(20);
+const T0 = Date.UTC(2026, 9, 1, 12, 0);
+
+const claim = (i, atMs, wei) => ({
+  poolToken: TOKEN,
+  poolSymbol: "MCAT",
+  beneficiary: BENEFICIARY,
+  claimer: SMART_ACCOUNT,
+  amount: String(wei),
+  amountFormatted: (Number(wei) / 1e18).toFixed(4),
+  txHash: "0x" + String(i).repeat(64).slice(0, 64),
+  blockNumber: 1000 + i,
+  blockTime: atMs,
+});
+
+test("claims are stored per token in block-time order, once per tx", async () => {
+  // Out of order (a poll catching up after the socket already delivered a later claim).
+  await recordClaimHistory(claim(2, T0 + 6 * 3_600_000, 2n * 10n ** 17n));
+  await recordClaimHistory(claim(1, T0, 10n ** 17n));
+  assert.equal(await recordClaimHistory(claim(1, T0, 10n ** 17n)), null);
+  await recordClaimHistory(claim(3, T0 + 2 * 86_400_000, 3n * 10n ** 17n));
+  await recordClaimHistory({ poolToken: null, txHash: "0xabc" });
+
+  const list = await listTokenClaimHistory(TOKEN.toUpperCase().replace("0X", "0x"));
+  assert.deepEqual(
+    list.map((c) => c.blockNumber),
+    [1001, 1002, 1003]
+  );
+  assert.equal(list[0].claimer, SMART_ACCOUNT);
+  assert.equal(list[0].amountWeth, "0.1000");
+  assert.ok((await readFile(process.env.CLAIM_HISTORY_FILE, "utf8")).includes(TOKEN));
+  assert.deepEqual(await listTokenClaimHistory("0x" + "00".repeat(20)), []);
+});
+
+test("timeline shows total claimed and average interval", async () => {
+  const list = await listTokenClaimHistory(TOKEN);
+  assert.deepEqual(summarizeClaimHistory(list), {
+    count: 3,
+    totalWeth: "0.6000",
+    firstAt: T0,
+    lastAt: T0 + 2 * 86_400_000,
+    avgIntervalMs: 86_400_000,
+  });
+  assert.equal(formatClaimInterval(86_400_000 + 2 * 3_600_000), "1d 2h");
+  assert.equal(formatClaimInterval(42 * 60_000), "42m");
+
+  const discord = formatClaimTimeline(TOKEN, list, { limit: 2 });
+  assert.match(discord, /\*\*Claim history for \$MCAT\*\*/);
+  assert.match(discord, /\*\*Total:\*\* 0\.6000 WETH · \*\*Avg interval:\*\* 1d/);
+  assert.match(discord, /by `0xefef…efef`/);
+  assert.match(discord, /and 1 older claim/);
+  const lines = discord.split("\n").filter((l) => l.startsWith("• "));
+  assert.equal(lines.length, 2);
+  assert.match(lines[0], /0\.3000 WETH/);
+
+  const telegram = formatClaimTimeline(TOKEN, list, { style: "telegram" });
+  assert.match(telegram, /^<b>Claim history for \$MCAT<\/b> <code>0x1212/);
+  assert.match(telegram, /2026-10-01 12:00 UTC/);
+  assert.match(telegram, /\(by <code>0xefef…efef<\/code>\) · <a href="https:\/\/basescan\.org\/tx\/0x/);
+  const odd = formatClaimTimeline(TOKEN, [{ ...list[0], symbol: "A_B*<x>" }], { style: "telegram" });
+  assert.match(odd, /^<b>Claim history for \$A_B\*&lt;x&gt;<\/b>/);
+  assert.match(formatClaimTimeline(TOKEN, []), /No claims recorded yet/);
+});
@@ -0,0 +1,98 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const dir = await mkdtemp(join(tmpdir(), "bankr-claim-poll-"));
+process.env.CLAIM_WATCHER_STATE_FILE = join(dir, "claim-watcher.json");
+process.env.CLAIM_POLL_CHUNK_BLOCKS = "500";
+process.env.RPC_GETLOGS_DELAY_MS = "0";
+process.env.STATE_BACKUP_KEEP = "0";
+await writeFile(process.env.CLAIM_WATCHER_STATE_FILE, JSON.stringify({ chainId: 8453, lastBlock: 1000, seen: [] }));
+const { DOPPLER_CONTRACTS_BASE } = await import("../src/config.js");
+const { onFeeClaim, pollClaimLogs } = await import("../src/watchers/dopplerClaimWatcher.js");
+
+test.after(() => rm(dir, { recursive: true, force: true }));
+
+const WETH = "0x4200000000000000000000000000000000000006";
+const LOCKER = DOPPLER_CONTRACTS_BASE.DecayMulticurveInitializer.toLowerCase();
+const POOL_TOKEN = "0x" + "12".repeat(18) + "0ba3";
+const TRANSFER_TOPIC = "0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef";
+const BENEFICIARY = "0x" + "cd".repeat(20);
+
+function transferLog(block, txHash, { token = WETH, value = 10n ** 17n, logIndex = 0 } = {}) {
+  return {
+    address: token,
+    blockNumber: BigInt(block),
+    transactionHash: txHash,
+    logIndex,
+    args: { from: LOCKER, to: BENEFICIARY, value },
+  };
+}
+
+function fakeClient(latest, logs) {
+  const ranges = [];
+  return {
+    ranges,
+    getBlockNumber: async () => BigInt(latest),
+    getLogs: async ({ fromBlock, toBlock }) => {
+      ranges.push([Number(fromBlock), Number(toBlock)]);
+      return logs.filter((l) => l.blockNumber >= fromBlock && l.blockNumber <= toBlock);
+    },
+    getBlock: async ({ blockNumber }) => ({ timestamp: 1_700_000_000n + blockNumber * 2n }),
+    getTransaction: async () => ({ from: BENEFICIARY, input: "0x" }),
+    getTransactionReceipt: async () => ({
+      logs: [{ address: POOL_TOKEN, topics: [TRANSFER_TOPIC, "0x" + LOCKER.slice(2).padStart(64, "0")] }],
+    }),
+    readContract: async ({ functionName }) => (functionName === "symbol" ? "MCAT" : 18),
+  };
+}
+
+const claims = [];
+onFeeClaim((c) => claims.push(c));
+
+test("polling pages from the last processed block and emits each claim once", async () => {
+  const txA = "0x" + "a1".repeat(32);
+  const txB = "0x" + "b2".repeat(32);
+  const client = fakeClient(2200, [
+    transferLog(1200, txA, { logIndex: 3 }),
+    transferLog(1300, "0x" + "c3".repeat(32), { token: POOL_TOKEN }),
+    transferLog(1400, "0x" + "d4".repeat(32), { value: 1n }),
+    transferLog(2100, txB),
+    // Same log again (overlapping range / restart): skipped by tx hash + log index.
+    transferLog(2150, txA, { logIndex: 3 }),
+  ]);
+  assert.deepEqual(await pollClaimLogs(client), { fromBlock: 1001, toBlock: 2200 });
+  assert.deepEqual(client.ranges, [
+    [1001, 1500],
+    [1501, 2000],
+    [2001, 2200],
+  ]);
+  assert.deepEqual(
+    claims.map((c) => c.txHash),
+    [txA, txB]
+  );
+  assert.equal(claims[0].poolToken, POOL_TOKEN);
+  assert.equal(claims[0].poolSymbol, "MCAT");
+  assert.equal(claims[0].feeLocker, LOCKER);
+  assert.equal(claims[0].amountFormatted, "0.1000");
+  assert.equal(claims[0].blockNumber, 1200);
+  assert.equal(claims[0].blockTime, (1_700_000_000 + 2400) * 1000);
+
+  const saved = JSON.parse(await readFile(process.env.CLAIM_WATCHER_STATE_FILE, "utf8"));
+  assert.equal(saved.lastBlock, 2200);
+  assert.ok(saved.seen.includes(`${txA}:3`));
+
+  // Nothing new: no getLogs call.
+  const idle = fakeClient(2200, []);
+  assert.equal(await pollClaimLogs(idle), null);
+  assert.deepEqual(idle.ranges, []);
+});
+
+test("a long gap only catches up CLAIM_POLL_MAX_BLOCKS_BACK blocks", async () => {
+  const client = fakeClient(10_000, []);
+  assert.deepEqual(await pollClaimLogs(client), { fromBlock: 8201, toBlock: 10_000 });
+  assert.equal(client.ranges.length, 4);
+  assert.equal(JSON.parse(await readFile(process.env.CLAIM_WATCHER_STATE_FILE, "utf8")).lastBlock, 10_000);
+});
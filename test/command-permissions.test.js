@@ -0,0 +1,42 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const dir = await mkdtemp(join(tmpdir(), "bankr-perms-"));
+process.env.TENANTS_FILE = join(dir, "tenants.json");
+process.env.STATE_BACKUP_KEEP = "0";
+const { getTenant, isCommandAllowedForRoles, setCommandRole, setTenant } = await import("../src/tenant-store.js");
+
+test.after(() => rm(dir, { recursive: true, force: true }));
+
+const GUILD = "111111111111111111";
+const MODS = "222222222222222222";
+const HELPERS = "333333333333333333";
+
+test("roles are granted and revoked per command", async () => {
+  await setTenant(GUILD, { alertChannelId: "444" });
+  assert.deepEqual(await setCommandRole(GUILD, "alert-watchlist", MODS, true), [MODS]);
+  assert.deepEqual(await setCommandRole(GUILD, "alert-watchlist", MODS, true), [MODS]);
+  assert.deepEqual(await setCommandRole(GUILD, "claim-watch", HELPERS, true), [HELPERS]);
+  assert.deepEqual(await setCommandRole(GUILD, "alert-watchlist", HELPERS, true), [MODS, HELPERS]);
+  assert.deepEqual(await setCommandRole(GUILD, "alert-watchlist", MODS, false), [HELPERS]);
+  assert.deepEqual((await getTenant(GUILD)).commandRoles, { "alert-watchlist": [HELPERS], "claim-watch": [HELPERS] });
+  assert.deepEqual(await setCommandRole(GUILD, "claim-watch", HELPERS, false), []);
+  assert.deepEqual((await getTenant(GUILD)).commandRoles, { "alert-watchlist": [HELPERS] });
+  assert.equal((await getTenant(GUILD)).alertChannelId, "444");
+});
+
+test("unknown commands and malformed role IDs are rejected", async () => {
+  assert.equal(await setCommandRole(GUILD, "lookup", MODS, true), null);
+  assert.equal(await setCommandRole(GUILD, "deploy", "<@&1>", true), null);
+});
+
+test("members need one of the allowed roles", () => {
+  const tenant = { commandRoles: { deploy: [MODS] } };
+  assert.equal(isCommandAllowedForRoles(tenant, "deploy", [HELPERS, MODS]), true);
+  assert.equal(isCommandAllowedForRoles(tenant, "deploy", [HELPERS]), false);
+  assert.equal(isCommandAllowedForRoles(tenant, "setup", [MODS]), false);
+  assert.equal(isCommandAllowedForRoles(null, "deploy", [MODS]), false);
+});
@@ -0,0 +1,108 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const dir = await mkdtemp(join(tmpdir(), "bankr-copycat-"));
+process.env.LAUNCH_ARCHIVE_FILE = join(dir, "archive.json");
+process.env.STATE_BACKUP_KEEP = "0";
+const { archiveLaunches } = await import("../src/launch-archive.js");
+const {
+  buildCopycatVerdict,
+  detectCopycats,
+  findArchiveMatches,
+  formatCopycatFields,
+  formatCopycatLabel,
+  normalizeImageKey,
+  normalizeTweetKey,
+} = await import("../src/copycat-detect.js");
+
+test.after(() => rm(dir, { recursive: true, force: true }));
+
+const token = (n) => `0x${"0".repeat(36)}${n}ba3`;
+const CID = "bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi";
+
+const archived = [
+  {
+    tokenAddress: token(1),
+    deployedAtMs: 1000,
+    launch: { name: "Moon  Cat", symbol: "MCAT", image: `ipfs://${CID}`, tweetUrl: "https://twitter.com/dev/status/123" },
+  },
+  { tokenAddress: token(2), deployedAtMs: 9000, launch: { name: "Later", symbol: "LATE", image: "https://x/later.png" } },
+];
+
+test("archive matches tweet, image and name of earlier tokens only", () => {
+  const launch = {
+    tokenAddress: token(3),
+    name: "moon cat",
+    image: `https://ipfs.io/ipfs/${CID}`,
+    tweetUrl: "https://x.com/dev/status/123?s=20",
+    deployedAtMsFromBankr: 5000,
+  };
+  const m = findArchiveMatches(launch, archived);
+  assert.equal(m.tweet?.tokenAddress, token(1));
+  assert.equal(m.image?.tokenAddress, token(1));
+  assert.equal(m.name?.symbol, "MCAT");
+  assert.deepEqual(findArchiveMatches({ ...launch, name: "Later", image: "https://x/later.png", tweetUrl: null }, archived), {
+    tweet: null,
+    image: null,
+    name: null,
+  });
+  assert.deepEqual(findArchiveMatches({ ...archived[0].launch, tokenAddress: token(1) }, archived), {
+    tweet: null,
+    image: null,
+    name: null,
+  });
+});
+
+test("two launches from one poll without a Bankr time match only one way", () => {
+  const launch = (n) => ({ tokenAddress: token(n), name: "Twin", image: `https://x/${n}.png` });
+  const sameCycle = [4, 5].map((n) => ({ tokenAddress: token(n), deployedAtMs: null, firstSeenAtMs: 7000, launch: launch(n) }));
+  assert.equal(findArchiveMatches(launch(4), [...archived, ...sameCycle]).name, null);
+  assert.equal(findArchiveMatches(launch(5), [...archived, ...sameCycle]).name?.tokenAddress, token(4));
+  // Archived later than the launch's own first sighting: not an original.
+  const later = { tokenAddress: token(6), deployedAtMs: null, firstSeenAtMs: 9000, launch: launch(6) };
+  assert.equal(findArchiveMatches(launch(4), [...sameCycle, later]).name, null);
+});
+
+test("verdict prefers the established ticker match as the original", () => {
+  const archiveRef = { tokenAddress: token(1), symbol: "MCAT" };
+  const established = { tokenAddress: token(9), symbol: "CAT", mcapUsd: 2_000_000 };
+  const v = buildCopycatVerdict({ image: archiveRef, name: null, tweet: null }, established);
+  assert.equal(v.original, established);
+  assert.deepEqual(v.matchedOn, ["image", "symbol"]);
+  assert.equal(formatCopycatLabel(v), "possible copycat of $CAT (0x0000…9ba3)");
+  assert.equal(formatCopycatFields(v), "same image, symbol");
+});
+
+test("without a ticker match the archive token matching most fields wins", () => {
+  const a = { tokenAddress: token(1), symbol: "A" };
+  const b = { tokenAddress: token(2), symbol: "B" };
+  const v = buildCopycatVerdict({ tweet: a, image: b, name: b });
+  assert.equal(v.original, b);
+  assert.equal(buildCopycatVerdict({ tweet: null, image: null, name: null }, null), null);
+});
+
+test("keys normalize gateways, hosts and query strings", () => {
+  assert.equal(normalizeImageKey("ipfs://bafkreiabcdefghijklmnopqrstuvwxyz234567"), "ipfs:bafkreiabcdefghijklmnopqrstuvwxyz234567");
+  assert.equal(normalizeImageKey("https://cdn.example/a.png?v=2"), "cdn.example/a.png");
+  assert.equal(normalizeImageKey(""), null);
+  assert.equal(normalizeTweetKey("https://mobile.twitter.com/a/status/42"), "status:42");
+  assert.equal(normalizeTweetKey("https://www.example.com/post/"), "example.com/post");
+});
+
+test("verdicts are cached by token address; uncached launches still read the archive", async () => {
+  await archiveLaunches([{ tokenAddress: token(1), name: "Moon Cat", image: "https://x/cat.png", deployedAtMsFromBankr: 1000 }], {
+    chainId: 8453,
+    source: "bankr",
+  });
+  const launch = (n) => ({ tokenAddress: token(n), name: `Copy ${n}`, image: "https://x/cat.png", deployedAtMsFromBankr: 5000 });
+  const [first] = await detectCopycats([launch(4)]);
+  assert.equal(first.copycat?.original.tokenAddress, token(1));
+
+  await writeFile(process.env.LAUNCH_ARCHIVE_FILE, JSON.stringify({ launches: {} }));
+  const [again, other] = await detectCopycats([launch(4), launch(5)]);
+  assert.deepEqual(again.copycat, first.copycat);
+  assert.equal(other.copycat, null);
+});
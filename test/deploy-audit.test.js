@@ -0,0 +1,60 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const dir = await mkdtemp(join(tmpdir(), "bankr-deploy-audit-"));
+process.env.DEPLOY_AUDIT_FILE = join(dir, "audit.json");
+process.env.DEPLOY_AUDIT_MAX = "10";
+process.env.STATE_BACKUP_KEEP = "0";
+const { formatDeployAuditLine, listDeployAudit, recordDeployAudit } = await import("../src/deploy-audit.js");
+const { callBankrDeploy } = await import("../src/deploy-token.js");
+
+const realFetch = globalThis.fetch;
+test.after(async () => {
+  globalThis.fetch = realFetch;
+  await rm(dir, { recursive: true, force: true });
+});
+
+const TOKEN = "0x1111111111111111111111111111111111111ba3";
+
+test("entries are kept per server, newest first and capped", async () => {
+  for (let i = 0; i < 12; i++) {
+    await recordDeployAudit("g1", { at: 1000 + i, userId: "42", tokenName: `T${i}`, status: "deployed", tokenAddress: TOKEN });
+  }
+  await recordDeployAudit("g2", { at: 5, userId: "7", tokenName: "Other", status: "failed", error: "boom" });
+  const g1 = await listDeployAudit("g1");
+  assert.equal(g1.length, 10);
+  assert.deepEqual(g1.slice(0, 2).map((e) => e.tokenName), ["T11", "T10"]);
+  assert.deepEqual((await listDeployAudit("g1", { limit: 3 })).map((e) => e.at), [1011, 1010, 1009]);
+  assert.deepEqual((await listDeployAudit("g2")).map((e) => [e.status, e.error]), [["failed", "boom"]]);
+  assert.deepEqual(await listDeployAudit("nope"), []);
+});
+
+test("log lines show user, token, result and quota", () => {
+  const line = formatDeployAuditLine({
+    at: 1_700_000_000_000,
+    userId: "42",
+    status: "deployed",
+    tokenName: "Alpha",
+    tokenSymbol: "ALPHA",
+    tokenAddress: TOKEN,
+    rateLimit: { remaining: 48, limit: 50, retryAfterSec: null },
+  });
+  assert.equal(line, `<t:1700000000:g> <@42> **Alpha ($ALPHA)** → [\`0x1111…1ba3\`](https://bankr.bot/launches/${TOKEN}) · 48/50 left`);
+  assert.match(formatDeployAuditLine({ at: 0, userId: "1", status: "failed", tokenName: "X", error: "Rate limit exceeded" }), /→ failed: Rate limit exceeded$/);
+});
+
+test("deploy API errors carry the parsed rate limit", async () => {
+  globalThis.fetch = async () =>
+    new Response(JSON.stringify({ message: "slow down" }), {
+      status: 429,
+      headers: { "X-RateLimit-Remaining": "0", "X-RateLimit-Limit": "50", "Retry-After": "120" },
+    });
+  await assert.rejects(callBankrDeploy({ tokenName: "A", simulateOnly: false }, { bankrApiKey: "k" }), (e) => {
+    assert.match(e.message, /Retry after 120s/);
+    assert.deepEqual(e.rateLimit, { remaining: 0, limit: 50, retryAfterSec: 120 });
+    return true;
+  });
+});
@@ -0,0 +1,59 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+process.env.PINATA_JWT = "jwt-test";
+process.env.DEPLOY_IMAGE_GATEWAY = "https://ipfs.example/ipfs";
+const { DEPLOY_IMAGE_MAX_BYTES, isExpiringDiscordCdnUrl, rehostDeployImage } = await import("../src/deploy-image.js");
+
+const CDN = "https://cdn.discordapp.com/attachments/1/2/logo.png?ex=abc&is=def&hm=123";
+
+/** Fake fetch: the CDN serves `bytes` as `type`; Pinata answers with a fixed hash. */
+function fakeFetch({ bytes = new Uint8Array([1, 2, 3]), type = "image/png" } = {}) {
+  const calls = [];
+  const fetchImpl = async (url, init = {}) => {
+    calls.push({ url: String(url), init });
+    if (String(url).startsWith("https://api.pinata.cloud/")) {
+      return new Response(JSON.stringify({ IpfsHash: "QmLogo" }), { status: 200 });
+    }
+    return new Response(bytes, { status: 200, headers: { "content-type": type } });
+  };
+  return { calls, fetchImpl };
+}
+
+test("Discord attachment links are recognised as expiring", () => {
+  assert.equal(isExpiringDiscordCdnUrl(CDN), true);
+  assert.equal(isExpiringDiscordCdnUrl("https://media.discordapp.net/attachments/1/2/a.webp"), true);
+  assert.equal(isExpiringDiscordCdnUrl("https://example.com/attachments/a.png"), false);
+  assert.equal(isExpiringDiscordCdnUrl("https://cdn.discordapp.com/avatars/1/a.png"), false);
+  assert.equal(isExpiringDiscordCdnUrl("not a url"), false);
+});
+
+test("an uploaded logo is pinned with the JWT and comes back as a gateway URL", async () => {
+  const { calls, fetchImpl } = fakeFetch();
+  const url = await rehostDeployImage(CDN, { name: "logo.png", contentType: "image/png", fetchImpl });
+  assert.equal(url, "https://ipfs.example/ipfs/QmLogo");
+  assert.equal(calls[0].url, CDN);
+  assert.equal(calls[1].init.method, "POST");
+  assert.equal(calls[1].init.headers.Authorization, "Bearer jwt-test");
+  assert.ok(calls[1].init.body instanceof FormData);
+});
+
+test("non-image and oversize files are refused before pinning", async () => {
+  const text = fakeFetch({ type: "text/html" });
+  await assert.rejects(rehostDeployImage(CDN, { fetchImpl: text.fetchImpl }), /PNG, JPEG, GIF or WebP/);
+  assert.equal(text.calls.length, 1);
+
+  const big = fakeFetch({ bytes: new Uint8Array(DEPLOY_IMAGE_MAX_BYTES + 1) });
+  await assert.rejects(rehostDeployImage(CDN, { contentType: "image/png", fetchImpl: big.fetchImpl }), /5 MB/);
+  assert.equal(big.calls.length, 1);
+});
+
+test("without PINATA_JWT nothing is downloaded", async (t) => {
+  t.after(() => {
+    process.env.PINATA_JWT = "jwt-test";
+  });
+  process.env.PINATA_JWT = "";
+  const { calls, fetchImpl } = fakeFetch();
+  await assert.rejects(rehostDeployImage(CDN, { fetchImpl }), /PINATA_JWT/);
+  assert.equal(calls.length, 0);
+});
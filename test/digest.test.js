@@ -0,0 +1,103 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const dir = await mkdtemp(join(tmpdir(), "bankr-digest-"));
+process.env.CLAIM_HISTORY_FILE = join(dir, "claims.json");
+process.env.TENANTS_FILE = join(dir, "tenants.json");
+process.env.LAUNCH_ARCHIVE_FILE = join(dir, "archive.json");
+process.env.STATE_BACKUP_KEEP = "0";
+const { digestDue, formatDigestTelegramHtml, latestDigestSlotMs, listDigestClaims, summarizeDigest } = await import("../src/digest.js");
+const { recordClaimHistory } = await import("../src/claim-history-store.js");
+
+test.after(() => rm(dir, { recursive: true, force: true }));
+
+const A = "0x1111111111111111111111111111111111111ba3";
+const B = "0x2222222222222222222222222222222222222ba3";
+const C = "0x3333333333333333333333333333333333333ba3";
+const WALLET = "0x" + "aa".repeat(20);
+
+test("daily slot is the latest local hour in the digest timezone", () => {
+  const digest = { frequency: "daily", hour: 9, weekday: 1, timezone: "America/New_York" };
+  // 2026-03-02 15:30 UTC = 10:30 EST → today's 09:00 EST = 14:00 UTC.
+  assert.equal(latestDigestSlotMs(digest, Date.parse("2026-03-02T15:30:00Z")), Date.parse("2026-03-02T14:00:00Z"));
+  // 13:30 UTC = 08:30 EST → yesterday's slot.
+  assert.equal(latestDigestSlotMs(digest, Date.parse("2026-03-02T13:30:00Z")), Date.parse("2026-03-01T14:00:00Z"));
+  // Half-hour offsets (India, UTC+5:30).
+  assert.equal(
+    latestDigestSlotMs({ ...digest, timezone: "Asia/Kolkata" }, Date.parse("2026-03-02T04:00:00Z")),
+    Date.parse("2026-03-02T03:30:00Z")
+  );
+});
+
+test("weekly slot lands on the configured weekday", () => {
+  const digest = { frequency: "weekly", hour: 18, weekday: 5, timezone: "UTC" };
+  // Monday 2026-03-02 → previous Friday 2026-02-27 18:00.
+  assert.equal(latestDigestSlotMs(digest, Date.parse("2026-03-02T12:00:00Z")), Date.parse("2026-02-27T18:00:00Z"));
+});
+
+test("digest is due once per slot and only with a destination", () => {
+  const now = Date.parse("2026-03-02T09:05:00Z");
+  const digest = { frequency: "daily", hour: 9, weekday: 1, timezone: "UTC", channelId: "123", lastPostedAt: Date.parse("2026-03-01T09:00:00Z") };
+  assert.equal(digestDue(digest, now), true);
+  assert.equal(digestDue({ ...digest, lastPostedAt: Date.parse("2026-03-02T09:01:00Z") }, now), false);
+  assert.equal(digestDue({ ...digest, channelId: null }, now), false);
+});
+
+test("summary ranks sampled launches, watch matches, claims and movers", () => {
+  const snapshots = new Map([
+    [A, { vol24h: 5000, mcapUsd: 20000, priceChange24hPct: 3 }],
+    [B, { vol24h: 9000, mcapUsd: 10000, priceChange24hPct: -50 }],
+    [C, { vol24h: 0, mcapUsd: 80000, priceChange24hPct: 12 }],
+  ]);
+  const summary = summarizeDigest({
+    launches: [
+      { tokenAddress: A, name: "Alpha", symbol: "ALPHA", launcher: WALLET },
+      { tokenAddress: B, name: "Beta", symbol: "BETA" },
+    ],
+    snapshots,
+    watchList: { x: new Set(), fc: new Set(), wallet: new Set([WALLET]), keywords: new Set() },
+    claims: [
+      { tokenAddress: A, symbol: "ALPHA", amountWeth: "0.5" },
+      { tokenAddress: B, symbol: "BETA", amountWeth: "1.25" },
+    ],
+    activityWatches: [{ tokenAddress: C, label: "Gamma" }, { tokenAddress: B }],
+    previousMcaps: { [C]: 40000 },
+  });
+  assert.equal(summary.launchCount, 2);
+  assert.deepEqual(summary.topByVolume.map((r) => r.symbol), ["BETA", "ALPHA"]);
+  assert.deepEqual(summary.topByMcap.map((r) => r.symbol), ["ALPHA", "BETA"]);
+  assert.deepEqual(summary.watchMatches.map((r) => r.symbol), ["ALPHA"]);
+  assert.equal(summary.claims.count, 2);
+  assert.equal(summary.claims.totalWeth, 1.75);
+  assert.equal(summary.claims.top[0].symbol, "BETA");
+  // C doubled since the last digest; B has no previous mcap so its 24h change is used.
+  assert.deepEqual(
+    summary.movers.map((m) => [m.tokenAddress, m.changePct, m.basis]),
+    [
+      [C, 100, "digest"],
+      [B, -50, "24h"],
+    ]
+  );
+  const html = formatDigestTelegramHtml(
+    { digest: { frequency: "daily", hour: 9, timezone: "UTC" } },
+    { summary, sinceMs: 0, untilMs: 86_400_000, sampled: 2 }
+  );
+  assert.match(html, /<b>🗞️ Daily digest<\/b>/);
+  assert.match(html, />Gamma<\/a> — \+100\.0% ·/);
+  assert.match(html, /\$BETA<\/a> — -50\.0% \(24h\)/);
+});
+
+test("digest claims come from the claim history for the period", async () => {
+  const now = Date.now();
+  const claim = (poolToken, amount, blockTime, n) => ({ poolToken, amount, blockTime, txHash: "0x" + String(n).repeat(64) });
+  await recordClaimHistory(claim(A, String(10n ** 17n), now - 10 * 86_400_000, 1));
+  await recordClaimHistory(claim(B, String(2n * 10n ** 17n), now - 3_600_000, 2));
+  const claims = await listDigestClaims({ sinceMs: now - 86_400_000, untilMs: now });
+  assert.deepEqual(claims.map((c) => [c.tokenAddress, c.amountWeth]), [[B, "0.2000"]]);
+  // Past CLAIM_HISTORY_MAX_AGE_DAYS (180): dropped on the next write.
+  await recordClaimHistory(claim(C, "1", now - 200 * 86_400_000, 3));
+  assert.deepEqual((await listDigestClaims()).map((c) => c.tokenAddress), [A, B]);
+});
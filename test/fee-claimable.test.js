@@ -0,0 +1,107 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+process.env.BANKR_API_KEY = "";
+process.env.TELEGRAM_BANKR_API_KEYS = "";
+const { beneficiaryClaimable, getClaimableForTokens, readClaimableOnChain, summarizeWalletClaimable } = await import(
+  "../src/fee-claimable.js"
+);
+
+const WAD = 10n ** 18n;
+const POOL_A = "0x" + "aa".repeat(32);
+const POOL_B = "0x" + "bb".repeat(32);
+const WALLET = "0x" + "cd".repeat(20);
+const TOKEN_A = "0x" + "12".repeat(18) + "0ba3";
+const TOKEN_B = "0x" + "34".repeat(18) + "0ba3";
+
+/** Fake multicall: hook fees per pool; the wallet holds 60% of POOL_A with 0.1 WETH already owed by the initializer. */
+function fakeClient() {
+  const calls = [];
+  return {
+    calls,
+    multicall: async ({ contracts }) => {
+      calls.push(contracts.length);
+      return contracts.map(({ functionName, args }) => {
+        const pool = args[0];
+        if (functionName === "getHookFees") {
+          if (pool === POOL_B) return { status: "failure", error: new Error("reverted") };
+          return { status: "success", result: [5n * WAD, 7n * WAD, WAD, 2000n * WAD, 0] };
+        }
+        const values = {
+          getShares: (6n * WAD) / 10n,
+          getCumulatedFees0: WAD,
+          getCumulatedFees1: 0n,
+          getLastCumulatedFees0: (WAD * 5n) / 6n,
+          getLastCumulatedFees1: 0n,
+        };
+        return { status: "success", result: values[functionName] };
+      });
+    },
+  };
+}
+
+test("a beneficiary gets its share of what the initializer owes plus what the hook still holds", async () => {
+  assert.deepEqual(
+    beneficiaryClaimable(
+      { beneficiaryFees0: WAD, beneficiaryFees1: 0n },
+      { shares: WAD / 2n, cumulated0: 3n * WAD, cumulated1: 0n, last0: WAD, last1: 0n }
+    ),
+    { amount0: WAD + WAD / 2n, amount1: 0n }
+  );
+
+  const client = fakeClient();
+  const [a, b] = await readClaimableOnChain(
+    [
+      { poolId: POOL_A, beneficiary: WALLET },
+      { poolId: POOL_B, beneficiary: null },
+    ],
+    { client }
+  );
+  assert.deepEqual(client.calls, [7]);
+  assert.equal(a.hookFees.beneficiaryFees1, 2000n * WAD);
+  assert.equal(a.beneficiary.shares, (6n * WAD) / 10n);
+  // (1 − 5/6) × 0.6 + 1 × 0.6 = 0.7 WETH; 2000 × 0.6 = 1200 tokens.
+  assert.equal(a.beneficiary.amount0, 7n * 10n ** 17n);
+  assert.equal(a.beneficiary.amount1, 1200n * WAD);
+  assert.equal(b.hookFees, null);
+  assert.match(b.error, /reverted/);
+});
+
+test("token batches resolve pools via Bankr, share one multicall, format decimals and serve repeats from cache", async (t) => {
+  let bankrCalls = 0;
+  t.mock.method(globalThis, "fetch", async (url) => {
+    bankrCalls++;
+    const token = String(url).match(/0x[a-fA-F0-9]{40}/)?.[0]?.toLowerCase();
+    const launch =
+      token === TOKEN_A
+        ? { tokenAddress: TOKEN_A, tokenName: "Cat", tokenSymbol: "MCAT", poolId: POOL_A, feeRecipient: { walletAddress: WALLET } }
+        : null;
+    return new Response(JSON.stringify(launch ? { launch } : { launches: [] }), { status: launch ? 200 : 404 });
+  });
+  const client = fakeClient();
+  const rows = await getClaimableForTokens([TOKEN_A, TOKEN_B], { beneficiary: WALLET, client });
+  assert.deepEqual(client.calls, [6]);
+  assert.equal(rows[0].ok, true);
+  assert.equal(rows[0].symbol, "MCAT");
+  assert.equal(rows[0].feeRecipient, WALLET);
+  assert.equal(rows[0].beneficiaryFees.token0Formatted, 1);
+  assert.equal(rows[0].beneficiaryFees.token0Decimal, "1");
+  assert.equal(rows[0].beneficiary.sharePct, 60);
+  assert.equal(rows[0].beneficiary.claimable.token1Formatted, 1200);
+  assert.equal(rows[0].beneficiary.claimable.token0, "700000000000000000");
+  assert.equal(rows[1].ok, false);
+
+  assert.deepEqual(summarizeWalletClaimable(rows), {
+    tokens: 2,
+    withClaimable: 1,
+    weth: "700000000000000000",
+    wethFormatted: 0.7,
+    wethDecimal: "0.7",
+  });
+
+  const before = bankrCalls;
+  const again = await getClaimableForTokens([TOKEN_A, TOKEN_B], { beneficiary: WALLET, client });
+  assert.deepEqual(again, rows);
+  assert.equal(bankrCalls, before);
+  assert.deepEqual(client.calls, [6]);
+});
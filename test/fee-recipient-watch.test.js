@@ -0,0 +1,73 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const dir = await mkdtemp(join(tmpdir(), "bankr-fee-recipients-"));
+process.env.FEE_RECIPIENT_WATCH_FILE = join(dir, "fee-recipients.json");
+process.env.TENANTS_FILE = join(dir, "tenants.json");
+process.env.TELEGRAM_PERSONAL_USERS_FILE = join(dir, "users.json");
+process.env.TELEGRAM_PERSONAL_DMS_ENABLED = "1";
+process.env.STATE_BACKUP_KEEP = "0";
+const { collectFeeRecipientWatchTargets, detectFeeRecipientChange, formatFeeRecipientChangeLines, recordFeeRecipients } =
+  await import("../src/fee-recipient-watch.js");
+
+test.after(() => rm(dir, { recursive: true, force: true }));
+
+const TOKEN = "0x" + "12".repeat(18) + "0ba3";
+const OTHER = "0x" + "34".repeat(18) + "0ba3";
+const A = "0x" + "aa".repeat(20);
+const B = "0x" + "bb".repeat(20);
+const PROTOCOL = "0x" + "cc".repeat(20);
+
+test("first read is the baseline; later reads report recipient and beneficiary changes, unknown sources never do", async () => {
+  assert.equal(await recordFeeRecipients(TOKEN, { feeWallet: A, beneficiaries: [A, PROTOCOL], symbol: "MCAT" }, 1), null);
+  assert.equal(await recordFeeRecipients(TOKEN, { feeWallet: null, beneficiaries: null, symbol: null }, 2), null);
+  assert.equal(await recordFeeRecipients(TOKEN, { feeWallet: A, beneficiaries: [A, PROTOCOL], symbol: "MCAT" }, 3), null);
+
+  const change = await recordFeeRecipients(TOKEN, { feeWallet: B, beneficiaries: [B, PROTOCOL], symbol: "MCAT" }, 4);
+  assert.deepEqual(change, { feeWallet: { from: A, to: B }, added: [B], removed: [A] });
+  const saved = JSON.parse(await readFile(process.env.FEE_RECIPIENT_WATCH_FILE, "utf8")).tokens[TOKEN];
+  assert.equal(saved.feeWallet, B);
+  assert.equal(saved.changedAt, 4);
+
+  // Only the Bankr side known on one read, only on-chain on the other.
+  assert.deepEqual(detectFeeRecipientChange({ feeWallet: A, beneficiaries: null }, { feeWallet: B, beneficiaries: [B] }), {
+    feeWallet: { from: A, to: B },
+    added: [],
+    removed: [],
+  });
+  assert.equal(detectFeeRecipientChange({ feeWallet: null, beneficiaries: [A] }, { feeWallet: B, beneficiaries: [A] }), null);
+
+  const lines = formatFeeRecipientChangeLines(TOKEN, change, { symbol: "MCAT" });
+  assert.ok(lines.includes(`Fee recipient changed from \`${A}\` to \`${B}\``));
+  assert.ok(lines.includes(`➖ \`${A}\``));
+  assert.ok(formatFeeRecipientChangeLines(TOKEN, change, { style: "telegram" }).some((l) => l.includes(`<code>${B}</code>`)));
+});
+
+test("targets cover claim-watch and activity-watch tokens and personal token/activity rows", async () => {
+  await writeFile(
+    process.env.TENANTS_FILE,
+    JSON.stringify({
+      g1: { alertChannelId: "c1", claimWatchTokens: [TOKEN] },
+      g2: { activityWatchList: [{ id: "w1", tokenAddress: OTHER, cooldownSec: 600 }] },
+    })
+  );
+  await writeFile(
+    process.env.TELEGRAM_PERSONAL_USERS_FILE,
+    JSON.stringify({
+      users: [
+        { chatId: "100", watchlist: [{ type: "token", value: TOKEN }] },
+        { chatId: "200", watchlist: [{ type: "token", value: TOKEN }], settings: { claimAlerts: false } },
+        { chatId: "300", watchlist: [{ type: "activity", value: OTHER }, { type: "keyword", value: "cat" }] },
+      ],
+    })
+  );
+  const targets = await collectFeeRecipientWatchTargets();
+  assert.deepEqual([...targets.keys()].sort(), [TOKEN, OTHER].sort());
+  assert.deepEqual([...targets.get(TOKEN).guildIds], ["g1"]);
+  assert.deepEqual([...targets.get(TOKEN).chatIds], ["100"]);
+  assert.deepEqual([...targets.get(OTHER).guildIds], ["g2"]);
+  assert.deepEqual([...targets.get(OTHER).chatIds], ["300"]);
+});
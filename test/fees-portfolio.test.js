@@ -0,0 +1,53 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { feesPortfolioCsv, parseFeesQueries, summarizeFeeRows } from "../src/fees-for-wallet.js";
+
+const row = (over = {}) => ({
+  wallet: "0x1111111111111111111111111111111111111111",
+  tokenAddress: "0x0000000000000000000000000000000000001ba3",
+  tokenName: "Test",
+  tokenSymbol: "TST",
+  accruedUsd: null,
+  accruedWeth: null,
+  accruedToken: null,
+  poolUnclaimedWeth: 0.5,
+  poolUnclaimedToken: 1000,
+  claimedWeth: 0.25,
+  claimedToken: 0,
+  claimCount: 1,
+  ...over,
+});
+
+test("queries split on commas and whitespace, dedupe handles and cap at five", () => {
+  assert.deepEqual(parseFeesQueries(" 0xAbc, @dev dev\n dwr.eth;x;y;z "), ["0xAbc", "@dev", "dwr.eth", "x", "y"]);
+  assert.deepEqual(parseFeesQueries(""), []);
+});
+
+test("totals treat missing amounts as zero, count pool-level unclaimed once per token and keep accruedUsd null without indexer data", () => {
+  const other = { tokenAddress: "0x0000000000000000000000000000000000002ba3" };
+  const totals = summarizeFeeRows([row(), row({ ...other, poolUnclaimedWeth: null, claimedWeth: 1, claimCount: 2 })]);
+  assert.deepEqual(totals, { tokens: 2, accruedUsd: null, poolUnclaimedWeth: 0.5, claimedWeth: 1.25, claimCount: 3 });
+  // Two recipients of one token see the same pool amount.
+  const shared = summarizeFeeRows([row(), row({ wallet: "0x2222222222222222222222222222222222222222" })]);
+  assert.equal(shared.poolUnclaimedWeth, 0.5);
+  assert.equal(shared.claimedWeth, 0.5);
+  assert.equal(summarizeFeeRows([row({ accruedUsd: 12.5 }), row()]).accruedUsd, 12.5);
+});
+
+test("CSV has a header row and quotes cells with commas or quotes", () => {
+  const csv = feesPortfolioCsv({ rows: [row({ tokenName: 'Cat, "the" coin' })] });
+  const [header, line] = csv.trim().split("\n");
+  assert.match(header, /^wallet,tokenAddress,tokenName,tokenSymbol,accruedUsd,/);
+  assert.equal(line.split(",")[0], "0x1111111111111111111111111111111111111111");
+  assert.match(line, /,"Cat, ""the"" coin",TST,,,,0\.5,1000,0\.25,0,1$/);
+  assert.match(header, /,poolUnclaimedWeth,poolUnclaimedToken,/);
+});
+
+test("CSV text cells that a spreadsheet would run as formulas get a leading quote", () => {
+  const csv = feesPortfolioCsv({ rows: [row({ tokenName: "=HYPERLINK(\"x\")", tokenSymbol: "@SUM" }), row({ tokenName: "\tcmd", tokenSymbol: "-1" })] });
+  const [, first, second] = csv.trim().split("\n");
+  assert.match(first, /,"'=HYPERLINK\(""x""\)",'@SUM,/);
+  assert.match(second, /,'\tcmd,'-1,/);
+  // Numbers are left alone.
+  assert.match(feesPortfolioCsv({ rows: [row({ claimedWeth: -1 })] }), /,-1,0,1\n$/);
+});
@@ -0,0 +1,83 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildWebhookEvent,
+  launchWebhookData,
+  normalizeWebhookUrl,
+  parseWebhookEvents,
+  signWebhookBody,
+  verifyWebhookSignature,
+  webhookDestinationFrom,
+} from "../src/generic-webhook.js";
+
+test("signature is sha256 HMAC of the raw body and verifies in constant time", () => {
+  const body = JSON.stringify({ hello: "world" });
+  const sig = signWebhookBody("s3cret", body);
+  assert.match(sig, /^sha256=[a-f0-9]{64}$/);
+  assert.equal(verifyWebhookSignature("s3cret", body, sig), true);
+  assert.equal(verifyWebhookSignature("other", body, sig), false);
+  assert.equal(verifyWebhookSignature("s3cret", body + " ", sig), false);
+  assert.equal(verifyWebhookSignature("s3cret", body, undefined), false);
+});
+
+test("event envelope carries schema, version and type", () => {
+  const ev = buildWebhookEvent("claim", { a: 1 }, { id: "abc", nowMs: 0 });
+  assert.deepEqual(ev, {
+    schema: "bankr-monitor.event",
+    version: 1,
+    id: "abc",
+    type: "claim",
+    createdAt: "1970-01-01T00:00:00.000Z",
+    data: { a: 1 },
+  });
+});
+
+test("parseWebhookEvents keeps known types; all/empty means every event", () => {
+  assert.deepEqual(parseWebhookEvents("launch, claim,bogus"), ["launch", "claim"]);
+  assert.equal(parseWebhookEvents("all"), null);
+  assert.equal(parseWebhookEvents(""), null);
+  assert.equal(parseWebhookEvents(["launch", "hot", "trending", "claim", "activity"]), null);
+});
+
+test("normalizeWebhookUrl requires public https; localhost only with WEBHOOK_ALLOW_LOCALHOST", () => {
+  assert.equal(normalizeWebhookUrl("https://example.com/hook"), "https://example.com/hook");
+  assert.equal(normalizeWebhookUrl("http://example.com/hook"), null);
+  assert.equal(normalizeWebhookUrl("http://localhost:8080/x"), null);
+  assert.equal(normalizeWebhookUrl("https://169.254.169.254/latest/meta-data"), null);
+  assert.equal(normalizeWebhookUrl("https://10.1.2.3/x"), null);
+  assert.equal(normalizeWebhookUrl("https://[::ffff:192.168.0.1]/x"), null);
+  process.env.WEBHOOK_ALLOW_LOCALHOST = "1";
+  try {
+    assert.equal(normalizeWebhookUrl("http://localhost:8080/x"), "http://localhost:8080/x");
+    assert.equal(normalizeWebhookUrl("http://127.0.0.1:8080/x"), "http://127.0.0.1:8080/x");
+    assert.equal(normalizeWebhookUrl("http://192.168.1.5/x"), null);
+  } finally {
+    delete process.env.WEBHOOK_ALLOW_LOCALHOST;
+  }
+  assert.equal(normalizeWebhookUrl("not a url"), null);
+  assert.equal(webhookDestinationFrom({ webhookUrl: "https://example.com", webhookSecret: null }), null);
+});
+
+test("launchWebhookData maps a notify launch to the v1 shape", () => {
+  const token = "0x" + "ab".repeat(20);
+  const fee = "0x" + "CD".repeat(20);
+  const data = launchWebhookData(
+    {
+      tokenAddress: token,
+      name: "Test",
+      symbol: "TST",
+      launcher: "0x" + "11".repeat(20),
+      launcherX: "@dev",
+      beneficiaries: [{ beneficiary: fee, xUsername: "@fee" }, "nope"],
+      deployedAtMsFromBankr: 0,
+    },
+    { passedFilters: true, isWatchMatch: true, watchMatchReasons: ["wallet"] }
+  );
+  assert.equal(data.chainId, 8453);
+  assert.equal(data.bankrUrl, `https://bankr.bot/launches/${token}`);
+  assert.equal(data.deployedAt, "1970-01-01T00:00:00.000Z");
+  assert.deepEqual(data.launcher, { wallet: "0x" + "11".repeat(20), x: "dev", farcaster: null });
+  assert.deepEqual(data.beneficiaries, [{ wallet: fee.toLowerCase(), x: "fee", farcaster: null }]);
+  assert.equal(data.passedFilters, true);
+  assert.deepEqual(data.watchMatchReasons, ["wallet"]);
+});
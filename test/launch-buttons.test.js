@@ -0,0 +1,38 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildLaunchButtonRows, parseLaunchButtonId } from "../src/launch-buttons.js";
+
+const TOKEN = "0x1111111111111111111111111111111111111ba3";
+const DEPLOYER = "0x" + "ab".repeat(20);
+
+test("launch buttons round-trip through their custom IDs", () => {
+  const [row] = buildLaunchButtonRows({ tokenAddress: TOKEN.toUpperCase().replace("0X", "0x"), launcher: DEPLOYER });
+  assert.deepEqual(
+    row.components.map((b) => b.label),
+    ["Watch deployer", "Claim-watch", "Activity-watch", "Trend card", "Lookup deployer"]
+  );
+  for (const b of row.components) assert.ok(b.custom_id.length <= 100, b.custom_id);
+  assert.deepEqual(
+    row.components.map((b) => parseLaunchButtonId(b.custom_id)),
+    [
+      { action: "watch-deployer", tokenAddress: TOKEN, deployer: DEPLOYER },
+      { action: "claim-watch", tokenAddress: TOKEN, deployer: null },
+      { action: "activity-watch", tokenAddress: TOKEN, deployer: null },
+      { action: "trend", tokenAddress: TOKEN, deployer: null },
+      { action: "lookup-deployer", tokenAddress: TOKEN, deployer: DEPLOYER },
+    ]
+  );
+});
+
+test("deployer buttons are skipped without a launcher wallet", () => {
+  const [row] = buildLaunchButtonRows({ tokenAddress: TOKEN, launcher: null });
+  assert.deepEqual(row.components.map((b) => b.label), ["Claim-watch", "Activity-watch", "Trend card"]);
+  assert.deepEqual(buildLaunchButtonRows({ tokenAddress: "not-an-address" }), []);
+});
+
+test("foreign and malformed custom IDs are ignored", () => {
+  assert.equal(parseLaunchButtonId("fees:next"), null);
+  assert.equal(parseLaunchButtonId(`launch:x:${TOKEN}`), null);
+  assert.equal(parseLaunchButtonId(`launch:w:${TOKEN}`), null);
+  assert.equal(parseLaunchButtonId("launch:t:0x123"), null);
+});
@@ -0,0 +1,53 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { exceedsRiskLimit, formatRiskLabel, scoreLaunchRisk } from "../src/launch-risk.js";
+
+const wallet = (n) => `0x${String(n).padStart(40, "0")}`;
+const token = (n) => `0x${"0".repeat(36)}${n}ba3`;
+
+test("clean launch scores low with no reasons", () => {
+  const risk = scoreLaunchRisk(
+    { launcher: wallet(1), beneficiaries: [{ beneficiary: wallet(1), xUsername: "dev" }], deployCount: 1 },
+    { deployerTxCount: 120, topHoldersPct: 8 }
+  );
+  assert.deepEqual(risk, { score: 0, level: "low", reasons: [] });
+});
+
+test("serial deployer, anonymous fee recipient and concentrated holders add up to high", () => {
+  const risk = scoreLaunchRisk(
+    { launcher: wallet(1), beneficiaries: [{ beneficiary: wallet(2) }], deployCount: 3, bankrDeployCount: 9 },
+    { topHoldersPct: 55.5 }
+  );
+  assert.deepEqual(
+    risk.reasons.map((r) => r.code),
+    ["serial", "fee_no_x", "holders"]
+  );
+  assert.equal(risk.score, 70);
+  assert.equal(risk.level, "high");
+  assert.match(risk.reasons[0].text, /9 launches/);
+});
+
+test("fresh wallet only counts when the launcher has no earlier deploys", () => {
+  const fresh = scoreLaunchRisk({ launcher: wallet(1), deployCount: 1 }, { deployerTxCount: 0 });
+  assert.deepEqual(fresh.reasons.map((r) => r.code), ["fresh"]);
+  const repeat = scoreLaunchRisk({ launcher: wallet(1), deployCount: 2 }, { deployerTxCount: 0 });
+  assert.equal(repeat.reasons.length, 0);
+});
+
+test("reused image and name from copycat matches add points", () => {
+  const ref = { tokenAddress: token(1), symbol: "MCAT" };
+  const risk = scoreLaunchRisk({ launcher: wallet(1) }, { reusedImage: ref, reusedName: ref });
+  assert.deepEqual(risk.reasons.map((r) => r.code), ["image", "name"]);
+  assert.equal(risk.score, 35);
+  assert.match(risk.reasons[0].text, /\$MCAT \(0x0000…1ba3\)/);
+});
+
+test("risk limit and label", () => {
+  const launch = { risk: { score: 45, level: "medium", reasons: [] } };
+  assert.equal(exceedsRiskLimit(launch, 40), true);
+  assert.equal(exceedsRiskLimit(launch, 50), false);
+  assert.equal(exceedsRiskLimit(launch, null), false);
+  assert.equal(exceedsRiskLimit(launch, 0), false);
+  assert.equal(exceedsRiskLimit({}, 10), false);
+  assert.equal(formatRiskLabel(launch.risk), "🟡 Medium · 45/100");
+});
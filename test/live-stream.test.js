@@ -0,0 +1,81 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "http";
+import { mkdtemp, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const dir = await mkdtemp(join(tmpdir(), "bankr-live-stream-"));
+process.env.LIVE_STREAM_FILE = join(dir, "live.json");
+process.env.STATE_BACKUP_KEEP = "0";
+const { closeLiveStreams, handleLiveStream, liveEventMatches, parseLiveStreamFilter, publishLaunches, publishLiveEvent } =
+  await import("../src/live-stream.js");
+
+const server = createServer((req, res) => void handleLiveStream(req, res, new URL(req.url, "http://localhost")));
+await new Promise((r) => server.listen(0, "127.0.0.1", r));
+const base = `http://127.0.0.1:${server.address().port}`;
+
+test.after(async () => {
+  closeLiveStreams();
+  await new Promise((r) => server.close(r));
+  await new Promise((r) => setTimeout(r, 1100));
+  await rm(dir, { recursive: true, force: true });
+});
+
+const WALLET = "0x" + "aa".repeat(20);
+const TOKEN_A = "0x" + "0".repeat(37) + "ba3";
+const TOKEN_B = "0x" + "1".repeat(37) + "ba3";
+
+test("filters reuse watch-list semantics for launches and claims", () => {
+  const f = parseLiveStreamFilter(new URL(`http://x/?wallet=${WALLET}&keyword=moon&types=launch,bogus`));
+  assert.deepEqual(f.types, ["launch"]);
+  const launch = { type: "launch", data: { tokenAddress: TOKEN_A, name: "Moon", symbol: "M", launcher: { wallet: null }, beneficiaries: [] } };
+  assert.equal(liveEventMatches(launch, f), true);
+  const claim = { type: "claim", data: { tokenAddress: TOKEN_A, symbol: "M", beneficiary: WALLET, claimer: null } };
+  assert.equal(liveEventMatches(claim, f), false);
+  const claims = parseLiveStreamFilter(new URL(`http://x/?wallet=${WALLET}`));
+  assert.equal(liveEventMatches(claim, claims), true);
+  assert.equal(liveEventMatches(claim, parseLiveStreamFilter(new URL("http://x/"))), true);
+});
+
+async function readEvents(res, count) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let text = "";
+  const events = [];
+  while (events.length < count) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    text += decoder.decode(value, { stream: true });
+    const blocks = text.split("\n\n");
+    text = blocks.pop();
+    for (const b of blocks) {
+      const data = b.split("\n").find((l) => l.startsWith("data: "));
+      if (data) events.push(JSON.parse(data.slice(6)));
+    }
+  }
+  await reader.cancel();
+  return events;
+}
+
+test("stream replays after Last-Event-ID, then pushes live matches only", async () => {
+  const first = publishLiveEvent("launch", { tokenAddress: TOKEN_A, name: "Old", symbol: "OLD", launcher: {}, beneficiaries: [] });
+  publishLaunches([{ tokenAddress: TOKEN_B, name: "Missed", symbol: "MIS", launcher: WALLET }]);
+
+  const res = await fetch(`${base}/?wallet=${WALLET}`, { headers: { "Last-Event-ID": String(first.id - 1) } });
+  assert.equal(res.headers.get("content-type"), "text/event-stream; charset=utf-8");
+  const pending = readEvents(res, 2);
+  await new Promise((r) => setTimeout(r, 50));
+  publishLiveEvent("launch", { tokenAddress: TOKEN_A, name: "Other", symbol: "OTH", launcher: {}, beneficiaries: [] });
+  publishLiveEvent("claim", { tokenAddress: TOKEN_A, symbol: "OLD", beneficiary: WALLET, claimer: null });
+  const events = await pending;
+  assert.deepEqual(
+    events.map((e) => [e.type, e.data.symbol]),
+    [
+      ["launch", "MIS"],
+      ["claim", "OLD"],
+    ]
+  );
+  assert.equal(events[0].schema, "bankr-monitor.event");
+  assert.ok(Number(events[1].id) > Number(events[0].id));
+});
@@ -0,0 +1,44 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { counter, gauge, histogram, recordCacheLookup, renderMetrics } from "../src/metrics.js";
+
+test("counters render with labels and escaped values", async () => {
+  const c = counter("test_requests_total", "Requests.", ["path"]);
+  c.inc({ path: "/a" });
+  c.inc({ path: "/a" }, 2);
+  c.inc({ path: 'q"x' });
+  c.inc({ path: "/a" }, -1);
+  assert.equal(c.get({ path: "/a" }), 3);
+  assert.equal(counter("test_requests_total", "dup", ["path"]), c);
+  const text = await renderMetrics();
+  assert.match(text, /# TYPE test_requests_total counter/);
+  assert.match(text, /test_requests_total\{path="\/a"\} 3/);
+  assert.match(text, /test_requests_total\{path="q\\"x"\} 1/);
+});
+
+test("histogram buckets are cumulative with +Inf, sum and count", async () => {
+  const h = histogram("test_duration_seconds", "Duration.", [], [1, 5]);
+  h.observe({}, 0.5);
+  h.observe({}, 3);
+  h.observe({}, 10);
+  const text = await renderMetrics();
+  assert.match(text, /test_duration_seconds_bucket\{le="1"\} 1/);
+  assert.match(text, /test_duration_seconds_bucket\{le="5"\} 2/);
+  assert.match(text, /test_duration_seconds_bucket\{le="\+Inf"\} 3/);
+  assert.match(text, /test_duration_seconds_sum 13.5/);
+  assert.match(text, /test_duration_seconds_count 3/);
+});
+
+test("gauge collectors run at scrape time; cache lookups count hit and miss", async () => {
+  let live = 1;
+  gauge("test_live", "Live value.", [], (g) => g.set({}, live));
+  live = 7;
+  recordCacheLookup("test_cache", true);
+  recordCacheLookup("test_cache", false);
+  recordCacheLookup("test_cache", false);
+  const text = await renderMetrics();
+  assert.match(text, /^test_live 7$/m);
+  assert.match(text, /bankr_cache_lookups_total\{cache="test_cache",result="hit"\} 1/);
+  assert.match(text, /bankr_cache_lookups_total\{cache="test_cache",result="miss"\} 2/);
+  assert.match(text, /process_resident_memory_bytes \d+/);
+});
@@ -0,0 +1,80 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, stat } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const dir = await mkdtemp(join(tmpdir(), "bankr-archive-"));
+process.env.LAUNCH_ARCHIVE_FILE = join(dir, "archive.json");
+process.env.STATE_BACKUP_KEEP = "0";
+const { archiveLaunches, listArchivedLaunches } = await import("../src/launch-archive.js");
+const { parseBackfillSince, buildBackfillDigestEmbeds, buildBackfillDigestTelegramHtml } = await import("../src/notify.js");
+
+test.after(() => rm(dir, { recursive: true, force: true }));
+
+const NOW = Date.parse("2026-03-01T12:00:00Z");
+const A = "0x1111111111111111111111111111111111111ba3";
+const B = "0x2222222222222222222222222222222222222ba3";
+
+test("parseBackfillSince accepts relative, unix and ISO times", () => {
+  assert.equal(parseBackfillSince("2h", NOW), NOW - 2 * 3_600_000);
+  assert.equal(parseBackfillSince("90m", NOW), NOW - 90 * 60_000);
+  assert.equal(parseBackfillSince("1700000000", NOW), 1_700_000_000_000);
+  assert.equal(parseBackfillSince("2026-03-01T10:00:00Z", NOW), NOW - 2 * 3_600_000);
+  assert.equal(parseBackfillSince("", NOW), null);
+  assert.equal(parseBackfillSince("tomorrow-ish", NOW), null);
+  assert.equal(parseBackfillSince("2026-03-02T00:00:00Z", NOW), null);
+});
+
+test("archiveLaunches merges sources per chain+token and lists by window", async () => {
+  await archiveLaunches([{ tokenAddress: A.toUpperCase().replace("0X", "0x"), name: "Alpha", symbol: "A" }], {
+    chainId: 8453,
+    source: "chain",
+    nowMs: NOW - 60_000,
+  });
+  await archiveLaunches(
+    [
+      { tokenAddress: A, name: "Alpha", symbol: "A", launcher: "0x3333333333333333333333333333333333333333", deployedAtMsFromBankr: NOW - 120_000 },
+      { tokenAddress: B, name: "Beta", symbol: "B", deployedAtMsFromBankr: NOW - 5 * 3_600_000 },
+    ],
+    { chainId: 8453, source: "bankr", nowMs: NOW }
+  );
+  const recent = await listArchivedLaunches({ chainId: 8453, sinceMs: NOW - 3_600_000 });
+  assert.equal(recent.length, 1);
+  assert.equal(recent[0].tokenAddress, A);
+  assert.deepEqual(recent[0].sources, ["chain", "bankr"]);
+  assert.equal(recent[0].firstSeenAtMs, NOW - 60_000);
+  assert.equal(recent[0].launch.launcher, "0x3333333333333333333333333333333333333333");
+  assert.equal((await listArchivedLaunches({ chainId: 8453 })).length, 2);
+  assert.equal((await listArchivedLaunches({ chainId: 84532 })).length, 0);
+
+  const before = (await stat(process.env.LAUNCH_ARCHIVE_FILE)).mtimeMs;
+  await new Promise((r) => setTimeout(r, 20));
+  const added = await archiveLaunches([{ tokenAddress: B, name: "Beta", symbol: "B", deployedAtMsFromBankr: NOW - 5 * 3_600_000 }], {
+    chainId: 8453,
+    source: "bankr",
+    nowMs: NOW + 60_000,
+  });
+  assert.equal(added, 0);
+  assert.equal((await stat(process.env.LAUNCH_ARCHIVE_FILE)).mtimeMs, before);
+});
+
+test("backfill digest lists watch matches first and caps items", () => {
+  const launches = [
+    { tokenAddress: A, name: "Alpha", symbol: "A", deployedAtMsFromBankr: NOW - 1000 },
+    { tokenAddress: B, name: "Beta", symbol: "B", deployedAtMsFromBankr: NOW - 2000, isWatchMatch: true, launcherX: "beta_dev" },
+  ];
+  const embeds = buildBackfillDigestEmbeds(launches, { sinceMs: NOW - 3_600_000, untilMs: NOW });
+  assert.equal(embeds.length, 1);
+  assert.match(embeds[0].title, /2 launches missed/);
+  const [first, second] = embeds[0].description.split("\n");
+  assert.match(first, /^👀 \*\*\[Beta \(\$B\)\]/);
+  assert.match(second, /Alpha/);
+  assert.match(embeds[0].footer.text, /1 watch match$/);
+
+  const capped = buildBackfillDigestTelegramHtml(launches, { sinceMs: NOW - 3_600_000, untilMs: NOW, maxItems: 1 });
+  assert.equal(capped.length, 1);
+  assert.match(capped[0], /Beta/);
+  assert.doesNotMatch(capped[0], /Alpha/);
+  assert.match(capped[0], /…and 1 more/);
+});
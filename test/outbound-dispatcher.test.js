@@ -0,0 +1,75 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, readFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const dir = await mkdtemp(join(tmpdir(), "bankr-outbound-"));
+process.env.OUTBOUND_QUEUE_FILE = join(dir, "queue.json");
+process.env.OUTBOUND_DEAD_LETTER_FILE = join(dir, "dead.json");
+process.env.STATE_BACKUP_KEEP = "0";
+process.env.SECRETS_MASTER_KEY = "11".repeat(32);
+const { createTokenBucket, parseRetryAfterMs, outboundBackoffMs, enqueueDiscordWebhook } = await import(
+  "../src/outbound-dispatcher.js"
+);
+
+const realFetch = globalThis.fetch;
+test.after(async () => {
+  globalThis.fetch = realFetch;
+  await new Promise((r) => setTimeout(r, 300));
+  await rm(dir, { recursive: true, force: true });
+});
+
+const WEBHOOK = "https://discord.com/api/webhooks/123/secret";
+
+test("token bucket allows a burst, then paces at the refill rate", () => {
+  const t0 = 1_000_000;
+  const b = createTokenBucket({ capacity: 2, refillPerSec: 1, nowMs: t0 });
+  assert.equal(b.take(t0), true);
+  assert.equal(b.take(t0), true);
+  assert.equal(b.take(t0), false);
+  assert.equal(b.waitMs(t0), 1000);
+  assert.equal(b.waitMs(t0 + 500), 500);
+  assert.equal(b.take(t0 + 1000), true);
+});
+
+test("parseRetryAfterMs reads Telegram, Discord and header forms", () => {
+  assert.equal(parseRetryAfterMs({ ok: false, error_code: 429, parameters: { retry_after: 7 } }), 7000);
+  assert.equal(parseRetryAfterMs({ retry_after: 1.25, global: false }), 1250);
+  assert.equal(parseRetryAfterMs(null, new Headers({ "Retry-After": "3" })), 3000);
+  assert.equal(parseRetryAfterMs({}, new Headers()), null);
+});
+
+test("outboundBackoffMs doubles per attempt", () => {
+  const mid = () => 0.5;
+  assert.equal(outboundBackoffMs(1, mid), 2000);
+  assert.equal(outboundBackoffMs(3, mid), 8000);
+  assert.equal(outboundBackoffMs(50, mid), 300000);
+});
+
+test("429 waits retry_after then delivers; 4xx goes to the dead letter file with the webhook URL sealed", async () => {
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    assert.equal(url, WEBHOOK);
+    calls.push(JSON.parse(init.body));
+    const body = JSON.parse(init.body);
+    if (body.content === "bad") return new Response(JSON.stringify({ message: "Invalid Form Body" }), { status: 400 });
+    if (calls.length === 1) return new Response(JSON.stringify({ retry_after: 0.05 }), { status: 429 });
+    return new Response(null, { status: 204 });
+  };
+  const ok = await enqueueDiscordWebhook(WEBHOOK, { content: "hello" });
+  assert.deepEqual(ok, { ok: true, result: null });
+  assert.equal(calls.length, 2);
+
+  const bad = await enqueueDiscordWebhook(WEBHOOK, { content: "bad" }, { label: "test" });
+  assert.equal(bad.ok, false);
+  assert.match(bad.error, /400/);
+  await new Promise((r) => setTimeout(r, 50));
+  const raw = await readFile(process.env.OUTBOUND_DEAD_LETTER_FILE, "utf-8");
+  assert.ok(!raw.includes("/123/secret"));
+  const dead = JSON.parse(raw);
+  assert.equal(dead.jobs.length, 1);
+  assert.equal(dead.jobs[0].label, "test");
+  assert.match(dead.jobs[0].url, /^enc:v1:/);
+  assert.equal(dead.jobs[0].webhookId, "123");
+});
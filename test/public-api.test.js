@@ -0,0 +1,66 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "http";
+import { mkdtemp, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const dir = await mkdtemp(join(tmpdir(), "bankr-public-api-"));
+process.env.LAUNCH_ARCHIVE_FILE = join(dir, "archive.json");
+process.env.OUTBOUND_QUEUE_FILE = join(dir, "queue.json");
+process.env.STATE_BACKUP_KEEP = "0";
+process.env.PUBLIC_API_TOKENS = "dash:tok_dash,tok_anon";
+process.env.PUBLIC_API_BURST = "2";
+process.env.PUBLIC_API_RATE_PER_MIN = "1";
+const { archiveLaunches } = await import("../src/launch-archive.js");
+const { handlePublicApiRequest, publicApiClientFor } = await import("../src/public-api.js");
+
+const server = createServer((req, res) => {
+  const url = new URL(req.url, "http://localhost");
+  void handlePublicApiRequest(req, res, url, url.pathname.replace(/\/$/, ""));
+});
+await new Promise((r) => server.listen(0, "127.0.0.1", r));
+const base = `http://127.0.0.1:${server.address().port}`;
+
+test.after(async () => {
+  await new Promise((r) => server.close(r));
+  await rm(dir, { recursive: true, force: true });
+});
+
+const addr = (n) => `0x${"0".repeat(36)}${n}ba3`;
+
+test("tokens map to named clients via bearer, X-API-Token or ?token=", () => {
+  const url = new URL("http://x/api/v1/launches?token=tok_anon");
+  assert.equal(publicApiClientFor({ headers: { authorization: "Bearer tok_dash" } }, new URL("http://x/")), "dash");
+  assert.equal(publicApiClientFor({ headers: { "x-api-token": "tok_dash" } }, new URL("http://x/")), "dash");
+  assert.equal(publicApiClientFor({ headers: {} }, url), "client2");
+  assert.equal(publicApiClientFor({ headers: { authorization: "Bearer nope" } }, new URL("http://x/")), null);
+});
+
+test("launches come from the archive newest first; auth, validation and rate limit apply", async () => {
+  await archiveLaunches(
+    [
+      { tokenAddress: addr(1), name: "One", symbol: "ONE", deployedAtMsFromBankr: 1_000 },
+      { tokenAddress: addr(2), name: "Two", symbol: "TWO", deployedAtMsFromBankr: 2_000 },
+    ],
+    { chainId: 8453, source: "bankr" }
+  );
+  assert.equal((await fetch(`${base}/api/v1/launches`)).status, 401);
+
+  const auth = { headers: { Authorization: "Bearer tok_dash" } };
+  const res = await fetch(`${base}/api/v1/launches?limit=1`, auth);
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.ok, true);
+  assert.equal(body.data.count, 1);
+  assert.equal(body.data.hasMore, true);
+  assert.equal(body.data.launches[0].symbol, "TWO");
+  assert.deepEqual(body.data.launches[0].sources, ["bankr"]);
+
+  const bad = await fetch(`${base}/api/v1/tokens/not-an-address`, auth);
+  assert.equal(bad.status, 400);
+
+  const limited = await fetch(`${base}/api/v1/launches`, auth);
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get("retry-after")) >= 1);
+});
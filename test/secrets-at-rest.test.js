@@ -0,0 +1,63 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const dir = await mkdtemp(join(tmpdir(), "bankr-secrets-"));
+const OLD_KEY = "aa".repeat(32);
+const NEW_KEY = "bb".repeat(32);
+process.env.TENANTS_FILE = join(dir, "tenants.json");
+process.env.BANKR_APP_USERS_FILE = join(dir, "app-users.json");
+process.env.SECRETS_MASTER_KEY = OLD_KEY;
+process.env.STATE_BACKUP_KEEP = "0";
+const { getTenant, getTenantSecretStatus, resealTenantSecrets, setTenant } = await import("../src/tenant-store.js");
+const { getBankrAppUser, listActiveBankrAppUsers, resealBankrAppSecrets, setBankrAppUserConfig } = await import(
+  "../src/bankr-app-store.js"
+);
+
+test.after(() => rm(dir, { recursive: true, force: true }));
+
+const WALLET = "0x" + "cd".repeat(20);
+const DISCORD_HOOK = "https://discord.com/api/webhooks/123456/abcDEF-token";
+
+test("tenant API key is encrypted on disk and decrypted by getTenant", async () => {
+  await setTenant("g1", { bankrApiKey: "bk_tenant_key", alertChannelId: "c1" });
+  const raw = await readFile(process.env.TENANTS_FILE, "utf8");
+  assert.ok(!raw.includes("bk_tenant_key"));
+  assert.match(JSON.parse(raw).g1.bankrApiKey, /^enc:v1:/);
+  assert.equal((await getTenant("g1")).bankrApiKey, "bk_tenant_key");
+  assert.deepEqual(await getTenantSecretStatus("g1"), { bankrApiKey: "encrypted", webhookSecret: null });
+  // Unrelated updates keep the stored ciphertext.
+  await setTenant("g1", { alertChannelId: "c2" });
+  assert.equal((await getTenant("g1")).bankrApiKey, "bk_tenant_key");
+});
+
+test("bankr app Discord webhook URL is encrypted on disk", async () => {
+  await setBankrAppUserConfig(WALLET, { destinations: { discordWebhookUrl: DISCORD_HOOK }, settings: { trending: true } });
+  const raw = await readFile(process.env.BANKR_APP_USERS_FILE, "utf8");
+  assert.ok(!raw.includes("abcDEF-token"));
+  assert.equal((await getBankrAppUser(WALLET)).destinations.discordWebhookUrl, DISCORD_HOOK);
+  assert.equal((await listActiveBankrAppUsers())[0].destinations.discordWebhookUrl, DISCORD_HOOK);
+});
+
+test("rotation re-encrypts old-key and legacy plaintext secrets with the new key", async () => {
+  const tenants = JSON.parse(await readFile(process.env.TENANTS_FILE, "utf8"));
+  tenants.g2 = { guildId: "g2", bankrApiKey: "bk_plaintext_key" };
+  await writeFile(process.env.TENANTS_FILE, JSON.stringify(tenants));
+  assert.equal((await getTenant("g2")).bankrApiKey, "bk_plaintext_key");
+  assert.equal((await getTenantSecretStatus("g2")).bankrApiKey, "plaintext");
+
+  process.env.SECRETS_MASTER_KEY = NEW_KEY;
+  await assert.rejects(resealTenantSecrets(), /another master key/);
+  process.env.SECRETS_MASTER_KEY_PREVIOUS = OLD_KEY;
+  assert.equal(await resealTenantSecrets(), 2);
+  assert.equal(await resealBankrAppSecrets(), 1);
+  assert.equal(await resealTenantSecrets(), 0);
+
+  delete process.env.SECRETS_MASTER_KEY_PREVIOUS;
+  assert.equal((await getTenant("g1")).bankrApiKey, "bk_tenant_key");
+  assert.equal((await getTenant("g2")).bankrApiKey, "bk_plaintext_key");
+  assert.equal((await getTenantSecretStatus("g2")).bankrApiKey, "encrypted");
+  assert.equal((await getBankrAppUser(WALLET)).destinations.discordWebhookUrl, DISCORD_HOOK);
+});
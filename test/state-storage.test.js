@@ -0,0 +1,125 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readdir, readFile, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  createJsonStorageDriver,
+  createSqliteStorageDriver,
+  defineStateDocument,
+  StateFileCorruptError,
+  StateReadFailedError,
+} from "../src/state-storage.js";
+
+async function withTempDir(fn) {
+  const dir = await mkdtemp(join(tmpdir(), "bankr-storage-"));
+  try {
+    await fn(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+test("json driver returns null for a missing file and round-trips a document", async () => {
+  await withTempDir(async (dir) => {
+    const driver = createJsonStorageDriver();
+    const doc = { name: "tenants", file: join(dir, "nested", "tenants.json"), indent: 2 };
+    assert.equal(await driver.read(doc), null);
+    await driver.write(doc, { g1: { guildId: "g1" } });
+    assert.deepEqual(await driver.read(doc), { g1: { guildId: "g1" } });
+    assert.match(await readFile(doc.file, "utf-8"), /\n  "g1"/);
+  });
+});
+
+test("json driver throws on invalid JSON instead of returning empty state", async () => {
+  await withTempDir(async (dir) => {
+    const driver = createJsonStorageDriver();
+    const doc = { name: "watch", file: join(dir, "watch.json"), indent: 2 };
+    await writeFile(doc.file, "{\"x\": [", "utf-8");
+    await assert.rejects(() => driver.read(doc));
+  });
+});
+
+test("json driver refuses to overwrite a file that does not parse", async () => {
+  await withTempDir(async (dir) => {
+    const driver = createJsonStorageDriver();
+    const doc = { name: "tenants", file: join(dir, "tenants.json"), indent: 2 };
+    await writeFile(doc.file, "{\"g1\": {\"guildId\"", "utf-8");
+    await assert.rejects(() => driver.write(doc, {}), StateFileCorruptError);
+    assert.equal(await readFile(doc.file, "utf-8"), "{\"g1\": {\"guildId\"");
+  });
+});
+
+test("json driver backs up the previous file and leaves no temp files", async () => {
+  await withTempDir(async (dir) => {
+    const driver = createJsonStorageDriver();
+    const doc = { name: "tenants", file: join(dir, "tenants.json"), indent: 2 };
+    await driver.write(doc, { v: 1 });
+    await driver.write(doc, { v: 2 });
+    assert.deepEqual(await driver.read(doc), { v: 2 });
+    assert.deepEqual(await readdir(dir).then((f) => f.sort()), [".state-backups", "tenants.json"]);
+    const backups = await readdir(join(dir, ".state-backups"));
+    assert.equal(backups.length, 1);
+    assert.match(backups[0], /^tenants\.json\..+\.bak$/);
+    assert.deepEqual(JSON.parse(await readFile(join(dir, ".state-backups", backups[0]), "utf-8")), { v: 1 });
+  });
+});
+
+test("sqlite driver stores one row per document", async (t) => {
+  await withTempDir(async (dir) => {
+    const driver = createSqliteStorageDriver(join(dir, "state.sqlite"));
+    const seen = { name: "seen", file: join(dir, "seen.json"), indent: 0 };
+    const tenants = { name: "tenants", file: join(dir, "tenants.json"), indent: 2 };
+    try {
+      assert.equal(await driver.read(seen), null);
+    } catch (e) {
+      t.skip(`SQLite unavailable: ${e.message}`);
+      return;
+    }
+    await driver.write(seen, ["0xabc"]);
+    await driver.write(tenants, { g1: { guildId: "g1" } });
+    await driver.write(seen, ["0xabc", "0xdef"]);
+    assert.deepEqual(await driver.read(seen), ["0xabc", "0xdef"]);
+    assert.deepEqual(await driver.read(tenants), { g1: { guildId: "g1" } });
+    assert.equal(await driver.has(tenants), true);
+    await driver.close();
+  });
+});
+
+test("sqlite driver refuses to overwrite a row that does not parse", async (t) => {
+  await withTempDir(async (dir) => {
+    const file = join(dir, "state.sqlite");
+    const driver = createSqliteStorageDriver(file);
+    const tenants = { name: "tenants", file: join(dir, "tenants.json"), indent: 2 };
+    try {
+      await driver.write(tenants, { g1: { guildId: "g1" } });
+    } catch (e) {
+      t.skip(`SQLite unavailable: ${e.message}`);
+      return;
+    }
+    await driver.close();
+    // Same module the driver opened (node:sqlite on Node 22.5+, else better-sqlite3).
+    const db = await import("node:sqlite")
+      .then(({ DatabaseSync }) => new DatabaseSync(file))
+      .catch(async () => new (await import("better-sqlite3")).default(file));
+    db.prepare("UPDATE state_documents SET data = ? WHERE name = ?").run('{"g1": {"guildId"', "tenants");
+    db.close();
+    await assert.rejects(() => driver.read(tenants));
+    await assert.rejects(() => driver.write(tenants, {}), StateFileCorruptError);
+    await driver.close();
+  });
+});
+
+test("a document whose read failed is not written until a read succeeds", async () => {
+  await withTempDir(async (dir) => {
+    const doc = defineStateDocument("read-guard-test", join(dir, "guard.json"));
+    await doc.write({ v: 1 });
+    await writeFile(doc.file, "not json", "utf-8");
+    await assert.rejects(() => doc.read());
+    await writeFile(doc.file, JSON.stringify({ v: 2 }), "utf-8");
+    await assert.rejects(() => doc.write({}), StateReadFailedError);
+    assert.deepEqual(await doc.read(), { v: 2 });
+    await doc.write({ v: 3 });
+    assert.deepEqual(await doc.read(), { v: 3 });
+  });
+});
@@ -0,0 +1,90 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const dir = await mkdtemp(join(tmpdir(), "bankr-tg-deploy-"));
+process.env.TELEGRAM_PERSONAL_USERS_FILE = join(dir, "users.json");
+process.env.TELEGRAM_PERSONAL_DMS_ENABLED = "true";
+process.env.SECRETS_MASTER_KEY = "11".repeat(32);
+process.env.BANKR_API_KEY = "operator-key-must-not-be-used";
+process.env.STATE_BACKUP_KEEP = "0";
+const { decryptSecret, encryptSecret, parseMasterKey } = await import("../src/secret-box.js");
+const { getPersonalBankrApiKey } = await import("../src/telegram-personal-store.js");
+const { handlePersonalTelegramCallback, handlePersonalTelegramCommand, parseTelegramFeeRecipient } = await import(
+  "../src/telegram-personal-commands.js"
+);
+
+test.after(() => rm(dir, { recursive: true, force: true }));
+
+const USER_KEY = "bk_user_secret_key_123";
+
+test("secrets round-trip and refuse another master key", () => {
+  const enc = encryptSecret("hello");
+  assert.match(enc, /^enc:v1:[0-9a-f]{8}:/);
+  assert.notEqual(enc, encryptSecret("hello"));
+  assert.equal(decryptSecret(enc), "hello");
+  assert.throws(() => decryptSecret(enc, parseMasterKey("22".repeat(32))), /another master key/);
+  assert.equal(parseMasterKey("tooshort"), null);
+});
+
+test("fee recipient replies map to Bankr recipient types", () => {
+  assert.deepEqual(parseTelegramFeeRecipient("0x" + "AB".repeat(20)), { type: "wallet", value: "0x" + "ab".repeat(20) });
+  assert.deepEqual(parseTelegramFeeRecipient("Vitalik.eth"), { type: "ens", value: "vitalik.eth" });
+  assert.deepEqual(parseTelegramFeeRecipient("@bankrbot"), { type: "x", value: "bankrbot" });
+  assert.deepEqual(parseTelegramFeeRecipient("fc:dwr"), { type: "farcaster", value: "dwr" });
+  assert.equal(parseTelegramFeeRecipient("bankrbot"), null);
+});
+
+test("/deploy stores the user key encrypted and deploys with it after confirm", async (t) => {
+  const chatId = "4242";
+  const replies = [];
+  const say = (text, extra = {}) =>
+    handlePersonalTelegramCommand({ chatId, text, ...extra, send: async (msg, opts) => replies.push({ msg, opts }) });
+  const calls = [];
+  t.mock.method(globalThis, "fetch", async (url, init) => {
+    const body = JSON.parse(init.body);
+    calls.push({ key: init.headers["X-API-Key"], body });
+    return new Response(JSON.stringify({ success: true, tokenAddress: "0x" + "12".repeat(18) + "0ba3", simulated: body.simulateOnly }), {
+      status: 200,
+      headers: { "X-RateLimit-Remaining": "49", "X-RateLimit-Limit": "50" },
+    });
+  });
+
+  await say("/start");
+  await say("/deploy");
+  assert.match(replies.at(-1).msg, /your own Bankr API key/);
+
+  let deleted = false;
+  await say(`/bankrkey ${USER_KEY}`, { deleteMessage: async () => (deleted = true) });
+  assert.equal(deleted, true);
+  assert.equal(await getPersonalBankrApiKey(chatId), USER_KEY);
+  assert.ok(!(await readFile(process.env.TELEGRAM_PERSONAL_USERS_FILE, "utf8")).includes(USER_KEY));
+
+  await say("/deploy");
+  await say("Moon Cat");
+  await say("$mcat");
+  await say("", { hasMedia: true });
+  assert.match(replies.at(-1).msg, /https:\/\/ link/);
+  await say("skip");
+  await say("@mooncat");
+  const preview = replies.at(-1);
+  assert.match(preview.msg, /Deploy preview \(dry run\)/);
+  assert.match(preview.msg, /Ticker: \$MCAT/);
+  assert.match(preview.msg, /49\/50/);
+  assert.deepEqual(calls.at(-1).body, { tokenName: "Moon Cat", simulateOnly: true, tokenSymbol: "MCAT", feeRecipient: { type: "x", value: "mooncat" } });
+
+  const confirm = preview.opts.reply_markup.inline_keyboard[0][0].callback_data;
+  assert.ok(Buffer.byteLength(confirm) <= 64);
+  const send = async (msg, opts) => replies.push({ msg, opts });
+  assert.equal(await handlePersonalTelegramCallback({ chatId, data: confirm, send }), true);
+  assert.match(replies.at(-1).msg, /Token deployed/);
+  assert.equal(calls.at(-1).body.simulateOnly, false);
+  assert.ok(calls.every((c) => c.key === USER_KEY));
+
+  // Session is gone: a second tap does not deploy again.
+  await handlePersonalTelegramCallback({ chatId, data: confirm, send });
+  assert.match(replies.at(-1).msg, /expired/);
+  assert.equal(calls.length, 2);
+});
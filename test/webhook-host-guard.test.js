@@ -0,0 +1,55 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "http";
+import { mkdtemp, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const dir = await mkdtemp(join(tmpdir(), "bankr-webhook-guard-"));
+process.env.OUTBOUND_QUEUE_FILE = join(dir, "queue.json");
+process.env.OUTBOUND_DEAD_LETTER_FILE = join(dir, "dead.json");
+process.env.STATE_BACKUP_KEEP = "0";
+const { assertWebhookHostAllowed, isBlockedWebhookAddress } = await import("../src/webhook-host-guard.js");
+const { sendWebhookTestEvent } = await import("../src/generic-webhook.js");
+
+const server = createServer((req, res) => {
+  res.writeHead(500, { "Content-Type": "text/plain" });
+  res.end("internal secret: admin password hunter2");
+});
+await new Promise((r) => server.listen(0, "127.0.0.1", r));
+const local = `http://127.0.0.1:${server.address().port}/hook`;
+
+test.after(async () => {
+  await new Promise((r) => server.close(r));
+  await rm(dir, { recursive: true, force: true, maxRetries: 5 });
+});
+
+test("loopback, private, link-local, metadata and mapped addresses are blocked", async () => {
+  for (const ip of ["127.0.0.1", "10.0.0.1", "172.20.1.1", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0", "::1", "fd00:ec2::254", "fe80::1", "::ffff:10.0.0.1"]) {
+    assert.equal(isBlockedWebhookAddress(ip, { allowLoopback: false }), true, ip);
+  }
+  for (const ip of ["93.184.216.34", "2606:4700::1111"]) assert.equal(isBlockedWebhookAddress(ip, { allowLoopback: false }), false, ip);
+  assert.equal(isBlockedWebhookAddress("127.0.0.1", { allowLoopback: true }), false);
+  assert.equal(isBlockedWebhookAddress("10.0.0.1", { allowLoopback: true }), true);
+  await assert.rejects(assertWebhookHostAllowed("https://169.254.169.254/"), /private or internal/);
+  await assert.rejects(assertWebhookHostAllowed("http://localhost/"), /localhost webhooks are disabled/);
+});
+
+test("the test event never reaches loopback without the flag and reports only the HTTP status", async () => {
+  let hits = 0;
+  server.on("request", () => hits++);
+  const dest = { url: local, secret: "s" };
+  await assert.rejects(sendWebhookTestEvent(dest), /private or internal/);
+  assert.equal(hits, 0);
+
+  process.env.WEBHOOK_ALLOW_LOCALHOST = "1";
+  try {
+    await assert.rejects(sendWebhookTestEvent(dest), (e) => {
+      assert.equal(e.message, "Webhook responded with HTTP 500");
+      return true;
+    });
+    assert.equal(hits, 2); // 5xx is retried once (maxAttempts 2)
+  } finally {
+    delete process.env.WEBHOOK_ALLOW_LOCALHOST;
+  }
+});
@@ -0,0 +1,84 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const dir = await mkdtemp(join(tmpdir(), "bankr-whales-"));
+process.env.WHALE_SNAPSHOT_FILE = join(dir, "whales.json");
+process.env.TENANTS_FILE = join(dir, "tenants.json");
+process.env.STATE_BACKUP_KEEP = "0";
+const { buildWhaleSnapshot, computeWhaleWindow, formatWhaleAmount, listWhaleSnapshots, parseWhaleWindow, recordWhaleSnapshot } =
+  await import("../src/whale-leaderboard.js");
+
+test.after(() => rm(dir, { recursive: true, force: true }));
+
+const HOUR = 3_600_000;
+const DAY = 24 * HOUR;
+const NOW = 10 * DAY;
+const A = "0x" + "aa".repeat(20);
+const B = "0x" + "bb".repeat(20);
+const C = "0x" + "cc".repeat(20);
+const P1 = "0x" + "01".repeat(32);
+const P2 = "0x" + "02".repeat(32);
+
+const pos = (wallet, poolId, totalUsd, weth = 0) => ({ wallet, poolId, totalUsd, weth });
+
+test("all time sums a wallet's pools and ranks the totals", () => {
+  const out = computeWhaleWindow([pos(A, P1, 100, 0.1), pos(B, P1, 200, 0.2), pos(B, P2, 100, 0.1)], [], null, NOW);
+  assert.deepEqual(out.rows.map((r) => [r.wallet, r.usd]), [[B, 300], [A, 100]]);
+  assert.ok(Math.abs(out.rows[0].weth - 0.3) < 1e-9);
+  assert.equal(out.partial, false);
+});
+
+test("24h diffs only (wallet, pool) rows present in the newest snapshot at least a day old", () => {
+  const snapshots = [
+    buildWhaleSnapshot([pos(A, P1, 10, 0.01), pos(B, P1, 200, 0.2)], NOW - 2 * DAY),
+    buildWhaleSnapshot([pos(A, P1, 50, 0.05), pos(B, P1, 250, 0.25)], NOW - DAY - HOUR),
+    buildWhaleSnapshot([pos(A, P1, 90, 0.09), pos(B, P1, 290, 0.29)], NOW - HOUR),
+    { at: NOW - DAY - 30 * 60_000, floorUsd: 0, wallets: { [A]: { usd: 99, weth: 0 } } },
+  ];
+  const out = computeWhaleWindow(
+    [pos(A, P1, 100, 0.1), pos(B, P1, 260, 0.26), pos(B, P2, 5000, 5), pos(C, P1, 400, 0.4)],
+    snapshots,
+    DAY,
+    NOW
+  );
+  assert.equal(out.sinceMs, NOW - DAY - HOUR);
+  assert.equal(out.partial, false);
+  // B's P2 and C's only pool entered the tracked list after the baseline: no start value, so no false jump.
+  assert.deepEqual(
+    out.rows.map((r) => [r.wallet, r.usd, r.totalUsd]),
+    [
+      [A, 50, 100],
+      [B, 10, 5260],
+    ]
+  );
+  assert.ok(Math.abs(out.rows[0].weth - 0.05) < 1e-9);
+  assert.equal(formatWhaleAmount(out.rows[0]), "$50.00 · 0.0500 WETH");
+});
+
+test("short history falls back to the oldest snapshot and flags partial", () => {
+  const snapshots = [buildWhaleSnapshot([pos(A, P1, 40)], NOW - 3 * HOUR)];
+  const out = computeWhaleWindow([pos(A, P1, 100)], snapshots, 7 * DAY, NOW);
+  assert.equal(out.partial, true);
+  assert.equal(out.sinceMs, NOW - 3 * HOUR);
+  assert.deepEqual(out.rows.map((r) => r.usd), [60]);
+  assert.deepEqual(computeWhaleWindow([pos(A, P1, 1)], [], DAY, NOW), { rows: [], sinceMs: null, partial: true });
+});
+
+test("snapshots are throttled to the interval and pruned after eight days", async () => {
+  const rows = [pos(A, P1, 1)];
+  assert.equal(await recordWhaleSnapshot(rows, NOW - 9 * DAY), true);
+  assert.equal(await recordWhaleSnapshot(rows, NOW - 2 * DAY), true);
+  assert.equal(await recordWhaleSnapshot(rows, NOW - 2 * DAY + 60_000), false);
+  assert.equal(await recordWhaleSnapshot(rows, NOW), true);
+  assert.deepEqual((await listWhaleSnapshots()).map((s) => s.at), [NOW - 2 * DAY, NOW]);
+});
+
+test("window names", () => {
+  assert.equal(parseWhaleWindow("24H"), "24h");
+  assert.equal(parseWhaleWindow("week"), "7d");
+  assert.equal(parseWhaleWindow("all-time"), "all");
+  assert.equal(parseWhaleWindow("month"), null);
+});